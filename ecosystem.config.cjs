@@ -13,6 +13,8 @@ module.exports = {
       // All other config (ALLOW_FROM, DISCORD_LOG_CHANNEL_ID, Twilio creds, etc.)
       // is loaded from .env — see .env.example for the full reference.
       env_file: join(__dirname, '.env'),
+      // Call state (voice turns, verification, outbound calls, rate limits, ...)
+      // is per process, so keep a single instance.
       instances: 1,
       autorestart: true,
       watch: false,
@@ -3,13 +3,16 @@
  * OpenClaw plugin entry point.
  *
  * Registers the Twilio gateway as a background service. OpenClaw starts it
- * on `openclaw plugins enable clawphone` and stops it on disable.
+ * on `openclaw plugins enable clawphone` and stops it on disable. Also
+ * registers the phone tools (lib/tools.mjs) when the host supports tools and
+ * the operator turned them on (`phoneTools`).
  *
  * Standalone / PM2 path: server.mjs (untouched by this file).
  */
 import { createServer } from "./lib/http-server.mjs";
 import { fromPluginConfig } from "./lib/config.mjs";
 import { waitForVoiceDrain } from "./lib/voice-state.mjs";
+import { createPhoneTools } from "./lib/tools.mjs";
 
 export default {
   id: "clawphone",
@@ -18,6 +21,12 @@ export default {
   register(api) {
     let server = null;
 
+    if (typeof api.registerTool === "function" && fromPluginConfig(api.pluginConfig ?? {}).PHONE_TOOLS) {
+      for (const tool of createPhoneTools(() => server?.phone)) {
+        api.registerTool(tool);
+      }
+    }
+
     api.registerService({
       id: "clawphone",
       name: "clawphone",
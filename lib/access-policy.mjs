@@ -0,0 +1,244 @@
+// @ts-check
+/**
+ * Access policy: who may call and who may text.
+ *
+ * Allow and deny rules, kept separately for voice (/voice, /speech,
+ * /speech-partial) and SMS (/sms). Rules come from a JSON file
+ * (ACCESS_POLICY_FILE / accessPolicyFile), which is reloaded when it changes,
+ * and, in plugin mode, the inline `accessPolicy` object. A route's `allowFrom`
+ * (ALLOW_FROM plus the caller directory by default) is added to the allow
+ * rules of both channels.
+ *
+ * A rule is one of:
+ *
+ *   "+15557654321"  one number
+ *   "+44*"          a prefix: every number starting +44
+ *   "+1555???1234"  a pattern: "?" is one digit, "*" any number of digits
+ *   "anonymous"     callers with no number (withheld, restricted, blocked, unknown)
+ *
+ * Deny rules are checked first. Then, if there are any allow rules, the number
+ * must match one of them. Outbound calls check with `explicit`: the callee
+ * must match an allow rule even when there are none.
+ *
+ * Policy file / plugin shape (every list is optional; top-level lists apply to both channels):
+ *
+ *   {
+ *     "deny":  ["anonymous"],
+ *     "voice": { "allow": ["+1*"], "deny": ["+1900*"] },
+ *     "sms":   { "allow": ["+15557654321"] }
+ *   }
+ */
+import { readFileSync, watchFile, unwatchFile } from "node:fs";
+import { normalizeNumber } from "./routes.mjs";
+
+export const ANONYMOUS = "anonymous";
+
+export const ACCESS_CHANNELS = /** @type {const} */ (["voice", "sms"]);
+
+/**
+ * @typedef {'voice'|'sms'} AccessChannel
+ * @typedef {{ allow: string[], deny: string[] }} AccessRules
+ * @typedef {Record<AccessChannel, AccessRules>} AccessPolicy
+ * @typedef {{ allowed: true } | { allowed: false, reason: string }} AccessDecision
+ */
+
+// What Twilio sends in `From` when the caller's number is withheld: the words, and
+// their keypad spellings (ANONYMOUS, RESTRICTED, BLOCKED, UNKNOWN, UNAVAILABLE).
+const ANONYMOUS_FROM = new Set([
+  "anonymous", "restricted", "blocked", "unknown", "unavailable", "private",
+  "+266696687", "+7378742833", "+2562533", "+8656696", "+86282452253",
+]);
+
+const RULE_PATTERN = /^\+?[0-9*?]+$/;
+
+/**
+ * Whether a `From` value is a withheld number.
+ *
+ * @param {string|undefined} from
+ * @returns {boolean}
+ */
+export function isAnonymous(from) {
+  const trimmed = String(from ?? "").trim().toLowerCase();
+  if (!/\d/.test(trimmed)) return true;
+  return ANONYMOUS_FROM.has(trimmed) || ANONYMOUS_FROM.has(normalizeNumber(trimmed));
+}
+
+/** @type {Map<string, RegExp>} */
+const compiled = new Map();
+
+/**
+ * Whether a caller number matches one rule.
+ *
+ * @param {string} rule
+ * @param {string|undefined} from
+ * @returns {boolean}
+ */
+export function matchesRule(rule, from) {
+  if (rule === ANONYMOUS) return isAnonymous(from);
+  if (isAnonymous(from)) return false;
+  let re = compiled.get(rule);
+  if (!re) {
+    const source = normalizeNumber(rule)
+      .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, "\\d*")
+      .replace(/\?/g, "\\d");
+    re = new RegExp(`^${source}$`);
+    compiled.set(rule, re);
+  }
+  return re.test(normalizeNumber(from));
+}
+
+/**
+ * Check a caller number against allow and deny rules.
+ *
+ * @param {Partial<AccessRules>} rules
+ * @param {string|undefined} from
+ * @param {{ explicit?: boolean }} [opts] - `explicit`: refuse a number no allow rule matches, even with no allow rules
+ * @returns {AccessDecision}
+ */
+export function accessDecision({ allow = [], deny = [] }, from, { explicit = false } = {}) {
+  const denied = deny.find((rule) => matchesRule(rule, from));
+  if (denied) return { allowed: false, reason: `matches deny rule "${denied}"` };
+  if ((allow.length || explicit) && !allow.some((rule) => matchesRule(rule, from))) {
+    return { allowed: false, reason: isAnonymous(from) ? "anonymous caller" : "not in allowlist" };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Validate a list of rules.
+ *
+ * @param {unknown} list
+ * @param {string}  source - Where the list came from (for error messages)
+ * @returns {string[]}
+ */
+function parseRuleList(list, source) {
+  if (list == null) return [];
+  if (!Array.isArray(list)) throw new Error(`${source}: expected an array of rules`);
+  return list.map((rule, i) => {
+    if (typeof rule !== "string") throw new Error(`${source}[${i}]: expected string, got ${typeof rule}`);
+    const trimmed = rule.trim();
+    if (trimmed.toLowerCase() === ANONYMOUS) return ANONYMOUS;
+    if (!RULE_PATTERN.test(trimmed)) {
+      throw new Error(`${source}[${i}]: "${rule}" is not a number, prefix, pattern or "${ANONYMOUS}"`);
+    }
+    return trimmed;
+  });
+}
+
+/**
+ * Validate an access policy.
+ *
+ * @param {unknown} data
+ * @param {string}  source - Where the policy came from (for error messages)
+ * @returns {AccessPolicy}
+ */
+export function parseAccessPolicy(data, source = "accessPolicy") {
+  /** @type {AccessPolicy} */
+  const policy = { voice: { allow: [], deny: [] }, sms: { allow: [], deny: [] } };
+  if (data == null) return policy;
+  if (typeof data !== "object" || Array.isArray(data)) throw new Error(`${source}: expected an object`);
+
+  for (const [key, value] of Object.entries(data)) {
+    if (key === "allow" || key === "deny") {
+      const rules = parseRuleList(value, `${source}.${key}`);
+      for (const channel of ACCESS_CHANNELS) policy[channel][key].push(...rules);
+    } else if (key === "voice" || key === "sms") {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        throw new Error(`${source}.${key}: expected an object`);
+      }
+      for (const [list, rules] of Object.entries(value)) {
+        if (list !== "allow" && list !== "deny") throw new Error(`${source}.${key}: unknown setting "${list}"`);
+        policy[key][list].push(...parseRuleList(rules, `${source}.${key}.${list}`));
+      }
+    } else {
+      throw new Error(`${source}: unknown setting "${key}"`);
+    }
+  }
+  return policy;
+}
+
+/**
+ * Read an access policy from a JSON file.
+ *
+ * @param {string} path
+ * @returns {AccessPolicy}
+ */
+export function loadAccessPolicyFile(path) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read access policy file ${path}: ${err.message}`, { cause: err });
+  }
+  return parseAccessPolicy(data, path);
+}
+
+/**
+ * Build the access policy for a server configuration. The policy file is
+ * watched and reloaded when it changes; a file that no longer parses is
+ * reported to `onReloadError` and the previous policy stays in force.
+ *
+ * @param {object} config - Server configuration (see lib/config.mjs for shape);
+ *                          uses ACCESS_POLICY and ACCESS_POLICY_FILE
+ * @param {object} [options]
+ * @param {(policy: AccessPolicy) => void} [options.onReload]
+ * @param {(err: Error) => void} [options.onReloadError]
+ * @param {number} [options.watchIntervalMs] - How often the file is checked for changes
+ */
+export function createAccessPolicy(config, { onReload = () => {}, onReloadError = () => {}, watchIntervalMs = 2000 } = {}) {
+  const path = config.ACCESS_POLICY_FILE || "";
+  const inline = parseAccessPolicy(config.ACCESS_POLICY);
+
+  /** @returns {AccessPolicy} */
+  function build() {
+    if (!path) return inline;
+    const fromFile = loadAccessPolicyFile(path);
+    return {
+      voice: { allow: [...fromFile.voice.allow, ...inline.voice.allow], deny: [...fromFile.voice.deny, ...inline.voice.deny] },
+      sms:   { allow: [...fromFile.sms.allow, ...inline.sms.allow], deny: [...fromFile.sms.deny, ...inline.sms.deny] },
+    };
+  }
+
+  let policy = build();
+
+  /** Read the policy file again and swap it in; throws (keeping the old policy) if it is invalid. */
+  function reload() {
+    policy = build();
+    onReload(policy);
+    return policy;
+  }
+
+  /** @param {import('node:fs').Stats} curr @param {import('node:fs').Stats} prev */
+  const onChange = (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    try { reload(); }
+    catch (err) { onReloadError(err); }
+  };
+  if (path) watchFile(path, { persistent: false, interval: watchIntervalMs }, onChange);
+
+  return {
+    /**
+     * Whether a caller may use a channel.
+     * @param {AccessChannel} channel
+     * @param {string|undefined} from
+     * @param {string[]} [allowFrom] - The route's allowlist, allowed along with the policy's rules
+     * @param {{ explicit?: boolean }} [opts] - See accessDecision()
+     * @returns {AccessDecision}
+     */
+    check(channel, from, allowFrom = [], opts = {}) {
+      const rules = policy[channel];
+      return accessDecision({ allow: [...allowFrom, ...rules.allow], deny: rules.deny }, from, opts);
+    },
+
+    /** @returns {AccessPolicy} The rules in force */
+    current: () => policy,
+
+    reload,
+
+    /** Stop watching the policy file. */
+    close() {
+      if (path) unwatchFile(path, onChange);
+    },
+  };
+}
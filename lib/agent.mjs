@@ -1,78 +1,191 @@
 // @ts-check
-import crypto from "node:crypto";
-import { join, dirname } from "node:path";
-import { pathToFileURL } from "node:url";
+/**
+ * Agent integration: adapter factory/dispatcher and Discord logging.
+ *
+ * Provider-specific logic lives in lib/agents/*.mjs (see ADR 001). This module
+ * selects the adapter named by AGENT_PROVIDER and applies the shared
+ * concurrency limit (OPENCLAW_MAX_CONCURRENT) to every agent call.
+ */
 import { run as defaultRun, createSemaphore } from "./utils.mjs";
+import { createOpenclawAgent } from "./agents/openclaw.mjs";
+import { createHttpAgent } from "./agents/http.mjs";
+import { createOpenaiAgent } from "./agents/openai.mjs";
+import { createAnthropicAgent } from "./agents/anthropic.mjs";
+import { circuitOpenError } from "./circuit-breaker.mjs";
 import {
-  OPENCLAW_AGENT_ID,
-  OPENCLAW_PHONE_SESSION_ID,
-  OPENCLAW_TIMEOUT_SECONDS,
   OPENCLAW_MAX_CONCURRENT,
-  SMS_MAX_CHARS,
   DISCORD_LOG_CHANNEL_ID,
 } from "./config.mjs";
 
+/**
+ * @typedef {{ role: 'user'|'assistant', content: string }} AgentMessage
+ *
+ * @typedef {object} AgentReplyOptions
+ * @property {AgentMessage[]} messages     - Full history; last entry is the current turn
+ * @property {'voice'|'sms'}  [mode]
+ * @property {string}         [callerName]
+ * @property {string}         [callerContext] - Role, language and notes from the caller directory
+ * @property {string}         [from]       - Caller number (E.164), for per-caller sessions
+ * @property {string}         [callSid]    - Twilio CallSid of a voice turn
+ * @property {string}         [agentId]     - Per-number OpenClaw agent ID (routing); overrides config
+ * @property {string}         [sessionId]   - Per-number OpenClaw session ID (routing); overrides config
+ * @property {number}         [smsMaxChars] - Per-number SMS length limit (routing); overrides config
+ * @property {(chunk: string) => void} [onChunk] - Stream the reply: called with each new piece of
+ *                                         text as the agent produces it. The promise still resolves
+ *                                         to the full reply. Adapters that cannot stream ignore it.
+ * @property {AbortSignal} [signal]       - Cancel the call (superseded turn, caller hung up): the
+ *                                         request, subprocess or embedded run is stopped and the
+ *                                         promise rejects with the abort reason
+ *
+ * @typedef {object} AgentNoteOptions
+ * @property {AgentMessage[]} messages    - Added to the conversation outside a turn, oldest first
+ * @property {string}         [from]      - Caller number, as the next reply() for the conversation gets it
+ * @property {string}         [callSid]
+ * @property {string}         [agentId]   - Per-number routing overrides, as in reply()
+ * @property {string}         [sessionId]
+ *
+ * @typedef {object} AgentAdapter
+ * @property {(opts: AgentReplyOptions) => Promise<string>} reply
+ * @property {(opts: AgentNoteOptions) => void} [note] - Tell the agent about messages the server
+ *           added to the conversation between turns (an outbound call's purpose and opening
+ *           line, its outcome, a text it sent). Only adapters that keep their own history
+ *           (OpenClaw) have it; the others see those messages in `messages`.
+ * @property {(opts?: { signal?: AbortSignal }) => Promise<void>} [probe] - Cheap reachability
+ *           check for the circuit breaker's health probe (no agent turn): resolves when the
+ *           backend answers. OpenClaw has none; its half-open breaker admits the next real request.
+ */
+
 const agentSem = createSemaphore(OPENCLAW_MAX_CONCURRENT);
 let discordInFlight = 0;
 const DISCORD_MAX_IN_FLIGHT = 5;
 
-// ─────────────────────────────────────────────────────────────
-// Plugin path: lazy-load runEmbeddedPiAgent from openclaw dist
-// ─────────────────────────────────────────────────────────────
-
-let _coreDeps = null;
-
-async function _getCoreDeps() {
-  if (_coreDeps) return _coreDeps;
-  // The plugin runs inside the openclaw process; process.argv[1] is the openclaw
-  // entry point (e.g. /.../openclaw/dist/index.js). extensionAPI.js lives alongside it.
-  const distPath = join(dirname(process.argv[1]), "extensionAPI.js");
-  _coreDeps = await import(pathToFileURL(distPath).href);
-  return _coreDeps;
-}
-
-// ─────────────────────────────────────────────────────────────
-// Shared prompt builder (same framing for both paths)
-// ─────────────────────────────────────────────────────────────
-
-function _buildPrompt(userText, mode, callerName = "", smsMaxChars = SMS_MAX_CHARS) {
-  const caller = callerName ? ` (${callerName})` : "";
-  if (mode === "sms") {
-    const instruction =
-      `Reply via SMS. Keep it concise: <= ${smsMaxChars} characters. ` +
-      `Use plain ASCII only (no emojis, no curly quotes, no em-dashes). ` +
-      `No markdown. If too long, answer with the single most important sentence.`;
-    return `SMS${caller}: ${userText}\n\n${instruction}`;
-  }
-  return `Phone call${caller}: ${userText}`;
-}
-
 function _pluginString(_api, key, fallback = "") {
   const value = _api?.pluginConfig?.[key];
   return typeof value === "string" && value.trim() ? value : fallback;
 }
 
-function _pluginNumber(_api, key, fallback) {
-  const value = _api?.pluginConfig?.[key];
-  return typeof value === "number" && Number.isFinite(value) ? value : fallback;
+/**
+ * Gate an adapter's reply() behind the shared agent semaphore. A probe is not
+ * an agent turn and does not wait for a slot.
+ *
+ * @param {AgentAdapter} adapter
+ * @returns {AgentAdapter}
+ */
+function _limited(adapter) {
+  return {
+    ...(adapter.note && { note: adapter.note }),
+    ...(adapter.probe && { probe: adapter.probe }),
+    async reply(opts) {
+      await agentSem.acquire(opts.signal);
+      try {
+        return await adapter.reply(opts);
+      } finally {
+        agentSem.release();
+      }
+    },
+  };
 }
 
-function _resolvePrimaryModel(cfg, agentId) {
-  const ref =
-    cfg?.agents?.[agentId]?.model?.primary ??
-    cfg?.agents?.defaults?.model?.primary ??
-    cfg?.defaults?.model?.primary ??
-    "";
-  if (typeof ref !== "string") return {};
-  const trimmed = ref.trim();
-  const slashIndex = trimmed.indexOf("/");
-  if (slashIndex <= 0 || slashIndex === trimmed.length - 1) return {};
+/**
+ * Put an adapter behind a circuit breaker (lib/circuit-breaker.mjs). While the
+ * breaker is open, reply() and probe() reject at once with a circuit-open error
+ * (`isCircuitOpen()`). A cancelled call is neither a success nor a failure.
+ *
+ * @param {AgentAdapter} adapter
+ * @param {import('./circuit-breaker.mjs').CircuitBreaker} breaker
+ * @returns {AgentAdapter}
+ */
+export function withCircuitBreaker(adapter, breaker) {
+  /**
+   * @template T
+   * @param {() => Promise<T>} call
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<T>}
+   */
+  async function guarded(call, signal) {
+    if (!breaker.tryAcquire()) throw circuitOpenError();
+    let result;
+    try {
+      result = await call();
+    } catch (err) {
+      if (signal?.aborted) breaker.release();
+      else breaker.failure(err);
+      throw err;
+    }
+    breaker.success();
+    return result;
+  }
+
+  const { probe } = adapter;
   return {
-    provider: trimmed.slice(0, slashIndex),
-    model: trimmed.slice(slashIndex + 1),
+    ...(adapter.note && { note: adapter.note }),
+    ...(probe && { probe: (opts = {}) => guarded(() => probe(opts), opts.signal) }),
+    reply: (opts) => guarded(() => adapter.reply(opts), opts.signal),
   };
 }
 
+// ─────────────────────────────────────────────────────────────
+// createAgent
+// ─────────────────────────────────────────────────────────────
+
+export const AGENT_PROVIDERS = ["openclaw", "http", "openai", "anthropic"];
+
+/**
+ * Create the agent adapter selected by `config.AGENT_PROVIDER`.
+ *
+ * @param {object}   config                 - Server configuration (see lib/config.mjs for shape)
+ * @param {object}   [deps]
+ * @param {object}   [deps.api]             - OpenClaw plugin api object (plugin path)
+ * @param {Function} [deps.run]             - Injectable run fn (OpenClaw CLI path, for testing)
+ * @param {object}   [deps.coreDeps]        - Injectable core deps (OpenClaw plugin path, for testing)
+ * @returns {AgentAdapter}
+ */
+export function createAgent(config, { api, run = defaultRun, coreDeps } = {}) {
+  const provider = config.AGENT_PROVIDER || "openclaw";
+  switch (provider) {
+    case "openclaw":
+      return _limited(createOpenclawAgent({
+        agentId:        config.OPENCLAW_AGENT_ID,
+        sessionId:      config.OPENCLAW_PHONE_SESSION_ID,
+        sessionStrategy: config.OPENCLAW_SESSION_STRATEGY,
+        smsMaxChars:    config.SMS_MAX_CHARS,
+        timeoutSeconds: config.OPENCLAW_TIMEOUT_SECONDS,
+        run,
+        api,
+        coreDeps,
+      }));
+    case "http":
+      return _limited(createHttpAgent({
+        url:       config.AGENT_HTTP_URL,
+        token:     config.AGENT_HTTP_TOKEN,
+        timeoutMs: config.OPENCLAW_TIMEOUT_SECONDS * 1000,
+      }));
+    case "openai":
+      return _limited(createOpenaiAgent({
+        baseUrl:      config.OPENAI_BASE_URL,
+        model:        config.OPENAI_MODEL,
+        apiKey:       config.OPENAI_API_KEY,
+        systemPrompt: config.OPENAI_SYSTEM_PROMPT,
+        temperature:  config.OPENAI_TEMPERATURE,
+        smsMaxChars:  config.SMS_MAX_CHARS,
+        timeoutMs:    config.OPENCLAW_TIMEOUT_SECONDS * 1000,
+      }));
+    case "anthropic":
+      return _limited(createAnthropicAgent({
+        baseUrl:           config.ANTHROPIC_BASE_URL,
+        model:             config.ANTHROPIC_MODEL,
+        apiKey:            config.ANTHROPIC_API_KEY,
+        voiceSystemPrompt: config.ANTHROPIC_VOICE_SYSTEM_PROMPT,
+        smsSystemPrompt:   config.ANTHROPIC_SMS_SYSTEM_PROMPT,
+        maxTokens:         config.ANTHROPIC_MAX_TOKENS,
+        smsMaxChars:       config.SMS_MAX_CHARS,
+        timeoutMs:         config.OPENCLAW_TIMEOUT_SECONDS * 1000,
+      }));
+    default:
+      throw new Error(`Unknown AGENT_PROVIDER "${provider}" (expected one of: ${AGENT_PROVIDERS.join(", ")})`);
+  }
+}
+
 // ─────────────────────────────────────────────────────────────
 // discordLog
 // ─────────────────────────────────────────────────────────────
@@ -84,14 +197,15 @@ function _resolvePrimaryModel(cfg, agentId) {
  * Standalone / PM2 path: spawns `openclaw message send` CLI subprocess.
  *
  * @param {object} options
- * @param {string}   options.text   - Message to log
- * @param {Function} [options.run]  - Injectable run fn (standalone path, for testing)
- * @param {object}   [options._api] - OpenClaw plugin api object (plugin path)
+ * @param {string}   options.text        - Message to log
+ * @param {string}   [options.channelId] - Channel override (per-number routing); default from config
+ * @param {Function} [options.run]       - Injectable run fn (standalone path, for testing)
+ * @param {object}   [options._api]      - OpenClaw plugin api object (plugin path)
  */
-export async function discordLog({ text, run = defaultRun, _api }) {
-  const discordChannelId = _api
+export async function discordLog({ text, channelId, run = defaultRun, _api }) {
+  const discordChannelId = channelId || (_api
     ? _pluginString(_api, "discordLogChannelId", DISCORD_LOG_CHANNEL_ID)
-    : DISCORD_LOG_CHANNEL_ID;
+    : DISCORD_LOG_CHANNEL_ID);
   if (!discordChannelId) return;
 
   // ── Plugin path ────────────────────────────────────────────────────────
@@ -126,113 +240,23 @@ export async function discordLog({ text, run = defaultRun, _api }) {
 // ─────────────────────────────────────────────────────────────
 
 /**
- * Get a reply from the OpenClaw agent.
- *
- * Plugin path (_api provided): calls runEmbeddedPiAgent in-process via
- * openclaw/dist/extensionAPI.js. Pass _coreDeps to inject a mock in tests.
+ * Get a reply from the OpenClaw agent for a single message.
  *
- * Standalone / PM2 path: spawns `openclaw agent` CLI subprocess.
+ * Convenience wrapper around the OpenClaw adapter using env-var defaults;
+ * the server itself goes through createAgent().
  *
  * @param {object}   options
  * @param {string}   options.userText    - The user's message
  * @param {'voice'|'sms'} [options.mode] - Response mode (affects prompt framing)
  * @param {string}   [options.callerName] - Optional caller name for prompt framing
+ * @param {string}   [options.from]       - Caller number, for per-caller session strategies
+ * @param {string}   [options.callSid]    - Twilio CallSid, for the "call" session strategy
  * @param {Function} [options.run]        - Injectable run fn (standalone path, for testing)
  * @param {object}   [options._api]       - OpenClaw plugin api object (plugin path)
  * @param {object}   [options._coreDeps]  - Injectable core deps (plugin path, for testing)
  * @returns {Promise<string>} The agent's reply text
  */
-export async function openclawReply({ userText, mode = "voice", callerName = "", run = defaultRun, _api, _coreDeps }) {
-  // ── Plugin path ────────────────────────────────────────────────────────
-  if (_api) {
-    const deps = _coreDeps ?? await _getCoreDeps();
-    const cfg = _api.config;
-    const agentId = _pluginString(_api, "openclawAgentId", OPENCLAW_AGENT_ID);
-    const phoneSessionId = _pluginString(_api, "openclawSessionId", OPENCLAW_PHONE_SESSION_ID);
-    const smsMaxChars = _pluginNumber(_api, "smsMaxChars", SMS_MAX_CHARS);
-    // Shared session key — voice and SMS use the same history, matching standalone behaviour
-    const sessionKey = phoneSessionId;
-
-    const storePath = deps.resolveStorePath(cfg.session?.store, { agentId });
-    const agentDir = deps.resolveAgentDir(cfg, agentId);
-    const workspaceDir = deps.resolveAgentWorkspaceDir(cfg, agentId);
-    await deps.ensureAgentWorkspace({ dir: workspaceDir });
-
-    const store = deps.loadSessionStore(storePath);
-    const entry = store[sessionKey] ?? { sessionId: crypto.randomUUID(), updatedAt: Date.now() };
-    store[sessionKey] = { ...entry, updatedAt: Date.now() };
-    await deps.saveSessionStore(storePath, store);
-    const resolvedModel = _resolvePrimaryModel(cfg, agentId);
-
-    const sessionFile = deps.resolveSessionFilePath(entry.sessionId, entry, { agentId });
-    const timeoutMs = deps.resolveAgentTimeoutMs({ cfg });
-
-    await agentSem.acquire();
-    try {
-      const result = await deps.runEmbeddedPiAgent({
-        sessionId:       entry.sessionId,
-        sessionKey,
-        messageProvider: mode,
-        sessionFile,
-        workspaceDir,
-        agentDir,
-        agentId,
-        config:          cfg,
-        ...resolvedModel,
-        prompt:          _buildPrompt(userText, mode, callerName, smsMaxChars),
-        verboseLevel:    "off",
-        timeoutMs,
-        runId:           `${mode}:${Date.now()}`,
-        lane:            mode,
-      });
-      return (result.payloads ?? [])
-        .filter(p => p.text && !p.isError)
-        .map(p => p.text?.trim())
-        .filter(Boolean)
-        .join(" ") || "";
-    } finally {
-      agentSem.release();
-    }
-  }
-
-  // ── Standalone / PM2 path ─────────────────────────────────────────────
-  const prompt = _buildPrompt(userText, mode, callerName);
-
-  await agentSem.acquire();
-  try {
-    const { stdout } = await run("openclaw", [
-      "agent",
-      "--agent",
-      OPENCLAW_AGENT_ID,
-      "--session-id",
-      OPENCLAW_PHONE_SESSION_ID,
-      "--channel",
-      "discord",
-      "--message",
-      prompt,
-      "--thinking",
-      "off",
-      "--json",
-      "--timeout",
-      String(OPENCLAW_TIMEOUT_SECONDS),
-    ]);
-
-    // Resilient to schema differences across openclaw versions.
-    try {
-      const j = JSON.parse(stdout);
-      return (
-        j?.result?.payloads?.[0]?.text ||
-        j?.reply?.text ||
-        j?.message?.content ||
-        j?.content ||
-        j?.text ||
-        j?.output?.text ||
-        ""
-      ).trim();
-    } catch {
-      return stdout.trim();
-    }
-  } finally {
-    agentSem.release();
-  }
+export async function openclawReply({ userText, mode = "voice", callerName = "", from, callSid, run = defaultRun, _api, _coreDeps }) {
+  const adapter = _limited(createOpenclawAgent({ run, api: _api, coreDeps: _coreDeps }));
+  return adapter.reply({ messages: [{ role: "user", content: userText }], mode, callerName, from, callSid });
 }
@@ -0,0 +1,128 @@
+// @ts-check
+/**
+ * Anthropic Messages API adapter.
+ *
+ * Calls `POST /v1/messages` directly. Voice and SMS turns use separate system
+ * prompts (configurable, defaulting to the shared framing in prompt.mjs), and
+ * SMS replies get a `max_tokens` cap derived from SMS_MAX_CHARS. API errors are
+ * thrown, so callers fall back to their usual "Sorry — I hit an error" reply.
+ * A streamed reply (`onChunk`) sets `stream: true` and reads the text deltas
+ * from the server-sent events. The circuit breaker's health probe lists the
+ * models (`GET /v1/models`), which costs no tokens.
+ */
+import { buildSystemPrompt, callerContextLine } from "./prompt.mjs";
+import { isEventStream, readEventStream } from "./sse.mjs";
+import { SMS_MAX_CHARS } from "../config.mjs";
+
+const ANTHROPIC_VERSION = "2023-06-01";
+
+/**
+ * `max_tokens` for an SMS reply: ~4 characters per token, doubled for
+ * headroom so the model finishes its sentence and normalizeSmsText() trims.
+ *
+ * @param {number} smsMaxChars
+ * @returns {number}
+ */
+export function smsMaxTokens(smsMaxChars) {
+  return Math.max(64, Math.ceil(smsMaxChars / 2));
+}
+
+/**
+ * Create the Anthropic Messages adapter.
+ *
+ * @param {object} options
+ * @param {string} options.apiKey              - Sent as `x-api-key`
+ * @param {string} options.model
+ * @param {string} [options.baseUrl]           - API origin (e.g. a local mock server)
+ * @param {string} [options.voiceSystemPrompt] - Replaces the built-in voice framing
+ * @param {string} [options.smsSystemPrompt]   - Replaces the built-in SMS framing
+ * @param {number} [options.maxTokens]         - `max_tokens` for voice replies
+ * @param {number} [options.smsMaxChars]       - SMS length limit (framing + `max_tokens`)
+ * @param {number} [options.timeoutMs]         - Request timeout in ms
+ * @returns {import('../agent.mjs').AgentAdapter}
+ */
+export function createAnthropicAgent({
+  apiKey,
+  model,
+  baseUrl = "https://api.anthropic.com",
+  voiceSystemPrompt = "",
+  smsSystemPrompt = "",
+  maxTokens = 1024,
+  smsMaxChars = SMS_MAX_CHARS,
+  timeoutMs = 120_000,
+}) {
+  if (!apiKey) throw new Error("ANTHROPIC_API_KEY is required when AGENT_PROVIDER=anthropic");
+  if (!model) throw new Error("ANTHROPIC_MODEL is required when AGENT_PROVIDER=anthropic");
+  const url = `${baseUrl.replace(/\/+$/, "")}/v1/messages`;
+  const modelsUrl = `${baseUrl.replace(/\/+$/, "")}/v1/models`;
+
+  /** @param {import('../agent.mjs').AgentReplyOptions} opts */
+  async function reply({ messages, mode = "voice", callerName = "", callerContext = "", smsMaxChars: routeSmsMaxChars, onChunk, signal }) {
+    const sms = mode === "sms";
+    const maxChars = routeSmsMaxChars ?? smsMaxChars;
+    const custom = sms ? smsSystemPrompt : voiceSystemPrompt;
+    // A custom system prompt replaces the framing but not what the directory says about the caller.
+    const system = custom
+      ? [custom, callerContextLine(callerContext)].filter(Boolean).join("\n\n")
+      : buildSystemPrompt(mode, callerName, maxChars, callerContext);
+
+    const res = await fetch(url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "x-api-key": apiKey,
+        "anthropic-version": ANTHROPIC_VERSION,
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: sms ? smsMaxTokens(maxChars) : maxTokens,
+        system,
+        messages,
+        ...(onChunk && { stream: true }),
+      }),
+      signal: signal ? AbortSignal.any([AbortSignal.timeout(timeoutMs), signal]) : AbortSignal.timeout(timeoutMs),
+    });
+
+    if (res.ok && isEventStream(res)) {
+      let text = "";
+      await readEventStream(res, ({ event, data }) => {
+        let j;
+        try { j = JSON.parse(data); } catch { return; }
+        if (event === "error" || j?.type === "error") {
+          throw new Error(`anthropic stream error: ${j?.error?.type}: ${j?.error?.message}`);
+        }
+        if (j?.type !== "content_block_delta" || j.delta?.type !== "text_delta") return;
+        const delta = String(j.delta.text ?? "");
+        if (!delta) return;
+        text += delta;
+        onChunk?.(delta);
+      });
+      return text.trim();
+    }
+
+    const j = /** @type {any} */ (await res.json().catch(() => null));
+    if (!res.ok || j?.type === "error") {
+      const detail = j?.error ? `${j.error.type}: ${j.error.message}` : "invalid response";
+      throw new Error(`anthropic HTTP ${res.status}: ${detail}`);
+    }
+
+    const blocks = Array.isArray(j?.content) ? j.content : [];
+    return blocks
+      .filter((b) => b?.type === "text")
+      .map((b) => String(b.text))
+      .join("")
+      .trim();
+  }
+
+  /** @param {{ signal?: AbortSignal }} [opts] */
+  async function probe({ signal } = {}) {
+    const res = await fetch(modelsUrl, {
+      headers: { "x-api-key": apiKey, "anthropic-version": ANTHROPIC_VERSION },
+      signal: signal ? AbortSignal.any([AbortSignal.timeout(timeoutMs), signal]) : AbortSignal.timeout(timeoutMs),
+    });
+    await res.body?.cancel();
+    if (!res.ok) throw new Error(`anthropic HTTP ${res.status}`);
+  }
+
+  return { reply, probe };
+}
@@ -0,0 +1,87 @@
+// @ts-check
+/**
+ * Generic HTTP agent adapter.
+ *
+ * POSTs `{ messages, mode, callerName }` as JSON (plus `callerContext` for a
+ * caller listed in the caller directory) to a configurable URL and
+ * reads the reply from the response body. Accepted response shapes:
+ *   - JSON `{ "reply": "..." }` (also `text` or `content`)
+ *   - `text/event-stream` (requested via `Accept` when streaming): each event's
+ *     data is the next piece of the reply, either raw text or JSON
+ *     `{ "delta": "..." }` (also `text`); `data: [DONE]` ends the reply
+ *   - any other content type: the raw body text
+ *
+ * The circuit breaker's health probe sends a `HEAD` to the same URL: any
+ * answer short of a 5xx means the endpoint is back.
+ */
+import { isEventStream, readEventStream } from "./sse.mjs";
+
+/**
+ * Create the generic HTTP adapter.
+ *
+ * @param {object} options
+ * @param {string} options.url         - Endpoint that receives the POST
+ * @param {string} [options.token]     - Optional bearer token sent as `Authorization`
+ * @param {number} [options.timeoutMs] - Request timeout in ms
+ * @returns {import('../agent.mjs').AgentAdapter}
+ */
+export function createHttpAgent({ url, token = "", timeoutMs = 120_000 }) {
+  if (!url) throw new Error("AGENT_HTTP_URL is required when AGENT_PROVIDER=http");
+
+  /** @param {import('../agent.mjs').AgentReplyOptions} opts */
+  async function reply({ messages, mode = "voice", callerName = "", callerContext = "", onChunk, signal }) {
+    /** @type {Record<string, string>} */
+    const headers = { "content-type": "application/json" };
+    if (token) headers.authorization = `Bearer ${token}`;
+    if (onChunk) headers.accept = "text/event-stream, application/json;q=0.9, */*;q=0.8";
+
+    const res = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ messages, mode, callerName, ...(callerContext && { callerContext }) }),
+      signal: signal ? AbortSignal.any([AbortSignal.timeout(timeoutMs), signal]) : AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) {
+      const detail = (await res.text()).slice(0, 200);
+      throw new Error(`agent HTTP ${res.status}: ${detail}`);
+    }
+
+    if (isEventStream(res)) {
+      let text = "";
+      let finished = false;
+      await readEventStream(res, ({ data }) => {
+        if (finished || data === "[DONE]") { finished = true; return; }
+        let delta = data;
+        try {
+          const j = JSON.parse(data);
+          delta = typeof j === "string" ? j : String(j?.delta ?? j?.text ?? "");
+        } catch { /* raw text chunk */ }
+        if (!delta) return;
+        text += delta;
+        onChunk?.(delta);
+      });
+      return text.trim();
+    }
+
+    if (!(res.headers.get("content-type") ?? "").includes("application/json")) {
+      return (await res.text()).trim();
+    }
+    const j = /** @type {any} */ (await res.json());
+    return String(j?.reply ?? j?.text ?? j?.content ?? "").trim();
+  }
+
+  /** @param {{ signal?: AbortSignal }} [opts] */
+  async function probe({ signal } = {}) {
+    /** @type {Record<string, string>} */
+    const headers = {};
+    if (token) headers.authorization = `Bearer ${token}`;
+    const res = await fetch(url, {
+      method: "HEAD",
+      headers,
+      signal: signal ? AbortSignal.any([AbortSignal.timeout(timeoutMs), signal]) : AbortSignal.timeout(timeoutMs),
+    });
+    if (res.status >= 500) throw new Error(`agent HTTP ${res.status}`);
+  }
+
+  return { reply, probe };
+}
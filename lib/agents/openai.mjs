@@ -0,0 +1,99 @@
+// @ts-check
+/**
+ * OpenAI-compatible chat-completions adapter.
+ *
+ * Speaks the `/v1/chat/completions` wire format, so it works with OpenAI and
+ * with self-hosted servers that implement it (llama.cpp `llama-server`,
+ * Ollama, vLLM, LM Studio). The voice/SMS framing from prompt.mjs is sent as
+ * the system message, followed by the conversation history. When the caller
+ * streams the reply (`onChunk`), the request sets `stream: true` and the
+ * content deltas are read from the server-sent events. The circuit breaker's
+ * health probe lists the models (`GET /models`) instead of running a completion.
+ */
+import { buildSystemPrompt } from "./prompt.mjs";
+import { isEventStream, readEventStream } from "./sse.mjs";
+
+/**
+ * Create the OpenAI-compatible adapter.
+ *
+ * @param {object} options
+ * @param {string} options.model          - Model name sent in the request
+ * @param {string} [options.baseUrl]      - API base URL, up to and including `/v1`
+ * @param {string} [options.apiKey]       - Bearer token (optional for local servers)
+ * @param {string} [options.systemPrompt] - Extra instructions placed before the voice/SMS framing
+ * @param {number} [options.temperature]
+ * @param {number} [options.smsMaxChars]  - SMS length limit used in the framing
+ * @param {number} [options.timeoutMs]    - Request timeout in ms
+ * @returns {import('../agent.mjs').AgentAdapter}
+ */
+export function createOpenaiAgent({
+  model,
+  baseUrl = "https://api.openai.com/v1",
+  apiKey = "",
+  systemPrompt = "",
+  temperature = 0.7,
+  smsMaxChars,
+  timeoutMs = 120_000,
+}) {
+  if (!model) throw new Error("OPENAI_MODEL is required when AGENT_PROVIDER=openai");
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+  const modelsUrl = `${baseUrl.replace(/\/+$/, "")}/models`;
+
+  /** @param {import('../agent.mjs').AgentReplyOptions} opts */
+  async function reply({ messages, mode = "voice", callerName = "", callerContext = "", smsMaxChars: routeSmsMaxChars, onChunk, signal }) {
+    const framing = buildSystemPrompt(mode, callerName, routeSmsMaxChars ?? smsMaxChars, callerContext);
+    const system = systemPrompt ? `${systemPrompt}\n\n${framing}` : framing;
+
+    /** @type {Record<string, string>} */
+    const headers = { "content-type": "application/json" };
+    if (apiKey) headers.authorization = `Bearer ${apiKey}`;
+
+    const res = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [{ role: "system", content: system }, ...messages],
+        temperature,
+        ...(onChunk && { stream: true }),
+      }),
+      signal: signal ? AbortSignal.any([AbortSignal.timeout(timeoutMs), signal]) : AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) {
+      const detail = (await res.text()).slice(0, 200);
+      throw new Error(`chat completions HTTP ${res.status}: ${detail}`);
+    }
+
+    if (isEventStream(res)) {
+      let text = "";
+      await readEventStream(res, ({ data }) => {
+        if (data === "[DONE]") return;
+        let j;
+        try { j = JSON.parse(data); } catch { return; }
+        const delta = j?.choices?.[0]?.delta?.content;
+        if (typeof delta !== "string" || !delta) return;
+        text += delta;
+        onChunk?.(delta);
+      });
+      return text.trim();
+    }
+
+    const j = /** @type {any} */ (await res.json());
+    return String(j?.choices?.[0]?.message?.content ?? "").trim();
+  }
+
+  /** @param {{ signal?: AbortSignal }} [opts] */
+  async function probe({ signal } = {}) {
+    /** @type {Record<string, string>} */
+    const headers = {};
+    if (apiKey) headers.authorization = `Bearer ${apiKey}`;
+    const res = await fetch(modelsUrl, {
+      headers,
+      signal: signal ? AbortSignal.any([AbortSignal.timeout(timeoutMs), signal]) : AbortSignal.timeout(timeoutMs),
+    });
+    await res.body?.cancel();
+    if (!res.ok) throw new Error(`models HTTP ${res.status}`);
+  }
+
+  return { reply, probe };
+}
@@ -0,0 +1,367 @@
+// @ts-check
+/**
+ * OpenClaw agent adapter.
+ *
+ * Plugin path (api provided): calls runEmbeddedPiAgent in-process via
+ * openclaw/dist/extensionAPI.js. Pass coreDeps to inject a mock in tests.
+ *
+ * Standalone / PM2 path: spawns `openclaw agent` CLI subprocess.
+ *
+ * OpenClaw manages conversation history itself, so only the last entry of
+ * `messages` is forwarded (documented exception in ADR 001). Which OpenClaw
+ * session that history lives in is chosen by the session strategy (see
+ * openclawSessionKey()). What the server adds to the conversation between
+ * turns (an outbound call's purpose and opening line, its outcome, a text the
+ * agent sent) reaches the session through note(): it is queued and put ahead
+ * of the session's next prompt.
+ *
+ * Streaming (`onChunk`): the plugin path forwards runEmbeddedPiAgent's partial
+ * replies; the CLI path drops `--json` and forwards each line of output.
+ */
+import crypto from "node:crypto";
+import { join, dirname } from "node:path";
+import { pathToFileURL } from "node:url";
+import { run as defaultRun } from "../utils.mjs";
+import { buildPrompt } from "./prompt.mjs";
+import {
+  OPENCLAW_AGENT_ID,
+  OPENCLAW_PHONE_SESSION_ID,
+  OPENCLAW_SESSION_STRATEGY,
+  OPENCLAW_TIMEOUT_SECONDS,
+  SMS_MAX_CHARS,
+} from "../config.mjs";
+
+// ─────────────────────────────────────────────────────────────
+// Session keys
+// ─────────────────────────────────────────────────────────────
+
+export const SESSION_STRATEGIES = ["shared", "caller", "call", "daily"];
+
+/** @param {Date} d @returns {string} Local date as YYYY-MM-DD */
+function _localDate(d) {
+  const pad = (/** @type {number} */ n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * OpenClaw session key for a turn.
+ *
+ * - `shared` — every caller uses `base` (one history for the whole line)
+ * - `caller` — one session per caller number
+ * - `call`   — one session per CallSid (SMS falls back to the caller number)
+ * - `daily`  — one session per caller number per local calendar day
+ *
+ * Turns without a caller number always use `base`.
+ *
+ * @param {string} strategy
+ * @param {string} base      - Configured session ID (OPENCLAW_PHONE_SESSION_ID)
+ * @param {{ from?: string, callSid?: string, now?: Date }} [ids]
+ * @returns {string}
+ */
+export function openclawSessionKey(strategy, base, { from = "", callSid = "", now = new Date() } = {}) {
+  const caller = from.replace(/\D/g, "");
+  if (strategy === "shared" || !caller) return base;
+  if (strategy === "call" && callSid) return `${base}-${callSid}`;
+  if (strategy === "daily") return `${base}-${caller}-${_localDate(now)}`;
+  return `${base}-${caller}`;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Plugin path: lazy-load runEmbeddedPiAgent from openclaw dist
+// ─────────────────────────────────────────────────────────────
+
+let _coreDeps = null;
+
+async function _getCoreDeps() {
+  if (_coreDeps) return _coreDeps;
+  // The plugin runs inside the openclaw process; process.argv[1] is the openclaw
+  // entry point (e.g. /.../openclaw/dist/index.js). extensionAPI.js lives alongside it.
+  const distPath = join(dirname(process.argv[1]), "extensionAPI.js");
+  _coreDeps = await import(pathToFileURL(distPath).href);
+  return _coreDeps;
+}
+
+function _pluginString(api, key, fallback = "") {
+  const value = api?.pluginConfig?.[key];
+  return typeof value === "string" && value.trim() ? value : fallback;
+}
+
+function _pluginNumber(api, key, fallback) {
+  const value = api?.pluginConfig?.[key];
+  return typeof value === "number" && Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Turn runEmbeddedPiAgent partial replies into chunks. Partials carry the
+ * message text so far; a partial that does not extend the previous one starts
+ * a new message (e.g. after a tool call).
+ *
+ * @param {(chunk: string) => void} onChunk
+ * @returns {(payload: { text?: string }) => void}
+ */
+function _partialReplyChunks(onChunk) {
+  let current = "";
+  let started = false;
+  return ({ text } = {}) => {
+    if (!text) return;
+    if (text.startsWith(current)) {
+      const delta = text.slice(current.length);
+      if (delta) onChunk(delta);
+    } else {
+      onChunk(started ? ` ${text}` : text);
+    }
+    current = text;
+    started = true;
+  };
+}
+
+/**
+ * Split streamed CLI output into lines.
+ *
+ * @param {(chunk: string) => void} onChunk
+ * @returns {(text: string) => void}
+ */
+function _lineChunks(onChunk) {
+  let buffered = "";
+  return (text) => {
+    buffered += text;
+    const lines = buffered.split("\n");
+    buffered = lines.pop() ?? "";
+    for (const line of lines) {
+      if (line.trim()) onChunk(`${line.trim()}\n`);
+    }
+  };
+}
+
+// Sessions with undelivered notes kept at most; the oldest are dropped beyond this.
+const MAX_NOTED_SESSIONS = 200;
+
+/**
+ * A noted message as a line of the prompt. The agent did not write an
+ * assistant message it is told about (e.g. an outbound call's opening line),
+ * so it is quoted as what the agent said.
+ *
+ * @param {import('../agent.mjs').AgentMessage} message
+ * @returns {string}
+ */
+function _noteLine({ role, content }) {
+  return role === "assistant" ? `[You said: "${content}"]` : content;
+}
+
+function _resolvePrimaryModel(cfg, agentId) {
+  const ref =
+    cfg?.agents?.[agentId]?.model?.primary ??
+    cfg?.agents?.defaults?.model?.primary ??
+    cfg?.defaults?.model?.primary ??
+    "";
+  if (typeof ref !== "string") return {};
+  const trimmed = ref.trim();
+  const slashIndex = trimmed.indexOf("/");
+  if (slashIndex <= 0 || slashIndex === trimmed.length - 1) return {};
+  return {
+    provider: trimmed.slice(0, slashIndex),
+    model: trimmed.slice(slashIndex + 1),
+  };
+}
+
+/**
+ * Create the OpenClaw adapter.
+ *
+ * @param {object}   [options]
+ * @param {string}   [options.agentId]        - OpenClaw agent ID
+ * @param {string}   [options.sessionId]      - OpenClaw session ID (base for per-caller keys)
+ * @param {string}   [options.sessionStrategy] - "shared" | "caller" | "call" | "daily"
+ * @param {number}   [options.smsMaxChars]    - SMS length limit used in prompt framing
+ * @param {number}   [options.timeoutSeconds] - CLI `--timeout` value
+ * @param {Function} [options.run]            - Injectable run fn (standalone path, for testing)
+ * @param {object}   [options.api]            - OpenClaw plugin api object (plugin path)
+ * @param {object}   [options.coreDeps]       - Injectable core deps (plugin path, for testing)
+ * @returns {import('../agent.mjs').AgentAdapter}
+ */
+export function createOpenclawAgent({
+  agentId = OPENCLAW_AGENT_ID,
+  sessionId = OPENCLAW_PHONE_SESSION_ID,
+  sessionStrategy = OPENCLAW_SESSION_STRATEGY,
+  smsMaxChars = SMS_MAX_CHARS,
+  timeoutSeconds = OPENCLAW_TIMEOUT_SECONDS,
+  run = defaultRun,
+  api,
+  coreDeps,
+} = {}) {
+  if (!SESSION_STRATEGIES.includes(sessionStrategy)) {
+    throw new Error(
+      `Unknown OPENCLAW_SESSION_STRATEGY "${sessionStrategy}" (expected one of: ${SESSION_STRATEGIES.join(", ")})`,
+    );
+  }
+  // The plugin path takes the strategy from pluginConfig, which is fixed until the gateway restarts
+  const pluginStrategy = _pluginString(api, "openclawSessionStrategy", sessionStrategy);
+  if (!SESSION_STRATEGIES.includes(pluginStrategy)) {
+    throw new Error(
+      `Unknown openclawSessionStrategy "${pluginStrategy}" (expected one of: ${SESSION_STRATEGIES.join(", ")})`,
+    );
+  }
+
+  /** @type {Map<string, string[]>} key: agent ID and session key, value: note lines */
+  const notes = new Map();
+
+  /**
+   * The OpenClaw agent and session a turn goes to. Voice and SMS share a
+   * session unless the strategy splits by call.
+   * @param {{ from?: string, callSid?: string, agentId?: string, sessionId?: string }} ids - Route overrides as in reply()
+   */
+  function _target({ from, callSid, agentId: routeAgentId, sessionId: routeSessionId }) {
+    if (api) {
+      return {
+        agentId:    routeAgentId || _pluginString(api, "openclawAgentId", agentId),
+        sessionKey: openclawSessionKey(pluginStrategy, routeSessionId || _pluginString(api, "openclawSessionId", sessionId), { from, callSid }),
+      };
+    }
+    return {
+      agentId:    routeAgentId || agentId,
+      sessionKey: openclawSessionKey(sessionStrategy, routeSessionId || sessionId, { from, callSid }),
+    };
+  }
+
+  /** @param {import('../agent.mjs').AgentNoteOptions} opts */
+  function note({ messages, ...ids }) {
+    const { agentId: target, sessionKey } = _target(ids);
+    const key = `${target}:${sessionKey}`;
+    const queued = notes.get(key) ?? [];
+    notes.delete(key);
+    notes.set(key, [...queued, ...messages.map(_noteLine)]);
+    while (notes.size > MAX_NOTED_SESSIONS) notes.delete(/** @type {string} */ (notes.keys().next().value));
+  }
+
+  /**
+   * Take a session's queued notes. `restore()` queues them again, ahead of any
+   * noted since, for when the turn they were sent with fails.
+   * @param {string} key
+   */
+  function _takeNotes(key) {
+    const taken = notes.get(key) ?? [];
+    notes.delete(key);
+    return {
+      prefix:  taken.length ? `${taken.join("\n")}\n\n` : "",
+      restore: () => { if (taken.length) notes.set(key, [...taken, ...(notes.get(key) ?? [])]); },
+    };
+  }
+
+  /** @param {import('../agent.mjs').AgentReplyOptions} opts */
+  async function reply(opts) {
+    const { agentId: target, sessionKey } = _target(opts);
+    const noted = _takeNotes(`${target}:${sessionKey}`);
+    try {
+      return await _reply(opts, { target, sessionKey, notesPrefix: noted.prefix });
+    } catch (err) {
+      noted.restore();
+      throw err;
+    }
+  }
+
+  /**
+   * @param {import('../agent.mjs').AgentReplyOptions} opts
+   * @param {{ target: string, sessionKey: string, notesPrefix: string }} session - From _target(), and the notes to send
+   * @returns {Promise<string>}
+   */
+  async function _reply({
+    messages,
+    mode = "voice",
+    callerName = "",
+    callerContext = "",
+    // Per-number routing override (lib/routes.mjs); agentId and sessionId are resolved by _target()
+    smsMaxChars: routeSmsMaxChars,
+    onChunk,
+    signal,
+  }, { target: resolvedAgentId, sessionKey, notesPrefix }) {
+    const userText = messages.at(-1)?.content ?? "";
+
+    // ── Plugin path ──────────────────────────────────────────────────────
+    if (api) {
+      const deps = coreDeps ?? await _getCoreDeps();
+      const cfg = api.config;
+      const resolvedSmsMaxChars = routeSmsMaxChars ?? _pluginNumber(api, "smsMaxChars", smsMaxChars);
+
+      const storePath = deps.resolveStorePath(cfg.session?.store, { agentId: resolvedAgentId });
+      const agentDir = deps.resolveAgentDir(cfg, resolvedAgentId);
+      const workspaceDir = deps.resolveAgentWorkspaceDir(cfg, resolvedAgentId);
+      await deps.ensureAgentWorkspace({ dir: workspaceDir });
+
+      const store = deps.loadSessionStore(storePath);
+      const entry = store[sessionKey] ?? { sessionId: crypto.randomUUID(), updatedAt: Date.now() };
+      store[sessionKey] = { ...entry, updatedAt: Date.now() };
+      await deps.saveSessionStore(storePath, store);
+      const resolvedModel = _resolvePrimaryModel(cfg, resolvedAgentId);
+
+      const sessionFile = deps.resolveSessionFilePath(entry.sessionId, entry, { agentId: resolvedAgentId });
+      const timeoutMs = deps.resolveAgentTimeoutMs({ cfg });
+
+      const result = await deps.runEmbeddedPiAgent({
+        sessionId:       entry.sessionId,
+        sessionKey,
+        messageProvider: mode,
+        sessionFile,
+        workspaceDir,
+        agentDir,
+        agentId:         resolvedAgentId,
+        config:          cfg,
+        ...resolvedModel,
+        prompt:          notesPrefix + buildPrompt(userText, mode, callerName, resolvedSmsMaxChars, callerContext),
+        verboseLevel:    "off",
+        timeoutMs,
+        runId:           `${mode}:${Date.now()}`,
+        lane:            mode,
+        ...(onChunk && { onPartialReply: _partialReplyChunks(onChunk) }),
+        ...(signal && { abortSignal: signal }),
+      });
+      // A run stopped by abortSignal returns what it had; the caller expects a rejection
+      signal?.throwIfAborted();
+      return (result.payloads ?? [])
+        .filter(p => p.text && !p.isError)
+        .map(p => p.text?.trim())
+        .filter(Boolean)
+        .join(" ") || "";
+    }
+
+    // ── Standalone / PM2 path ───────────────────────────────────────────
+    const prompt = notesPrefix + buildPrompt(userText, mode, callerName, routeSmsMaxChars ?? smsMaxChars, callerContext);
+
+    const { stdout } = await run("openclaw", [
+      "agent",
+      "--agent",
+      resolvedAgentId,
+      "--session-id",
+      sessionKey,
+      "--channel",
+      "discord",
+      "--message",
+      prompt,
+      "--thinking",
+      "off",
+      // Streamed replies are read line by line as plain text
+      ...(onChunk ? [] : ["--json"]),
+      "--timeout",
+      String(timeoutSeconds),
+    ], {
+      ...(onChunk && { onStdout: _lineChunks(onChunk) }),
+      ...(signal && { signal }),
+    });
+
+    // Resilient to schema differences across openclaw versions.
+    try {
+      const j = JSON.parse(stdout);
+      return (
+        j?.result?.payloads?.[0]?.text ||
+        j?.reply?.text ||
+        j?.message?.content ||
+        j?.content ||
+        j?.text ||
+        j?.output?.text ||
+        ""
+      ).trim();
+    } catch {
+      return stdout.trim();
+    }
+  }
+
+  return { reply, note };
+}
@@ -0,0 +1,71 @@
+// @ts-check
+/**
+ * Shared voice/SMS prompt framing used by the agent adapters.
+ *
+ * buildPrompt() frames a single message (OpenClaw, which keeps its own
+ * history); buildSystemPrompt() carries the same framing as a system message
+ * for chat-style APIs that receive the full history.
+ */
+import { SMS_MAX_CHARS } from "../config.mjs";
+
+/**
+ * @param {number} smsMaxChars
+ * @returns {string}
+ */
+function _smsInstruction(smsMaxChars) {
+  return (
+    `Reply via SMS. Keep it concise: <= ${smsMaxChars} characters. ` +
+    `Use plain ASCII only (no emojis, no curly quotes, no em-dashes). ` +
+    `No markdown. If too long, answer with the single most important sentence.`
+  );
+}
+
+/**
+ * The caller directory's role, language and context as one line.
+ *
+ * @param {string} callerContext
+ * @returns {string} "" without context
+ */
+export function callerContextLine(callerContext) {
+  return callerContext ? `About the caller: ${callerContext}` : "";
+}
+
+/**
+ * Frame a single caller message for the agent.
+ *
+ * @param {string}        userText
+ * @param {'voice'|'sms'} mode
+ * @param {string}        [callerName]
+ * @param {number}        [smsMaxChars]
+ * @param {string}        [callerContext] - From the caller directory (lib/callers.mjs)
+ * @returns {string}
+ */
+export function buildPrompt(userText, mode, callerName = "", smsMaxChars = SMS_MAX_CHARS, callerContext = "") {
+  const caller = callerName ? ` (${callerName})` : "";
+  const about = callerContext ? `\n\n${callerContextLine(callerContext)}` : "";
+  if (mode === "sms") {
+    return `SMS${caller}: ${userText}${about}\n\n${_smsInstruction(smsMaxChars)}`;
+  }
+  return `Phone call${caller}: ${userText}${about}`;
+}
+
+/**
+ * Voice/SMS framing as a system message.
+ *
+ * @param {'voice'|'sms'} mode
+ * @param {string}        [callerName]
+ * @param {number}        [smsMaxChars]
+ * @param {string}        [callerContext] - From the caller directory (lib/callers.mjs)
+ * @returns {string}
+ */
+export function buildSystemPrompt(mode, callerName = "", smsMaxChars = SMS_MAX_CHARS, callerContext = "") {
+  const caller = callerName ? ` with ${callerName}` : "";
+  const about = callerContext ? ` ${callerContextLine(callerContext)}` : "";
+  if (mode === "sms") {
+    return `This conversation is an SMS thread${caller}. ${_smsInstruction(smsMaxChars)}${about}`;
+  }
+  return (
+    `This conversation is a live phone call${caller}. Your replies are spoken aloud ` +
+    `by text-to-speech: keep them short and conversational, with no markdown.${about}`
+  );
+}
@@ -0,0 +1,62 @@
+// @ts-check
+/**
+ * Server-sent events reader shared by the HTTP-based adapters when they
+ * stream a reply (AgentReplyOptions.onChunk).
+ */
+
+/**
+ * @typedef {object} ServerSentEvent
+ * @property {string} event - Event name (`message` when the stream sets none)
+ * @property {string} data  - `data:` lines joined with "\n"
+ */
+
+/**
+ * @param {Response} res
+ * @returns {boolean} True when the response is an event stream
+ */
+export function isEventStream(res) {
+  return (res.headers.get("content-type") ?? "").includes("text/event-stream");
+}
+
+/**
+ * Read a `text/event-stream` response body, calling `onEvent` for each event
+ * as it arrives. Resolves when the stream ends.
+ *
+ * @param {Response} res
+ * @param {(event: ServerSentEvent) => void} onEvent
+ * @returns {Promise<void>}
+ */
+export async function readEventStream(res, onEvent) {
+  if (!res.body) return;
+  const decoder = new TextDecoder();
+  let buffered = "";
+  let event = "";
+  /** @type {string[]} */
+  let data = [];
+
+  /** @param {string} line */
+  function feed(line) {
+    if (line === "") {
+      if (data.length) onEvent({ event: event || "message", data: data.join("\n") });
+      event = "";
+      data = [];
+      return;
+    }
+    if (line.startsWith(":")) return;
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+    if (field === "event") event = value;
+    else if (field === "data") data.push(value);
+  }
+
+  for await (const chunk of /** @type {AsyncIterable<Uint8Array>} */ (/** @type {unknown} */ (res.body))) {
+    buffered += decoder.decode(chunk, { stream: true });
+    const lines = buffered.split(/\r\n|\r|\n/);
+    buffered = lines.pop() ?? "";
+    for (const line of lines) feed(line);
+  }
+  buffered += decoder.decode();
+  if (buffered) feed(buffered);
+  feed("");
+}
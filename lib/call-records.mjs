@@ -0,0 +1,245 @@
+// @ts-check
+/**
+ * Lifecycle records for calls the server answers.
+ *
+ * /voice opens a record, every answered turn adds to its turn count, agent
+ * latency and transcript, and the status callbacks Twilio posts to /voice-status fill in the
+ * status history and duration. Recordings reported to /recording-status are
+ * linked to the call. Once the call reaches a final status the record holds
+ * the call summary. Like outbound.mjs, records are module-level
+ * so the HTTP server and the plugin see the same calls.
+ */
+import { isFinalStatus } from "./outbound.mjs";
+
+/**
+ * @typedef {object} CallRecording
+ * @property {string} sid       - RecordingSid
+ * @property {string} url       - RecordingUrl (media needs the account's credentials)
+ * @property {string} status    - Latest RecordingStatus (in-progress, completed, absent, failed)
+ * @property {number} channels  - 2 for dual-channel (caller and agent on separate tracks)
+ * @property {number} duration  - Seconds (set on completion)
+ * @property {number} updatedAt
+ */
+
+/**
+ * @typedef {object} VoiceCall
+ * @property {string}  callSid
+ * @property {string}  from         - Caller number
+ * @property {string}  to           - Our number that was called
+ * @property {string}  status       - Latest Twilio CallStatus
+ * @property {number}  duration     - Call length in seconds (set on completion)
+ * @property {{ status: string, at: number }[]} events - Status history, oldest first
+ * @property {number}  turns        - Caller turns answered
+ * @property {number}  agentMs      - Total time spent waiting on the agent
+ * @property {string}  hangupReason - Why the call ended ("" while it is active)
+ * @property {{ speaker: 'caller'|'agent', text: string, at: number }[]} transcript - What was said, oldest first
+ * @property {''|'notice'|'given'|'declined'} recordingConsent - How recording was settled ("" = not offered)
+ * @property {CallRecording[]} recordings
+ * @property {number}  createdAt
+ * @property {number}  updatedAt
+ */
+
+// Oldest records are dropped beyond this many calls.
+const MAX_CALLS = 200;
+
+/** @type {Map<string, VoiceCall>} key: CallSid */
+const calls = new Map();
+
+// Why the server ended a call itself, kept until the final status arrives.
+/** @type {Map<string, string>} key: CallSid */
+const serverHangups = new Map();
+
+/**
+ * @param {{ callSid: string, from?: string, to?: string, status: string }} call
+ * @returns {VoiceCall}
+ */
+function openRecord({ callSid, from = "", to = "", status }) {
+  const now = Date.now();
+  /** @type {VoiceCall} */
+  const call = {
+    callSid,
+    from,
+    to,
+    status,
+    duration:     0,
+    events:       [{ status, at: now }],
+    turns:        0,
+    agentMs:      0,
+    hangupReason: "",
+    transcript:   [],
+    recordingConsent: "",
+    recordings:   [],
+    createdAt:    now,
+    updatedAt:    now,
+  };
+  calls.set(callSid, call);
+  while (calls.size > MAX_CALLS) calls.delete(/** @type {string} */ (calls.keys().next().value));
+  return call;
+}
+
+/**
+ * Open the record for an incoming call (/voice). A call Twilio already
+ * reported through /voice-status keeps its record.
+ *
+ * @param {{ callSid: string, from: string, to: string }} call
+ * @returns {VoiceCall}
+ */
+export function recordIncomingCall({ callSid, from, to }) {
+  const call = calls.get(callSid);
+  if (call) {
+    call.from ||= from;
+    call.to ||= to;
+    return call;
+  }
+  return openRecord({ callSid, from, to, status: "in-progress" });
+}
+
+/**
+ * Record a Twilio status callback. Repeated callbacks with the current status
+ * are ignored. On a final status the hang-up reason is settled.
+ *
+ * @param {Record<string, string>} form - /voice-status form (CallSid, CallStatus, CallDuration, From, To, ErrorCode)
+ * @returns {VoiceCall|undefined} The updated call, or undefined if unchanged
+ */
+export function recordVoiceStatus(form) {
+  const callSid = form.CallSid || "";
+  const status = form.CallStatus || "";
+  if (!callSid || !status) return undefined;
+
+  let call = calls.get(callSid);
+  if (!call) {
+    call = openRecord({ callSid, from: form.From, to: form.To, status });
+  } else if (call.status === status) {
+    return undefined;
+  } else {
+    call.status = status;
+    call.updatedAt = Date.now();
+    call.events.push({ status, at: call.updatedAt });
+  }
+  if (form.CallDuration) call.duration = Number(form.CallDuration) || 0;
+  if (isFinalStatus(status)) {
+    call.hangupReason = serverHangups.get(callSid) || hangupReasonFor(status, form.ErrorCode);
+    serverHangups.delete(callSid);
+  }
+  return call;
+}
+
+/**
+ * @param {string} status
+ * @param {string} [errorCode]
+ * @returns {string}
+ */
+function hangupReasonFor(status, errorCode) {
+  if (status === "completed") return "caller hung up";
+  return errorCode ? `${status} (error ${errorCode})` : status;
+}
+
+/**
+ * Note that the server ended the call (e.g. an allowlist rejection), so the
+ * summary does not blame the caller.
+ *
+ * @param {string} callSid
+ * @param {string} reason
+ */
+export function noteServerHangup(callSid, reason) {
+  if (!callSid) return;
+  serverHangups.set(callSid, reason);
+  while (serverHangups.size > MAX_CALLS) serverHangups.delete(/** @type {string} */ (serverHangups.keys().next().value));
+}
+
+/**
+ * Count an answered turn and the time the agent took for it.
+ *
+ * @param {string} callSid
+ * @param {number} agentMs
+ */
+export function recordCallTurn(callSid, agentMs) {
+  const call = calls.get(callSid);
+  if (!call) return;
+  call.turns++;
+  call.agentMs += agentMs;
+  call.updatedAt = Date.now();
+}
+
+/**
+ * Note how recording was settled for a call: announced (`notice`), or the
+ * caller was asked and agreed (`given`) or did not (`declined`).
+ *
+ * @param {string} callSid
+ * @param {'notice'|'given'|'declined'} consent
+ */
+export function noteRecordingConsent(callSid, consent) {
+  const call = calls.get(callSid);
+  if (!call) return;
+  call.recordingConsent = consent;
+  call.updatedAt = Date.now();
+}
+
+/**
+ * Record a Twilio recording status callback against its call. A call this
+ * instance has no record for (e.g. it answered before a restart) gets one.
+ *
+ * @param {Record<string, string>} form - /recording-status form (CallSid, RecordingSid, RecordingUrl, RecordingStatus, RecordingChannels, RecordingDuration)
+ * @returns {{ call: VoiceCall, recording: CallRecording }|undefined} undefined without CallSid or RecordingSid
+ */
+export function recordRecordingStatus(form) {
+  const callSid = form.CallSid || "";
+  const sid = form.RecordingSid || "";
+  if (!callSid || !sid) return undefined;
+
+  const call = calls.get(callSid) ?? openRecord({ callSid, status: "in-progress" });
+  let recording = call.recordings.find((r) => r.sid === sid);
+  if (!recording) {
+    recording = { sid, url: "", status: "", channels: 0, duration: 0, updatedAt: 0 };
+    call.recordings.push(recording);
+  }
+  recording.url = form.RecordingUrl || recording.url;
+  recording.status = form.RecordingStatus || recording.status;
+  recording.channels = Number(form.RecordingChannels) || recording.channels;
+  recording.duration = Number(form.RecordingDuration) || recording.duration;
+  recording.updatedAt = call.updatedAt = Date.now();
+  return { call, recording };
+}
+
+/**
+ * Add a line to the call's transcript. Calls without a record (outbound calls)
+ * are ignored.
+ *
+ * @param {string} callSid
+ * @param {'caller'|'agent'} speaker
+ * @param {string} text
+ */
+export function recordTranscript(callSid, speaker, text) {
+  const call = calls.get(callSid);
+  if (!call || !text) return;
+  call.updatedAt = Date.now();
+  call.transcript.push({ speaker, text, at: call.updatedAt });
+}
+
+/**
+ * @param {string} callSid
+ * @returns {VoiceCall|undefined}
+ */
+export function getVoiceCall(callSid) {
+  return calls.get(callSid);
+}
+
+/**
+ * @param {number} [limit]
+ * @returns {VoiceCall[]} Most recently started first
+ */
+export function recentVoiceCalls(limit = 20) {
+  return [...calls.values()].reverse().slice(0, Math.max(0, limit));
+}
+
+/**
+ * One-line summary of a finished call, for the log channel.
+ * @param {VoiceCall} call
+ * @returns {string}
+ */
+export function callSummaryText(call) {
+  const length = call.status === "completed" ? `, ${call.duration}s` : "";
+  const turns = `${call.turns} turn${call.turns === 1 ? "" : "s"}`;
+  const agent = `${(call.agentMs / 1000).toFixed(1)}s agent time`;
+  return `Call from ${call.from || "unknown"} ended (${call.status}${length}): ${turns}, ${agent}, ${call.hangupReason}`;
+}
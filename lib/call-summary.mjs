@@ -0,0 +1,53 @@
+// @ts-check
+/**
+ * Post-call summaries (CALL_SUMMARY).
+ *
+ * When a call ends, its transcript (lib/call-records.mjs) goes to the agent
+ * with a summarization prompt. The request is a one-off: it is not recorded in
+ * the caller's history, and OpenClaw runs it in a separate `<session>-summary`
+ * session so the summaries do not pile up in the phone conversation.
+ */
+
+/**
+ * The call as "Caller: …" / "Agent: …" lines, oldest first.
+ *
+ * @param {import('./call-records.mjs').VoiceCall} call
+ * @param {{ callerLabel?: string, agentLabel?: string }} [labels]
+ * @returns {string}
+ */
+export function formatTranscript(call, { callerLabel = "Caller", agentLabel = "Agent" } = {}) {
+  return call.transcript
+    .map(({ speaker, text }) => `${speaker === "caller" ? callerLabel : agentLabel}: ${text}`)
+    .join("\n");
+}
+
+/**
+ * Ask the agent to summarize a finished call. The SMS framing keeps the
+ * summary short and plain enough to text to the caller as well.
+ *
+ * @param {import('./call-records.mjs').VoiceCall} call
+ * @param {object} options
+ * @param {import('./agent.mjs').AgentAdapter} options.agent
+ * @param {string} options.prompt      - Summarization instructions, placed before the transcript
+ * @param {import('./routes.mjs').Route} options.route - Route of the number that was called
+ * @param {string} [options.callerName]
+ * @param {string} [options.agentName]
+ * @returns {Promise<string>} The summary, or "" when the call has no transcript
+ */
+export async function summarizeCall(call, { agent, prompt, route, callerName = "", agentName = "" }) {
+  if (!call.transcript.length) return "";
+  const transcript = formatTranscript(call, {
+    callerLabel: callerName || "Caller",
+    agentLabel:  agentName || "Agent",
+  });
+  const summary = await agent.reply({
+    messages:    [{ role: "user", content: `${prompt}\n\n${transcript}` }],
+    mode:        "sms",
+    callerName,
+    callSid:     call.callSid,
+    agentId:     route.agentId,
+    sessionId:   `${route.sessionId}-summary`,
+    smsMaxChars: route.smsMaxChars,
+  });
+  return summary.trim();
+}
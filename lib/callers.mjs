@@ -0,0 +1,131 @@
+// @ts-check
+/**
+ * Caller directory: who is on the line.
+ *
+ * Maps caller numbers to a display name, role, preferred language, voice and
+ * extra prompt context. Entries come from a JSON file (CALLERS_FILE /
+ * callersFile) and, in plugin mode, the inline `callers` object; inline
+ * entries win over file entries for the same number.
+ *
+ * Listed callers are allowlisted: the directory's numbers are added to
+ * ALLOW_FROM for every route without its own `allowFrom`.
+ *
+ * Directory file / plugin shape (every setting is optional):
+ *
+ *   {
+ *     "+15557654321": {
+ *       "name": "Alice", "role": "owner", "language": "es-MX",
+ *       "voice": "Polly.Lupe", "context": "Alice runs the Austin office."
+ *     }
+ *   }
+ */
+import { readFileSync } from "node:fs";
+import { normalizeNumber } from "./routes.mjs";
+
+/**
+ * @typedef {object} Caller
+ * @property {string} [name]     - Display name for prompts and Discord
+ * @property {string} [role]     - Role or permission tier, told to the agent
+ * @property {string} [language] - Preferred language (BCP 47, e.g. "es-MX"): speech
+ *                                 recognition on calls and the language of replies
+ * @property {string} [voice]    - TwiML <Say> voice for this caller
+ * @property {string} [context]  - Extra context for the agent
+ */
+
+const CALLER_KEYS = ["name", "role", "language", "voice", "context"];
+
+/**
+ * Validate a caller directory and normalize its numbers.
+ *
+ * @param {unknown} table  - `{ [fromNumber]: callerSettings }`
+ * @param {string}  source - Where the table came from (for error messages)
+ * @returns {Record<string, Caller>}
+ */
+export function parseCallers(table, source = "callers") {
+  if (table == null) return {};
+  if (typeof table !== "object" || Array.isArray(table)) {
+    throw new Error(`${source}: expected an object keyed by phone number`);
+  }
+  /** @type {Record<string, Caller>} */
+  const out = {};
+  for (const [number, settings] of Object.entries(table)) {
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      throw new Error(`${source}["${number}"]: expected an object`);
+    }
+    for (const [key, value] of Object.entries(settings)) {
+      if (!CALLER_KEYS.includes(key)) throw new Error(`${source}["${number}"]: unknown setting "${key}"`);
+      if (typeof value !== "string") throw new Error(`${source}["${number}"].${key}: expected string, got ${typeof value}`);
+    }
+    out[normalizeNumber(number)] = /** @type {Caller} */ (settings);
+  }
+  return out;
+}
+
+/**
+ * Read a caller directory from a JSON file.
+ *
+ * @param {string} path
+ * @returns {Record<string, Caller>}
+ */
+export function loadCallersFile(path) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read callers file ${path}: ${err.message}`, { cause: err });
+  }
+  return parseCallers(data, path);
+}
+
+/**
+ * What the agent is told about a listed caller beyond their name.
+ *
+ * @param {Caller|undefined} caller
+ * @returns {string} "" for an unlisted caller or one with nothing to add
+ */
+export function callerContextText(caller) {
+  if (!caller) return "";
+  return [
+    caller.role && `The caller's role is ${caller.role}.`,
+    caller.language && `The caller prefers ${caller.language}; reply in that language.`,
+    caller.context,
+  ].filter(Boolean).join(" ");
+}
+
+/**
+ * Build the caller directory for a server configuration.
+ *
+ * @param {object} config - Server configuration (see lib/config.mjs for shape);
+ *                          uses CALLERS, CALLERS_FILE and CALLER_NAME
+ */
+export function createCallerDirectory(config) {
+  const table = {
+    ...(config.CALLERS_FILE ? loadCallersFile(config.CALLERS_FILE) : {}),
+    ...parseCallers(config.CALLERS),
+  };
+
+  /**
+   * The directory entry for a caller number.
+   * @param {string|undefined} number
+   * @returns {Caller|undefined}
+   */
+  function lookup(number) {
+    return table[normalizeNumber(number)];
+  }
+
+  /**
+   * The caller's display name: their directory name, else CALLER_NAME.
+   * @param {string|undefined} number
+   * @returns {string}
+   */
+  function nameFor(number) {
+    return lookup(number)?.name || config.CALLER_NAME || "";
+  }
+
+  /** @returns {string[]} Listed numbers */
+  function numbers() {
+    return Object.keys(table);
+  }
+
+  return { lookup, nameFor, numbers };
+}
@@ -0,0 +1,127 @@
+// @ts-check
+/**
+ * Circuit breaker for the agent backend (AGENT_BREAKER_THRESHOLD).
+ *
+ * closed    — calls go through; failures in a row are counted, and reaching
+ *             the threshold opens the breaker.
+ * open      — calls fail at once with a circuit-open error, without reaching
+ *             the backend, until the cool-down has passed.
+ * half-open — one trial call at a time goes through (a caller's request or
+ *             the health probe). Success closes the breaker; failure opens it
+ *             for another cool-down.
+ */
+
+/**
+ * @typedef {'closed'|'open'|'half-open'} BreakerState
+ *
+ * @typedef {object} BreakerSnapshot
+ * @property {BreakerState} state
+ * @property {number}       failures  - Failures in a row
+ * @property {number|null}  openedAt  - When the breaker last opened (ms epoch)
+ * @property {number|null}  retryAt   - When an open breaker lets a trial call through
+ * @property {string}       lastError - Most recent failure, "" once closed again
+ *
+ * @typedef {object} CircuitBreaker
+ * @property {() => BreakerState} state
+ * @property {() => boolean} tryAcquire - Whether a call may go ahead now; in half-open
+ *           this claims the single trial, so every true must be followed by exactly
+ *           one success(), failure() or release()
+ * @property {() => void} success
+ * @property {(err: unknown) => void} failure
+ * @property {() => void} release - The call ended without a verdict (cancelled)
+ * @property {() => BreakerSnapshot} snapshot
+ */
+
+/**
+ * @param {object} options
+ * @param {number} options.threshold  - Failures in a row that open the breaker
+ * @param {number} options.cooldownMs - How long it stays open before a trial call
+ * @param {(state: BreakerState, prev: BreakerState) => void} [options.onChange]
+ * @param {() => number} [options.now] - Injectable clock (for testing)
+ * @returns {CircuitBreaker}
+ */
+export function createCircuitBreaker({ threshold, cooldownMs, onChange = () => {}, now = Date.now }) {
+  let failures = 0;
+  /** @type {number|null} */
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastError = "";
+  /** @type {BreakerState} */
+  let reported = "closed";
+
+  /** @returns {BreakerState} */
+  function state() {
+    if (openedAt === null) return "closed";
+    return now() - openedAt >= cooldownMs ? "half-open" : "open";
+  }
+
+  function report() {
+    const current = state();
+    if (current === reported) return;
+    const prev = reported;
+    reported = current;
+    onChange(current, prev);
+  }
+
+  return {
+    state,
+
+    tryAcquire() {
+      const current = state();
+      report();
+      if (current === "closed") return true;
+      if (current === "open" || trialInFlight) return false;
+      trialInFlight = true;
+      return true;
+    },
+
+    success() {
+      trialInFlight = false;
+      failures = 0;
+      openedAt = null;
+      lastError = "";
+      report();
+    },
+
+    failure(err) {
+      const trial = trialInFlight;
+      trialInFlight = false;
+      failures++;
+      lastError = String(err);
+      if (trial || (openedAt === null && failures >= threshold)) openedAt = now();
+      report();
+    },
+
+    release() {
+      trialInFlight = false;
+    },
+
+    snapshot() {
+      return {
+        state:     state(),
+        failures,
+        openedAt,
+        retryAt:   openedAt === null ? null : openedAt + cooldownMs,
+        lastError,
+      };
+    },
+  };
+}
+
+/**
+ * The error an open breaker fails calls with.
+ * @returns {Error & { code: 'ECIRCUITOPEN' }}
+ */
+export function circuitOpenError() {
+  const err = /** @type {Error & { code: 'ECIRCUITOPEN' }} */ (new Error("agent unavailable (circuit breaker open)"));
+  err.code = "ECIRCUITOPEN";
+  return err;
+}
+
+/**
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+export function isCircuitOpen(err) {
+  return /** @type {{ code?: unknown }} */ (err)?.code === "ECIRCUITOPEN";
+}
@@ -0,0 +1,334 @@
+// @ts-check
+/**
+ * Configuration schema: one set of rules for both configuration paths, the
+ * environment (lib/config.mjs) and plugin config (fromPluginConfig).
+ *
+ * validateConfig() checks each setting's type, range and format, the routing
+ * table, caller directory, access policy and keypad menu, and the settings that
+ * only work together (sending SMS needs the Twilio SID, token and a sender,
+ * and so on). It reports every problem at once instead of stopping at the
+ * first. createServer() runs assertValidConfig() before it listens and on
+ * every reload; `node server.mjs --check-config` prints the report and exits.
+ *
+ * Settings missing from the config object are not checked, so a partial
+ * configuration (as the tests pass) validates.
+ */
+import { AGENT_PROVIDERS } from "./agent.mjs";
+import { SESSION_STRATEGIES } from "./agents/openclaw.mjs";
+import { STT_PROVIDERS, TTS_PROVIDERS } from "./speech.mjs";
+import { VERIFY_MODES } from "./verification.mjs";
+import { ANONYMOUS, parseAccessPolicy, loadAccessPolicyFile } from "./access-policy.mjs";
+import { parseRoutes, loadRoutesFile } from "./routes.mjs";
+import { parseCallers, loadCallersFile } from "./callers.mjs";
+import { parseKeypadMenu } from "./keypad.mjs";
+
+/**
+ * Checks one value. `raw` is the environment string the value was read from,
+ * when the configuration came from the environment.
+ *
+ * @typedef {(value: any, raw: string|undefined) => string|undefined} Rule - The problem, or undefined
+ */
+
+/**
+ * @typedef {object} ValidateOptions
+ * @property {boolean} [twilioClient]   - A Twilio client is injected, so the SID and token are not needed
+ * @property {boolean} [speechEngines]  - STT and TTS engines are injected, so their API keys are not needed
+ * @property {NodeJS.ProcessEnv} [env]  - Environment an "env" configuration was read from (default process.env)
+ */
+
+const E164 = /^\+[1-9]\d{6,14}$/;
+const ALLOW_RULE = /^\+[0-9*?]+$/;
+
+/**
+ * How a bad value reads in a message: the environment string it came from, or the value.
+ * @param {unknown} value
+ * @param {string|undefined} raw
+ * @returns {string}
+ */
+function shown(value, raw) {
+  if (raw !== undefined) return JSON.stringify(raw);
+  if (Array.isArray(value)) return "an array";
+  if (value === null || typeof value === "string") return JSON.stringify(value);
+  if (typeof value === "object") return "an object";
+  return String(value);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Rules
+// ─────────────────────────────────────────────────────────────
+
+/** @param {number} min @param {number} [max] @returns {Rule} */
+const int = (min, max = Infinity) => (value, raw) => {
+  if (typeof value !== "number" || !Number.isInteger(value)) return `expected a whole number, got ${shown(value, raw)}`;
+  if (value < min || value > max) {
+    return max === Infinity ? `must be at least ${min}, got ${value}` : `must be between ${min} and ${max}, got ${value}`;
+  }
+};
+
+/** @param {number} min @param {number} max @returns {Rule} */
+const num = (min, max) => (value, raw) => {
+  if (typeof value !== "number" || Number.isNaN(value)) return `expected a number, got ${shown(value, raw)}`;
+  if (value < min || value > max) return `must be between ${min} and ${max}, got ${value}`;
+};
+
+/** @type {Rule} */
+const bool = (value, raw) => {
+  if (raw !== undefined ? !["", "true", "false"].includes(raw) : typeof value !== "boolean") {
+    return `expected true or false, got ${shown(value, raw)}`;
+  }
+};
+
+/** @type {Rule} */
+const str = (value) => {
+  if (typeof value !== "string") return `expected a string, got ${shown(value, undefined)}`;
+};
+
+/** @param {readonly string[]} choices @returns {Rule} */
+const oneOf = (choices) => (value) => {
+  if (!choices.includes(value)) return `expected one of ${choices.join(", ")}, got ${shown(value, undefined)}`;
+};
+
+/** An http(s) URL, or blank. @type {Rule} */
+const url = (value) => {
+  if (value === "") return;
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch {
+    parsed = null;
+  }
+  if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+    return `expected an http:// or https:// URL, got ${shown(value, undefined)}`;
+  }
+};
+
+/** An E.164 phone number, or blank. @type {Rule} */
+const e164 = (value) => {
+  if (value === "") return;
+  if (typeof value !== "string" || !E164.test(value)) {
+    return `expected an E.164 number such as +15551234567, got ${shown(value, undefined)}`;
+  }
+};
+
+/** ALLOW_FROM: E.164 numbers, prefixes and patterns ("+44*") or "anonymous". @type {Rule} */
+const allowList = (value) => {
+  if (!Array.isArray(value)) return `expected a list of numbers, got ${shown(value, undefined)}`;
+  const bad = value.filter((rule) => typeof rule !== "string" ||
+    !(E164.test(rule) || (/[*?]/.test(rule) && ALLOW_RULE.test(rule)) || rule.toLowerCase() === ANONYMOUS));
+  if (bad.length) {
+    return `expected E.164 numbers such as +15551234567, prefixes such as +44* or "${ANONYMOUS}", got ${bad.map((rule) => shown(rule, undefined)).join(", ")}`;
+  }
+};
+
+/** @type {Record<string, Rule>} */
+export const CONFIG_SCHEMA = {
+  // Server and Twilio
+  PORT:                       int(0, 65535),
+  ALLOW_FROM:                 allowList,
+  TWILIO_ACCOUNT_SID:         str,
+  TWILIO_AUTH_TOKEN:          str,
+  TWILIO_SMS_FROM:            e164,
+  TWILIO_CALL_FROM:           e164,
+  PUBLIC_BASE_URL:            url,
+  API_TOKEN:                  str,
+  PHONE_TOOLS:                bool,
+  DISCORD_LOG_CHANNEL_ID:     str,
+  CALLER_NAME:                str,
+  AGENT_NAME:                 str,
+  GREETING_TEXT:              str,
+  SMS_MAX_CHARS:              int(1),
+  SMS_FAST_TIMEOUT_MS:        int(0),
+  RATE_LIMIT_MAX:             int(0),
+  RATE_LIMIT_WINDOW_MS:       int(1),
+  SPEECH_WAIT_PAUSE_SECONDS:  int(1),
+  TWILIO_STT_MODEL:           str,
+  EARLY_AGENT_START:          bool,
+  EARLY_AGENT_START_STABLE_MS: int(0),
+  VOICE_STREAM_REPLIES:       bool,
+  // Agent backends
+  AGENT_PROVIDER:             oneOf(AGENT_PROVIDERS),
+  OPENCLAW_PHONE_SESSION_ID:  str,
+  OPENCLAW_AGENT_ID:          str,
+  OPENCLAW_SESSION_STRATEGY:  oneOf(SESSION_STRATEGIES),
+  OPENCLAW_MAX_CONCURRENT:    int(1),
+  AGENT_HTTP_URL:             url,
+  AGENT_HTTP_TOKEN:           str,
+  OPENAI_BASE_URL:            url,
+  OPENAI_MODEL:               str,
+  OPENAI_API_KEY:             str,
+  OPENAI_SYSTEM_PROMPT:       str,
+  OPENAI_TEMPERATURE:         num(0, 2),
+  ANTHROPIC_BASE_URL:            url,
+  ANTHROPIC_MODEL:               str,
+  ANTHROPIC_API_KEY:             str,
+  ANTHROPIC_VOICE_SYSTEM_PROMPT: str,
+  ANTHROPIC_SMS_SYSTEM_PROMPT:   str,
+  ANTHROPIC_MAX_TOKENS:          int(1),
+  // Sessions and stores
+  SESSION_SCOPE:              oneOf(["caller", "call"]),
+  SESSION_MAX_TURNS:          int(0),
+  SESSION_MAX_TOKENS:         int(0),
+  SESSION_IDLE_TTL_MS:        int(0),
+  SESSION_STORE_FILE:         str,
+  // Recording, summaries, breaker, voicemail and transcripts
+  RECORD_CALLS:               bool,
+  RECORDING_DISCLOSURE:       str,
+  RECORDING_CONSENT:          oneOf(["notice", "explicit"]),
+  CALL_SUMMARY:               bool,
+  CALL_SUMMARY_SMS:           bool,
+  CALL_SUMMARY_PROMPT:        str,
+  AGENT_BREAKER_THRESHOLD:    int(0),
+  AGENT_BREAKER_COOLDOWN_MS:  int(0),
+  AGENT_PROBE_INTERVAL_MS:    int(0),
+  AGENT_UNAVAILABLE_MESSAGE:  str,
+  VOICEMAIL_AFTER_FAILURES:   int(0),
+  VOICEMAIL_PROMPT:           str,
+  VOICEMAIL_MAX_SECONDS:      int(1, 14400),
+  VOICEMAIL_FILE:             str,
+  TRANSCRIPT_DIR:             str,
+  TRANSCRIPT_MAX_BYTES:       int(0),
+  TRANSCRIPT_MAX_FILES:       int(0),
+  // Routing, callers and access (their contents are checked by their own parsers below)
+  ROUTES_FILE:                str,
+  CALLERS_FILE:               str,
+  ACCESS_POLICY_FILE:         str,
+  CONFIG_WATCH:               bool,
+  // Media Streams
+  VOICE_MODE:                 oneOf(["gather", "stream"]),
+  STT_PROVIDER:               oneOf(STT_PROVIDERS),
+  TTS_PROVIDER:               oneOf(TTS_PROVIDERS),
+  DEEPGRAM_API_KEY:           str,
+  DEEPGRAM_BASE_URL:          url,
+  DEEPGRAM_STT_MODEL:         str,
+  DEEPGRAM_TTS_VOICE:         str,
+  STREAM_ENDPOINT_MS:         int(0),
+  STREAM_BARGE_IN_MS:         int(0),
+  // Keypad and caller verification
+  DTMF_INPUT:                 bool,
+  VERIFY_CALLER:              oneOf(VERIFY_MODES),
+  VERIFY_PIN:                 str,
+  VERIFY_MAX_ATTEMPTS:        int(1),
+  VERIFY_LOCKOUT_MS:          int(0),
+};
+
+// ─────────────────────────────────────────────────────────────
+// Validation
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Problems with the JSON tables, each reported in its parser's own words.
+ * @param {Record<string, any>} config
+ * @returns {string[]}
+ */
+function tableProblems(config) {
+  /** @type {Array<[key: string, check: () => unknown]>} */
+  const checks = [
+    ["ROUTES",             () => parseRoutes(config.ROUTES)],
+    ["ROUTES_FILE",        () => config.ROUTES_FILE && loadRoutesFile(config.ROUTES_FILE)],
+    ["CALLERS",            () => parseCallers(config.CALLERS)],
+    ["CALLERS_FILE",       () => config.CALLERS_FILE && loadCallersFile(config.CALLERS_FILE)],
+    ["ACCESS_POLICY",      () => parseAccessPolicy(config.ACCESS_POLICY)],
+    ["ACCESS_POLICY_FILE", () => config.ACCESS_POLICY_FILE && loadAccessPolicyFile(config.ACCESS_POLICY_FILE)],
+    ["DTMF_MENU",          () => parseKeypadMenu(config.DTMF_MENU)],
+  ];
+  /** @type {string[]} */
+  const problems = [];
+  for (const [key, check] of checks) {
+    try {
+      check();
+    } catch (err) {
+      problems.push(`${key}: ${err.message}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Problems with settings that need other settings.
+ * @param {Record<string, any>} config
+ * @param {ValidateOptions} options
+ * @returns {string[]}
+ */
+function combinationProblems(config, { twilioClient = false, speechEngines = false }) {
+  const has = (/** @type {string} */ key) => Boolean(config[key]);
+  const canUseTwilio = twilioClient || (has("TWILIO_ACCOUNT_SID") && has("TWILIO_AUTH_TOKEN"));
+  const needsTwilio = "needs TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN";
+  /** @type {string[]} */
+  const problems = [];
+
+  if (has("TWILIO_ACCOUNT_SID") && !has("TWILIO_AUTH_TOKEN")) {
+    problems.push("TWILIO_AUTH_TOKEN: required when TWILIO_ACCOUNT_SID is set");
+  }
+  if (has("TWILIO_SMS_FROM") && !canUseTwilio) problems.push(`TWILIO_SMS_FROM: sending SMS ${needsTwilio}`);
+  if (has("TWILIO_CALL_FROM") && canUseTwilio && config.PUBLIC_BASE_URL === "") {
+    problems.push("PUBLIC_BASE_URL: required to place outbound calls (Twilio fetches their webhooks from it)");
+  }
+  if (config.CALL_SUMMARY_SMS === true) {
+    if (config.CALL_SUMMARY === false) problems.push("CALL_SUMMARY_SMS: needs CALL_SUMMARY=true");
+    if (!canUseTwilio) problems.push(`CALL_SUMMARY_SMS: texting the summary ${needsTwilio}`);
+  }
+  if (config.VERIFY_CALLER === "pin" && !/^\d{4,}$/.test(String(config.VERIFY_PIN ?? ""))) {
+    problems.push("VERIFY_PIN: VERIFY_CALLER=pin needs a PIN of at least 4 digits");
+  }
+  if (config.VERIFY_CALLER === "sms" && !canUseTwilio) problems.push(`VERIFY_CALLER: texting codes ${needsTwilio}`);
+
+  switch (config.AGENT_PROVIDER) {
+    case "http":
+      if (!has("AGENT_HTTP_URL")) problems.push("AGENT_HTTP_URL: required when AGENT_PROVIDER=http");
+      break;
+    case "openai":
+      if (!has("OPENAI_MODEL")) problems.push("OPENAI_MODEL: required when AGENT_PROVIDER=openai");
+      break;
+    case "anthropic":
+      if (!has("ANTHROPIC_API_KEY")) problems.push("ANTHROPIC_API_KEY: required when AGENT_PROVIDER=anthropic");
+      if (!has("ANTHROPIC_MODEL")) problems.push("ANTHROPIC_MODEL: required when AGENT_PROVIDER=anthropic");
+      break;
+  }
+  if (config.VOICE_MODE === "stream" && !speechEngines && !has("DEEPGRAM_API_KEY") &&
+      (config.STT_PROVIDER === "deepgram" || config.TTS_PROVIDER === "deepgram")) {
+    problems.push("DEEPGRAM_API_KEY: required when VOICE_MODE=stream uses Deepgram");
+  }
+  return problems;
+}
+
+/**
+ * Check a configuration against the schema.
+ *
+ * @param {Record<string, any>} config - Server configuration (see lib/config.mjs for shape)
+ * @param {ValidateOptions} [options]
+ * @returns {string[]} One "KEY: problem" line per problem; empty when the configuration is valid
+ */
+export function validateConfig(config, options = {}) {
+  const env = config.CONFIG_SOURCE === "env" ? options.env ?? process.env : {};
+  /** @type {string[]} */
+  const problems = [];
+  for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+    if (config[key] === undefined) continue;
+    const raw = env[key];
+    const problem = rule(config[key], raw);
+    if (problem) problems.push(`${key}: ${problem}`);
+  }
+  return [...problems, ...tableProblems(config), ...combinationProblems(config, options)];
+}
+
+/**
+ * Format problems from validateConfig() as one report.
+ *
+ * @param {string[]} problems
+ * @returns {string}
+ */
+export function configReport(problems) {
+  const count = problems.length === 1 ? "1 problem" : `${problems.length} problems`;
+  return [`Invalid configuration (${count}):`, ...problems.map((problem) => `  - ${problem}`)].join("\n");
+}
+
+/**
+ * Throw one error listing every problem with a configuration.
+ *
+ * @param {Record<string, any>} config - Server configuration (see lib/config.mjs for shape)
+ * @param {ValidateOptions} [options]
+ */
+export function assertValidConfig(config, options = {}) {
+  const problems = validateConfig(config, options);
+  if (problems.length) throw new Error(configReport(problems));
+}
@@ -14,6 +14,7 @@
  * @property {string} [publicBaseUrl]
  * @property {string} [openclawSessionId]
  * @property {string} [openclawAgentId]
+ * @property {string} [openclawSessionStrategy]
  * @property {number} [openclawMaxConcurrent]
  * @property {string} [discordLogChannelId]
  * @property {string} [callerName]
@@ -25,6 +26,70 @@
  * @property {number} [rateLimitWindowMs]
  * @property {number} [speechWaitPauseSeconds]
  * @property {string} [twilioSttModel]
+ * @property {string} [agentProvider]
+ * @property {string} [agentHttpUrl]
+ * @property {string} [agentHttpToken]
+ * @property {string} [openaiBaseUrl]
+ * @property {string} [openaiModel]
+ * @property {string} [openaiApiKey]
+ * @property {string} [openaiSystemPrompt]
+ * @property {number} [openaiTemperature]
+ * @property {string} [anthropicBaseUrl]
+ * @property {string} [anthropicModel]
+ * @property {string} [anthropicApiKey]
+ * @property {string} [anthropicVoiceSystemPrompt]
+ * @property {string} [anthropicSmsSystemPrompt]
+ * @property {number} [anthropicMaxTokens]
+ * @property {string} [sessionScope]
+ * @property {number} [sessionMaxTurns]
+ * @property {number} [sessionMaxTokens]
+ * @property {number} [sessionIdleTtlMs]
+ * @property {string} [sessionStoreFile]
+ * @property {boolean} [callSummary]
+ * @property {boolean} [callSummarySms]
+ * @property {string} [callSummaryPrompt]
+ * @property {boolean} [recordCalls]
+ * @property {string} [recordingDisclosure]
+ * @property {string} [recordingConsent]
+ * @property {number} [agentBreakerThreshold]
+ * @property {number} [agentBreakerCooldownMs]
+ * @property {number} [agentProbeIntervalMs]
+ * @property {string} [agentUnavailableMessage]
+ * @property {number} [voicemailAfterFailures]
+ * @property {string} [voicemailPrompt]
+ * @property {number} [voicemailMaxSeconds]
+ * @property {string} [voicemailFile]
+ * @property {string} [transcriptDir]
+ * @property {number} [transcriptMaxBytes]
+ * @property {number} [transcriptMaxFiles]
+ * @property {Record<string, object>} [routes]
+ * @property {string} [routesFile]
+ * @property {Record<string, object>} [callers]
+ * @property {string} [callersFile]
+ * @property {object} [accessPolicy]
+ * @property {string} [accessPolicyFile]
+ * @property {boolean} [configWatch]
+ * @property {string} [apiToken]
+ * @property {string} [twilioCallFrom]
+ * @property {boolean} [phoneTools]
+ * @property {string} [voiceMode]
+ * @property {string} [sttProvider]
+ * @property {string} [ttsProvider]
+ * @property {string} [deepgramApiKey]
+ * @property {string} [deepgramBaseUrl]
+ * @property {string} [deepgramSttModel]
+ * @property {string} [deepgramTtsVoice]
+ * @property {number} [streamEndpointMs]
+ * @property {number} [streamBargeInMs]
+ * @property {boolean} [earlyAgentStart]
+ * @property {number} [earlyAgentStartStableMs]
+ * @property {boolean} [voiceStreamReplies]
+ * @property {boolean} [dtmfInput]
+ * @property {Record<string, string>} [dtmfMenu]
+ * @property {string} [verifyCaller]
+ * @property {string} [verifyPin]
+ * @property {number} [verifyMaxAttempts]
+ * @property {number} [verifyLockoutMs]
  */
 
 // Load .env file
@@ -33,53 +98,226 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-dotenvConfig({ path: join(__dirname, '..', '.env') });
+const ENV_FILE = join(__dirname, '..', '.env');
 
-// Server
-export const PORT = Number(process.env.PORT || 8787);
-export const ALLOW_FROM = (process.env.ALLOW_FROM || "").split(",").map(s => s.trim()).filter(Boolean);
+/**
+ * Copy .env into process.env, leaving variables from the real environment alone.
+ *
+ * @returns {string[]} The variables taken from .env
+ */
+function loadDotenv() {
+  const inherited = new Set(Object.keys(process.env));
+  const { parsed = {} } = dotenvConfig({ path: ENV_FILE });
+  return Object.keys(parsed).filter((key) => !inherited.has(key));
+}
+
+let dotenvKeys = loadDotenv();
+
+/**
+ * Read the configuration again, with .env re-read (SIGHUP / CONFIG_WATCH in
+ * server.mjs). Variables the last read took from .env are cleared first, so a
+ * line removed from .env falls back to its default; as at startup, the real
+ * environment wins over .env.
+ *
+ * @returns {ReturnType<typeof readEnvConfig>}
+ */
+export function loadEnvConfig() {
+  for (const key of dotenvKeys) delete process.env[key];
+  dotenvKeys = loadDotenv();
+  return readEnvConfig();
+}
+
+/**
+ * Read the standalone configuration from environment variables. Pure: the
+ * same `env` always gives the same configuration, so a reload can call it
+ * again instead of re-importing this module.
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ */
+export function readEnvConfig(env = process.env) {
+  return {
+    // Where this configuration came from: "env" here, "plugin" from fromPluginConfig().
+    // lib/config-schema.mjs reports bad values as the environment strings they were read from
+    CONFIG_SOURCE: "env",
+
+    // Server
+    PORT: Number(env.PORT || 8787),
+    ALLOW_FROM: (env.ALLOW_FROM || "").split(",").map(s => s.trim()).filter(Boolean),
+
+    // Twilio credentials
+    TWILIO_ACCOUNT_SID: env.TWILIO_ACCOUNT_SID,
+    TWILIO_AUTH_TOKEN: env.TWILIO_AUTH_TOKEN,
+    TWILIO_SMS_FROM: env.TWILIO_SMS_FROM,
+
+    // Public base URL for webhook signature validation (e.g. https://twilio.i2dev.com)
+    PUBLIC_BASE_URL: env.PUBLIC_BASE_URL || "",
+
+    // Authenticated /api/* endpoints (outbound calls); blank = disabled
+    API_TOKEN: env.API_TOKEN || "",
+    // Caller ID for outbound calls; blank = TWILIO_SMS_FROM
+    TWILIO_CALL_FROM: env.TWILIO_CALL_FROM || "",
+
+    // Agent backend — selects the adapter in lib/agents/ ("openclaw" | "http" | "openai" | "anthropic")
+    AGENT_PROVIDER: env.AGENT_PROVIDER || "openclaw",
 
-// Twilio credentials
-export const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
-export const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
-export const TWILIO_SMS_FROM = process.env.TWILIO_SMS_FROM;
+    // Generic HTTP adapter (AGENT_PROVIDER=http)
+    AGENT_HTTP_URL: env.AGENT_HTTP_URL || "",
+    AGENT_HTTP_TOKEN: env.AGENT_HTTP_TOKEN || "",
 
-// Public base URL for webhook signature validation (e.g. https://twilio.i2dev.com)
-export const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || "";
+    // OpenAI-compatible chat completions (AGENT_PROVIDER=openai) — OpenAI, llama.cpp, Ollama, vLLM
+    OPENAI_BASE_URL: env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+    OPENAI_MODEL: env.OPENAI_MODEL || "",
+    OPENAI_API_KEY: env.OPENAI_API_KEY || "",                    // optional for local servers
+    OPENAI_SYSTEM_PROMPT: env.OPENAI_SYSTEM_PROMPT || "",        // prepended to the voice/SMS framing
+    OPENAI_TEMPERATURE: Number(env.OPENAI_TEMPERATURE || 0.7),
 
-// OpenClaw
-export const OPENCLAW_PHONE_SESSION_ID = process.env.OPENCLAW_PHONE_SESSION_ID || "phone";
-export const OPENCLAW_AGENT_ID = process.env.OPENCLAW_AGENT_ID || "phone";
+    // Anthropic Messages API (AGENT_PROVIDER=anthropic)
+    ANTHROPIC_BASE_URL: env.ANTHROPIC_BASE_URL || "https://api.anthropic.com",
+    ANTHROPIC_MODEL: env.ANTHROPIC_MODEL || "",
+    ANTHROPIC_API_KEY: env.ANTHROPIC_API_KEY || "",
+    ANTHROPIC_VOICE_SYSTEM_PROMPT: env.ANTHROPIC_VOICE_SYSTEM_PROMPT || "", // blank = built-in framing
+    ANTHROPIC_SMS_SYSTEM_PROMPT: env.ANTHROPIC_SMS_SYSTEM_PROMPT || "",     // blank = built-in framing
+    ANTHROPIC_MAX_TOKENS: Number(env.ANTHROPIC_MAX_TOKENS || 1024),         // voice; SMS derives from SMS_MAX_CHARS
 
-// Display names (used in voice greeting, Discord logs, and agent prompt framing)
-export const CALLER_NAME = process.env.CALLER_NAME || "";
-export const AGENT_NAME = process.env.AGENT_NAME || "";
-export const GREETING_TEXT = process.env.GREETING_TEXT || "You are connected. Say something after the beep.";
-export const OPENCLAW_TIMEOUT_SECONDS = 120;
-export const OPENCLAW_MAX_CONCURRENT = Number(process.env.OPENCLAW_MAX_CONCURRENT || 10);
+    // Conversation history passed to the agent as messages[] (lib/session-store.mjs)
+    SESSION_SCOPE: env.SESSION_SCOPE || "caller",              // "caller" | "call"
+    SESSION_MAX_TURNS: Number(env.SESSION_MAX_TURNS || 20),     // user/assistant pairs kept
+    SESSION_MAX_TOKENS: Number(env.SESSION_MAX_TOKENS || 4000), // estimated tokens kept
+    SESSION_IDLE_TTL_MS: Number(env.SESSION_IDLE_TTL_MS || 30 * 60 * 1000),
+    SESSION_STORE_FILE: env.SESSION_STORE_FILE || "",           // blank = in-memory
 
-// Voice settings
-export const TWILIO_VOICE = "Google.en-US-Chirp3-HD-Charon";
-export const TWILIO_STT_MODEL = process.env.TWILIO_STT_MODEL || "phone_call";
+    // Post-call summary: when a call ends the agent summarizes its transcript for
+    // the Discord channel and, with CALL_SUMMARY_SMS, for the caller (lib/call-summary.mjs)
+    CALL_SUMMARY: env.CALL_SUMMARY === "true",
+    CALL_SUMMARY_SMS: env.CALL_SUMMARY_SMS === "true",
+    CALL_SUMMARY_PROMPT: env.CALL_SUMMARY_PROMPT ||
+      "Summarize this phone call for the team in two or three sentences, then list any action items. Plain text only.",
 
-// Timeouts (milliseconds)
-export const SMS_FAST_TIMEOUT_MS = Number(process.env.SMS_FAST_TIMEOUT_MS || 15000); // Max time to wait before acking SMS
-export const SPEECH_WAIT_PAUSE_SECONDS = Number(process.env.SPEECH_WAIT_PAUSE_SECONDS || 1); // Pause between /speech-wait polls
-export const GATHER_TIMEOUT_SECONDS = 10;      // Initial gather timeout
-export const GATHER_FOLLOWUP_TIMEOUT_SECONDS = 12; // Follow-up gather timeout
+    // Call recording: /voice plays RECORDING_DISCLOSURE and starts dual-channel
+    // recording. RECORD_CALLS is the default; routes set their own `record`.
+    // RECORDING_CONSENT=explicit asks the caller to agree first (two-party consent)
+    RECORD_CALLS: env.RECORD_CALLS === "true",
+    RECORDING_DISCLOSURE: env.RECORDING_DISCLOSURE || "This call will be recorded.",
+    RECORDING_CONSENT: env.RECORDING_CONSENT || "notice",         // notice | explicit
 
-// SMS
-export const SMS_MAX_CHARS = Number(process.env.SMS_MAX_CHARS || 280);
+    // Circuit breaker around the agent: AGENT_BREAKER_THRESHOLD failures in a row
+    // (0 = no breaker, the default) open it for AGENT_BREAKER_COOLDOWN_MS, during which
+    // callers and texters get AGENT_UNAVAILABLE_MESSAGE (or voicemail) without an agent call.
+    // A probe every AGENT_PROBE_INTERVAL_MS (0 = none) checks the backend once the cool-down is over
+    AGENT_BREAKER_THRESHOLD: Number(env.AGENT_BREAKER_THRESHOLD || 0),
+    AGENT_BREAKER_COOLDOWN_MS: Number(env.AGENT_BREAKER_COOLDOWN_MS || 30_000),
+    AGENT_PROBE_INTERVAL_MS: Number(env.AGENT_PROBE_INTERVAL_MS || 15_000),
+    AGENT_UNAVAILABLE_MESSAGE: env.AGENT_UNAVAILABLE_MESSAGE ||
+      "Sorry, the assistant is unavailable right now. Please try again later.",
 
-// Rate limiting (per-number sliding window; 0 = disabled)
-export const RATE_LIMIT_MAX = Number(process.env.RATE_LIMIT_MAX || 20);
-export const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS || 60000);
+    // Voicemail fallback: after VOICEMAIL_AFTER_FAILURES agent errors in a row on a
+    // call (0 = never), the caller gets <Record> voicemail instead of another
+    // apology. Transcriptions are queued for the agent once it answers again (lib/voicemail.mjs)
+    VOICEMAIL_AFTER_FAILURES: Number(env.VOICEMAIL_AFTER_FAILURES || 0),
+    VOICEMAIL_PROMPT: env.VOICEMAIL_PROMPT ||
+      "Sorry, the assistant is unavailable right now. Please leave a message after the beep, and press pound when you are done.",
+    VOICEMAIL_MAX_SECONDS: Number(env.VOICEMAIL_MAX_SECONDS || 120),
+    VOICEMAIL_FILE: env.VOICEMAIL_FILE || "",                   // blank = in-memory
 
-// Sayable text
-export const MAX_SAYABLE_LENGTH = 600;
+    // Conversation transcripts: rotating JSONL files of every utterance and reply,
+    // exported per call or SMS thread by /api/transcripts (lib/transcripts.mjs)
+    TRANSCRIPT_DIR: env.TRANSCRIPT_DIR || "",                   // blank = disabled
+    TRANSCRIPT_MAX_BYTES: Number(env.TRANSCRIPT_MAX_BYTES || 10 * 1024 * 1024), // 0 = never rotate
+    TRANSCRIPT_MAX_FILES: Number(env.TRANSCRIPT_MAX_FILES || 10),  // rotated files kept; 0 = all
 
-// Discord logging
-export const DISCORD_LOG_CHANNEL_ID = process.env.DISCORD_LOG_CHANNEL_ID;
+    // Multi-tenant routing: JSON file mapping each inbound `To` number to its own
+    // agent, greeting, voice, allowlist, SMS limit and Discord channel (lib/routes.mjs)
+    ROUTES_FILE: env.ROUTES_FILE || "",
+
+    // Caller directory: JSON file mapping caller numbers to a name, role, language,
+    // voice and prompt context. Listed callers are added to the allowlist (lib/callers.mjs)
+    CALLERS_FILE: env.CALLERS_FILE || "",
+
+    // Access policy: JSON file of allow and deny rules (numbers, prefixes, patterns,
+    // "anonymous") for calls and texts; reloaded when it changes (lib/access-policy.mjs)
+    ACCESS_POLICY_FILE: env.ACCESS_POLICY_FILE || "",
+
+    // Hot reload: watch .env (standalone), ROUTES_FILE and CALLERS_FILE, and reload
+    // the running server when they change. SIGHUP reloads in standalone mode either way
+    CONFIG_WATCH: env.CONFIG_WATCH === "true",
+
+    // Voice transport: "gather" (TwiML <Gather>/<Say> polling) or "stream"
+    // (Media Streams WebSocket with the STT/TTS engines in lib/speech/)
+    VOICE_MODE: env.VOICE_MODE || "gather",
+    STT_PROVIDER: env.STT_PROVIDER || "deepgram",
+    TTS_PROVIDER: env.TTS_PROVIDER || "deepgram",
+    DEEPGRAM_API_KEY: env.DEEPGRAM_API_KEY || "",
+    DEEPGRAM_BASE_URL: env.DEEPGRAM_BASE_URL || "https://api.deepgram.com",
+    DEEPGRAM_STT_MODEL: env.DEEPGRAM_STT_MODEL || "nova-2",
+    DEEPGRAM_TTS_VOICE: env.DEEPGRAM_TTS_VOICE || "aura-asteria-en",
+    STREAM_ENDPOINT_MS: Number(env.STREAM_ENDPOINT_MS || 700),  // caller silence that ends a turn
+    STREAM_BARGE_IN_MS: Number(env.STREAM_BARGE_IN_MS || 250),  // caller speech that interrupts playback
+
+    // OpenClaw
+    OPENCLAW_PHONE_SESSION_ID: env.OPENCLAW_PHONE_SESSION_ID || "phone",
+    OPENCLAW_AGENT_ID: env.OPENCLAW_AGENT_ID || "phone",
+    // How calls map to OpenClaw sessions: "shared" (one session for all callers),
+    // "caller" (per number), "call" (per CallSid) or "daily" (per number per day)
+    OPENCLAW_SESSION_STRATEGY: env.OPENCLAW_SESSION_STRATEGY || "shared",
+
+    // Display names (used in voice greeting, Discord logs, and agent prompt framing)
+    CALLER_NAME: env.CALLER_NAME || "",
+    AGENT_NAME: env.AGENT_NAME || "",
+    GREETING_TEXT: env.GREETING_TEXT || "You are connected. Say something after the beep.",
+    OPENCLAW_TIMEOUT_SECONDS: 120,
+    OPENCLAW_MAX_CONCURRENT: Number(env.OPENCLAW_MAX_CONCURRENT || 10),
+
+    // Voice settings
+    TWILIO_VOICE: /** @type {const} */ ("Google.en-US-Chirp3-HD-Charon"),
+    TWILIO_STT_MODEL: env.TWILIO_STT_MODEL || "phone_call",
+    // Early agent start: <Gather partialResultCallback> starts the agent on a partial
+    // transcript that has not changed for EARLY_AGENT_START_STABLE_MS
+    EARLY_AGENT_START: env.EARLY_AGENT_START === "true",
+    EARLY_AGENT_START_STABLE_MS: Number(env.EARLY_AGENT_START_STABLE_MS || 300),
+
+    // Stream voice replies from the agent and speak each finished sentence during
+    // /speech-wait instead of waiting for the whole reply (gather mode)
+    VOICE_STREAM_REPLIES: env.VOICE_STREAM_REPLIES === "true",
+
+    // Keypad input: the conversation <Gather>s also take a key press. DTMF_MENU maps
+    // keys to built-in actions as JSON, e.g. {"1":"repeat","9":"voicemail","#":"hangup"};
+    // other keys go to the agent (lib/keypad.mjs)
+    DTMF_INPUT: env.DTMF_INPUT === "true",
+    DTMF_MENU: env.DTMF_MENU || "",                             // blank = no menu
+
+    // Caller verification: before the agent is reached, the caller says or keys
+    // VERIFY_PIN (pin) or a one-time code texted to their number (sms).
+    // VERIFY_MAX_ATTEMPTS failures in a row lock the number out for VERIFY_LOCKOUT_MS (lib/verification.mjs)
+    VERIFY_CALLER: env.VERIFY_CALLER || "off",                   // off | pin | sms
+    VERIFY_PIN: env.VERIFY_PIN || "",
+    VERIFY_MAX_ATTEMPTS: Number(env.VERIFY_MAX_ATTEMPTS || 3),
+    VERIFY_LOCKOUT_MS: Number(env.VERIFY_LOCKOUT_MS || 15 * 60_000),
+
+    // Timeouts (milliseconds)
+    SMS_FAST_TIMEOUT_MS: Number(env.SMS_FAST_TIMEOUT_MS || 15000), // Max time to wait before acking SMS
+    SPEECH_WAIT_PAUSE_SECONDS: Number(env.SPEECH_WAIT_PAUSE_SECONDS || 1), // Pause between /speech-wait polls
+    GATHER_TIMEOUT_SECONDS: 10,      // Initial gather timeout
+    GATHER_FOLLOWUP_TIMEOUT_SECONDS: 12, // Follow-up gather timeout
+
+    // SMS
+    SMS_MAX_CHARS: Number(env.SMS_MAX_CHARS || 280),
+
+    // Rate limiting (per-number sliding window; 0 = disabled)
+    RATE_LIMIT_MAX: Number(env.RATE_LIMIT_MAX || 20),
+    RATE_LIMIT_WINDOW_MS: Number(env.RATE_LIMIT_WINDOW_MS || 60000),
+
+    // Sayable text
+    MAX_SAYABLE_LENGTH: 600,
+
+    // Discord logging
+    DISCORD_LOG_CHANNEL_ID: env.DISCORD_LOG_CHANNEL_ID,
+
+    // Static phrase lists (below)
+    THINKING_PHRASES,
+    POLL_FILLER_PHRASES,
+    getRandomThinkingPhrase,
+  };
+}
 
 // Thinking phrases for voice responses (short — 2-3 words — to avoid overrunning fast agents)
 export const THINKING_PHRASES = [
@@ -104,6 +342,29 @@ export const POLL_FILLER_PHRASES = [
   "Bear with me.",
 ];
 
+// The configuration at startup, as named exports for modules that import settings directly
+export const {
+  CONFIG_SOURCE, PORT, ALLOW_FROM, TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_SMS_FROM,
+  PUBLIC_BASE_URL, API_TOKEN, TWILIO_CALL_FROM, AGENT_PROVIDER, AGENT_HTTP_URL, AGENT_HTTP_TOKEN,
+  OPENAI_BASE_URL, OPENAI_MODEL, OPENAI_API_KEY, OPENAI_SYSTEM_PROMPT, OPENAI_TEMPERATURE,
+  ANTHROPIC_BASE_URL, ANTHROPIC_MODEL, ANTHROPIC_API_KEY, ANTHROPIC_VOICE_SYSTEM_PROMPT,
+  ANTHROPIC_SMS_SYSTEM_PROMPT, ANTHROPIC_MAX_TOKENS, SESSION_SCOPE, SESSION_MAX_TURNS,
+  SESSION_MAX_TOKENS, SESSION_IDLE_TTL_MS, SESSION_STORE_FILE, CALL_SUMMARY,
+  CALL_SUMMARY_SMS, CALL_SUMMARY_PROMPT, RECORD_CALLS, RECORDING_DISCLOSURE, RECORDING_CONSENT,
+  AGENT_BREAKER_THRESHOLD, AGENT_BREAKER_COOLDOWN_MS, AGENT_PROBE_INTERVAL_MS,
+  AGENT_UNAVAILABLE_MESSAGE, VOICEMAIL_AFTER_FAILURES, VOICEMAIL_PROMPT, VOICEMAIL_MAX_SECONDS,
+  VOICEMAIL_FILE, TRANSCRIPT_DIR, TRANSCRIPT_MAX_BYTES, TRANSCRIPT_MAX_FILES, ROUTES_FILE,
+  CALLERS_FILE, ACCESS_POLICY_FILE, CONFIG_WATCH, VOICE_MODE, STT_PROVIDER, TTS_PROVIDER,
+  DEEPGRAM_API_KEY, DEEPGRAM_BASE_URL, DEEPGRAM_STT_MODEL, DEEPGRAM_TTS_VOICE, STREAM_ENDPOINT_MS,
+  STREAM_BARGE_IN_MS, OPENCLAW_PHONE_SESSION_ID, OPENCLAW_AGENT_ID, OPENCLAW_SESSION_STRATEGY,
+  CALLER_NAME, AGENT_NAME, GREETING_TEXT, OPENCLAW_TIMEOUT_SECONDS, OPENCLAW_MAX_CONCURRENT,
+  TWILIO_VOICE, TWILIO_STT_MODEL, EARLY_AGENT_START, EARLY_AGENT_START_STABLE_MS,
+  VOICE_STREAM_REPLIES, DTMF_INPUT, DTMF_MENU, VERIFY_CALLER, VERIFY_PIN, VERIFY_MAX_ATTEMPTS,
+  VERIFY_LOCKOUT_MS, SMS_FAST_TIMEOUT_MS, SPEECH_WAIT_PAUSE_SECONDS, GATHER_TIMEOUT_SECONDS,
+  GATHER_FOLLOWUP_TIMEOUT_SECONDS, SMS_MAX_CHARS, RATE_LIMIT_MAX, RATE_LIMIT_WINDOW_MS,
+  MAX_SAYABLE_LENGTH, DISCORD_LOG_CHANNEL_ID,
+} = readEnvConfig();
+
 /**
  * Translate a camelCase OpenClaw plugin config object into the SCREAMING_SNAKE_CASE
  * shape used throughout the rest of the codebase.
@@ -132,8 +393,12 @@ export function fromPluginConfig(cfg) {
     TWILIO_AUTH_TOKEN:          cfg.twilioAuthToken       ?? "",
     TWILIO_SMS_FROM:            cfg.twilioSmsFrom         ?? "",
     PUBLIC_BASE_URL:            cfg.publicBaseUrl         ?? "",
+    API_TOKEN:                  cfg.apiToken              ?? "",
+    TWILIO_CALL_FROM:           cfg.twilioCallFrom        ?? "",
+    PHONE_TOOLS:                cfg.phoneTools            ?? false,
     OPENCLAW_PHONE_SESSION_ID:  cfg.openclawSessionId     ?? "phone",
     OPENCLAW_AGENT_ID:          cfg.openclawAgentId       ?? "phone",
+    OPENCLAW_SESSION_STRATEGY:  cfg.openclawSessionStrategy ?? "shared",
     OPENCLAW_MAX_CONCURRENT:    cfg.openclawMaxConcurrent ?? 10,
     DISCORD_LOG_CHANNEL_ID:     cfg.discordLogChannelId   ?? "",
     CALLER_NAME:                cfg.callerName            ?? "",
@@ -145,7 +410,71 @@ export function fromPluginConfig(cfg) {
     RATE_LIMIT_WINDOW_MS:       cfg.rateLimitWindowMs         ?? 60000,
     SPEECH_WAIT_PAUSE_SECONDS:  cfg.speechWaitPauseSeconds    ?? 1,
     TWILIO_STT_MODEL:           cfg.twilioSttModel            ?? "phone_call",
+    EARLY_AGENT_START:          cfg.earlyAgentStart           ?? false,
+    EARLY_AGENT_START_STABLE_MS: cfg.earlyAgentStartStableMs  ?? 300,
+    VOICE_STREAM_REPLIES:       cfg.voiceStreamReplies        ?? false,
+    DTMF_INPUT:                 cfg.dtmfInput                 ?? false,
+    DTMF_MENU:                  cfg.dtmfMenu                  ?? {},
+    VERIFY_CALLER:              cfg.verifyCaller              ?? "off",
+    VERIFY_PIN:                 cfg.verifyPin                 ?? "",
+    VERIFY_MAX_ATTEMPTS:        cfg.verifyMaxAttempts         ?? 3,
+    VERIFY_LOCKOUT_MS:          cfg.verifyLockoutMs           ?? 900000,
+    AGENT_PROVIDER:             cfg.agentProvider             ?? "openclaw",
+    AGENT_HTTP_URL:             cfg.agentHttpUrl              ?? "",
+    AGENT_HTTP_TOKEN:           cfg.agentHttpToken            ?? "",
+    OPENAI_BASE_URL:            cfg.openaiBaseUrl             ?? "https://api.openai.com/v1",
+    OPENAI_MODEL:               cfg.openaiModel               ?? "",
+    OPENAI_API_KEY:             cfg.openaiApiKey              ?? "",
+    OPENAI_SYSTEM_PROMPT:       cfg.openaiSystemPrompt        ?? "",
+    OPENAI_TEMPERATURE:         cfg.openaiTemperature         ?? 0.7,
+    ANTHROPIC_BASE_URL:            cfg.anthropicBaseUrl           ?? "https://api.anthropic.com",
+    ANTHROPIC_MODEL:               cfg.anthropicModel             ?? "",
+    ANTHROPIC_API_KEY:             cfg.anthropicApiKey            ?? "",
+    ANTHROPIC_VOICE_SYSTEM_PROMPT: cfg.anthropicVoiceSystemPrompt ?? "",
+    ANTHROPIC_SMS_SYSTEM_PROMPT:   cfg.anthropicSmsSystemPrompt   ?? "",
+    ANTHROPIC_MAX_TOKENS:          cfg.anthropicMaxTokens         ?? 1024,
+    SESSION_SCOPE:              cfg.sessionScope              ?? "caller",
+    SESSION_MAX_TURNS:          cfg.sessionMaxTurns           ?? 20,
+    SESSION_MAX_TOKENS:         cfg.sessionMaxTokens          ?? 4000,
+    SESSION_IDLE_TTL_MS:        cfg.sessionIdleTtlMs          ?? 1800000,
+    SESSION_STORE_FILE:         cfg.sessionStoreFile          ?? "",
+    RECORD_CALLS:               cfg.recordCalls               ?? false,
+    RECORDING_DISCLOSURE:       cfg.recordingDisclosure       ?? "This call will be recorded.",
+    RECORDING_CONSENT:          cfg.recordingConsent          ?? "notice",
+    AGENT_BREAKER_THRESHOLD:    cfg.agentBreakerThreshold     ?? 0,
+    AGENT_BREAKER_COOLDOWN_MS:  cfg.agentBreakerCooldownMs    ?? 30000,
+    AGENT_PROBE_INTERVAL_MS:    cfg.agentProbeIntervalMs      ?? 15000,
+    AGENT_UNAVAILABLE_MESSAGE:  cfg.agentUnavailableMessage   ?? "Sorry, the assistant is unavailable right now. Please try again later.",
+    VOICEMAIL_AFTER_FAILURES:   cfg.voicemailAfterFailures    ?? 0,
+    VOICEMAIL_PROMPT:           cfg.voicemailPrompt           ??
+      "Sorry, the assistant is unavailable right now. Please leave a message after the beep, and press pound when you are done.",
+    VOICEMAIL_MAX_SECONDS:      cfg.voicemailMaxSeconds       ?? 120,
+    VOICEMAIL_FILE:             cfg.voicemailFile             ?? "",
+    TRANSCRIPT_DIR:             cfg.transcriptDir             ?? "",
+    TRANSCRIPT_MAX_BYTES:       cfg.transcriptMaxBytes        ?? 10 * 1024 * 1024,
+    TRANSCRIPT_MAX_FILES:       cfg.transcriptMaxFiles        ?? 10,
+    CALL_SUMMARY:               cfg.callSummary               ?? false,
+    CALL_SUMMARY_SMS:           cfg.callSummarySms            ?? false,
+    CALL_SUMMARY_PROMPT:        cfg.callSummaryPrompt         ??
+      "Summarize this phone call for the team in two or three sentences, then list any action items. Plain text only.",
+    ROUTES:                     cfg.routes                    ?? {},
+    ROUTES_FILE:                cfg.routesFile                ?? "",
+    CALLERS:                    cfg.callers                   ?? {},
+    CALLERS_FILE:               cfg.callersFile               ?? "",
+    ACCESS_POLICY:              cfg.accessPolicy              ?? {},
+    ACCESS_POLICY_FILE:         cfg.accessPolicyFile          ?? "",
+    CONFIG_WATCH:               cfg.configWatch               ?? false,
+    VOICE_MODE:                 cfg.voiceMode                 ?? "gather",
+    STT_PROVIDER:               cfg.sttProvider               ?? "deepgram",
+    TTS_PROVIDER:               cfg.ttsProvider               ?? "deepgram",
+    DEEPGRAM_API_KEY:           cfg.deepgramApiKey            ?? "",
+    DEEPGRAM_BASE_URL:          cfg.deepgramBaseUrl           ?? "https://api.deepgram.com",
+    DEEPGRAM_STT_MODEL:         cfg.deepgramSttModel          ?? "nova-2",
+    DEEPGRAM_TTS_VOICE:         cfg.deepgramTtsVoice          ?? "aura-asteria-en",
+    STREAM_ENDPOINT_MS:         cfg.streamEndpointMs          ?? 700,
+    STREAM_BARGE_IN_MS:         cfg.streamBargeInMs           ?? 250,
     // Static values — not exposed as plugin config knobs
+    CONFIG_SOURCE:                    "plugin",
     OPENCLAW_TIMEOUT_SECONDS:         120,
     TWILIO_VOICE:                     "Google.en-US-Chirp3-HD-Charon",
     MAX_SAYABLE_LENGTH:               600,
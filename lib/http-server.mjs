@@ -2,22 +2,67 @@
 import http from "node:http";
 import { URL } from "node:url";
 import crypto from "node:crypto";
-import { readFileSync } from "node:fs";
+import { readFileSync, watchFile, unwatchFile } from "node:fs";
+import { isDeepStrictEqual } from "node:util";
 
-import { handleIncomingSms, twimlMessage } from "./sms.mjs";
+import { handleIncomingSms, sendOutboundSms, twimlMessage } from "./sms.mjs";
 import { createTwilioClient, validateWebhookSignature } from "./twilio.mjs";
 import { parseForm, toSayableText, readBody, createRateLimiter, createLogger } from "./utils.mjs";
-import { openclawReply, discordLog } from "./agent.mjs";
+import { createAgent, discordLog, withCircuitBreaker } from "./agent.mjs";
+import { createCircuitBreaker, isCircuitOpen } from "./circuit-breaker.mjs";
+import { createSessionStore, createFileSessionBackend, sessionKeyFor } from "./session-store.mjs";
+import { createRouter, normalizeNumber } from "./routes.mjs";
+import { createCallerDirectory, callerContextText } from "./callers.mjs";
+import { createAccessPolicy } from "./access-policy.mjs";
+import {
+  createOutboundDialer,
+  getOutboundCall,
+  recordCallStatus,
+  isFinalStatus,
+  outboundCallPrompt,
+  outboundStatusNote,
+} from "./outbound.mjs";
 import {
   createPendingTurn,
   getPendingTurn,
   isLatestTurn,
   completeTurn,
+  appendTurnReply,
+  takeSpeakableReply,
+  unspokenReply,
   deleteTurn,
   cleanupStaleTurns,
   pendingSize,
+  startSpeculativeTurn,
+  getSpeculation,
+  adoptSpeculativeTurn,
+  cancelSpeculativeTurn,
+  normalizeTranscript,
+  turnSignal,
+  cancelCallTurns,
 } from "./voice-state.mjs";
+import {
+  recordIncomingCall,
+  recordVoiceStatus,
+  noteServerHangup,
+  recordCallTurn,
+  recordTranscript,
+  noteRecordingConsent,
+  recordRecordingStatus,
+  getVoiceCall,
+  recentVoiceCalls,
+  callSummaryText,
+} from "./call-records.mjs";
+import { summarizeCall } from "./call-summary.mjs";
+import { createTranscriptStore, transcriptMarkdown } from "./transcripts.mjs";
+import { createVoicemailBox, voicemailMessage } from "./voicemail.mjs";
+import { parseKeypadMenu, keypadMenuText, keypadMessage } from "./keypad.mjs";
+import { createVerifier, digitsFrom } from "./verification.mjs";
 import * as twiml from "./twiml.mjs";
+import { acceptWebSocket } from "./websocket.mjs";
+import { handleMediaStream } from "./media-stream.mjs";
+import { createSpeech } from "./speech.mjs";
+import { assertValidConfig } from "./config-schema.mjs";
 
 const { version: _serverVersion } = /** @type {{ version: string }} */ (JSON.parse(
   readFileSync(new URL("../package.json", import.meta.url), "utf8")
@@ -25,55 +70,873 @@ const { version: _serverVersion } = /** @type {{ version: string }} */ (JSON.par
 
 const voiceLog   = createLogger("voice");
 const smsLog     = createLogger("sms");
+const apiLog     = createLogger("api");
+const transcriptLog = createLogger("transcript");
+const agentLog   = createLogger("agent");
+const auditLog   = createLogger("audit");
+const accessLog  = createLogger("access");
 const startupLog = createLogger("startup");
+const configLog  = createLogger("config");
+
+// Settings reload() applies to a running server. Everything else (port, Twilio
+// credentials, agent backend, stores, voice mode, verification, breaker, …) is
+// read once at startup, and a reload that changes it is logged as needing a restart.
+export const RELOADABLE_SETTINGS = [
+  // Allowlist, caller directory, access policy and number routes
+  "ALLOW_FROM", "CALLERS", "CALLERS_FILE", "CALLER_NAME", "ACCESS_POLICY", "ACCESS_POLICY_FILE",
+  "ROUTES", "ROUTES_FILE", "OPENCLAW_AGENT_ID", "OPENCLAW_PHONE_SESSION_ID", "GREETING_TEXT",
+  "TWILIO_VOICE", "SMS_MAX_CHARS", "DISCORD_LOG_CHANNEL_ID", "RECORD_CALLS",
+  // Limits and timings
+  "API_TOKEN", "RATE_LIMIT_MAX", "RATE_LIMIT_WINDOW_MS", "SMS_FAST_TIMEOUT_MS",
+  "EARLY_AGENT_START", "EARLY_AGENT_START_STABLE_MS", "VOICE_STREAM_REPLIES",
+  // Phrases and prompts
+  "AGENT_NAME", "THINKING_PHRASES", "POLL_FILLER_PHRASES", "AGENT_UNAVAILABLE_MESSAGE",
+  "RECORDING_DISCLOSURE", "RECORDING_CONSENT", "VOICEMAIL_AFTER_FAILURES", "VOICEMAIL_PROMPT",
+  "VOICEMAIL_MAX_SECONDS", "DTMF_INPUT", "DTMF_MENU", "CALL_SUMMARY", "CALL_SUMMARY_SMS", "CALL_SUMMARY_PROMPT",
+];
+
+// What counts as agreeing to be recorded when asked by voice (/recording-consent).
+const CONSENT_WORDS = /\b(yes|yeah|yep|sure|ok|okay|agree|fine)\b/i;
+
+/**
+ * @typedef {object} ReloadResult
+ * @property {string[]} changed      - Settings that took effect
+ * @property {string[]} needsRestart - Changed settings that only a restart applies
+ */
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {unknown} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * What the agent can do on the phone line, shared by the /api endpoints and the
+ * plugin tools (lib/tools.mjs).
+ *
+ * @typedef {object} PhoneActions
+ * @property {(opts: { to: string, from?: string, message?: string, task?: string }) => Promise<import('./outbound.mjs').OutboundCall>} placeCall
+ * @property {(opts: { to: string, body: string, from?: string }) => Promise<import('./twilio.mjs').SmsResult>} sendSms
+ */
 
 /**
  * Create and start the Twilio gateway HTTP server.
  *
  * @param {object}      config - Server configuration (see lib/config.mjs for shape)
  * @param {object|null} [api]  - OpenClaw plugin api object, or null in standalone mode.
- *                               When provided, agent calls go in-process via
- *                               runEmbeddedPiAgent instead of spawning the CLI.
- * @returns {Promise<http.Server>} Resolves once the server is listening.
+ *                               When provided, OpenClaw agent calls go in-process
+ *                               via runEmbeddedPiAgent instead of spawning the CLI.
+ * @param {object}      [deps]
+ * @param {ReturnType<typeof createTwilioClient>} [deps.twilioClient] - Injectable Twilio client (for testing)
+ * @param {import('./speech.mjs').SttEngine} [deps.stt] - Injectable speech engines for VOICE_MODE=stream
+ * @param {import('./speech.mjs').TtsEngine} [deps.tts]   (both or neither; default: STT_PROVIDER / TTS_PROVIDER)
+ * @param {NodeJS.ProcessEnv} [deps.env] - Environment `config` was read from, for the validation report (default process.env)
+ * @returns {Promise<http.Server & { phone: PhoneActions, reload: (next: object, options?: { env?: NodeJS.ProcessEnv }) => ReloadResult }>}
+ *          Resolves once the server is listening; rejects, listing every problem,
+ *          if the configuration is invalid (lib/config-schema.mjs).
  */
-export async function createServer(config, api = null) {
+export async function createServer(config, api = null, deps = {}) {
+  // Injected dependencies stand in for the credentials they would otherwise need.
+  const validation = { twilioClient: Boolean(deps.twilioClient), speechEngines: Boolean(deps.stt && deps.tts) };
+  assertValidConfig(config, { ...validation, env: deps.env });
+
+  // Read once at startup; reload() reports changes to these as needing a restart.
   const {
     PORT,
-    ALLOW_FROM,
     TWILIO_ACCOUNT_SID,
     TWILIO_AUTH_TOKEN,
     TWILIO_SMS_FROM,
+    TWILIO_CALL_FROM,
     PUBLIC_BASE_URL,
-    SMS_MAX_CHARS,
-    SMS_FAST_TIMEOUT_MS,
     MAX_SAYABLE_LENGTH,
-    CALLER_NAME,
+    SESSION_SCOPE,
+    SESSION_MAX_TURNS,
+    SESSION_MAX_TOKENS,
+    SESSION_IDLE_TTL_MS,
+    SESSION_STORE_FILE,
+    VOICE_MODE,
+    STREAM_ENDPOINT_MS,
+    STREAM_BARGE_IN_MS,
+    VERIFY_CALLER,
+    VERIFY_PIN,
+    VERIFY_MAX_ATTEMPTS,
+    VERIFY_LOCKOUT_MS,
+    AGENT_BREAKER_THRESHOLD,
+    AGENT_BREAKER_COOLDOWN_MS,
+    AGENT_PROBE_INTERVAL_MS,
+    VOICEMAIL_FILE,
+    TRANSCRIPT_DIR,
+    TRANSCRIPT_MAX_BYTES,
+    TRANSCRIPT_MAX_FILES,
+    CONFIG_WATCH,
+  } = config;
+
+  // Swapped by reload() (RELOADABLE_SETTINGS); handlers read them per request.
+  let {
+    ALLOW_FROM,  // default allowlist; routes may override per number
+    API_TOKEN,
+    SMS_FAST_TIMEOUT_MS,
     AGENT_NAME,
-    GREETING_TEXT,
     RATE_LIMIT_MAX,
     RATE_LIMIT_WINDOW_MS,
     getRandomThinkingPhrase,
     POLL_FILLER_PHRASES,
+    EARLY_AGENT_START,
+    EARLY_AGENT_START_STABLE_MS,
+    VOICE_STREAM_REPLIES,
+    DTMF_INPUT,
+    DTMF_MENU,
+    CALL_SUMMARY,
+    CALL_SUMMARY_SMS,
+    CALL_SUMMARY_PROMPT,
+    RECORDING_DISCLOSURE,
+    RECORDING_CONSENT,
+    AGENT_UNAVAILABLE_MESSAGE,
+    VOICEMAIL_AFTER_FAILURES,
+    VOICEMAIL_PROMPT,
+    VOICEMAIL_MAX_SECONDS,
   } = config;
 
-  // Wrappers that thread the plugin api through to agent.mjs.
-  // In standalone mode (api=null) these fall back to the CLI subprocess path.
-  const _openclawReply = ({ userText, mode }) => openclawReply({ userText, mode, callerName: CALLER_NAME, _api: api });
-  const _discordLog = ({ text }) => discordLog({ text, _api: api });
+  // The agent adapter is selected by AGENT_PROVIDER. The plugin api is threaded through
+  // so the OpenClaw adapter and discordLog run in-process; in standalone mode (api=null)
+  // both fall back to the CLI subprocess path.
+  const _discordLog = ({ text, channelId }) => discordLog({ text, channelId, _api: api });
+
+  // Circuit breaker: after AGENT_BREAKER_THRESHOLD failures in a row, agent calls fail
+  // at once for AGENT_BREAKER_COOLDOWN_MS instead of keeping callers waiting on a dead backend.
+  const breaker = AGENT_BREAKER_THRESHOLD > 0
+    ? createCircuitBreaker({
+      threshold:  AGENT_BREAKER_THRESHOLD,
+      cooldownMs: AGENT_BREAKER_COOLDOWN_MS,
+      onChange: (state, prev) => {
+        const { failures, lastError } = breaker?.snapshot() ?? {};
+        if (state === "open") agentLog.error("circuit breaker open", { prev, failures, lastError });
+        else agentLog.log(`circuit breaker ${state}`, { prev });
+        if (state === "open" && prev === "closed") {
+          void _discordLog({ text: `⚠️ Agent unavailable after ${failures} failures in a row: ${lastError}`, channelId: undefined })
+            .catch((e) => agentLog.error("discordLog error", { err: String(e) }));
+        } else if (state === "closed") {
+          void _discordLog({ text: "✅ Agent is answering again.", channelId: undefined })
+            .catch((e) => agentLog.error("discordLog error", { err: String(e) }));
+        }
+      },
+    })
+    : null;
+  const baseAgent = createAgent(config, { api: api ?? undefined });
+  const agent = breaker ? withCircuitBreaker(baseAgent, breaker) : baseAgent;
+
+  /** Whether the breaker is open: agent calls would fail without being tried. */
+  const agentUnavailable = () => breaker?.state() === "open";
+
+  // Who is calling: per-caller name, role, language, voice and prompt context, keyed on
+  // the caller's number. Listed callers are allowed along with ALLOW_FROM.
+  let callers = createCallerDirectory(config);
+
+  // Per-number settings (agent, greeting, voice, allowlist, …) keyed on the inbound `To`.
+  // Numbers without a route get the global configuration.
+  let router = createRouter(config, { callerNumbers: callers.numbers() });
+
+  // Allow and deny rules for calls and texts, on top of each route's allowFrom. The
+  // policy file is watched; an edit that does not parse keeps the previous rules.
+  /** @param {import('./access-policy.mjs').AccessPolicy} policy */
+  const ruleCounts = ({ voice, sms }) => ({
+    voiceRules: voice.allow.length + voice.deny.length,
+    smsRules:   sms.allow.length + sms.deny.length,
+  });
+  const accessHooks = {
+    onReload: (/** @type {import('./access-policy.mjs').AccessPolicy} */ policy) => accessLog.log("access policy reloaded", ruleCounts(policy)),
+    onReloadError: (/** @type {Error} */ err) => accessLog.error("access policy reload failed — keeping the previous rules", { err: err.message }),
+  };
+  let access = createAccessPolicy(config, accessHooks);
+
+  /**
+   * The access policy's decision for a caller on a route; denials are logged
+   * with their reason.
+   * @param {string|undefined} from
+   * @param {import('./routes.mjs').Route} route
+   * @param {string} [callSid]
+   */
+  function admitCaller(from, route, callSid) {
+    const decision = access.check("voice", from, route.allowFrom);
+    if (!decision.allowed) accessLog.warn("call denied", { from, callSid, reason: decision.reason });
+    return decision;
+  }
+
+  /**
+   * Prompt framing for a caller: their directory name (else CALLER_NAME) and
+   * what the directory says about them.
+   * @param {string|undefined} number
+   */
+  const callerFraming = (number) => ({
+    callerName:    callers.nameFor(number),
+    callerContext: callerContextText(callers.lookup(number)),
+  });
+
+  // Conversation history, passed to the agent as messages[] on every turn.
+  const sessions = createSessionStore({
+    maxTurns:  SESSION_MAX_TURNS,
+    maxTokens: SESSION_MAX_TOKENS,
+    idleTtlMs: SESSION_IDLE_TTL_MS,
+    backend:   SESSION_STORE_FILE ? createFileSessionBackend(SESSION_STORE_FILE) : undefined,
+  });
+
+  /**
+   * SMS agent call: records the inbound text and the reply in the sender's
+   * history. Both are tagged with the MessageSid so the SMS slow path, which
+   * asks again for the same message, replaces the first attempt.
+   *
+   * @param {{ userText: string, from: string, messageSid?: string, route: import('./routes.mjs').Route }} opts
+   */
+  const _smsAgentReply = async ({ userText, from, messageSid, route }) => {
+    const sessionKey = sessionKeyFor(SESSION_SCOPE, { from, line: route.number });
+    const messages = sessions.append(sessionKey, { role: "user", content: userText, id: messageSid });
+    let reply;
+    try {
+      reply = await agent.reply({
+        messages,
+        mode:        "sms",
+        ...callerFraming(from),
+        from,
+        agentId:     route.agentId,
+        sessionId:   route.sessionId,
+        smsMaxChars: route.smsMaxChars,
+      });
+    } catch (err) {
+      // The apology is not the agent's, so it stays out of the history.
+      if (isCircuitOpen(err)) return AGENT_UNAVAILABLE_MESSAGE;
+      throw err;
+    }
+    if (reply) sessions.append(sessionKey, { role: "assistant", content: reply, id: messageSid });
+    onAgentAnswered();
+    return reply;
+  };
 
   if (TWILIO_AUTH_TOKEN && !PUBLIC_BASE_URL) {
     startupLog.warn("TWILIO_AUTH_TOKEN is set but PUBLIC_BASE_URL is not — webhook signature validation will be skipped");
   }
 
-  if (!ALLOW_FROM.length) {
+  const { voice: voiceRules, sms: smsRules } = access.current();
+  if (!ALLOW_FROM.length && !callers.numbers().length && !voiceRules.allow.length && !smsRules.allow.length) {
     startupLog.warn("ALLOW_FROM is not set — all callers accepted; set this in production");
   }
 
-  const twilioClient = (TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN)
+  const twilioClient = deps.twilioClient ?? ((TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN)
     ? createTwilioClient({ accountSid: TWILIO_ACCOUNT_SID, authToken: TWILIO_AUTH_TOKEN })
+    : null);
+
+  // The dialer looks routes up through `router` as it stands after any reload.
+  const dialer = createOutboundDialer(config, {
+    twilioClient,
+    router: { resolve: (line) => router.resolve(line), numbers: () => router.numbers() },
+    access: { check: (channel, number, allowFrom, opts) => access.check(channel, number, allowFrom, opts) },
+  });
+
+  // Conversation transcripts: every utterance and reply as JSON lines (TRANSCRIPT_DIR).
+  const transcripts = TRANSCRIPT_DIR
+    ? createTranscriptStore(TRANSCRIPT_DIR, { maxBytes: TRANSCRIPT_MAX_BYTES, maxFiles: TRANSCRIPT_MAX_FILES })
     : null;
 
-  const rateLimiter = createRateLimiter(RATE_LIMIT_MAX, RATE_LIMIT_WINDOW_MS);
+  /**
+   * Append to the transcript files, if enabled. A write error is logged, not
+   * thrown: a full disk must not cost the caller their reply.
+   *
+   * @param {Omit<import('./transcripts.mjs').TranscriptEntry, 'at'>} entry
+   */
+  function saveTranscript(entry) {
+    if (!transcripts) return;
+    try {
+      transcripts.append(entry);
+    } catch (err) {
+      transcriptLog.error("write failed", { err: String(err) });
+    }
+  }
+
+  // Voicemail fallback (VOICEMAIL_AFTER_FAILURES): messages left while the agent was failing.
+  const voicemails = createVoicemailBox({ file: VOICEMAIL_FILE });
+  /** @type {Map<string, number>} agent errors in a row, key: CallSid */
+  const agentFailures = new Map();
+  let deliveringVoicemails = false;
+
+  /**
+   * Whether a call should be offered voicemail: it has had
+   * VOICEMAIL_AFTER_FAILURES agent errors in a row, or the breaker is open.
+   *
+   * @param {string} callSid
+   * @returns {boolean}
+   */
+  function voicemailDue(callSid) {
+    if (VOICEMAIL_AFTER_FAILURES <= 0) return false;
+    return agentUnavailable() || (agentFailures.get(callSid) ?? 0) >= VOICEMAIL_AFTER_FAILURES;
+  }
+
+  /**
+   * TwiML for a caller who cannot reach the agent (breaker open): voicemail if
+   * the fallback is on, otherwise AGENT_UNAVAILABLE_MESSAGE and goodbye.
+   *
+   * @param {ReturnType<typeof twiml.twimlFor>} tw
+   * @param {string} callSid
+   * @returns {string}
+   */
+  function unavailableTwiml(tw, callSid) {
+    if (VOICEMAIL_AFTER_FAILURES > 0) return tw.voicemail(VOICEMAIL_PROMPT, VOICEMAIL_MAX_SECONDS);
+    noteServerHangup(callSid, "agent unavailable");
+    return tw.sayAndHangup(AGENT_UNAVAILABLE_MESSAGE);
+  }
+
+  /**
+   * Health probe: once an open breaker's cool-down is over, check that the
+   * backend answers (the adapter's probe(), not an agent turn) instead of
+   * waiting for a caller to be the trial. Does nothing while the breaker is
+   * closed, so a healthy agent is never probed, or for an adapter without a
+   * probe (OpenClaw), whose half-open breaker admits the next real request.
+   */
+  async function probeAgent() {
+    if (breaker?.state() !== "half-open" || !agent.probe) return;
+    try {
+      await agent.probe({ signal: AbortSignal.timeout(AGENT_PROBE_INTERVAL_MS) });
+      onAgentAnswered();
+    } catch (err) {
+      if (!isCircuitOpen(err)) agentLog.warn("agent probe failed", { err: String(err) });
+    }
+  }
+
+  /** The agent answered, so it is back: hand it the voicemails that were left meanwhile. */
+  function onAgentAnswered() {
+    if (voicemails.queued().length) void deliverVoicemails();
+  }
+
+  /**
+   * Give each queued voicemail to the agent, oldest first, as a message in the
+   * caller's history, and post what it made of it to Discord. Stops at the
+   * first agent error; the rest stay queued for the next attempt. Never rejects.
+   */
+  async function deliverVoicemails() {
+    if (deliveringVoicemails) return;
+    deliveringVoicemails = true;
+    try {
+      for (const vm of voicemails.queued()) {
+        const route = router.resolve(vm.to);
+        const sessionKey = sessionKeyFor(SESSION_SCOPE, { from: vm.from, callSid: vm.callSid, line: route.number });
+        /** @type {import('./agent.mjs').AgentMessage} */
+        const message = { role: "user", content: voicemailMessage(vm) };
+        let reply;
+        try {
+          reply = await agent.reply({
+            messages:    [...sessions.history(sessionKey), message],
+            mode:        "sms",
+            ...callerFraming(vm.from),
+            from:        vm.from,
+            callSid:     vm.callSid,
+            agentId:     route.agentId,
+            sessionId:   route.sessionId,
+            smsMaxChars: route.smsMaxChars,
+          });
+        } catch (err) {
+          voiceLog.warn("voicemail delivery failed — will retry", { recordingSid: vm.recordingSid, err: String(err) });
+          return;
+        }
+        sessions.append(sessionKey, { ...message, id: vm.recordingSid });
+        if (reply) sessions.append(sessionKey, { role: "assistant", content: reply });
+        voicemails.markDelivered(vm.recordingSid, reply);
+        voiceLog.log("voicemail delivered", { recordingSid: vm.recordingSid, from: vm.from });
+        if (reply) {
+          const agentLabel = AGENT_NAME || "Agent";
+          void _discordLog({ text: `📼 **${agentLabel}** (voicemail from ${vm.from || "unknown"}): ${reply}`, channelId: route.discordChannelId })
+            .catch((e) => voiceLog.error("discordLog error", { err: String(e) }));
+        }
+      }
+    } finally {
+      deliveringVoicemails = false;
+    }
+  }
+
+  // Speech engines for VOICE_MODE=stream; gather mode uses Twilio's own <Gather>/<Say>.
+  const speech = VOICE_MODE === "stream"
+    ? (deps.stt && deps.tts ? { stt: deps.stt, tts: deps.tts } : createSpeech(config))
+    : null;
+
+  // One-time tokens for /media-stream, issued by /voice (key: CallSid).
+  // The stream carries no Twilio signature we can check, so the token ties it to a call we accepted.
+  /** @type {Map<string, { token: string, expiresAt: number }>} */
+  const streamTokens = new Map();
+  const STREAM_TOKEN_TTL_MS = 5 * 60_000;
+  /** @type {Set<import('./websocket.mjs').WebSocketConnection>} */
+  const streams = new Set();
+
+  // Early agent start: <Gather> reports interim transcripts to /speech-partial, and a
+  // partial that stays unchanged for EARLY_AGENT_START_STABLE_MS starts a speculative turn.
+  // Keypad input (DTMF_INPUT): gathers also take a key; menu keys run built-in actions.
+  let keypadMenu = DTMF_INPUT ? parseKeypadMenu(DTMF_MENU) : {};
+  const gatherOptions = () => ({
+    ...(EARLY_AGENT_START && { partialResultCallback: "/speech-partial" }),
+    ...(DTMF_INPUT && { dtmf: true, menuText: keypadMenuText(keypadMenu) }),
+  });
+  let gatherOpts = gatherOptions();
+
+  // Caller verification (VERIFY_CALLER): /voice asks for a PIN or a texted code before
+  // the greeting, and nothing from the call reaches the agent until it is verified.
+  const verifier = createVerifier({
+    mode:        VERIFY_CALLER,
+    pin:         VERIFY_PIN,
+    maxAttempts: VERIFY_MAX_ATTEMPTS,
+    lockoutMs:   VERIFY_LOCKOUT_MS,
+  });
+
+  /**
+   * Whether an inbound call has yet to verify its caller. Calls we placed never do.
+   * @param {string} callSid
+   */
+  const needsVerification = (callSid) => verifier !== null && !getOutboundCall(callSid) && !verifier.verified(callSid);
+  /** @type {Map<string, ReturnType<typeof setTimeout>>} key: CallSid */
+  const partialTimers = new Map();
+
+  /**
+   * Drop a finished call's voice state at once instead of waiting for the
+   * stale-turn sweep: pending turns (their agent calls are aborted), the
+   * early-start timer and an unused stream token.
+   *
+   * @param {string} callSid
+   * @returns {boolean} True if a pending turn was cancelled
+   */
+  function endCallState(callSid) {
+    clearTimeout(partialTimers.get(callSid));
+    partialTimers.delete(callSid);
+    streamTokens.delete(callSid);
+    agentFailures.delete(callSid);
+    verifier?.end(callSid);
+    return cancelCallTurns(callSid);
+  }
+
+  /**
+   * Proactive SMS: subject to the access policy's SMS rules, the sending line's
+   * allowlist and SMS limit and the per-number rate limit, and recorded in the
+   * recipient's history (and told to an agent that keeps its own) so that
+   * their reply has context.
+   *
+   * @type {PhoneActions["sendSms"]}
+   */
+  const sendSms = ({ to, body, from }) => {
+    const line = from || TWILIO_SMS_FROM || TWILIO_CALL_FROM || "";
+    const route = router.resolve(line);
+    return sendOutboundSms({
+      to,
+      from: line,
+      body,
+      checkAccess: (number) => access.check("sms", number, route.allowFrom, { explicit: true }),
+      maxChars: route.smsMaxChars,
+      deps: {
+        twilioSendSms: twilioClient?.sendSms,
+        rateLimit: (number) => rateLimiter.check(number),
+        discordLog: ({ text }) => _discordLog({ text, channelId: route.discordChannelId }),
+        recordMessage: ({ to: recipient, body: text, sid }) => {
+          const sessionKey = sessionKeyFor(SESSION_SCOPE, { from: recipient, line: route.number });
+          // History never starts with an assistant message, so a text that opens the conversation gets a note first.
+          if (!sessions.history(sessionKey).length) {
+            sessions.append(sessionKey, { role: "user", content: `[You sent a text to ${recipient}]` });
+          }
+          sessions.append(sessionKey, { role: "assistant", content: text, id: sid || undefined });
+          agent.note?.({
+            messages: [{ role: "user", content: `[You sent a text to ${recipient}]` }, { role: "assistant", content: text }],
+            from: recipient, agentId: route.agentId, sessionId: route.sessionId,
+          });
+          saveTranscript({ channel: "sms", messageSid: sid || undefined, number: recipient, line, speaker: "agent", text });
+        },
+      },
+      log: (msg) => smsLog.log(msg),
+    });
+  };
+
+  /** @type {PhoneActions} */
+  const phone = { placeCall: dialer.placeCall, sendSms };
+
+  /**
+   * Ask an unverified caller for their PIN, or in sms mode for the one-time code,
+   * which is texted first unless the call already has one. The code goes out
+   * from the called line and, unlike sendSms(), stays out of the history, the
+   * transcripts and Discord.
+   *
+   * @param {import('./verification.mjs').Verifier} verifier
+   * @param {ReturnType<typeof twiml.twimlFor>} tw
+   * @param {{ callSid: string, from: string, route: import('./routes.mjs').Route, line: string }} call
+   * @returns {Promise<string>} TwiML
+   */
+  async function verificationTwiml(verifier, tw, { callSid, from, route, line }) {
+    if (verifier.mode === "pin") return tw.verification("Please say or enter your PIN, then press pound.");
+    if (!verifier.hasCode(callSid)) {
+      const code = verifier.issueCode(callSid);
+      try {
+        await sendOutboundSms({
+          to:       from,
+          from:     line || TWILIO_SMS_FROM || TWILIO_CALL_FROM || "",
+          body:     `Your verification code is ${code}. It expires in 5 minutes.`,
+          // The code goes only to the number on the call, which /voice has already admitted.
+          checkAccess: () => ({ allowed: true }),
+          maxChars: route.smsMaxChars,
+          deps:     { twilioSendSms: twilioClient?.sendSms },
+        });
+        auditLog.log("verification code sent", { callSid, from });
+      } catch (err) {
+        auditLog.error("verification code not sent", { callSid, from, err: String(err) });
+        verifier.end(callSid);
+        noteServerHangup(callSid, "verification code not sent");
+        return tw.sayAndHangup("Sorry, I could not text you a verification code. Goodbye.");
+      }
+    }
+    return tw.verification("I have texted you a verification code. Please say or enter it, then press pound.");
+  }
+
+  /**
+   * TwiML for an inbound call that has yet to verify its caller: a locked-out
+   * number is turned away, others are asked for their PIN or code.
+   *
+   * @param {import('./verification.mjs').Verifier} verifier
+   * @param {ReturnType<typeof twiml.twimlFor>} tw
+   * @param {Record<string, string>} form
+   * @param {string} from
+   * @param {import('./routes.mjs').Route} route
+   * @returns {Promise<string>} TwiML
+   */
+  async function verificationGate(verifier, tw, form, from, route) {
+    if (verifier.lockedFor(from)) {
+      auditLog.warn("locked-out caller turned away", { callSid: form.CallSid ?? "unknown", from });
+      noteServerHangup(form.CallSid, "locked out");
+      return tw.sayAndHangup("Too many failed attempts. Please try again later.");
+    }
+    return verificationTwiml(verifier, tw, { callSid: form.CallSid || "", from, route, line: form.To || "" });
+  }
+
+  /**
+   * Greet an accepted inbound call and start the conversation: a Media Streams
+   * connection (VOICE_MODE=stream) or the first <Gather>. `recording` puts the
+   * recording notice and <Start><Recording> ahead of the greeting.
+   *
+   * @param {http.IncomingMessage} req
+   * @param {Record<string, string>} form
+   * @param {import('./routes.mjs').Route} route
+   * @param {import('./twiml.mjs').RecordingOptions} [recording]
+   * @returns {string} TwiML
+   */
+  function answerCall(req, form, route, recording) {
+    const tw = twimlForCall(route, form.From);
+    if (speech && form.CallSid) {
+      const token = crypto.randomBytes(16).toString("hex");
+      streamTokens.set(form.CallSid, { token, expiresAt: Date.now() + STREAM_TOKEN_TTL_MS });
+      const from = normalizeNumber(form.From);
+      return tw.greetingWithStream(route.greeting, mediaStreamUrl(req), { from, to: form.To || "", token }, recording);
+    }
+    return tw.greetingWithGather(route.greeting, undefined, undefined, recording);
+  }
+
+  /**
+   * The remote party and the Twilio line for a voice webhook. Twilio reports
+   * `From`/`To` as dialled, so for calls we placed they are the other way round.
+   *
+   * @param {Record<string, string>} form
+   * @returns {{ caller: string, line: string }}
+   */
+  function callParties(form) {
+    const outbound = getOutboundCall(form.CallSid);
+    if (outbound) return { caller: outbound.to, line: outbound.from };
+    return { caller: form.From, line: form.To };
+  }
+
+  /**
+   * TwiML builders for a call: the caller's directory voice and speech
+   * recognition language, else the route's voice.
+   * @param {import('./routes.mjs').Route} route
+   * @param {string|undefined} caller
+   * @param {Parameters<typeof twiml.twimlFor>[1]} [opts] - <Gather> options (default gatherOpts)
+   */
+  function twimlForCall(route, caller, opts = gatherOpts) {
+    const entry = callers.lookup(caller);
+    return twiml.twimlFor(entry?.voice || route.voice, { ...opts, language: entry?.language });
+  }
+
+  /**
+   * Log what the caller said to Discord.
+   * @param {string} said
+   * @param {string} from
+   * @param {import('./routes.mjs').Route} route
+   */
+  function logCallerSpeech(said, from, route) {
+    const name = callers.nameFor(from);
+    const callerLabel = name ? `Phone (${name})` : "Phone";
+    void _discordLog({ text: `📞 **${callerLabel}**: ${said}`, channelId: route.discordChannelId }).catch((e) =>
+      voiceLog.error("discordLog error", { err: String(e) })
+    );
+  }
+
+  /**
+   * The agent's reply to one voice turn, recorded in the caller's history
+   * unless the turn has been superseded. Never rejects: agent errors become a
+   * spoken apology.
+   *
+   * A speculative turn (early agent start) passes `adopted`: the agent sees the
+   * partial transcript, but nothing enters the history until the final
+   * transcript confirms it, and the final transcript is what gets recorded.
+   * A cancelled speculation resolves to "".
+   *
+   * `said` is what the caller actually said, for the transcripts; it defaults to
+   * `userText` (an outbound call's opening prompt passes "").
+   *
+   * `onChunk` streams the reply as the agent produces it (VOICE_STREAM_REPLIES).
+   * An aborted `signal` (superseded turn, caller hung up) cancels the agent
+   * call, and the turn resolves to "" with nothing recorded for the reply.
+   *
+   * @param {{ callSid: string, from: string, route: import('./routes.mjs').Route, userText: string, said?: string, isCurrent: () => boolean, adopted?: Promise<string|null>, onChunk?: (chunk: string) => void, signal?: AbortSignal }} turn
+   * @returns {Promise<string>}
+   */
+  async function voiceReply({ callSid, from, route, userText, said = userText, isCurrent, adopted, onChunk, signal }) {
+    const sessionKey = sessionKeyFor(SESSION_SCOPE, { from, callSid, line: route.number });
+    /** @type {import('./session-store.mjs').SessionMessage} */
+    const userMessage = { role: "user", content: userText };
+    let agentReply = "";
+    let reply;
+    const started = Date.now();
+    try {
+      if (userText) {
+        const messages = adopted
+          ? [...sessions.history(sessionKey), userMessage]
+          : sessions.append(sessionKey, userMessage);
+        agentReply = await agent.reply({
+          messages,
+          mode:       "voice",
+          ...callerFraming(from),
+          from,
+          callSid,
+          agentId:    route.agentId,
+          sessionId:  route.sessionId,
+          onChunk,
+          signal,
+        });
+        reply = agentReply;
+        agentFailures.delete(callSid);
+        onAgentAnswered();
+      } else {
+        reply = "I did not catch that.";
+      }
+    } catch (err) {
+      if (signal?.aborted) {
+        voiceLog.log("agent call cancelled", { callSid });
+        // The caller still said it; a cancelled speculation was never final.
+        if (!adopted) transcribeCall({ callSid, from, route, speaker: "caller", text: said });
+        return "";
+      }
+      agentFailures.set(callSid, (agentFailures.get(callSid) ?? 0) + 1);
+      if (isCircuitOpen(err)) {
+        voiceLog.warn("agent unavailable", { callSid });
+        reply = AGENT_UNAVAILABLE_MESSAGE;
+      } else {
+        voiceLog.error("agent error", { callSid, err: String(err) });
+        reply = "Sorry — I hit an error generating a reply.";
+      }
+    }
+    const agentMs = Date.now() - started;
+
+    if (adopted) {
+      const finalSaid = await adopted;
+      if (finalSaid === null) return "";
+      said = finalSaid;
+      if (userText) sessions.append(sessionKey, { role: "user", content: finalSaid });
+    }
+    recordCallTurn(callSid, agentMs);
+    transcribeCall({ callSid, from, route, speaker: "caller", text: said });
+    // A superseded turn's reply is never spoken, so keep it out of the history.
+    if (agentReply && isCurrent()) {
+      sessions.append(sessionKey, { role: "assistant", content: agentReply });
+      transcribeCall({ callSid, from, route, speaker: "agent", text: agentReply, latencyMs: agentMs });
+    }
+
+    if (reply) {
+      const agentLabel = AGENT_NAME || "Agent";
+      void _discordLog({ text: `📞 **${agentLabel}**: ${reply}`, channelId: route.discordChannelId }).catch((e) =>
+        voiceLog.error("discordLog error", { err: String(e) })
+      );
+    }
+    return reply || "Okay.";
+  }
+
+  /**
+   * Add a line of a call to its call record and, with TRANSCRIPT_DIR, to the
+   * transcript files.
+   *
+   * @param {{ callSid: string, from: string, route: import('./routes.mjs').Route, speaker: 'caller'|'agent', text: string, latencyMs?: number }} line
+   */
+  function transcribeCall({ callSid, from, route, speaker, text, latencyMs }) {
+    if (!text) return;
+    recordTranscript(callSid, speaker, text);
+    const number = getVoiceCall(callSid)?.to || getOutboundCall(callSid)?.from || route.number;
+    saveTranscript({ channel: "voice", callSid, number: from, line: number, speaker, text, latencyMs });
+  }
+
+  /**
+   * Have the agent summarize a finished call and post the summary to the
+   * route's Discord channel and, with CALL_SUMMARY_SMS, text it to the caller.
+   * Never rejects: failures are logged.
+   *
+   * @param {import('./call-records.mjs').VoiceCall} call
+   * @param {import('./routes.mjs').Route} route
+   */
+  async function sendCallSummary(call, route) {
+    let summary;
+    try {
+      summary = await summarizeCall(call, {
+        agent,
+        prompt:     CALL_SUMMARY_PROMPT,
+        route,
+        callerName: callers.nameFor(call.from),
+        agentName:  AGENT_NAME,
+      });
+    } catch (err) {
+      voiceLog.error("call summary error", { callSid: call.callSid, err: String(err) });
+      return;
+    }
+    if (!summary) return;
+    voiceLog.log("call summary", { callSid: call.callSid, chars: summary.length });
+
+    void _discordLog({ text: `📝 **Call summary (${call.from || "unknown"})**: ${summary}`, channelId: route.discordChannelId })
+      .catch((e) => voiceLog.error("discordLog error", { err: String(e) }));
+    if (CALL_SUMMARY_SMS && call.from) {
+      try {
+        await sendSms({ to: call.from, body: summary, from: call.to });
+      } catch (err) {
+        voiceLog.error("call summary SMS error", { callSid: call.callSid, err: String(err) });
+      }
+    }
+  }
+
+  /**
+   * Generate the agent's reply for a voice turn in the background and mark the
+   * pending turn complete; /speech-wait picks it up. With VOICE_STREAM_REPLIES
+   * the reply streams into the pending turn as it is generated.
+   *
+   * @param {{ key: string, callSid: string, from: string, route: import('./routes.mjs').Route, userText: string, said?: string, adopted?: Promise<string|null> }} turn
+   */
+  function startVoiceReply({ key, callSid, from, route, userText, said, adopted }) {
+    const onChunk = VOICE_STREAM_REPLIES ? (/** @type {string} */ chunk) => appendTurnReply(key, chunk) : undefined;
+    const signal = turnSignal(key);
+    voiceReply({ callSid, from, route, userText, said, adopted, onChunk, signal, isCurrent: () => isLatestTurn(key, callSid) })
+      .then((reply) => completeTurn(key, reply))
+      .catch(() => {});
+  }
+
+  /**
+   * Run a keypad menu action (DTMF_MENU) for a call.
+   *
+   * @param {import('./keypad.mjs').KeypadAction} action
+   * @param {{ tw: ReturnType<typeof twiml.twimlFor>, callSid: string, from: string, route: import('./routes.mjs').Route }} call
+   * @returns {string} TwiML
+   */
+  function keypadAction(action, { tw, callSid, from, route }) {
+    const sessionKey = sessionKeyFor(SESSION_SCOPE, { from, callSid, line: route.number });
+    switch (action) {
+      case "repeat": {
+        const last = sessions.history(sessionKey).findLast((m) => m.role === "assistant");
+        return tw.replyWithGather(toSayableText(last?.content || "There is nothing to repeat yet.", MAX_SAYABLE_LENGTH));
+      }
+      case "new-topic":
+        sessions.clear(sessionKey);
+        return tw.replyWithGather("Okay, let's start a new topic.");
+      case "voicemail":
+        return tw.voicemail("Please leave a message after the beep, and press pound when you are done.", VOICEMAIL_MAX_SECONDS);
+      case "hangup":
+        noteServerHangup(callSid, "ended from keypad");
+        return tw.sayAndHangup("Goodbye.");
+      case "menu":
+        return tw.replyWithGather(keypadMenuText(keypadMenu));
+      case "keypad":
+        return tw.keypadEntry("Type the number, then press pound.");
+    }
+  }
+
+  /**
+   * Interim transcript from a partial-result callback. Twilio reports the
+   * settled words in StableSpeechResult and the rest in UnstableSpeechResult.
+   *
+   * @param {Record<string, string>} form
+   * @returns {string}
+   */
+  function partialTranscript(form) {
+    const stable = (form.StableSpeechResult || "").trim();
+    const unstable = (form.UnstableSpeechResult || "").trim();
+    if (!stable || unstable.startsWith(stable)) return unstable || stable;
+    return `${stable} ${unstable}`.trim();
+  }
+
+  /**
+   * Early agent start: (re)arm the stability timer for a call's latest partial
+   * transcript, cancelling a speculation the caller has since talked past.
+   *
+   * @param {Record<string, string>} form - /speech-partial form
+   */
+  function onPartialSpeech(form) {
+    const callSid = form.CallSid;
+    const said = partialTranscript(form);
+    clearTimeout(partialTimers.get(callSid));
+    partialTimers.delete(callSid);
+    if (!callSid || !said) return;
+
+    const speculation = getSpeculation(callSid);
+    if (speculation) {
+      if (speculation.said === normalizeTranscript(said)) return;
+      voiceLog.log("speculative turn diverged — cancelling", { key: speculation.key });
+      cancelSpeculativeTurn(callSid);
+    }
+
+    partialTimers.set(callSid, setTimeout(() => {
+      partialTimers.delete(callSid);
+      const { caller: from, line } = callParties(form);
+      const route = router.resolve(line);
+      if (!access.check("voice", from, route.allowFrom).allowed) return;
+
+      const key = `${callSid}:${crypto.randomUUID()}`;
+      const { adopted } = startSpeculativeTurn({ key, callSid, from, said });
+      voiceLog.log("speculative turn started", { key, said });
+      startVoiceReply({ key, callSid, from, route, userText: said, adopted });
+    }, EARLY_AGENT_START_STABLE_MS));
+  }
+
+  /**
+   * Media Streams URL for the TwiML <Stream>: PUBLIC_BASE_URL (or the Host the
+   * webhook arrived on) with a WebSocket scheme.
+   * @param {http.IncomingMessage} req
+   * @returns {string}
+   */
+  function mediaStreamUrl(req) {
+    const base = (PUBLIC_BASE_URL || `http://${req.headers.host}`).replace(/\/+$/, "");
+    return `${base.replace(/^http/, "ws")}/media-stream`;
+  }
+
+  /**
+   * Check and consume the one-time token /voice issued for a stream's call.
+   * @param {import('./media-stream.mjs').StreamCall} call
+   * @returns {boolean}
+   */
+  function authorizeStream(call) {
+    const issued = streamTokens.get(call.callSid);
+    streamTokens.delete(call.callSid);
+    if (!issued || issued.expiresAt < Date.now()) return false;
+    const given = Buffer.from(String(call.parameters.token ?? ""));
+    const expected = Buffer.from(issued.token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Bearer-token check for the /api/* endpoints.
+   * @param {http.IncomingMessage} req
+   * @returns {boolean}
+   */
+  function checkApiToken(req) {
+    const given = Buffer.from(String(req.headers.authorization || "").replace(/^Bearer\s+/i, ""));
+    const expected = Buffer.from(API_TOKEN);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  let rateLimiter = createRateLimiter(RATE_LIMIT_MAX, RATE_LIMIT_WINDOW_MS);
 
   // ─────────────────────────────────────────────────────────────
   // Webhook signature validation
@@ -102,6 +965,7 @@ export async function createServer(config, api = null) {
         uptime: Math.floor(process.uptime()),
         activeTurns: pendingSize(),
         twilioConfigured: twilioClient !== null,
+        agentBreaker: breaker ? breaker.snapshot() : null,
       }));
       return;
     }
@@ -122,26 +986,228 @@ export async function createServer(config, api = null) {
       const from = form.From?.trim();
       // Normalize: add + if missing
       const fromNormalized = from?.startsWith("+") ? from : `+${from}`;
-      voiceLog.log("incoming call", { from: fromNormalized, callSid: form.CallSid ?? "unknown" });
+      const route = router.resolve(form.To);
+      const tw = twimlForCall(route, fromNormalized);
+      voiceLog.log("incoming call", { from: fromNormalized, callSid: form.CallSid ?? "unknown", route: route.number || "default" });
+      const call = form.CallSid ? recordIncomingCall({ callSid: form.CallSid, from: fromNormalized, to: form.To || "" }) : undefined;
 
-      // Check allowlist
-      if (ALLOW_FROM.length && fromNormalized && !ALLOW_FROM.includes(fromNormalized)) {
-        voiceLog.warn("rejected call — not in allowlist", { from: fromNormalized });
+      // Access policy: allowlist and deny rules
+      const admission = admitCaller(fromNormalized, route, form.CallSid);
+      if (!admission.allowed) {
+        noteServerHangup(form.CallSid, admission.reason);
         res.writeHead(200, { "content-type": "text/xml" });
-        res.end(twiml.sayAndHangup("Sorry, this number is not authorized."));
+        res.end(tw.sayAndHangup("Sorry, this number is not authorized."));
         return;
       }
 
       // Rate limit check
       if (!rateLimiter.check(fromNormalized)) {
         voiceLog.warn("rate limited", { from: fromNormalized });
+        noteServerHangup(form.CallSid, "rate limited");
+        res.writeHead(200, { "content-type": "text/xml" });
+        res.end(tw.sayAndHangup("Too many requests. Please try again later."));
+        return;
+      }
+
+      // Caller verification
+      if (verifier && needsVerification(form.CallSid || "")) {
         res.writeHead(200, { "content-type": "text/xml" });
-        res.end(twiml.sayAndHangup("Too many requests. Please try again later."));
+        res.end(await verificationGate(verifier, tw, form, fromNormalized, route));
         return;
       }
 
       res.writeHead(200, { "content-type": "text/xml" });
-      res.end(twiml.greetingWithGather(GREETING_TEXT));
+      if (agentUnavailable()) {
+        voiceLog.warn("agent unavailable — not answering with the agent", { callSid: form.CallSid ?? "unknown" });
+        res.end(unavailableTwiml(tw, form.CallSid || ""));
+        return;
+      }
+      // Recording is settled once per call; a <Gather> timeout redirects back here.
+      if (route.record && call && !call.recordingConsent) {
+        if (RECORDING_CONSENT === "explicit") {
+          voiceLog.log("asking recording consent", { callSid: call.callSid });
+          res.end(tw.recordingConsent(RECORDING_DISCLOSURE));
+          return;
+        }
+        noteRecordingConsent(call.callSid, "notice");
+        voiceLog.log("recording call", { callSid: call.callSid });
+        res.end(answerCall(req, form, route, { notice: RECORDING_DISCLOSURE, record: true }));
+        return;
+      }
+      res.end(answerCall(req, form, route));
+      return;
+    }
+
+    // Caller's answer to the recording consent prompt (RECORDING_CONSENT=explicit)
+    if (req.method === "POST" && u.pathname === "/recording-consent") {
+      let body;
+      try { body = await readBody(req); }
+      catch (err) {
+        res.writeHead(err.statusCode || 500, { "content-type": "text/plain" });
+        res.end(err.message); return;
+      }
+      const form = parseForm(body);
+      if (!checkSignature(req, form)) {
+        res.writeHead(403, { "content-type": "text/plain" });
+        res.end("Forbidden"); return;
+      }
+      const from = normalizeNumber(form.From);
+      const route = router.resolve(form.To);
+      const tw = twimlForCall(route, from);
+      // The same gate as /voice: this answers the call, so a caller must not reach it by skipping /voice.
+      const admission = admitCaller(from, route, form.CallSid);
+      if (!admission.allowed) {
+        noteServerHangup(form.CallSid, admission.reason);
+        res.writeHead(200, { "content-type": "text/xml" });
+        res.end(tw.sayAndHangup("Sorry, this number is not authorized."));
+        return;
+      }
+      if (verifier && needsVerification(form.CallSid || "")) {
+        res.writeHead(200, { "content-type": "text/xml" });
+        res.end(await verificationGate(verifier, tw, form, from, route));
+        return;
+      }
+      const agreed = form.Digits === "1" || CONSENT_WORDS.test(form.SpeechResult || "");
+      noteRecordingConsent(form.CallSid, agreed ? "given" : "declined");
+      voiceLog.log("recording consent", { callSid: form.CallSid ?? "unknown", agreed });
+      res.writeHead(200, { "content-type": "text/xml" });
+      res.end(answerCall(req, form, route, agreed ? { record: true } : { notice: "This call will not be recorded." }));
+      return;
+    }
+
+    // Caller's PIN or one-time code (VERIFY_CALLER)
+    if (verifier && req.method === "POST" && u.pathname === "/verify") {
+      let body;
+      try { body = await readBody(req); }
+      catch (err) {
+        res.writeHead(err.statusCode || 500, { "content-type": "text/plain" });
+        res.end(err.message); return;
+      }
+      const form = parseForm(body);
+      if (!checkSignature(req, form)) {
+        res.writeHead(403, { "content-type": "text/plain" });
+        res.end("Forbidden"); return;
+      }
+      const callSid = form.CallSid || "";
+      const from = normalizeNumber(form.From);
+      const route = router.resolve(form.To);
+      const tw = twimlForCall(route, from, {});
+      const input = digitsFrom(form.Digits || form.SpeechResult || "");
+      res.writeHead(200, { "content-type": "text/xml" });
+      if (!input) {
+        res.end(tw.sayAndRedirect("I didn't catch a number.", "/voice"));
+        return;
+      }
+      const { result, attemptsLeft } = verifier.check(callSid, from, input);
+      if (result === "verified") {
+        auditLog.log("caller verified", { callSid, from, mode: verifier.mode });
+        res.end(tw.sayAndRedirect("Thank you.", "/voice"));
+      } else if (result === "expired") {
+        auditLog.log("verification code expired", { callSid, from });
+        res.end(tw.sayAndRedirect("That code has expired. I will text you a new one.", "/voice"));
+      } else if (result === "retry") {
+        auditLog.warn("verification failed", { callSid, from, attemptsLeft });
+        res.end(tw.sayAndRedirect("That is not correct. Please try again.", "/voice"));
+      } else {
+        auditLog.warn("caller locked out", { callSid, from, lockoutMs: VERIFY_LOCKOUT_MS });
+        noteServerHangup(callSid, "failed verification");
+        res.end(tw.sayAndHangup("Too many failed attempts. Please try again later."));
+        void _discordLog({
+          text: `🔒 ${from || "unknown"} locked out after ${VERIFY_MAX_ATTEMPTS} failed verification attempts`,
+          channelId: route.discordChannelId,
+        }).catch((e) => voiceLog.error("discordLog error", { err: String(e) }));
+      }
+      return;
+    }
+
+    // Recording status callback - link the recording to its call
+    if (req.method === "POST" && u.pathname === "/recording-status") {
+      let body;
+      try { body = await readBody(req); }
+      catch (err) {
+        res.writeHead(err.statusCode || 500, { "content-type": "text/plain" });
+        res.end(err.message); return;
+      }
+      const form = parseForm(body);
+      if (!checkSignature(req, form)) {
+        res.writeHead(403, { "content-type": "text/plain" });
+        res.end("Forbidden"); return;
+      }
+      const result = recordRecordingStatus(form);
+      res.writeHead(204);
+      res.end();
+      if (!result) return;
+
+      const { call, recording } = result;
+      voiceLog.log("recording status", {
+        callSid:      call.callSid,
+        recordingSid: recording.sid,
+        status:       recording.status,
+        duration:     recording.duration,
+        url:          recording.url,
+      });
+      if (recording.status === "completed") {
+        const route = router.resolve(call.to);
+        void _discordLog({
+          text: `🎙️ Recording of call from ${call.from || "unknown"} (${recording.duration}s): ${recording.url}`,
+          channelId: route.discordChannelId,
+        }).catch((e) => voiceLog.error("discordLog error", { err: String(e) }));
+      }
+      return;
+    }
+
+    // Voicemail recorded - thank the caller and end the call
+    if (req.method === "POST" && u.pathname === "/voicemail-done") {
+      let body;
+      try { body = await readBody(req); }
+      catch (err) {
+        res.writeHead(err.statusCode || 500, { "content-type": "text/plain" });
+        res.end(err.message); return;
+      }
+      const form = parseForm(body);
+      if (!checkSignature(req, form)) {
+        res.writeHead(403, { "content-type": "text/plain" });
+        res.end("Forbidden"); return;
+      }
+      voiceLog.log("voicemail recorded", { callSid: form.CallSid ?? "unknown", duration: form.RecordingDuration });
+      noteServerHangup(form.CallSid, "left voicemail");
+      res.writeHead(200, { "content-type": "text/xml" });
+      res.end(twimlForCall(router.resolve(form.To), form.From, {}).sayAndHangup("Thank you. Your message has been saved. Goodbye."));
+      return;
+    }
+
+    // Voicemail transcription callback - store it, post it to Discord and queue it for the agent
+    if (req.method === "POST" && u.pathname === "/voicemail-transcription") {
+      let body;
+      try { body = await readBody(req); }
+      catch (err) {
+        res.writeHead(err.statusCode || 500, { "content-type": "text/plain" });
+        res.end(err.message); return;
+      }
+      const form = parseForm(body);
+      if (!checkSignature(req, form)) {
+        res.writeHead(403, { "content-type": "text/plain" });
+        res.end("Forbidden"); return;
+      }
+      let vm;
+      try {
+        vm = voicemails.add(form);
+      } catch (err) {
+        voiceLog.error("voicemail write failed", { err: String(err) });
+        res.writeHead(500, { "content-type": "text/plain" });
+        res.end("Could not store voicemail"); return;
+      }
+      res.writeHead(204);
+      res.end();
+      if (!vm) return;
+
+      voiceLog.log("voicemail received", { callSid: vm.callSid, recordingSid: vm.recordingSid, transcribed: Boolean(vm.text) });
+      const route = router.resolve(vm.to);
+      void _discordLog({
+        text: `📼 **Voicemail from ${vm.from || "unknown"}** (${vm.duration}s): ${vm.text || "(no transcription)"}\n${vm.url}`,
+        channelId: route.discordChannelId,
+      }).catch((e) => voiceLog.error("discordLog error", { err: String(e) }));
+      void deliverVoicemails();
       return;
     }
 
@@ -158,60 +1224,96 @@ export async function createServer(config, api = null) {
         res.writeHead(403, { "content-type": "text/plain" });
         res.end("Forbidden"); return;
       }
-      const from = form.From;
+      const { caller: from, line } = callParties(form);
       const callSid = form.CallSid || "nocallsid";
+      const route = router.resolve(line);
+      const tw = twimlForCall(route, from);
 
-      // Check allowlist
-      if (ALLOW_FROM.length && from && !ALLOW_FROM.includes(from)) {
+      // Access policy: allowlist and deny rules
+      const admission = admitCaller(from, route, callSid);
+      if (!admission.allowed) {
+        noteServerHangup(callSid, admission.reason);
         res.writeHead(200, { "content-type": "text/xml" });
-        res.end(twiml.sayAndHangup("Sorry, this number is not authorized."));
+        res.end(tw.sayAndHangup("Sorry, this number is not authorized."));
         return;
       }
 
-      const said = (form.SpeechResult || "").trim();
-      voiceLog.log("speech received", { callSid, said: said || "(empty)" });
-
-      // Create pending turn
-      const turnId = crypto.randomUUID();
-      const key = `${callSid}:${turnId}`;
-      createPendingTurn({ key, callSid, from, said });
+      if (needsVerification(callSid)) {
+        auditLog.warn("unverified call turned away", { callSid, from });
+        noteServerHangup(callSid, "not verified");
+        res.writeHead(200, { "content-type": "text/xml" });
+        res.end(tw.sayAndHangup("Sorry, this call is not verified."));
+        return;
+      }
 
-      // Log to Discord
-      if (said) {
-        const callerLabel = CALLER_NAME ? `Phone (${CALLER_NAME})` : "Phone";
-        void _discordLog({ text: `📞 **${callerLabel}**: ${said}` }).catch((e) =>
-          voiceLog.error("discordLog error", { err: String(e) })
-        );
+      // Keypad: a menu key runs its action; other digits are the caller's turn
+      const digits = DTMF_INPUT ? (form.Digits || "").trim() : "";
+      const action = digits.length === 1 ? keypadMenu[digits] : undefined;
+      if (digits) voiceLog.log("keypad input", { callSid, keys: digits.length, action: action ?? "to agent" });
+      if (action) {
+        res.writeHead(200, { "content-type": "text/xml" });
+        res.end(keypadAction(action, { tw, callSid, from, route }));
+        return;
       }
 
-      // Start async reply generation
-      (async () => {
-        let reply;
-        try {
-          reply = said
-            ? await _openclawReply({ userText: said, mode: "voice" })
-            : "I did not catch that.";
-        } catch (err) {
-          voiceLog.error("agent error", { callSid, err: String(err) });
-          reply = "Sorry — I hit an error generating a reply.";
-        }
+      const said = digits ? keypadMessage(digits) : (form.SpeechResult || "").trim();
+      voiceLog.log("speech received", { callSid, said: said || "(empty)" });
 
-        if (reply) {
-          const agentLabel = AGENT_NAME || "Agent";
-          void _discordLog({ text: `📞 **${agentLabel}**: ${reply}` }).catch((e) =>
-            voiceLog.error("discordLog error", { err: String(e) })
-          );
+      if (agentUnavailable()) {
+        voiceLog.warn("agent unavailable — not starting a turn", { callSid });
+        if (said) {
+          logCallerSpeech(said, from, route);
+          transcribeCall({ callSid, from, route, speaker: "caller", text: said });
         }
+        res.writeHead(200, { "content-type": "text/xml" });
+        res.end(unavailableTwiml(tw, callSid));
+        return;
+      }
+
+      // Early agent start: a speculative turn for the same words is already running
+      clearTimeout(partialTimers.get(callSid));
+      partialTimers.delete(callSid);
+      const adoptedKey = adoptSpeculativeTurn(callSid, said);
 
-        completeTurn(key, reply || "Okay.");
-      })().catch(() => {});
+      // Log to Discord
+      if (said) logCallerSpeech(said, from, route);
+
+      let key;
+      if (adoptedKey) {
+        key = adoptedKey;
+        voiceLog.log("speculative turn adopted", { key });
+      } else {
+        // Create pending turn and start async reply generation
+        key = `${callSid}:${crypto.randomUUID()}`;
+        createPendingTurn({ key, callSid, from, said });
+        startVoiceReply({ key, callSid, from, route, userText: said });
+      }
 
       // Respond immediately with thinking phrase
       const phrase = getRandomThinkingPhrase();
       voiceLog.log("turn queued", { key });
 
       res.writeHead(200, { "content-type": "text/xml" });
-      res.end(twiml.thinkingRedirect(phrase, `/speech-wait?key=${encodeURIComponent(key)}&poll=1`));
+      res.end(tw.thinkingRedirect(phrase, `/speech-wait?key=${encodeURIComponent(key)}&poll=1`));
+      return;
+    }
+
+    // Partial speech results (EARLY_AGENT_START) - interim transcripts while the caller talks
+    if (req.method === "POST" && u.pathname === "/speech-partial") {
+      let body;
+      try { body = await readBody(req); }
+      catch (err) {
+        res.writeHead(err.statusCode || 500, { "content-type": "text/plain" });
+        res.end(err.message); return;
+      }
+      const form = parseForm(body);
+      if (!checkSignature(req, form)) {
+        res.writeHead(403, { "content-type": "text/plain" });
+        res.end("Forbidden"); return;
+      }
+      if (EARLY_AGENT_START && !needsVerification(form.CallSid || "")) onPartialSpeech(form);
+      res.writeHead(204);
+      res.end();
       return;
     }
 
@@ -230,12 +1332,15 @@ export async function createServer(config, api = null) {
       }
       const key = u.searchParams.get("key") || "";
       const item = getPendingTurn(key);
+      const parties = callParties(waitForm);
+      const tw = twimlForCall(router.resolve(parties.line), parties.caller);
 
       // No pending turn found
       if (!item) {
         voiceLog.warn("turn not found — hanging up", { key });
+        noteServerHangup(waitForm.CallSid, "turn not found");
         res.writeHead(200, { "content-type": "text/xml" });
-        res.end(twiml.sayAndHangup("Okay."));
+        res.end(tw.sayAndHangup("Okay."));
         return;
       }
 
@@ -244,7 +1349,7 @@ export async function createServer(config, api = null) {
         voiceLog.log("turn superseded — discarding", { key });
         deleteTurn(key);
         res.writeHead(200, { "content-type": "text/xml" });
-        res.end(twiml.sayAndRedirect("Okay.", "/speech"));
+        res.end(tw.sayAndRedirect("Okay.", "/speech"));
         return;
       }
 
@@ -253,34 +1358,307 @@ export async function createServer(config, api = null) {
         const poll = Number(u.searchParams.get("poll") || "0");
         const nextPoll = poll + 1;
         const nextUrl = `/speech-wait?key=${encodeURIComponent(key)}&poll=${nextPoll}`;
+
+        // Streamed reply: speak the sentences finished so far, then keep polling
+        const sentences = toSayableText(takeSpeakableReply(key), MAX_SAYABLE_LENGTH);
+        if (sentences) {
+          voiceLog.log("speaking partial reply", { key, poll, chars: sentences.length });
+          res.writeHead(200, { "content-type": "text/xml" });
+          res.end(tw.sayAndRedirect(sentences, nextUrl));
+          return;
+        }
         voiceLog.log("turn still pending — polling", { key, poll });
 
         // Play a filler phrase every n polls starting at poll=3 (n = phrase count),
-        // rotating through all phrases before repeating.
+        // rotating through all phrases before repeating; none once the reply has started.
         // poll=3 → phrase[0], poll=6 → phrase[1], poll=9 → phrase[2], poll=12 → phrase[0], …
         const pollOffset = poll - 3;
         const phraseCount = POLL_FILLER_PHRASES.length;
-        const filler = pollOffset >= 0 && pollOffset % phraseCount === 0
+        const filler = !item.spoken && pollOffset >= 0 && pollOffset % phraseCount === 0
           ? POLL_FILLER_PHRASES[Math.floor(pollOffset / phraseCount) % phraseCount]
           : undefined;
 
         res.writeHead(200, { "content-type": "text/xml" });
         if (filler) {
-          res.end(twiml.fillerAndRedirect(filler, nextUrl));
+          res.end(tw.fillerAndRedirect(filler, nextUrl));
         } else {
-          res.end(twiml.pauseAndRedirect(nextUrl));
+          res.end(tw.pauseAndRedirect(nextUrl));
         }
         return;
       }
 
-      // Reply is ready!
-      const reply = toSayableText(item.reply || "Okay.", MAX_SAYABLE_LENGTH);
+      // The agent keeps failing on this call: take a message instead of apologizing again
+      if (voicemailDue(item.callSid) && !item.spoken) {
+        deleteTurn(key);
+        voiceLog.warn("agent failing — offering voicemail", { callSid: item.callSid, failures: agentFailures.get(item.callSid) });
+        res.writeHead(200, { "content-type": "text/xml" });
+        res.end(tw.voicemail(VOICEMAIL_PROMPT, VOICEMAIL_MAX_SECONDS));
+        return;
+      }
+
+      // Reply is ready! (the rest of it, if sentences were already spoken while streaming)
+      const reply = toSayableText(item.spoken ? unspokenReply(item) : item.reply || "Okay.", MAX_SAYABLE_LENGTH);
       deleteTurn(key);
 
       voiceLog.log("delivering reply", { key, chars: reply.length });
 
       res.writeHead(200, { "content-type": "text/xml" });
-      res.end(twiml.replyWithGather(reply));
+      res.end(tw.replyWithGather(reply));
+      return;
+    }
+
+    // Outbound call answered - speak the opening message, or let the agent open from the task
+    if (req.method === "POST" && u.pathname === "/outbound-answer") {
+      let body;
+      try { body = await readBody(req); }
+      catch (err) {
+        res.writeHead(err.statusCode || 500, { "content-type": "text/plain" });
+        res.end(err.message); return;
+      }
+      const form = parseForm(body);
+      if (!checkSignature(req, form)) {
+        res.writeHead(403, { "content-type": "text/plain" });
+        res.end("Forbidden"); return;
+      }
+      const callSid = form.CallSid || "";
+      const call = getOutboundCall(callSid);
+      if (!call) {
+        voiceLog.warn("outbound call not found — hanging up", { callSid });
+        res.writeHead(200, { "content-type": "text/xml" });
+        res.end(twiml.sayAndHangup("Goodbye."));
+        return;
+      }
+      const route = router.resolve(call.from);
+      const tw = twimlForCall(route, call.to);
+      voiceLog.log("outbound call answered", { callSid, to: call.to });
+
+      const sessionKey = sessionKeyFor(SESSION_SCOPE, { from: call.to, callSid, line: route.number });
+      res.writeHead(200, { "content-type": "text/xml" });
+
+      if (call.message) {
+        /** @type {import('./agent.mjs').AgentMessage[]} */
+        const opening = [{ role: "user", content: outboundCallPrompt(call) }, { role: "assistant", content: call.message }];
+        for (const message of opening) sessions.append(sessionKey, message);
+        agent.note?.({ messages: opening, from: call.to, callSid, agentId: route.agentId, sessionId: route.sessionId });
+        transcribeCall({ callSid, from: call.to, route, speaker: "agent", text: call.message });
+        const agentLabel = AGENT_NAME || "Agent";
+        void _discordLog({ text: `📞 **${agentLabel}** (calling ${call.to}): ${call.message}`, channelId: route.discordChannelId }).catch((e) =>
+          voiceLog.error("discordLog error", { err: String(e) })
+        );
+        res.end(tw.replyWithGather(toSayableText(call.message, MAX_SAYABLE_LENGTH)));
+        return;
+      }
+
+      const key = `${callSid}:${crypto.randomUUID()}`;
+      createPendingTurn({ key, callSid, from: call.to, said: "" });
+      startVoiceReply({ key, callSid, from: call.to, route, userText: outboundCallPrompt(call), said: "" });
+      res.end(tw.pauseAndRedirect(`/speech-wait?key=${encodeURIComponent(key)}&poll=1`));
+      return;
+    }
+
+    // Outbound call progress - record the status and report the outcome
+    if (req.method === "POST" && u.pathname === "/call-status") {
+      let body;
+      try { body = await readBody(req); }
+      catch (err) {
+        res.writeHead(err.statusCode || 500, { "content-type": "text/plain" });
+        res.end(err.message); return;
+      }
+      const form = parseForm(body);
+      if (!checkSignature(req, form)) {
+        res.writeHead(403, { "content-type": "text/plain" });
+        res.end("Forbidden"); return;
+      }
+      const call = recordCallStatus(form);
+      res.writeHead(204);
+      res.end();
+      // The caller hung up: stop generating replies nobody will hear.
+      if (form.CallStatus === "completed" && endCallState(form.CallSid || "")) {
+        voiceLog.log("call ended — pending turn cancelled", { callSid: form.CallSid });
+      }
+      if (!call) return;
+
+      voiceLog.log("outbound call status", { callSid: call.callSid, status: call.status });
+      if (isFinalStatus(call.status)) {
+        // Leave the outcome in the callee's history so the agent sees it on the next turn.
+        const route = router.resolve(call.from);
+        const note = outboundStatusNote(call);
+        sessions.append(sessionKeyFor(SESSION_SCOPE, { from: call.to, callSid: call.callSid, line: route.number }), { role: "user", content: note });
+        agent.note?.({
+          messages: [{ role: "user", content: note }],
+          from: call.to, callSid: call.callSid, agentId: route.agentId, sessionId: route.sessionId,
+        });
+        void _discordLog({ text: `📞 ${note}`, channelId: route.discordChannelId }).catch((e) =>
+          voiceLog.error("discordLog error", { err: String(e) })
+        );
+      }
+      return;
+    }
+
+    // Call status callback for inbound calls - record the lifecycle and summarize the call
+    if (req.method === "POST" && u.pathname === "/voice-status") {
+      let body;
+      try { body = await readBody(req); }
+      catch (err) {
+        res.writeHead(err.statusCode || 500, { "content-type": "text/plain" });
+        res.end(err.message); return;
+      }
+      const form = parseForm(body);
+      if (!checkSignature(req, form)) {
+        res.writeHead(403, { "content-type": "text/plain" });
+        res.end("Forbidden"); return;
+      }
+      const call = recordVoiceStatus(form);
+      res.writeHead(204);
+      res.end();
+      if (!call) return;
+
+      voiceLog.log("call status", { callSid: call.callSid, status: call.status });
+      if (isFinalStatus(call.status)) {
+        const cancelled = endCallState(call.callSid);
+        voiceLog.log("call ended", {
+          callSid:      call.callSid,
+          from:         call.from,
+          status:       call.status,
+          duration:     call.duration,
+          turns:        call.turns,
+          agentMs:      call.agentMs,
+          hangupReason: call.hangupReason,
+          cancelled,
+        });
+        const route = router.resolve(call.to);
+        void _discordLog({ text: `📞 ${callSummaryText(call)}`, channelId: route.discordChannelId }).catch((e) =>
+          voiceLog.error("discordLog error", { err: String(e) })
+        );
+        if (CALL_SUMMARY) void sendCallSummary(call, route);
+      }
+      return;
+    }
+
+    // Authenticated API (disabled unless API_TOKEN is set)
+    if (u.pathname.startsWith("/api/")) {
+      if (!API_TOKEN) { sendJson(res, 404, { error: "Not found" }); return; }
+      if (!checkApiToken(req)) { sendJson(res, 401, { error: "Unauthorized" }); return; }
+
+      // Place an outbound call: { to, message?, task?, from? }
+      if (req.method === "POST" && u.pathname === "/api/calls") {
+        let params;
+        try { params = JSON.parse(await readBody(req)); }
+        catch (err) {
+          sendJson(res, err.statusCode || 400, { error: err.statusCode ? err.message : "Invalid JSON body" });
+          return;
+        }
+        try {
+          const call = await phone.placeCall({
+            to:      String(params?.to ?? ""),
+            from:    params?.from ? String(params.from) : undefined,
+            message: String(params?.message ?? ""),
+            task:    String(params?.task ?? ""),
+          });
+          apiLog.log("outbound call placed", { callSid: call.callSid, to: call.to });
+          sendJson(res, 201, call);
+        } catch (err) {
+          apiLog.error("outbound call failed", { err: String(err) });
+          sendJson(res, err.statusCode || 502, { error: err.message });
+        }
+        return;
+      }
+
+      // Outbound call status
+      const callMatch = /^\/api\/calls\/([^/]+)$/.exec(u.pathname);
+      if (req.method === "GET" && callMatch) {
+        const call = getOutboundCall(decodeURIComponent(callMatch[1]));
+        if (call) sendJson(res, 200, call);
+        else sendJson(res, 404, { error: "Unknown call" });
+        return;
+      }
+
+      // Transcript export: /api/transcripts/calls/<CallSid> or /api/transcripts/sms/<number>,
+      // ?format=json (default) or markdown
+      const transcriptMatch = /^\/api\/transcripts\/(calls|sms)\/([^/]+)$/.exec(u.pathname);
+      if (req.method === "GET" && transcriptMatch) {
+        if (!transcripts) {
+          sendJson(res, 503, { error: "Transcripts are disabled; set TRANSCRIPT_DIR" });
+          return;
+        }
+        const format = u.searchParams.get("format") || "json";
+        if (format !== "json" && format !== "markdown") {
+          sendJson(res, 400, { error: `Unknown format: ${format} (json or markdown)` });
+          return;
+        }
+        const isCall = transcriptMatch[1] === "calls";
+        const id = decodeURIComponent(transcriptMatch[2]).trim();
+        const number = id.startsWith("+") ? id : `+${id}`;
+        let entries;
+        try {
+          entries = await transcripts.entries(isCall
+            ? (entry) => entry.channel === "voice" && entry.callSid === id
+            : (entry) => entry.channel === "sms" && entry.number === number);
+        } catch (err) {
+          apiLog.error("transcript read failed", { err: String(err) });
+          sendJson(res, 500, { error: "Could not read transcripts" });
+          return;
+        }
+        if (!entries.length) {
+          sendJson(res, 404, { error: "No transcript" });
+          return;
+        }
+        // Recordings are linked in the call record, while this instance still has it.
+        const recordings = isCall ? getVoiceCall(id)?.recordings ?? [] : [];
+        if (format === "markdown") {
+          res.writeHead(200, { "content-type": "text/markdown; charset=utf-8" });
+          res.end(transcriptMarkdown(isCall ? `Call ${id}` : `SMS thread ${number}`, entries, { recordings }));
+        } else {
+          sendJson(res, 200, isCall ? { callSid: id, recordings, entries } : { number, entries });
+        }
+        return;
+      }
+
+      // Inbound call records, most recent first: ?limit=N (default 20)
+      if (req.method === "GET" && u.pathname === "/api/voice-calls") {
+        const limit = Number(u.searchParams.get("limit") || "20");
+        sendJson(res, 200, { calls: recentVoiceCalls(Number.isFinite(limit) ? limit : 20) });
+        return;
+      }
+      const voiceCallMatch = /^\/api\/voice-calls\/([^/]+)$/.exec(u.pathname);
+      if (req.method === "GET" && voiceCallMatch) {
+        const call = getVoiceCall(decodeURIComponent(voiceCallMatch[1]));
+        if (call) sendJson(res, 200, call);
+        else sendJson(res, 404, { error: "Unknown call" });
+        return;
+      }
+
+      // Voicemails, most recent first: ?limit=N (default 20)
+      if (req.method === "GET" && u.pathname === "/api/voicemails") {
+        const limit = Number(u.searchParams.get("limit") || "20");
+        sendJson(res, 200, { voicemails: voicemails.recent(Number.isFinite(limit) ? limit : 20) });
+        return;
+      }
+
+      // Send an SMS: { to, body, from? }
+      if (req.method === "POST" && u.pathname === "/api/sms/send") {
+        let params;
+        try { params = JSON.parse(await readBody(req)); }
+        catch (err) {
+          sendJson(res, err.statusCode || 400, { error: err.statusCode ? err.message : "Invalid JSON body" });
+          return;
+        }
+        try {
+          const sent = await phone.sendSms({
+            to:   String(params?.to ?? ""),
+            body: String(params?.body ?? ""),
+            from: params?.from ? String(params.from) : undefined,
+          });
+          apiLog.log("outbound sms sent", { sid: sent.sid, to: sent.to });
+          sendJson(res, 201, sent);
+        } catch (err) {
+          apiLog.error("outbound sms failed", { err: String(err) });
+          sendJson(res, err.statusCode || 502, { error: err.message });
+        }
+        return;
+      }
+
+      sendJson(res, 404, { error: "Not found" });
       return;
     }
 
@@ -309,16 +1687,21 @@ export async function createServer(config, api = null) {
         return;
       }
 
+      const route = router.resolve(form.To);
       const { twiml: twimlResponse, didAck, startAsync } = await handleIncomingSms({
         form,
-        allowFrom: ALLOW_FROM,
+        access: access.check("sms", smsFromNormalized, route.allowFrom),
+        callerName: callers.lookup(smsFromNormalized)?.name,
         fastTimeoutMs: SMS_FAST_TIMEOUT_MS,
-        maxChars: SMS_MAX_CHARS,
+        maxChars: route.smsMaxChars,
         deps: {
-          openclawReply: _openclawReply,
-          discordLog: _discordLog,
+          openclawReply: (opts) => _smsAgentReply({ ...opts, route }),
+          discordLog: ({ text }) => _discordLog({ text, channelId: route.discordChannelId }),
           twilioSendSms: twilioClient?.sendSms,
           smsFrom: TWILIO_SMS_FROM,
+          transcript: ({ speaker, text, latencyMs }) => saveTranscript({
+            channel: "sms", messageSid: form.MessageSid, number: smsFromNormalized, line: form.To, speaker, text, latencyMs,
+          }),
         },
         log: (line) => smsLog.log(line),
         error: (line) => smsLog.error(line),
@@ -337,7 +1720,136 @@ export async function createServer(config, api = null) {
     res.end("Not found");
   });
 
+  // ─────────────────────────────────────────────────────────────
+  // Media Streams WebSocket (VOICE_MODE=stream)
+  // ─────────────────────────────────────────────────────────────
+
+  server.on("upgrade", (req, socket, head) => {
+    const u = new URL(req.url ?? "/", `http://${req.headers.host}`);
+    if (!speech || u.pathname !== "/media-stream") {
+      socket.on("error", () => socket.destroy());
+      socket.end("HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n");
+      return;
+    }
+    const ws = acceptWebSocket(req, socket, head);
+    if (!ws) return;
+    streams.add(ws);
+    ws.on("close", () => streams.delete(ws));
+    ws.on("error", (err) => voiceLog.warn("media stream connection error", { err: err.message }));
+
+    handleMediaStream(ws, {
+      stt:        speech.stt,
+      tts:        speech.tts,
+      endpointMs: STREAM_ENDPOINT_MS,
+      bargeInMs:  STREAM_BARGE_IN_MS,
+      authorize:  authorizeStream,
+      reply: async ({ call, text, isCurrent, signal }) => {
+        const { from = "", to = "" } = call.parameters;
+        const route = router.resolve(to);
+        voiceLog.log("speech received", { callSid: call.callSid, said: text });
+        logCallerSpeech(text, from, route);
+        const reply = await voiceReply({ callSid: call.callSid, from, route, userText: text, isCurrent, signal });
+        return toSayableText(reply, MAX_SAYABLE_LENGTH);
+      },
+    });
+  });
+
+  // Upgraded sockets keep server.close() waiting, so end open streams first.
+  const closeServer = server.close.bind(server);
+  server.close = (callback) => {
+    for (const ws of streams) ws.close(1001, "server shutting down");
+    access.close();
+    for (const path of watchedFiles) unwatchFile(path, onConfigFileChange);
+    return closeServer(callback);
+  };
+
   setInterval(() => cleanupStaleTurns(), 60_000).unref();
+  setInterval(() => {
+    const now = Date.now();
+    for (const [callSid, { expiresAt }] of streamTokens) if (expiresAt < now) streamTokens.delete(callSid);
+  }, 60_000).unref();
+  setInterval(() => sessions.sweep(), 60_000).unref();
+  if (verifier) setInterval(() => verifier.sweep(), 60_000).unref();
+  setInterval(() => { if (voicemails.queued().length) void deliverVoicemails(); }, 60_000).unref();
+  if (breaker && AGENT_PROBE_INTERVAL_MS > 0) setInterval(probeAgent, AGENT_PROBE_INTERVAL_MS).unref();
+
+  // ─────────────────────────────────────────────────────────────
+  // Reload
+  // ─────────────────────────────────────────────────────────────
+
+  // The configuration in force: the startup settings plus the reloaded ones.
+  let current = config;
+
+  /**
+   * Apply a new configuration to the running server. The result is validated
+   * and everything it needs is built first (routes, caller directory, keypad
+   * menu, access policy), so an invalid configuration throws, listing its
+   * problems, and the running one stays in force; then it
+   * is swapped in at once. Pending voice turns, conversation history and call
+   * state are untouched, so calls in progress carry on.
+   *
+   * @param {object} next - Server configuration (see lib/config.mjs for shape)
+   * @param {object} [options]
+   * @param {NodeJS.ProcessEnv} [options.env] - Environment `next` was read from (default process.env)
+   * @returns {ReloadResult}
+   */
+  function reload(next, { env } = {}) {
+    const keys = new Set([...Object.keys(current), ...Object.keys(next)]);
+    const differing = [...keys].filter((key) => typeof next[key] !== "function" && !isDeepStrictEqual(current[key], next[key]));
+    const changed = differing.filter((key) => RELOADABLE_SETTINGS.includes(key));
+    const needsRestart = differing.filter((key) => !RELOADABLE_SETTINGS.includes(key));
+    const merged = {
+      ...current,
+      ...Object.fromEntries(changed.map((key) => [key, next[key]])),
+      ...(typeof next.getRandomThinkingPhrase === "function" && { getRandomThinkingPhrase: next.getRandomThinkingPhrase }),
+    };
+    // The whole new configuration, including settings that wait for a restart.
+    assertValidConfig({ ...current, ...next }, { ...validation, env });
+
+    const nextCallers = createCallerDirectory(merged);
+    const nextRouter = createRouter(merged, { callerNumbers: nextCallers.numbers() });
+    const nextKeypadMenu = merged.DTMF_INPUT ? parseKeypadMenu(merged.DTMF_MENU) : {};
+    const nextAccess = createAccessPolicy(merged, accessHooks); // last: it starts watching its file
+
+    ({
+      ALLOW_FROM, API_TOKEN, SMS_FAST_TIMEOUT_MS, AGENT_NAME, RATE_LIMIT_MAX, RATE_LIMIT_WINDOW_MS,
+      getRandomThinkingPhrase, POLL_FILLER_PHRASES, EARLY_AGENT_START, EARLY_AGENT_START_STABLE_MS,
+      VOICE_STREAM_REPLIES, DTMF_INPUT, DTMF_MENU, CALL_SUMMARY, CALL_SUMMARY_SMS, CALL_SUMMARY_PROMPT,
+      RECORDING_DISCLOSURE, RECORDING_CONSENT, AGENT_UNAVAILABLE_MESSAGE, VOICEMAIL_AFTER_FAILURES,
+      VOICEMAIL_PROMPT, VOICEMAIL_MAX_SECONDS,
+    } = merged);
+    callers = nextCallers;
+    router = nextRouter;
+    keypadMenu = nextKeypadMenu;
+    gatherOpts = gatherOptions();
+    access.close();
+    access = nextAccess;
+    if (changed.includes("RATE_LIMIT_MAX") || changed.includes("RATE_LIMIT_WINDOW_MS")) {
+      rateLimiter = createRateLimiter(RATE_LIMIT_MAX, RATE_LIMIT_WINDOW_MS);
+    }
+    current = merged;
+    watchConfigFiles();
+
+    configLog.log("config reloaded", { changed });
+    if (needsRestart.length) configLog.warn("changed settings need a restart to take effect", { needsRestart });
+    return { changed, needsRestart };
+  }
+
+  // CONFIG_WATCH: reload when the routes or caller directory file changes.
+  /** @type {string[]} */
+  let watchedFiles = [];
+  /** @param {import('node:fs').Stats} curr @param {import('node:fs').Stats} prev */
+  const onConfigFileChange = (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    try { reload(current); }
+    catch (err) { configLog.error("config reload failed — keeping the running configuration", { err: err.message }); }
+  };
+  function watchConfigFiles() {
+    for (const path of watchedFiles) unwatchFile(path, onConfigFileChange);
+    watchedFiles = CONFIG_WATCH ? [current.ROUTES_FILE, current.CALLERS_FILE].filter(Boolean) : [];
+    for (const path of watchedFiles) watchFile(path, { persistent: false, interval: 2000 }, onConfigFileChange);
+  }
+  watchConfigFiles();
 
   // ─────────────────────────────────────────────────────────────
   // Start server
@@ -347,12 +1859,21 @@ export async function createServer(config, api = null) {
     server.listen(PORT, () => {
       startupLog.log("listening", { url: `http://localhost:${PORT}` });
       startupLog.log("health endpoint", { url: `http://localhost:${PORT}/health` });
-      if (ALLOW_FROM.length) {
-        startupLog.log("allowlist active", { count: ALLOW_FROM.length });
+      if (ALLOW_FROM.length || callers.numbers().length) {
+        startupLog.log("allowlist active", { count: ALLOW_FROM.length + callers.numbers().length });
+      }
+      if (config.ACCESS_POLICY_FILE) {
+        startupLog.log("access policy loaded", { file: config.ACCESS_POLICY_FILE, ...ruleCounts(access.current()) });
+      }
+      if (callers.numbers().length) {
+        startupLog.log("caller directory loaded", { callers: callers.numbers().length });
+      }
+      if (router.numbers().length) {
+        startupLog.log("number routes loaded", { numbers: router.numbers() });
       }
       resolve(undefined);
     });
   });
 
-  return server;
+  return Object.assign(server, { phone, reload });
 }
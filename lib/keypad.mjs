@@ -0,0 +1,87 @@
+// @ts-check
+/**
+ * Keypad (DTMF) input on voice calls (DTMF_INPUT).
+ *
+ * With DTMF_INPUT the conversation <Gather>s take a key press as well as
+ * speech. A key listed in the menu (DTMF_MENU / dtmfMenu) runs a built-in
+ * action; any other key, and a number typed after the `keypad` action, goes to
+ * the agent as the caller's turn.
+ *
+ * Menu shape (JSON in the env var, an object in plugin config):
+ *
+ *   { "1": "repeat", "2": "new-topic", "9": "voicemail", "#": "hangup" }
+ */
+
+/** Built-in actions and how the spoken menu describes them. */
+export const KEYPAD_ACTIONS = /** @type {const} */ ({
+  "repeat":    "repeat the last answer",
+  "new-topic": "start a new topic",
+  "voicemail": "leave a voicemail",
+  "hangup":    "end the call",
+  "menu":      "hear these options again",
+  "keypad":    "type in a number",
+});
+
+/**
+ * @typedef {keyof typeof KEYPAD_ACTIONS} KeypadAction
+ * @typedef {Record<string, KeypadAction>} KeypadMenu - Key ("0"-"9", "*", "#") → action
+ */
+
+/**
+ * Validate a keypad menu.
+ *
+ * @param {unknown} menu   - Object, JSON string, or empty for no menu
+ * @param {string}  source - Where the menu came from (for error messages)
+ * @returns {KeypadMenu}
+ */
+export function parseKeypadMenu(menu, source = "DTMF_MENU") {
+  if (menu == null || menu === "") return {};
+  let table = menu;
+  if (typeof menu === "string") {
+    try {
+      table = JSON.parse(menu);
+    } catch (err) {
+      throw new Error(`${source}: invalid JSON: ${err.message}`, { cause: err });
+    }
+  }
+  if (!table || typeof table !== "object" || Array.isArray(table)) {
+    throw new Error(`${source}: expected an object keyed by keypad key`);
+  }
+  /** @type {KeypadMenu} */
+  const out = {};
+  for (const [key, action] of Object.entries(table)) {
+    if (!/^[0-9*#]$/.test(key)) throw new Error(`${source}["${key}"]: expected a single key 0-9, * or #`);
+    if (typeof action !== "string" || !Object.hasOwn(KEYPAD_ACTIONS, action)) {
+      throw new Error(`${source}["${key}"]: unknown action "${action}" (expected one of: ${Object.keys(KEYPAD_ACTIONS).join(", ")})`);
+    }
+    out[key] = /** @type {KeypadAction} */ (action);
+  }
+  return out;
+}
+
+/** @param {string} key */
+const keyName = (key) => (key === "#" ? "pound" : key === "*" ? "star" : key);
+
+/**
+ * The menu as one spoken sentence, e.g. "Press 1 to repeat the last answer,
+ * or pound to end the call." Empty for an empty menu.
+ *
+ * @param {KeypadMenu} menu
+ * @returns {string}
+ */
+export function keypadMenuText(menu) {
+  const options = Object.entries(menu).map(([key, action]) => `${keyName(key)} to ${KEYPAD_ACTIONS[action]}`);
+  if (!options.length) return "";
+  if (options.length > 1) options[options.length - 1] = `or ${options.at(-1)}`;
+  return `Press ${options.join(", ")}.`;
+}
+
+/**
+ * What the agent is told when the caller keys digits instead of speaking.
+ *
+ * @param {string} digits
+ * @returns {string}
+ */
+export function keypadMessage(digits) {
+  return `[The caller pressed ${digits} on the keypad]`;
+}
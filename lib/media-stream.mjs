@@ -0,0 +1,204 @@
+// @ts-check
+/**
+ * Twilio Media Streams call handling (VOICE_MODE=stream).
+ *
+ * One handler per WebSocket connection. Twilio sends JSON events: `connected`,
+ * `start` (call metadata plus the <Parameter> values from /voice), `media`
+ * (base64 μ-law caller audio, 20 ms per frame), `mark` (a playback marker we
+ * sent, echoed once played) and `stop`.
+ *
+ * Caller audio goes to the STT engine. A turn ends once a final transcript is
+ * in and the caller has been silent for `endpointMs`; the reply is synthesized
+ * and sent back as `media` messages followed by a `mark`. Caller speech lasting
+ * `bargeInMs` while a reply is still playing sends `clear`, which stops
+ * playback (barge-in). A turn that ends while the previous reply is still being
+ * generated supersedes it, as in gather mode.
+ *
+ * Timing follows the media timestamps rather than the wall clock, so recorded
+ * frame fixtures replay deterministically.
+ */
+import { isVoiced } from "./speech.mjs";
+import { createLogger } from "./utils.mjs";
+
+const streamLog = createLogger("media-stream");
+
+// Outbound audio is sent in chunks of this many bytes (400 ms of μ-law 8 kHz).
+const MEDIA_CHUNK_BYTES = 3200;
+
+/**
+ * @typedef {object} StreamCall
+ * @property {string} streamSid
+ * @property {string} callSid
+ * @property {Record<string, string>} parameters - <Parameter> values from the TwiML
+ */
+
+/**
+ * @typedef {object} StreamTurn
+ * @property {StreamCall} call
+ * @property {string} text               - What the caller said
+ * @property {() => boolean} isCurrent   - False once a newer turn started or the call ended
+ * @property {AbortSignal} signal        - Aborted when the turn is superseded or the call ends
+ */
+
+/**
+ * Drive one Media Streams connection.
+ *
+ * @param {import('./websocket.mjs').WebSocketConnection} ws
+ * @param {object} opts
+ * @param {import('./speech.mjs').SttEngine} opts.stt
+ * @param {import('./speech.mjs').TtsEngine} opts.tts
+ * @param {(turn: StreamTurn) => Promise<string>} opts.reply  - Agent reply for a finished caller turn
+ * @param {(call: StreamCall) => boolean} [opts.authorize]    - Returning false closes the stream (1008)
+ * @param {(call: StreamCall) => void}    [opts.onEnd]        - Called once when the stream ends
+ * @param {number} [opts.endpointMs] - Caller silence that ends a turn
+ * @param {number} [opts.bargeInMs]  - Caller speech that interrupts playback
+ * @param {number} [opts.startTimeoutMs] - A connection without an authorized `start` by then is closed (1008)
+ */
+export function handleMediaStream(ws, {
+  stt, tts, reply, authorize = () => true, onEnd = () => {}, endpointMs = 700, bargeInMs = 250, startTimeoutMs = 5000,
+}) {
+  /** @type {StreamCall|null} */
+  let call = null;
+  /** @type {import('./speech.mjs').SttSession|null} */
+  let recognizer = null;
+  let ended = false;
+  let finished = false;
+
+  // Caller audio clock (ms since stream start) and voice activity
+  let now = 0;
+  let lastVoiceAt = 0;
+  let voicedRunMs = 0;
+
+  /** @type {string[]} final transcripts of the turn in progress */
+  let heard = [];
+  let turnSeq = 0;
+  /** @type {AbortController|null} */
+  let turnAbort = null;
+  /** @type {Set<string>} marks sent but not yet echoed (reply audio still playing) */
+  const playing = new Set();
+
+  /** @param {object} msg */
+  const send = (msg) => ws.send(JSON.stringify(msg));
+
+  // Until `start` carries a valid token, the connection is anonymous: drop it
+  // if that takes too long rather than keep it open.
+  const startTimer = setTimeout(() => {
+    if (call || ended) return;
+    streamLog.warn("closed stream — no start message", { startTimeoutMs });
+    ended = true;
+    ws.close(1008, "no start message");
+  }, startTimeoutMs);
+
+  function _start(/** @type {any} */ start) {
+    call = {
+      streamSid:  String(start?.streamSid ?? ""),
+      callSid:    String(start?.callSid ?? ""),
+      parameters: { ...(start?.customParameters ?? {}) },
+    };
+    if (!authorize(call)) {
+      streamLog.warn("rejected stream — bad or missing token", { callSid: call.callSid });
+      ended = true;
+      ws.close(1008, "unauthorized");
+      return;
+    }
+    clearTimeout(startTimer);
+    streamLog.log("stream started", { callSid: call.callSid, streamSid: call.streamSid });
+    recognizer = stt.start({
+      onTranscript: ({ text, isFinal }) => {
+        if (ended || !isFinal) return;
+        heard.push(text);
+        _maybeEndTurn();
+      },
+      onError: (err) => streamLog.error("stt error", { callSid: call?.callSid, err: String(err) }),
+    });
+  }
+
+  function _media(/** @type {any} */ media) {
+    if (!call || ended || (media?.track && media.track !== "inbound")) return;
+    const frame = Buffer.from(String(media?.payload ?? ""), "base64");
+    const frameMs = frame.length / 8;
+    const at = Number(media?.timestamp);
+    now = Number.isFinite(at) ? at + frameMs : now + frameMs;
+
+    recognizer?.write(frame);
+    if (isVoiced(frame)) {
+      voicedRunMs += frameMs;
+      lastVoiceAt = now;
+      if (playing.size && voicedRunMs >= bargeInMs) _bargeIn();
+    } else {
+      voicedRunMs = 0;
+    }
+    _maybeEndTurn();
+  }
+
+  function _maybeEndTurn() {
+    if (!heard.length || now - lastVoiceAt < endpointMs) return;
+    const text = heard.join(" ");
+    heard = [];
+    _runTurn(text).catch((err) =>
+      streamLog.error("turn error", { callSid: call?.callSid, err: String(err) })
+    );
+  }
+
+  /** @param {string} text */
+  async function _runTurn(text) {
+    const seq = ++turnSeq;
+    turnAbort?.abort();
+    const controller = new AbortController();
+    turnAbort = controller;
+    const isCurrent = () => !ended && seq === turnSeq;
+    const turnCall = /** @type {StreamCall} */ (call);
+
+    const replyText = await reply({ call: turnCall, text, isCurrent, signal: controller.signal });
+    if (!replyText || !isCurrent()) return;
+
+    let audio;
+    try {
+      audio = await tts.synthesize(replyText, { signal: controller.signal });
+    } catch (err) {
+      if (isCurrent()) streamLog.error("tts error", { callSid: turnCall.callSid, err: String(err) });
+      return;
+    }
+    if (!isCurrent()) return;
+
+    for (let i = 0; i < audio.length; i += MEDIA_CHUNK_BYTES) {
+      const payload = audio.subarray(i, i + MEDIA_CHUNK_BYTES).toString("base64");
+      send({ event: "media", streamSid: turnCall.streamSid, media: { payload } });
+    }
+    const name = `reply-${seq}`;
+    playing.add(name);
+    send({ event: "mark", streamSid: turnCall.streamSid, mark: { name } });
+  }
+
+  function _bargeIn() {
+    streamLog.log("barge-in", { callSid: call?.callSid });
+    playing.clear();
+    send({ event: "clear", streamSid: call?.streamSid });
+  }
+
+  function _end() {
+    if (finished) return;
+    finished = true;
+    ended = true;
+    clearTimeout(startTimer);
+    turnAbort?.abort();
+    recognizer?.close();
+    recognizer = null;
+    if (call) {
+      streamLog.log("stream ended", { callSid: call.callSid });
+      onEnd(call);
+    }
+  }
+
+  ws.on("message", (data) => {
+    let msg;
+    try { msg = JSON.parse(data); } catch { return; }
+    switch (msg?.event) {
+      case "start": if (!call) _start(msg.start); break;
+      case "media": _media(msg.media); break;
+      case "mark":  playing.delete(String(msg.mark?.name ?? "")); break;
+      case "stop":  _end(); ws.close(1000); break;
+    }
+  });
+  ws.on("close", () => _end());
+}
@@ -0,0 +1,166 @@
+// @ts-check
+/**
+ * Outbound calls placed on the agent's behalf.
+ *
+ * createOutboundDialer() places a call through the Twilio REST client and
+ * records it here. The record carries the opening message / task until Twilio
+ * requests /outbound-answer, and collects the progress events Twilio posts to
+ * /call-status. Like voice-state.mjs, records are module-level so the HTTP
+ * server and the plugin tools see the same calls.
+ */
+import { createRouter, normalizeNumber } from "./routes.mjs";
+import { accessDecision } from "./access-policy.mjs";
+import { httpError } from "./utils.mjs";
+
+/**
+ * @typedef {object} OutboundCall
+ * @property {string}  callSid
+ * @property {string}  to        - Number called
+ * @property {string}  from      - Caller ID (the Twilio number the call is placed from)
+ * @property {string}  message   - Spoken when the call is answered ("" = agent opens)
+ * @property {string}  task      - Purpose of the call, given to the agent as context
+ * @property {string}  status    - Latest Twilio CallStatus
+ * @property {number}  duration  - Call length in seconds (set on completion)
+ * @property {{ status: string, at: number }[]} events - Status history, oldest first
+ * @property {number}  createdAt
+ * @property {number}  updatedAt
+ */
+
+/** Twilio CallStatus values after which no more callbacks arrive. */
+export const FINAL_CALL_STATUSES = ["completed", "busy", "no-answer", "failed", "canceled"];
+
+// Oldest records are dropped beyond this many calls.
+const MAX_CALLS = 200;
+
+/** @type {Map<string, OutboundCall>} key: CallSid */
+const calls = new Map();
+
+/**
+ * @param {string} status
+ * @returns {boolean}
+ */
+export function isFinalStatus(status) {
+  return FINAL_CALL_STATUSES.includes(status);
+}
+
+/**
+ * @param {string} callSid
+ * @returns {OutboundCall|undefined}
+ */
+export function getOutboundCall(callSid) {
+  return calls.get(callSid);
+}
+
+/**
+ * Record a Twilio status callback for an outbound call. Repeated callbacks
+ * with the current status are ignored.
+ *
+ * @param {Record<string, string>} form - /call-status form (CallSid, CallStatus, CallDuration)
+ * @returns {OutboundCall|undefined} The updated call, or undefined if unknown or unchanged
+ */
+export function recordCallStatus(form) {
+  const call = calls.get(form.CallSid);
+  const status = form.CallStatus || "";
+  if (!call || !status || call.status === status) return undefined;
+
+  const now = Date.now();
+  call.status = status;
+  call.updatedAt = now;
+  call.events.push({ status, at: now });
+  if (form.CallDuration) call.duration = Number(form.CallDuration) || 0;
+  return call;
+}
+
+/**
+ * Conversation-history entry that tells the agent it placed the call, and why.
+ * @param {OutboundCall} call
+ * @returns {string}
+ */
+export function outboundCallPrompt(call) {
+  const task = call.task ? ` Task: ${call.task}` : "";
+  return `[You placed this call to ${call.to}.${task}]`;
+}
+
+/**
+ * Conversation-history entry reporting how an outbound call ended.
+ * @param {OutboundCall} call
+ * @returns {string}
+ */
+export function outboundStatusNote(call) {
+  const length = call.status === "completed" ? ` after ${call.duration}s` : "";
+  return `[Outbound call to ${call.to} ended: ${call.status}${length}]`;
+}
+
+/**
+ * Create the dialer for a server configuration.
+ *
+ * @param {object} config - Server configuration (see lib/config.mjs for shape);
+ *                          uses PUBLIC_BASE_URL, TWILIO_CALL_FROM, TWILIO_SMS_FROM
+ *                          and the routes' caller allowlists
+ * @param {object} deps
+ * @param {ReturnType<typeof import('./twilio.mjs').createTwilioClient>|null} deps.twilioClient
+ * @param {ReturnType<typeof createRouter>} [deps.router]
+ * @param {Pick<ReturnType<typeof import('./access-policy.mjs').createAccessPolicy>, 'check'>} [deps.access]
+ *        Access policy; the callee must pass its voice rules. Without it only the line's allowlist applies.
+ *        Either way a callee no allow rule matches is refused
+ */
+export function createOutboundDialer(config, { twilioClient, router = createRouter(config), access }) {
+  const baseUrl = String(config.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+  const defaultFrom = config.TWILIO_CALL_FROM || config.TWILIO_SMS_FROM || "";
+
+  /**
+   * Place a call. When it is answered, `message` is spoken (or, without one,
+   * the agent opens the conversation from `task`) and the call continues in
+   * the usual /speech → /speech-wait loop.
+   *
+   * Errors carry a `statusCode` for the HTTP API: 400 for bad input, 403 for a
+   * number no allow rule matches (the line's allowlist or the access policy's
+   * voice rules) or a deny rule matches, 503 when calling is not configured.
+   *
+   * @param {{ to: string, from?: string, message?: string, task?: string }} opts
+   * @returns {Promise<OutboundCall>}
+   */
+  async function placeCall({ to, from, message = "", task = "" }) {
+    if (!twilioClient) throw httpError("Outbound calls need TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN", 503);
+    if (!baseUrl) throw httpError("Outbound calls need PUBLIC_BASE_URL", 503);
+
+    const callee = normalizeNumber(to);
+    const line = normalizeNumber(from || defaultFrom);
+    if (!/^\+\d{7,15}$/.test(callee)) throw httpError(`Invalid "to" number: ${to}`, 400);
+    if (!line) throw httpError("No caller ID: pass \"from\" or set TWILIO_CALL_FROM", 400);
+    if (!message.trim() && !task.trim()) throw httpError("Either \"message\" or \"task\" is required", 400);
+
+    const { allowFrom } = router.resolve(line);
+    const decision = access
+      ? access.check("voice", callee, allowFrom, { explicit: true })
+      : accessDecision({ allow: allowFrom }, callee, { explicit: true });
+    if (!decision.allowed) throw httpError(`${callee} may not be called from ${line}: ${decision.reason}`, 403);
+
+    const result = await twilioClient.placeCall({
+      to: callee,
+      from: line,
+      url: `${baseUrl}/outbound-answer`,
+      statusCallback: `${baseUrl}/call-status`,
+    });
+
+    const now = Date.now();
+    /** @type {OutboundCall} */
+    const call = {
+      callSid:   result.sid,
+      to:        callee,
+      from:      line,
+      message:   message.trim(),
+      task:      task.trim(),
+      status:    result.status,
+      duration:  0,
+      events:    [{ status: result.status, at: now }],
+      createdAt: now,
+      updatedAt: now,
+    };
+    calls.set(call.callSid, call);
+    while (calls.size > MAX_CALLS) calls.delete(/** @type {string} */ (calls.keys().next().value));
+    return call;
+  }
+
+  return { placeCall };
+}
@@ -0,0 +1,151 @@
+// @ts-check
+/**
+ * Multi-tenant number routing.
+ *
+ * Maps each inbound Twilio `To` number to its own agent and settings. Routes
+ * come from a JSON file (ROUTES_FILE / routesFile) and, in plugin mode, the
+ * inline `routes` object; inline entries win over file entries for the same
+ * number. Numbers without a route use the global configuration.
+ *
+ * Route file / plugin shape (every setting is optional):
+ *
+ *   {
+ *     "+15550001111": {
+ *       "agentId": "sales", "sessionId": "sales", "greeting": "Sales, how can I help?",
+ *       "voice": "Polly.Joanna", "allowFrom": ["+15557654321"],
+ *       "smsMaxChars": 160, "discordChannelId": "1234567890", "record": true
+ *     }
+ *   }
+ */
+import { readFileSync } from "node:fs";
+
+/**
+ * Settings in effect for one inbound number.
+ *
+ * @typedef {object} Route
+ * @property {string}   number           - Matched `To` number, or "" for the default route
+ * @property {string}   agentId          - OpenClaw agent ID
+ * @property {string}   sessionId        - OpenClaw session ID
+ * @property {string}   greeting         - Voice greeting
+ * @property {string}   voice            - TwiML <Say> voice
+ * @property {string[]} allowFrom        - Caller allowlist (empty = allow all)
+ * @property {number}   smsMaxChars      - SMS reply length limit
+ * @property {string}   discordChannelId - Discord log channel ("" = default)
+ * @property {boolean}  record           - Record calls to this number (RECORD_CALLS)
+ */
+
+const ROUTE_KEYS = /** @type {const} */ ({
+  agentId:          "string",
+  sessionId:        "string",
+  greeting:         "string",
+  voice:            "string",
+  allowFrom:        "array",
+  smsMaxChars:      "number",
+  discordChannelId: "string",
+  record:           "boolean",
+});
+
+/**
+ * Normalize a phone number the way the webhook handlers do (leading "+").
+ * @param {string|undefined} number
+ * @returns {string}
+ */
+export function normalizeNumber(number) {
+  const trimmed = String(number ?? "").trim();
+  if (!trimmed) return "";
+  return trimmed.startsWith("+") ? trimmed : `+${trimmed}`;
+}
+
+/**
+ * Validate a routing table and normalize its numbers.
+ *
+ * @param {unknown} table  - `{ [toNumber]: routeSettings }`
+ * @param {string}  source - Where the table came from (for error messages)
+ * @returns {Record<string, Partial<Route>>}
+ */
+export function parseRoutes(table, source = "routes") {
+  if (table == null) return {};
+  if (typeof table !== "object" || Array.isArray(table)) {
+    throw new Error(`${source}: expected an object keyed by phone number`);
+  }
+  /** @type {Record<string, Partial<Route>>} */
+  const out = {};
+  for (const [number, settings] of Object.entries(table)) {
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      throw new Error(`${source}["${number}"]: expected an object`);
+    }
+    for (const [key, value] of Object.entries(settings)) {
+      const expected = ROUTE_KEYS[/** @type {keyof typeof ROUTE_KEYS} */ (key)];
+      if (!expected) throw new Error(`${source}["${number}"]: unknown setting "${key}"`);
+      const actual = Array.isArray(value) ? "array" : typeof value;
+      if (actual !== expected) {
+        throw new Error(`${source}["${number}"].${key}: expected ${expected}, got ${actual}`);
+      }
+    }
+    out[normalizeNumber(number)] = /** @type {Partial<Route>} */ (settings);
+  }
+  return out;
+}
+
+/**
+ * Read a routing table from a JSON file.
+ *
+ * @param {string} path
+ * @returns {Record<string, Partial<Route>>}
+ */
+export function loadRoutesFile(path) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read routes file ${path}: ${err.message}`, { cause: err });
+  }
+  return parseRoutes(data, path);
+}
+
+/**
+ * Build the router for a server configuration.
+ *
+ * @param {object} config - Server configuration (see lib/config.mjs for shape);
+ *                          uses ROUTES, ROUTES_FILE and the global defaults
+ * @param {object}   [options]
+ * @param {string[]} [options.callerNumbers] - Caller directory numbers, allowed
+ *                   along with ALLOW_FROM on routes without their own `allowFrom`
+ */
+export function createRouter(config, { callerNumbers = [] } = {}) {
+  /** @type {Omit<Route, 'number'>} */
+  const defaults = {
+    agentId:          config.OPENCLAW_AGENT_ID,
+    sessionId:        config.OPENCLAW_PHONE_SESSION_ID,
+    greeting:         config.GREETING_TEXT,
+    voice:            config.TWILIO_VOICE,
+    allowFrom:        [...(config.ALLOW_FROM ?? []), ...callerNumbers],
+    smsMaxChars:      config.SMS_MAX_CHARS,
+    discordChannelId: config.DISCORD_LOG_CHANNEL_ID ?? "",
+    record:           config.RECORD_CALLS ?? false,
+  };
+
+  const table = {
+    ...(config.ROUTES_FILE ? loadRoutesFile(config.ROUTES_FILE) : {}),
+    ...parseRoutes(config.ROUTES),
+  };
+
+  /**
+   * Settings for an inbound `To` number.
+   * @param {string|undefined} to
+   * @returns {Route}
+   */
+  function resolve(to) {
+    const number = normalizeNumber(to);
+    const override = table[number];
+    if (!override) return { number: "", ...defaults };
+    return { ...defaults, ...override, number };
+  }
+
+  /** @returns {string[]} Configured numbers */
+  function numbers() {
+    return Object.keys(table);
+  }
+
+  return { resolve, numbers };
+}
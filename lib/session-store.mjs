@@ -0,0 +1,208 @@
+// @ts-check
+/**
+ * Per-caller conversation history.
+ *
+ * Accumulates `{ role, content }` messages across voice and SMS turns so that
+ * adapters which take the full history (ADR 001) see the conversation so far.
+ * The window is bounded by turn count and an estimated token budget, and idle
+ * sessions expire. Storage is pluggable: in-memory by default, or a JSON file
+ * that survives restarts.
+ */
+import { readFileSync, writeFileSync, renameSync, mkdirSync, existsSync } from "node:fs";
+import { dirname } from "node:path";
+
+/**
+ * @typedef {import('./agent.mjs').AgentMessage & { id?: string }} SessionMessage
+ * `id` ties a message to its source (e.g. the inbound MessageSid) so that a
+ * retried turn replaces the earlier attempt instead of duplicating it.
+ */
+
+/**
+ * @typedef {object} Session
+ * @property {SessionMessage[]} messages
+ * @property {number}           updatedAt
+ */
+
+/**
+ * Storage backend for sessions. Implementations must be synchronous.
+ *
+ * @typedef {object} SessionBackend
+ * @property {(key: string) => Session|undefined}          get
+ * @property {(key: string, session: Session) => void}     set
+ * @property {(key: string) => void}                       delete
+ * @property {() => Iterable<[string, Session]>}           entries
+ */
+
+/** @returns {SessionBackend} */
+export function createMemorySessionBackend() {
+  /** @type {Map<string, Session>} */
+  const sessions = new Map();
+  return {
+    get: (key) => sessions.get(key),
+    set: (key, session) => { sessions.set(key, session); },
+    delete: (key) => { sessions.delete(key); },
+    entries: () => sessions.entries(),
+  };
+}
+
+/**
+ * JSON-file backend. The whole store is loaded once and rewritten atomically
+ * (temp file + rename) on every change, which is fine for the small number of
+ * callers a phone line serves.
+ *
+ * @param {string} path
+ * @returns {SessionBackend}
+ */
+export function createFileSessionBackend(path) {
+  /** @type {Map<string, Session>} */
+  const sessions = new Map();
+  if (existsSync(path)) {
+    const data = JSON.parse(readFileSync(path, "utf8"));
+    for (const [key, session] of Object.entries(data)) sessions.set(key, session);
+  }
+
+  function flush() {
+    mkdirSync(dirname(path), { recursive: true });
+    const tmp = `${path}.tmp`;
+    writeFileSync(tmp, JSON.stringify(Object.fromEntries(sessions)));
+    renameSync(tmp, path);
+  }
+
+  return {
+    get: (key) => sessions.get(key),
+    set: (key, session) => { sessions.set(key, session); flush(); },
+    delete: (key) => { if (sessions.delete(key)) flush(); },
+    entries: () => sessions.entries(),
+  };
+}
+
+/**
+ * Rough token estimate (~4 characters per token) used for the history window.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+/**
+ * Build the session key for a caller.
+ *
+ * @param {'caller'|'call'} scope - "caller" shares history across calls and SMS;
+ *                                  "call" starts fresh history for every CallSid
+ * @param {{ from: string, callSid?: string, line?: string }} ids
+ *        `line` is the routed number that was dialled (lib/routes.mjs); callers
+ *        get separate history per routed number
+ * @returns {string}
+ */
+export function sessionKeyFor(scope, { from, callSid, line }) {
+  const key = scope === "call" && callSid ? `${from}:${callSid}` : from;
+  return line ? `${line}>${key}` : key;
+}
+
+/**
+ * @param {object} [options]
+ * @param {number}         [options.maxTurns]  - Max user/assistant pairs kept (0 = unlimited)
+ * @param {number}         [options.maxTokens] - Max estimated tokens kept (0 = unlimited)
+ * @param {number}         [options.idleTtlMs] - Sessions idle longer than this expire
+ * @param {SessionBackend} [options.backend]
+ * @param {() => number}   [options.now]       - Injectable clock (for testing)
+ */
+export function createSessionStore({
+  maxTurns = 20,
+  maxTokens = 4000,
+  idleTtlMs = 30 * 60 * 1000,
+  backend = createMemorySessionBackend(),
+  now = Date.now,
+} = {}) {
+  /** @param {Session|undefined} session */
+  const isExpired = (session) => !session || now() - session.updatedAt > idleTtlMs;
+
+  /**
+   * Drop the oldest messages until the window fits. The newest message is
+   * always kept, and history never starts with an assistant message.
+   * @param {SessionMessage[]} messages
+   */
+  function trim(messages) {
+    const out = [...messages];
+    const tokens = () => out.reduce((n, m) => n + estimateTokens(m.content), 0);
+    while (out.length > 1 && (
+      (maxTurns > 0 && out.length > maxTurns * 2) ||
+      (maxTokens > 0 && tokens() > maxTokens)
+    )) {
+      out.shift();
+    }
+    while (out.length > 1 && out[0].role === "assistant") out.shift();
+    return out;
+  }
+
+  /** @param {SessionMessage[]} messages @returns {import('./agent.mjs').AgentMessage[]} */
+  const strip = (messages) => messages.map(({ role, content }) => ({ role, content }));
+
+  /**
+   * Current history for a key (empty if none or expired).
+   * @param {string} key
+   * @returns {import('./agent.mjs').AgentMessage[]}
+   */
+  function history(key) {
+    const session = backend.get(key);
+    if (isExpired(session)) return [];
+    return strip(/** @type {Session} */ (session).messages);
+  }
+
+  /**
+   * Append a message and return the updated history.
+   *
+   * A message whose `id` and `role` match an existing entry replaces it. For a
+   * user message everything after the replaced entry is dropped too, so the
+   * retried message is once again the current (last) turn.
+   *
+   * @param {string}         key
+   * @param {SessionMessage} message
+   * @returns {import('./agent.mjs').AgentMessage[]}
+   */
+  function append(key, message) {
+    const session = backend.get(key);
+    let messages = isExpired(session) ? [] : [.../** @type {Session} */ (session).messages];
+
+    const idx = message.id
+      ? messages.findIndex((m) => m.id === message.id && m.role === message.role)
+      : -1;
+    if (idx === -1) {
+      messages.push(message);
+    } else if (message.role === "user") {
+      messages = [...messages.slice(0, idx), message];
+    } else {
+      messages[idx] = message;
+    }
+
+    messages = trim(messages);
+    backend.set(key, { messages, updatedAt: now() });
+    return strip(messages);
+  }
+
+  /** @param {string} key */
+  function clear(key) {
+    backend.delete(key);
+  }
+
+  /**
+   * Remove idle sessions.
+   * @returns {number} Number of sessions removed
+   */
+  function sweep() {
+    const expired = [];
+    for (const [key, session] of backend.entries()) {
+      if (isExpired(session)) expired.push(key);
+    }
+    for (const key of expired) backend.delete(key);
+    return expired.length;
+  }
+
+  /** @returns {number} */
+  function size() {
+    return [...backend.entries()].length;
+  }
+
+  return { history, append, clear, sweep, size };
+}
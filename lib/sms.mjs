@@ -1,13 +1,17 @@
 // @ts-check
 import { setTimeout as delay } from "node:timers/promises";
 import twilio from "twilio";
+import { httpError } from "./utils.mjs";
+import { accessDecision } from "./access-policy.mjs";
 
 /**
  * @typedef {object} SmsDeps
- * @property {(opts: { userText: string, mode: string }) => Promise<string>}  openclawReply
+ * @property {(opts: { userText: string, mode: string, from: string, messageSid?: string }) => Promise<string>}  openclawReply
  * @property {((opts: { text: string }) => Promise<void>)=}                   discordLog
  * @property {((opts: { to: string, from: string, body: string }) => Promise<*>)=} twilioSendSms
  * @property {string=} smsFrom
+ * @property {((entry: { speaker: 'caller'|'agent', text: string, latencyMs?: number }) => void)=} transcript
+ *           Record the message and the reply that was sent (TRANSCRIPT_DIR)
  */
 
 /**
@@ -17,6 +21,14 @@ import twilio from "twilio";
  * @property {(() => Promise<void>)|null} startAsync
  */
 
+/**
+ * @typedef {object} OutboundSmsDeps
+ * @property {((opts: { to: string, from: string, body: string }) => Promise<import('./twilio.mjs').SmsResult>)=} twilioSendSms
+ * @property {((to: string) => boolean)=}                    rateLimit     - false = over the limit
+ * @property {((opts: { text: string }) => Promise<void>)=}  discordLog
+ * @property {((opts: { to: string, body: string, sid: string }) => void)=} recordMessage - e.g. append to history
+ */
+
 const { MessagingResponse } = twilio.twiml;
 
 export function twimlMessage(text) {
@@ -62,12 +74,16 @@ export async function withTimeout(promise, ms) {
 /**
  * Core SMS handler logic in a testable form.
  *
- * @param {{ form: Record<string,string>, allowFrom?: string[], ackText?: string, fastTimeoutMs?: number, maxChars?: number, deps: SmsDeps, log?: Function, error?: Function }} opts
+ * @param {{ form: Record<string,string>, allowFrom?: string[], access?: import('./access-policy.mjs').AccessDecision, callerName?: string, ackText?: string, fastTimeoutMs?: number, maxChars?: number, deps: SmsDeps, log?: Function, error?: Function }} opts
+ *        `callerName`: the sender's name in the caller directory, for the Discord log.
+ *        `access`: the access policy's decision for the sender; defaults to checking `allowFrom`
  * @returns {Promise<SmsHandlerResult>}
  */
 export async function handleIncomingSms({
   form,
   allowFrom = [],
+  access,
+  callerName = "",
   ackText = "Got it - thinking. I'll text you back in a moment.",
   fastTimeoutMs = 9000,
   maxChars = 280,
@@ -80,6 +96,7 @@ export async function handleIncomingSms({
   const from = form?.From;
   const to = form?.To;
   const text = form?.Body;
+  const messageSid = form?.MessageSid;
   const fromTrimmed = from?.trim() ?? "";
   const fromNormalized = fromTrimmed.startsWith("+") ? fromTrimmed : `+${fromTrimmed}`;
   const preview = String(text ?? "").slice(0, 80) + (String(text ?? "").length > 80 ? "…" : "");
@@ -88,14 +105,15 @@ export async function handleIncomingSms({
 
   // Log to Discord if configured
   if (deps?.discordLog) {
-    void deps.discordLog({ text: `💬 **SMS (${from})**: ${text}` }).catch(() => {});
+    const sender = callerName ? `${callerName}, ${from}` : from;
+    void deps.discordLog({ text: `💬 **SMS (${sender})**: ${text}` }).catch(() => {});
   }
 
   // For SMS: accept from anyone, but only reply if sender is allowed
-  const isAllowedSender = !allowFrom.length || (fromNormalized && allowFrom.includes(fromNormalized));
+  const decision = access ?? accessDecision({ allow: allowFrom }, fromNormalized);
 
-  if (!isAllowedSender) {
-    log(`[clawphone:sms] rejected sender ${fromNormalized} (not in allowlist)`);
+  if (!decision.allowed) {
+    log(`[clawphone:sms] rejected sender ${fromNormalized} (${decision.reason})`);
     return {
       twiml: twimlMessage("Unauthorized"),
       didAck: false,
@@ -104,12 +122,18 @@ export async function handleIncomingSms({
   }
 
   const smsFrom = deps.smsFrom || to;
+  deps.transcript?.({ speaker: "caller", text: String(text ?? "") });
 
   // Try fast path
+  const fastStart = Date.now();
   try {
-    const fastReplyRaw = await withTimeout(deps.openclawReply({ userText: text, mode: "sms" }), fastTimeoutMs);
+    const fastReplyRaw = await withTimeout(
+      deps.openclawReply({ userText: text, mode: "sms", from: fromNormalized, messageSid }),
+      fastTimeoutMs,
+    );
     const fastReply = normalizeSmsText(fastReplyRaw || "Okay", { maxChars });
     log(`[clawphone:sms] reply (fast, ${fastReply.length} chars)`);
+    deps.transcript?.({ speaker: "agent", text: fastReply, latencyMs: Date.now() - fastStart });
     return {
       twiml: twimlMessage(fastReply),
       didAck: false,
@@ -122,8 +146,9 @@ export async function handleIncomingSms({
   // Slow path: ack now, then async send
   const startAsync = async () => {
     let reply;
+    const asyncStart = Date.now();
     try {
-      const replyRaw = await deps.openclawReply({ userText: text, mode: "sms" });
+      const replyRaw = await deps.openclawReply({ userText: text, mode: "sms", from: fromNormalized, messageSid });
       reply = normalizeSmsText(replyRaw || "Okay", { maxChars });
       log(`[clawphone:sms] reply (async, ${reply.length} chars)`);
     } catch (e) {
@@ -139,6 +164,7 @@ export async function handleIncomingSms({
     try {
       const sent = await deps.twilioSendSms({ to: from, from: smsFrom, body: reply });
       log(`[clawphone:sms] async send ok sid=${sent?.sid ?? "(unknown)"}`);
+      deps.transcript?.({ speaker: "agent", text: reply, latencyMs: Date.now() - asyncStart });
     } catch (e) {
       error(`[clawphone:sms] async send failed: ${String(e)}`);
     }
@@ -150,3 +176,51 @@ export async function handleIncomingSms({
     startAsync,
   };
 }
+
+/**
+ * Send a proactive (agent- or API-initiated) SMS.
+ *
+ * The text gets the same normalization as replies. Errors carry a
+ * `statusCode` for the HTTP API: 400 for bad input, 403 for a number no allow
+ * rule matches (an empty allowlist refuses every number) or a deny rule
+ * matches, 429 when rate limited, 503 when Twilio is not configured.
+ *
+ * @param {{ to: string, from: string, body: string, allowFrom?: string[], checkAccess?: (to: string) => import('./access-policy.mjs').AccessDecision, maxChars?: number, deps: OutboundSmsDeps, log?: Function }} opts
+ *        `checkAccess`: the access policy's check for the normalized recipient; defaults to requiring a match in `allowFrom`
+ * @returns {Promise<import('./twilio.mjs').SmsResult>}
+ */
+export async function sendOutboundSms({
+  to,
+  from,
+  body,
+  allowFrom = [],
+  checkAccess = (number) => accessDecision({ allow: allowFrom }, number, { explicit: true }),
+  maxChars = 280,
+  deps,
+  log = () => {},
+}) {
+  if (!deps.twilioSendSms) throw httpError("Sending SMS needs TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN", 503);
+
+  const toTrimmed = String(to ?? "").trim();
+  const toNormalized = toTrimmed.startsWith("+") ? toTrimmed : `+${toTrimmed}`;
+  if (!/^\+\d{7,15}$/.test(toNormalized)) throw httpError(`Invalid "to" number: ${to}`, 400);
+  if (!from) throw httpError("No sender: pass \"from\" or set TWILIO_SMS_FROM", 400);
+
+  const text = normalizeSmsText(body, { maxChars });
+  if (!text) throw httpError("\"body\" is required", 400);
+
+  const decision = checkAccess(toNormalized);
+  if (!decision.allowed) throw httpError(`${toNormalized} may not be texted: ${decision.reason}`, 403);
+  if (deps.rateLimit && !deps.rateLimit(toNormalized)) {
+    throw httpError(`Too many messages to ${toNormalized}; try again later`, 429);
+  }
+
+  const sent = await deps.twilioSendSms({ to: toNormalized, from, body: text });
+  log(`[clawphone:sms] outbound to ${toNormalized} sid=${sent?.sid ?? "(unknown)"} (${text.length} chars)`);
+
+  deps.recordMessage?.({ to: toNormalized, body: text, sid: sent?.sid ?? "" });
+  if (deps.discordLog) {
+    void deps.discordLog({ text: `💬 **SMS → ${toNormalized}**: ${text}` }).catch(() => {});
+  }
+  return sent;
+}
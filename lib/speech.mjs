@@ -0,0 +1,136 @@
+// @ts-check
+/**
+ * Speech engines for VOICE_MODE=stream.
+ *
+ * Media Streams carries raw audio, so speech recognition (STT) and synthesis
+ * (TTS) happen here instead of in Twilio's <Gather>/<Say>. Engines are
+ * pluggable, like the agent adapters: `createSpeech(config)` returns the
+ * engines named by STT_PROVIDER / TTS_PROVIDER. All audio is 8 kHz mono μ-law,
+ * Twilio's Media Streams format, so it passes through without resampling.
+ */
+import { createDeepgramStt, createDeepgramTts } from "./speech/deepgram.mjs";
+
+/**
+ * A transcript from the STT engine. Interim results may be revised; only
+ * final results are used for turns.
+ *
+ * @typedef {object} Transcript
+ * @property {string}  text
+ * @property {boolean} isFinal
+ */
+
+/**
+ * @typedef {object} SttSession
+ * @property {(audio: Buffer) => void} write - μ-law 8 kHz audio, in arrival order
+ * @property {() => void}              close
+ */
+
+/**
+ * @typedef {object} SttEngine
+ * @property {(handlers: { onTranscript: (t: Transcript) => void, onError?: (err: Error) => void }) => SttSession} start
+ *           Open a recognition session for one call
+ */
+
+/**
+ * @typedef {object} TtsEngine
+ * @property {(text: string, opts?: { signal?: AbortSignal }) => Promise<Buffer>} synthesize
+ *           Render text as μ-law 8 kHz audio
+ */
+
+export const STT_PROVIDERS = ["deepgram"];
+export const TTS_PROVIDERS = ["deepgram"];
+
+/**
+ * Build the STT and TTS engines named by the configuration.
+ *
+ * @param {object} config - Server configuration (see lib/config.mjs for shape)
+ * @returns {{ stt: SttEngine, tts: TtsEngine }}
+ */
+export function createSpeech(config) {
+  return { stt: _createStt(config), tts: _createTts(config) };
+}
+
+/** @param {any} config @returns {SttEngine} */
+function _createStt(config) {
+  switch (config.STT_PROVIDER) {
+    case "deepgram":
+      return createDeepgramStt({
+        apiKey:  config.DEEPGRAM_API_KEY,
+        baseUrl: config.DEEPGRAM_BASE_URL,
+        model:   config.DEEPGRAM_STT_MODEL,
+      });
+    default:
+      throw new Error(`Unknown STT_PROVIDER "${config.STT_PROVIDER}" (expected one of: ${STT_PROVIDERS.join(", ")})`);
+  }
+}
+
+/** @param {any} config @returns {TtsEngine} */
+function _createTts(config) {
+  switch (config.TTS_PROVIDER) {
+    case "deepgram":
+      return createDeepgramTts({
+        apiKey:  config.DEEPGRAM_API_KEY,
+        baseUrl: config.DEEPGRAM_BASE_URL,
+        voice:   config.DEEPGRAM_TTS_VOICE,
+      });
+    default:
+      throw new Error(`Unknown TTS_PROVIDER "${config.TTS_PROVIDER}" (expected one of: ${TTS_PROVIDERS.join(", ")})`);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// μ-law (G.711) helpers
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Decode one μ-law byte to a 16-bit linear sample.
+ * @param {number} byte
+ * @returns {number}
+ */
+export function mulawToLinear(byte) {
+  const u = ~byte & 0xff;
+  const exponent = (u >> 4) & 0x07;
+  const sample = (((u & 0x0f) << 3) + 0x84 << exponent) - 0x84;
+  return u & 0x80 ? -sample : sample;
+}
+
+/**
+ * Encode a 16-bit linear sample as μ-law.
+ * @param {number} sample
+ * @returns {number}
+ */
+export function linearToMulaw(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(Math.round(sample)), 32635) + 0x84;
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/**
+ * Root-mean-square level of a μ-law frame (0 = digital silence).
+ * @param {Buffer} frame
+ * @returns {number}
+ */
+export function frameLevel(frame) {
+  if (!frame.length) return 0;
+  let sum = 0;
+  for (const byte of frame) {
+    const s = mulawToLinear(byte);
+    sum += s * s;
+  }
+  return Math.sqrt(sum / frame.length);
+}
+
+// Phone-line background noise sits well below this; speech is typically 2000+.
+const VOICE_LEVEL = 800;
+
+/**
+ * Energy-based voice activity check for one frame.
+ * @param {Buffer} frame - μ-law audio
+ * @returns {boolean}
+ */
+export function isVoiced(frame) {
+  return frameLevel(frame) >= VOICE_LEVEL;
+}
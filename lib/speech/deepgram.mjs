@@ -0,0 +1,111 @@
+// @ts-check
+/**
+ * Deepgram speech engines.
+ *
+ * STT streams the caller's μ-law audio over Deepgram's live WebSocket API and
+ * reports interim and final transcripts. TTS renders replies with the
+ * `/v1/speak` REST endpoint, asking for raw μ-law 8 kHz so the audio can be
+ * sent to Twilio unchanged.
+ */
+
+/**
+ * Create the streaming STT engine.
+ *
+ * @param {object} options
+ * @param {string} options.apiKey
+ * @param {string} [options.baseUrl] - API base URL (https; the WebSocket URL is derived from it)
+ * @param {string} [options.model]   - Recognition model
+ * @returns {import('../speech.mjs').SttEngine}
+ */
+export function createDeepgramStt({ apiKey, baseUrl = "https://api.deepgram.com", model = "nova-2" }) {
+  if (!apiKey) throw new Error("DEEPGRAM_API_KEY is required when STT_PROVIDER=deepgram");
+  const query = new URLSearchParams({
+    encoding: "mulaw",
+    sample_rate: "8000",
+    channels: "1",
+    model,
+    interim_results: "true",
+    punctuate: "true",
+  });
+  const url = `${baseUrl.replace(/\/+$/, "").replace(/^http/, "ws")}/v1/listen?${query}`;
+
+  /** @type {import('../speech.mjs').SttEngine["start"]} */
+  function start({ onTranscript, onError = () => {} }) {
+    const ws = new WebSocket(url, ["token", apiKey]);
+    ws.binaryType = "arraybuffer";
+    /** @type {Buffer[]} */
+    let queued = [];
+    let closing = false;
+
+    ws.addEventListener("open", () => {
+      for (const audio of queued) ws.send(audio);
+      queued = [];
+      if (closing) _finish();
+    });
+    ws.addEventListener("message", (event) => {
+      let msg;
+      try { msg = JSON.parse(String(event.data)); } catch { return; }
+      if (msg?.type !== "Results") return;
+      const text = String(msg.channel?.alternatives?.[0]?.transcript ?? "").trim();
+      if (text) onTranscript({ text, isFinal: Boolean(msg.is_final) });
+    });
+    ws.addEventListener("error", () => {
+      if (!closing) onError(new Error("Deepgram STT connection error"));
+    });
+
+    function _finish() {
+      ws.send(JSON.stringify({ type: "CloseStream" }));
+      ws.close(1000);
+    }
+
+    return {
+      write(audio) {
+        if (closing) return;
+        if (ws.readyState === WebSocket.OPEN) ws.send(audio);
+        else if (ws.readyState === WebSocket.CONNECTING) queued.push(audio);
+      },
+      close() {
+        if (closing) return;
+        closing = true;
+        if (ws.readyState === WebSocket.OPEN) _finish();
+        else if (ws.readyState !== WebSocket.CONNECTING) queued = [];
+      },
+    };
+  }
+
+  return { start };
+}
+
+/**
+ * Create the TTS engine.
+ *
+ * @param {object} options
+ * @param {string} options.apiKey
+ * @param {string} [options.baseUrl]   - API base URL
+ * @param {string} [options.voice]     - Aura voice model
+ * @param {number} [options.timeoutMs] - Request timeout in ms
+ * @returns {import('../speech.mjs').TtsEngine}
+ */
+export function createDeepgramTts({ apiKey, baseUrl = "https://api.deepgram.com", voice = "aura-asteria-en", timeoutMs = 30_000 }) {
+  if (!apiKey) throw new Error("DEEPGRAM_API_KEY is required when TTS_PROVIDER=deepgram");
+  const query = new URLSearchParams({ model: voice, encoding: "mulaw", sample_rate: "8000", container: "none" });
+  const url = `${baseUrl.replace(/\/+$/, "")}/v1/speak?${query}`;
+
+  /** @type {import('../speech.mjs').TtsEngine["synthesize"]} */
+  async function synthesize(text, { signal } = {}) {
+    const timeout = AbortSignal.timeout(timeoutMs);
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "content-type": "application/json", authorization: `Token ${apiKey}` },
+      body: JSON.stringify({ text }),
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+    });
+    if (!res.ok) {
+      const detail = (await res.text()).slice(0, 200);
+      throw new Error(`Deepgram TTS HTTP ${res.status}: ${detail}`);
+    }
+    return Buffer.from(await res.arrayBuffer());
+  }
+
+  return { synthesize };
+}
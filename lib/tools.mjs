@@ -0,0 +1,110 @@
+// @ts-check
+/**
+ * OpenClaw agent tools (plugin mode).
+ *
+ * index.mjs registers these with `api.registerTool()`, when the operator turns
+ * on `phoneTools`, so the agent can act on the phone line itself. The tools call the running server's PhoneActions, so
+ * they share its routes, rate limiter and conversation history. Each tool
+ * returns a text result; failures are returned as text too, so the agent can
+ * tell the user what went wrong.
+ */
+import { getOutboundCall } from "./outbound.mjs";
+
+/**
+ * @typedef {object} AgentTool
+ * @property {string} name
+ * @property {string} description
+ * @property {object} parameters - JSON Schema for the tool arguments
+ * @property {(toolCallId: string, params: Record<string, unknown>) => Promise<{ content: { type: "text", text: string }[] }>} execute
+ */
+
+/** @param {string} text */
+const _text = (text) => ({ content: [{ type: /** @type {const} */ ("text"), text }] });
+
+const NOT_RUNNING = "The phone gateway is not running.";
+
+/**
+ * Build the phone tools.
+ *
+ * @param {() => import('./http-server.mjs').PhoneActions|null|undefined} getPhone
+ *        Actions of the running server (null while the service is stopped)
+ * @returns {AgentTool[]}
+ */
+export function createPhoneTools(getPhone) {
+  return [
+    {
+      name: "phone_call",
+      description:
+        "Place an outbound phone call to an allowed number. When answered, `message` is spoken (or, " +
+        "without one, you open the conversation based on `task`) and the call continues as a normal voice conversation. " +
+        "Returns the CallSid; use phone_call_status to see whether the call was answered.",
+      parameters: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          to:      { type: "string", description: "Number to call, E.164 (e.g. +15551234567)" },
+          message: { type: "string", description: "Opening message spoken when the call is answered" },
+          task:    { type: "string", description: "Purpose of the call, kept as context for the conversation" },
+        },
+        required: ["to"],
+      },
+      async execute(_toolCallId, params) {
+        const phone = getPhone();
+        if (!phone) return _text(NOT_RUNNING);
+        try {
+          const call = await phone.placeCall({
+            to:      String(params.to ?? ""),
+            message: String(params.message ?? ""),
+            task:    String(params.task ?? ""),
+          });
+          return _text(`Calling ${call.to} (CallSid ${call.callSid}, status ${call.status}).`);
+        } catch (err) {
+          return _text(`Could not place the call: ${err.message}`);
+        }
+      },
+    },
+    {
+      name: "phone_call_status",
+      description: "Status of an outbound call placed with phone_call (queued, ringing, in-progress, completed, busy, no-answer, failed, canceled).",
+      parameters: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          callSid: { type: "string", description: "CallSid returned by phone_call" },
+        },
+        required: ["callSid"],
+      },
+      async execute(_toolCallId, params) {
+        const call = getOutboundCall(String(params.callSid ?? ""));
+        if (!call) return _text(`No outbound call with CallSid ${params.callSid}.`);
+        const duration = call.duration ? `, ${call.duration}s` : "";
+        return _text(`Call to ${call.to}: ${call.status}${duration}.`);
+      },
+    },
+    {
+      name: "phone_sms",
+      description:
+        "Send a text message to an allowed phone number. Plain text only; long messages are shortened " +
+        "to the SMS length limit. The recipient's reply continues the same conversation.",
+      parameters: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          to:   { type: "string", description: "Recipient number, E.164 (e.g. +15551234567)" },
+          body: { type: "string", description: "Message text" },
+        },
+        required: ["to", "body"],
+      },
+      async execute(_toolCallId, params) {
+        const phone = getPhone();
+        if (!phone) return _text(NOT_RUNNING);
+        try {
+          const sent = await phone.sendSms({ to: String(params.to ?? ""), body: String(params.body ?? "") });
+          return _text(`Text sent to ${sent.to} (MessageSid ${sent.sid}, status ${sent.status}).`);
+        } catch (err) {
+          return _text(`Could not send the text: ${err.message}`);
+        }
+      },
+    },
+  ];
+}
@@ -0,0 +1,156 @@
+// @ts-check
+/**
+ * Persistent conversation transcripts (TRANSCRIPT_DIR).
+ *
+ * Every caller utterance and agent reply, voice or SMS, is appended as one
+ * JSON line to `transcripts.jsonl` in the transcript directory. When the file
+ * reaches its size limit it is renamed with a timestamp and a new one started;
+ * the oldest rotated files beyond the retention count are deleted. One call or
+ * SMS thread can be read back and rendered as Markdown or JSON for audits.
+ */
+import {
+  appendFileSync, mkdirSync, readdirSync, renameSync, statSync, unlinkSync, createReadStream, openSync, readSync, closeSync,
+} from "node:fs";
+import { join } from "node:path";
+import { createInterface } from "node:readline";
+
+/**
+ * @typedef {object} TranscriptEntry
+ * @property {string}             at           - ISO timestamp
+ * @property {'voice'|'sms'}      channel
+ * @property {string}             [callSid]    - Voice entries
+ * @property {string}             [messageSid] - SMS entries: the inbound message, or the sent one
+ * @property {string}             number       - The caller / texter
+ * @property {string}             line         - Our Twilio number
+ * @property {'caller'|'agent'}   speaker
+ * @property {string}             text
+ * @property {number}             [latencyMs]  - Agent replies: time spent waiting on the agent
+ */
+
+/**
+ * @typedef {object} TranscriptStore
+ * @property {(entry: Omit<TranscriptEntry, 'at'> & { at?: string }) => void} append
+ * @property {(filter: (entry: TranscriptEntry) => boolean) => Promise<TranscriptEntry[]>} entries
+ *           Matching entries from every file, oldest first
+ */
+
+const CURRENT = "transcripts.jsonl";
+const ROTATED = /^transcripts-\d{8}T\d{9}Z-\d{3}\.jsonl$/;
+
+/**
+ * @param {string} dir - Directory for the JSONL files (created if missing)
+ * @param {object} [options]
+ * @param {number} [options.maxBytes] - Rotate the current file at this size (0 = never)
+ * @param {number} [options.maxFiles] - Rotated files to keep (0 = all)
+ * @returns {TranscriptStore}
+ */
+export function createTranscriptStore(dir, { maxBytes = 10 * 1024 * 1024, maxFiles = 10 } = {}) {
+  mkdirSync(dir, { recursive: true });
+  const current = join(dir, CURRENT);
+  let size = 0;
+  try { size = statSync(current).size; } catch { /* no file yet */ }
+  // A write cut short by a crash leaves a partial last line; start on a fresh one.
+  let partialLine = size > 0 && lastByte(current, size) !== "\n";
+
+  /** Rotated files, oldest first: the names (timestamp, then sequence) sort by age. */
+  const rotatedFiles = () => readdirSync(dir).filter((name) => ROTATED.test(name)).sort();
+
+  function rotate() {
+    const stamp = new Date().toISOString().replace(/[-:.]/g, "");
+    const taken = rotatedFiles();
+    let name = "";
+    for (let n = 0; !name || taken.includes(name); n++) name = `transcripts-${stamp}-${String(n).padStart(3, "0")}.jsonl`;
+    renameSync(current, join(dir, name));
+    size = 0;
+    if (!maxFiles) return;
+    const rotated = rotatedFiles();
+    for (const old of rotated.slice(0, Math.max(0, rotated.length - maxFiles))) unlinkSync(join(dir, old));
+  }
+
+  return {
+    append(entry) {
+      const line = (partialLine ? "\n" : "") + JSON.stringify({ at: new Date().toISOString(), ...entry }) + "\n";
+      partialLine = false;
+      const bytes = Buffer.byteLength(line);
+      if (maxBytes && size > 0 && size + bytes > maxBytes) rotate();
+      appendFileSync(current, line);
+      size += bytes;
+    },
+
+    async entries(filter) {
+      /** @type {TranscriptEntry[]} */
+      const found = [];
+      for (const name of [...rotatedFiles(), CURRENT]) {
+        const stream = createReadStream(join(dir, name), { encoding: "utf8" });
+        try {
+          for await (const line of createInterface({ input: stream, crlfDelay: Infinity })) {
+            if (!line.trim()) continue;
+            let entry;
+            try { entry = JSON.parse(line); } catch { continue; } // torn write
+            if (filter(entry)) found.push(entry);
+          }
+        } catch (err) {
+          if (err.code !== "ENOENT") throw err;
+        }
+      }
+      return found;
+    },
+  };
+}
+
+/**
+ * @param {string} path
+ * @param {number} size
+ * @returns {string}
+ */
+function lastByte(path, size) {
+  const fd = openSync(path, "r");
+  try {
+    const buf = Buffer.alloc(1);
+    readSync(fd, buf, 0, 1, size - 1);
+    return buf.toString("latin1");
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Offset from the start of the conversation, SRT style: `HH:MM:SS,mmm`.
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatOffset(ms) {
+  const pad = (/** @type {number} */ n, width = 2) => String(n).padStart(width, "0");
+  const total = Math.max(0, Math.round(ms));
+  const h = Math.floor(total / 3_600_000);
+  const m = Math.floor(total / 60_000) % 60;
+  const s = Math.floor(total / 1000) % 60;
+  return `${pad(h)}:${pad(m)}:${pad(s)},${pad(total % 1000, 3)}`;
+}
+
+/**
+ * Render one call or SMS thread as Markdown: a heading, the parties and start
+ * time, then one line per entry with its offset from the first.
+ *
+ * @param {string} title - e.g. "Call CA123" or "SMS thread +15551234567"
+ * @param {TranscriptEntry[]} entries - Oldest first
+ * @param {{ recordings?: import('./call-records.mjs').CallRecording[] }} [extra] - Listed after the heading
+ * @returns {string}
+ */
+export function transcriptMarkdown(title, entries, { recordings = [] } = {}) {
+  const lines = [`# ${title}`, ""];
+  if (!entries.length) return [...lines, "_No transcript._", ""].join("\n");
+
+  const start = Date.parse(entries[0].at);
+  lines.push(`${entries[0].number} ↔ ${entries[0].line}, started ${entries[0].at}`, "");
+  for (const recording of recordings) {
+    lines.push(`- Recording ${recording.sid} (${recording.status}, ${recording.duration}s): ${recording.url}`);
+  }
+  if (recordings.length) lines.push("");
+  for (const entry of entries) {
+    const who = entry.speaker === "caller" ? "Caller" : "Agent";
+    const latency = entry.latencyMs !== undefined ? ` (${(entry.latencyMs / 1000).toFixed(1)}s)` : "";
+    lines.push(`**[${formatOffset(Date.parse(entry.at) - start)}] ${who}${latency}:** ${entry.text}`, "");
+  }
+  return lines.join("\n");
+}
@@ -11,6 +11,22 @@ import Twilio from "twilio";
  * @property {string} from
  */
 
+/**
+ * @typedef {object} CallResult
+ * @property {string} sid
+ * @property {string} status
+ * @property {string} to
+ * @property {string} from
+ */
+
+/**
+ * @typedef {object} PlaceCallOptions
+ * @property {string} to
+ * @property {string} from
+ * @property {string} url            - Absolute webhook URL Twilio requests when the call is answered
+ * @property {string} [statusCallback] - Absolute URL for call progress events
+ */
+
 /**
  * @param {{ authToken: string, signature: string, url: string, params: Record<string, string> }} opts
  * @returns {boolean}
@@ -21,7 +37,10 @@ export function validateWebhookSignature({ authToken, signature, url, params })
 
 /**
  * @param {{ accountSid: string, authToken: string, _twilioFactory?: Function }} opts
- * @returns {{ sendSms: (opts: { to: string, from: string, body: string }) => Promise<SmsResult> }}
+ * @returns {{
+ *   sendSms: (opts: { to: string, from: string, body: string }) => Promise<SmsResult>,
+ *   placeCall: (opts: PlaceCallOptions) => Promise<CallResult>,
+ * }}
  */
 export function createTwilioClient({ accountSid, authToken, _twilioFactory }) {
   if (!accountSid || !authToken) {
@@ -55,5 +74,28 @@ export function createTwilioClient({ accountSid, authToken, _twilioFactory }) {
     };
   }
 
-  return { sendSms };
+  async function placeCall({ to, from, url, statusCallback }) {
+    if (!to || !from) throw new Error(`Missing to/from (to=${to}, from=${from})`);
+
+    const call = await client.calls.create({
+      to,
+      from,
+      url,
+      method: "POST",
+      ...(statusCallback && {
+        statusCallback,
+        statusCallbackMethod: "POST",
+        statusCallbackEvent: ["initiated", "ringing", "answered", "completed"],
+      }),
+    });
+
+    return {
+      sid: call.sid,
+      status: call.status,
+      to: call.to,
+      from: call.from,
+    };
+  }
+
+  return { sendSms, placeCall };
 }
@@ -10,72 +10,242 @@ import {
 
 const { VoiceResponse } = twilio.twiml;
 
+/**
+ * @typedef {import("twilio/lib/twiml/VoiceResponse.js").SayAttributes["voice"]} SayVoice
+ * @typedef {{ voice?: SayVoice }} VoiceOptions
+ * @typedef {VoiceOptions & { partialResultCallback?: string, dtmf?: boolean, language?: string }} GatherOptions
+ *          `partialResultCallback`: URL for Twilio's interim transcripts (early agent start);
+ *          `dtmf`: also take a single key press (keypad menu, DTMF_INPUT);
+ *          `language`: speech recognition language, e.g. "es-MX" (caller directory)
+ * @typedef {{ notice?: string, record?: boolean }} RecordingOptions
+ *          Said before the greeting (`notice`), then dual-channel recording is
+ *          started (`record`) with status callbacks to /recording-status
+ */
+
 /**
  * TwiML response builders for voice calls.
  * Centralizes voice settings and common patterns.
+ *
+ * Every builder that speaks takes a trailing `{ voice }` option (default
+ * TWILIO_VOICE); twimlFor() binds it for a routed number. The <Gather>
+ * builders also take `partialResultCallback`, `dtmf` and `language`.
+ */
+
+/**
+ * <Gather> attributes for speech input and, with `dtmf`, one key press. Every
+ * key counts as input (no finishOnKey), so a menu can use # and *.
+ * @param {string} action
+ * @param {number} timeout
+ * @param {GatherOptions} [opts]
  */
+function speechGather(action, timeout, { partialResultCallback, dtmf = false, language } = {}) {
+  return {
+    input: /** @type {import("twilio/lib/twiml/VoiceResponse.js").GatherAttributes["input"]} */ (dtmf ? ["speech", "dtmf"] : ["speech"]),
+    ...(dtmf && { numDigits: 1, finishOnKey: "" }),
+    action,
+    method: "POST",
+    speechTimeout: "auto",
+    timeout,
+    speechModel: TWILIO_STT_MODEL,
+    ...(language && { language: /** @type {import("twilio/lib/twiml/VoiceResponse.js").GatherAttributes["language"]} */ (language) }),
+    ...(partialResultCallback && { partialResultCallback, partialResultCallbackMethod: "POST" }),
+  };
+}
+
+/**
+ * Recording notice and <Start><Recording> ahead of a greeting.
+ * @param {import("twilio/lib/twiml/VoiceResponse.js")} r
+ * @param {RecordingOptions|undefined} recording
+ * @param {SayVoice} voice
+ */
+function recordingPreamble(r, recording, voice) {
+  if (recording?.notice) r.say({ voice }, recording.notice);
+  if (recording?.record) {
+    r.start().recording({
+      channels: "dual",
+      track: "both",
+      recordingStatusCallback: "/recording-status",
+      recordingStatusCallbackMethod: "POST",
+      recordingStatusCallbackEvent: ["in-progress", "completed", "absent"],
+    });
+  }
+}
 
 /**
  * Simple <Say> response.
+ * @param {string} text
+ * @param {VoiceOptions} [opts]
  */
-export function say(text) {
+export function say(text, { voice = TWILIO_VOICE } = {}) {
   const r = new VoiceResponse();
-  r.say({ voice: TWILIO_VOICE }, text);
+  r.say({ voice }, text);
   return r.toString();
 }
 
 /**
  * Say and hangup.
+ * @param {string} text
+ * @param {VoiceOptions} [opts]
  */
-export function sayAndHangup(text) {
+export function sayAndHangup(text, { voice = TWILIO_VOICE } = {}) {
   const r = new VoiceResponse();
-  r.say({ voice: TWILIO_VOICE }, text);
+  r.say({ voice }, text);
   r.hangup();
   return r.toString();
 }
 
 /**
  * Say and redirect.
+ * @param {string} text
+ * @param {string} redirectUrl
+ * @param {VoiceOptions} [opts]
  */
-export function sayAndRedirect(text, redirectUrl) {
+export function sayAndRedirect(text, redirectUrl, { voice = TWILIO_VOICE } = {}) {
   const r = new VoiceResponse();
-  r.say({ voice: TWILIO_VOICE }, text);
+  r.say({ voice }, text);
   r.redirect({ method: "POST" }, redirectUrl);
   return r.toString();
 }
 
+/**
+ * Recording disclosure, then ask the caller to agree (two-party consent).
+ * The answer, or silence, goes to /recording-consent.
+ * @param {string} disclosure
+ * @param {string} [promptText]
+ * @param {VoiceOptions} [opts]
+ */
+export function recordingConsent(disclosure, promptText = "Say yes or press 1 to allow recording.", { voice = TWILIO_VOICE } = {}) {
+  const r = new VoiceResponse();
+  r.say({ voice }, disclosure);
+  const gather = r.gather({
+    input: ["speech", "dtmf"],
+    numDigits: 1,
+    action: "/recording-consent",
+    method: "POST",
+    speechTimeout: "auto",
+    timeout: 5,
+    hints: "yes, no",
+  });
+  gather.say({ voice }, promptText);
+  r.redirect({ method: "POST" }, "/recording-consent");
+  return r.toString();
+}
+
+/**
+ * Voicemail: the prompt, then <Record> with transcription. Twilio posts the
+ * finished recording to /voicemail-done and the transcription to
+ * /voicemail-transcription; a caller who says nothing hears the goodbye.
+ * @param {string} promptText
+ * @param {number} [maxLength] - Seconds
+ * @param {VoiceOptions} [opts]
+ */
+export function voicemail(promptText, maxLength = 120, { voice = TWILIO_VOICE } = {}) {
+  const r = new VoiceResponse();
+  r.say({ voice }, promptText);
+  r.record({
+    action: "/voicemail-done",
+    method: "POST",
+    maxLength,
+    finishOnKey: "#",
+    playBeep: true,
+    transcribe: true,
+    transcribeCallback: "/voicemail-transcription",
+  });
+  r.say({ voice }, "No message recorded. Goodbye.");
+  r.hangup();
+  return r.toString();
+}
+
 /**
  * Initial greeting with speech gather.
+ * @param {string} greeting
+ * @param {string} [beepText]
+ * @param {string} [noInputText]
+ * @param {GatherOptions & { recording?: RecordingOptions, menuText?: string }} [opts]
+ *        `menuText`: the keypad menu, read out before the beep
  */
-export function greetingWithGather(greeting, beepText = "Beep.", noInputText = "I did not hear anything. Let's try again.") {
+export function greetingWithGather(greeting, beepText = "Beep.", noInputText = "I did not hear anything. Let's try again.", { voice = TWILIO_VOICE, partialResultCallback, dtmf, language, recording, menuText } = {}) {
   const r = new VoiceResponse();
-  r.say({ voice: TWILIO_VOICE }, greeting);
-  const gather = r.gather({ input: ["speech"], action: "/speech", method: "POST", speechTimeout: "auto", timeout: GATHER_TIMEOUT_SECONDS, speechModel: TWILIO_STT_MODEL });
-  gather.say({ voice: TWILIO_VOICE }, beepText);
-  r.say({ voice: TWILIO_VOICE }, noInputText);
+  recordingPreamble(r, recording, voice);
+  r.say({ voice }, greeting);
+  const gather = r.gather(speechGather("/speech", GATHER_TIMEOUT_SECONDS, { partialResultCallback, dtmf, language }));
+  if (menuText) gather.say({ voice }, menuText);
+  gather.say({ voice }, beepText);
+  r.say({ voice }, noInputText);
   r.redirect({ method: "POST" }, "/voice");
   return r.toString();
 }
 
 /**
- * Response with follow-up gather.
+ * Response with follow-up gather. An empty `replyText` (the reply was already
+ * spoken while streaming) goes straight to the gather.
+ * @param {string} replyText
+ * @param {string} [promptText]
+ * @param {string} [noInputText]
+ * @param {GatherOptions} [opts]
  */
-export function replyWithGather(replyText, promptText = "Say your next message after the beep.", noInputText = "I didn't catch anything. Say it again.") {
+export function replyWithGather(replyText, promptText = "Say your next message after the beep.", noInputText = "I didn't catch anything. Say it again.", { voice = TWILIO_VOICE, partialResultCallback, dtmf, language } = {}) {
   const r = new VoiceResponse();
-  r.say({ voice: TWILIO_VOICE }, replyText);
-  const gather = r.gather({ input: ["speech"], action: "/speech", method: "POST", speechTimeout: "auto", timeout: GATHER_FOLLOWUP_TIMEOUT_SECONDS, speechModel: TWILIO_STT_MODEL });
-  gather.say({ voice: TWILIO_VOICE }, promptText);
-  r.say({ voice: TWILIO_VOICE }, noInputText);
+  if (replyText) r.say({ voice }, replyText);
+  const gather = r.gather(speechGather("/speech", GATHER_FOLLOWUP_TIMEOUT_SECONDS, { partialResultCallback, dtmf, language }));
+  gather.say({ voice }, promptText);
+  r.say({ voice }, noInputText);
   r.redirect({ method: "POST" }, "/speech");
   return r.toString();
 }
 
+/**
+ * Collect a number typed on the keypad, ended with #. The digits go to /speech
+ * like a key press; with none, the caller is asked to speak again.
+ * @param {string} promptText
+ * @param {VoiceOptions} [opts]
+ */
+export function keypadEntry(promptText, { voice = TWILIO_VOICE } = {}) {
+  const r = new VoiceResponse();
+  const gather = r.gather({
+    input: ["dtmf"],
+    action: "/speech",
+    method: "POST",
+    finishOnKey: "#",
+    timeout: GATHER_TIMEOUT_SECONDS,
+  });
+  gather.say({ voice }, promptText);
+  r.say({ voice }, "I didn't get a number.");
+  r.redirect({ method: "POST" }, "/speech");
+  return r.toString();
+}
+
+/**
+ * Ask an unverified caller for their PIN or one-time code, spoken or keyed and
+ * ended with #. The answer goes to /verify; with none, /voice asks again.
+ * @param {string} promptText
+ * @param {VoiceOptions} [opts]
+ */
+export function verification(promptText, { voice = TWILIO_VOICE } = {}) {
+  const r = new VoiceResponse();
+  const gather = r.gather({
+    input: ["speech", "dtmf"],
+    action: "/verify",
+    method: "POST",
+    finishOnKey: "#",
+    speechTimeout: "auto",
+    timeout: GATHER_TIMEOUT_SECONDS,
+    speechModel: TWILIO_STT_MODEL,
+  });
+  gather.say({ voice }, promptText);
+  r.redirect({ method: "POST" }, "/voice");
+  return r.toString();
+}
+
 /**
  * Redirect with thinking phrase.
+ * @param {string} phrase
+ * @param {string} waitUrl
+ * @param {VoiceOptions} [opts]
  */
-export function thinkingRedirect(phrase, waitUrl) {
+export function thinkingRedirect(phrase, waitUrl, { voice = TWILIO_VOICE } = {}) {
   const r = new VoiceResponse();
-  r.say({ voice: TWILIO_VOICE }, phrase);
+  r.say({ voice }, phrase);
   r.redirect({ method: "POST" }, waitUrl);
   return r.toString();
 }
@@ -92,10 +262,72 @@ export function pauseAndRedirect(waitUrl) {
 
 /**
  * Say a filler phrase and redirect (for poll-cycle feedback during slow agent turns).
+ * @param {string} phrase
+ * @param {string} waitUrl
+ * @param {VoiceOptions} [opts]
  */
-export function fillerAndRedirect(phrase, waitUrl) {
+export function fillerAndRedirect(phrase, waitUrl, { voice = TWILIO_VOICE } = {}) {
   const r = new VoiceResponse();
-  r.say({ voice: TWILIO_VOICE }, phrase);
+  r.say({ voice }, phrase);
   r.redirect({ method: "POST" }, waitUrl);
   return r.toString();
 }
+
+/**
+ * Greeting, then hand the call audio to a Media Streams WebSocket
+ * (VOICE_MODE=stream). `parameters` arrive in the stream's `start` message.
+ * @param {string} greeting
+ * @param {string} streamUrl - wss:// URL of the /media-stream endpoint
+ * @param {Record<string, string>} [parameters]
+ * @param {VoiceOptions & { recording?: RecordingOptions }} [opts]
+ */
+export function greetingWithStream(greeting, streamUrl, parameters = {}, { voice = TWILIO_VOICE, recording } = {}) {
+  const r = new VoiceResponse();
+  recordingPreamble(r, recording, voice);
+  r.say({ voice }, greeting);
+  const stream = r.connect().stream({ url: streamUrl });
+  for (const [name, value] of Object.entries(parameters)) stream.parameter({ name, value });
+  return r.toString();
+}
+
+/**
+ * Builders bound to one <Say> voice (e.g. a routed number's voice).
+ * The voice name is passed through to Twilio as-is.
+ *
+ * @param {string} [voice]
+ * @param {{ partialResultCallback?: string, dtmf?: boolean, language?: string, menuText?: string }} [gatherOpts]
+ *        Applied to the <Gather> builders; `menuText` is read in the greeting
+ */
+export function twimlFor(voice = TWILIO_VOICE, { partialResultCallback, dtmf, language, menuText } = {}) {
+  const opts = { voice: /** @type {SayVoice} */ (voice) };
+  const gatherOpts = { ...opts, partialResultCallback, dtmf, language };
+  return {
+    /** @param {string} text */
+    say: (text) => say(text, opts),
+    /** @param {string} text */
+    sayAndHangup: (text) => sayAndHangup(text, opts),
+    /** @param {string} text @param {string} redirectUrl */
+    sayAndRedirect: (text, redirectUrl) => sayAndRedirect(text, redirectUrl, opts),
+    /** @param {string} greeting @param {string} [beepText] @param {string} [noInputText] @param {RecordingOptions} [recording] */
+    greetingWithGather: (greeting, beepText, noInputText, recording) =>
+      greetingWithGather(greeting, beepText, noInputText, { ...gatherOpts, recording, menuText }),
+    /** @param {string} greeting @param {string} streamUrl @param {Record<string, string>} [parameters] @param {RecordingOptions} [recording] */
+    greetingWithStream: (greeting, streamUrl, parameters, recording) =>
+      greetingWithStream(greeting, streamUrl, parameters, { ...opts, recording }),
+    /** @param {string} disclosure @param {string} [promptText] */
+    recordingConsent: (disclosure, promptText) => recordingConsent(disclosure, promptText, opts),
+    /** @param {string} promptText @param {number} [maxLength] */
+    voicemail: (promptText, maxLength) => voicemail(promptText, maxLength, opts),
+    /** @param {string} replyText @param {string} [promptText] @param {string} [noInputText] */
+    replyWithGather: (replyText, promptText, noInputText) => replyWithGather(replyText, promptText, noInputText, gatherOpts),
+    /** @param {string} promptText */
+    keypadEntry: (promptText) => keypadEntry(promptText, opts),
+    /** @param {string} promptText */
+    verification: (promptText) => verification(promptText, opts),
+    /** @param {string} phrase @param {string} waitUrl */
+    thinkingRedirect: (phrase, waitUrl) => thinkingRedirect(phrase, waitUrl, opts),
+    pauseAndRedirect,
+    /** @param {string} phrase @param {string} waitUrl */
+    fillerAndRedirect: (phrase, waitUrl) => fillerAndRedirect(phrase, waitUrl, opts),
+  };
+}
@@ -17,15 +17,20 @@ export function parseForm(body) {
  * Rejects if exit code is non-zero.
  * @param {string}   cmd
  * @param {string[]} args
- * @param {object}   [opts]
+ * @param {{ onStdout?: (text: string) => void, [spawnOption: string]: any }} [opts]
+ *        spawn() options, plus `onStdout`: called with stdout as it arrives. An
+ *        aborted `signal` kills the child and rejects with an AbortError.
  * @returns {Promise<{stdout: string, stderr: string}>}
  */
-export function run(cmd, args, opts = {}) {
+export function run(cmd, args, { onStdout, ...opts } = {}) {
   return new Promise((resolve, reject) => {
     const p = spawn(cmd, args, { stdio: ["ignore", "pipe", "pipe"], ...opts });
     let stdout = "";
     let stderr = "";
-    p.stdout.on("data", (d) => (stdout += d));
+    p.stdout.on("data", (d) => {
+      stdout += d;
+      onStdout?.(String(d));
+    });
     p.stderr.on("data", (d) => (stderr += d));
     p.on("error", reject);
     p.on("close", (code) => {
@@ -49,6 +54,33 @@ export function toSayableText(input, maxLength = 600) {
     .slice(0, maxLength);
 }
 
+/**
+ * Length of the longest prefix of `text` made of complete sentences: ending
+ * in . ! ? or … (plus any closing quotes or brackets) followed by whitespace,
+ * or in a line break. 0 when no sentence is complete yet.
+ * @param {string} text
+ * @returns {number}
+ */
+export function completeSentencesLength(text) {
+  let end = 0;
+  for (const m of String(text || "").matchAll(/[.!?…]+["'”’)\]]*\s+|\n+/g)) {
+    end = /** @type {number} */ (m.index) + m[0].length;
+  }
+  return end;
+}
+
+/**
+ * Error carrying the HTTP status an endpoint should answer with.
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error & { statusCode: number }}
+ */
+export function httpError(message, statusCode) {
+  const err = /** @type {Error & { statusCode: number }} */ (new Error(message));
+  err.statusCode = statusCode;
+  return err;
+}
+
 /**
  * Collect the request body as a string, rejecting with statusCode 413 if too large.
  * @param {import('node:http').IncomingMessage} req
@@ -67,9 +99,7 @@ export function readBody(req, maxBytes = 65536) {
         done = true;
         // Do NOT destroy the socket here — the caller needs it to send the 413 response.
         // Excess chunks are silently discarded via the `done` guard above.
-        const err = /** @type {Error & { statusCode: number }} */ (new Error(`Request body exceeded ${maxBytes} bytes`));
-        err.statusCode = 413;
-        reject(err);
+        reject(httpError(`Request body exceeded ${maxBytes} bytes`, 413));
         return;
       }
       chunks.push(chunk);
@@ -139,19 +169,35 @@ export function createLogger(module) {
 }
 
 /**
- * Counting semaphore with direct slot handoff.
+ * Counting semaphore with direct slot handoff. A waiter whose `signal` aborts
+ * leaves the queue and rejects with the abort reason.
  * @param {number} max
- * @returns {{ acquire: () => Promise<void>, release: () => void }}
+ * @returns {{ acquire: (signal?: AbortSignal) => Promise<void>, release: () => void }}
  */
 export function createSemaphore(max) {
   let active = 0;
+  /** @type {(() => void)[]} */
   const queue = [];
-  function acquire() {
+  /** @param {AbortSignal} [signal] */
+  function acquire(signal) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
     if (active < max) { active++; return Promise.resolve(); }
-    return new Promise((resolve) => queue.push(resolve));
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        queue.splice(queue.indexOf(grant), 1);
+        reject(signal?.reason);
+      };
+      const grant = () => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(undefined);
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      queue.push(grant);
+    });
   }
   function release() {
-    if (queue.length > 0) { queue.shift()(); } // slot passed directly, active unchanged
+    const next = queue.shift();
+    if (next) { next(); } // slot passed directly, active unchanged
     else { active--; }
   }
   return { acquire, release };
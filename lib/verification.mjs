@@ -0,0 +1,142 @@
+// @ts-check
+/**
+ * Caller verification before the agent is reached (VERIFY_CALLER).
+ *
+ * pin — the caller says or keys VERIFY_PIN.
+ * sms — the caller says or keys a one-time code texted to their number.
+ *
+ * A call is verified by CallSid. Failed attempts are counted by caller number,
+ * so hanging up and calling again does not reset them; after VERIFY_MAX_ATTEMPTS
+ * failures in a row the number is locked out for VERIFY_LOCKOUT_MS.
+ */
+import crypto from "node:crypto";
+
+export const VERIFY_MODES = ["off", "pin", "sms"];
+
+// How long a texted code can be used.
+const CODE_TTL_MS = 5 * 60_000;
+
+/**
+ * @typedef {'verified'|'retry'|'locked'|'expired'} VerifyResult
+ *
+ * @typedef {object} Verifier
+ * @property {'pin'|'sms'} mode
+ * @property {(callSid: string) => boolean} verified
+ * @property {(from: string) => number} lockedFor - Milliseconds left of a lockout, 0 if none
+ * @property {(callSid: string) => boolean} hasCode - Whether the call has an unexpired code
+ * @property {(callSid: string) => string} issueCode - A new one-time code for the call (sms mode)
+ * @property {(callSid: string, from: string, input: string) => { result: VerifyResult, attemptsLeft: number }} check
+ * @property {(callSid: string) => void} end - Forget a finished call
+ * @property {() => void} sweep - Drop expired codes and lockouts
+ */
+
+/**
+ * @param {object} options
+ * @param {string} [options.mode]      - VERIFY_MODES; "off" (the default) returns null
+ * @param {string} [options.pin]       - Required in pin mode
+ * @param {number} options.maxAttempts - Failures in a row before a lockout
+ * @param {number} options.lockoutMs
+ * @param {() => number} [options.now] - Injectable clock (for testing)
+ * @returns {Verifier|null}
+ */
+export function createVerifier({ mode = "off", pin = "", maxAttempts, lockoutMs, now = Date.now }) {
+  if (!VERIFY_MODES.includes(mode)) {
+    throw new Error(`Unknown VERIFY_CALLER "${mode}" (expected one of: ${VERIFY_MODES.join(", ")})`);
+  }
+  if (mode === "off") return null;
+  if (mode === "pin" && !/^\d{4,}$/.test(pin)) {
+    throw new Error("VERIFY_CALLER=pin needs VERIFY_PIN (at least 4 digits)");
+  }
+
+  /** @type {Set<string>} CallSids */
+  const verifiedCalls = new Set();
+  /** @type {Map<string, { code: string, expiresAt: number }>} key: CallSid */
+  const codes = new Map();
+  /** @type {Map<string, { count: number, lockedUntil: number }>} key: caller number */
+  const failures = new Map();
+
+  /** @param {string} from */
+  function lockedFor(from) {
+    const entry = failures.get(from);
+    return entry ? Math.max(0, entry.lockedUntil - now()) : 0;
+  }
+
+  return {
+    mode: /** @type {'pin'|'sms'} */ (mode),
+
+    verified: (callSid) => verifiedCalls.has(callSid),
+
+    lockedFor,
+
+    hasCode(callSid) {
+      const entry = codes.get(callSid);
+      return Boolean(entry && entry.expiresAt > now());
+    },
+
+    issueCode(callSid) {
+      const code = String(crypto.randomInt(0, 1_000_000)).padStart(6, "0");
+      codes.set(callSid, { code, expiresAt: now() + CODE_TTL_MS });
+      return code;
+    },
+
+    check(callSid, from, input) {
+      if (lockedFor(from)) return { result: "locked", attemptsLeft: 0 };
+      let expected = pin;
+      if (mode === "sms") {
+        const entry = codes.get(callSid);
+        if (!entry || entry.expiresAt <= now()) {
+          codes.delete(callSid);
+          return { result: "expired", attemptsLeft: maxAttempts - (failures.get(from)?.count ?? 0) };
+        }
+        expected = entry.code;
+      }
+      if (input.length === expected.length && crypto.timingSafeEqual(Buffer.from(input), Buffer.from(expected))) {
+        verifiedCalls.add(callSid);
+        codes.delete(callSid);
+        failures.delete(from);
+        return { result: "verified", attemptsLeft: maxAttempts };
+      }
+      const entry = failures.get(from) ?? { count: 0, lockedUntil: 0 };
+      entry.count++;
+      if (entry.count >= maxAttempts) {
+        entry.count = 0;
+        entry.lockedUntil = now() + lockoutMs;
+        codes.delete(callSid);
+      }
+      failures.set(from, entry);
+      return entry.lockedUntil > now()
+        ? { result: "locked", attemptsLeft: 0 }
+        : { result: "retry", attemptsLeft: maxAttempts - entry.count };
+    },
+
+    end(callSid) {
+      verifiedCalls.delete(callSid);
+      codes.delete(callSid);
+    },
+
+    sweep() {
+      const t = now();
+      for (const [callSid, entry] of codes) if (entry.expiresAt <= t) codes.delete(callSid);
+      for (const [from, entry] of failures) if (!entry.count && entry.lockedUntil <= t) failures.delete(from);
+    },
+  };
+}
+
+const SPOKEN_DIGITS = /** @type {Record<string, string>} */ ({
+  zero: "0", oh: "0", o: "0", one: "1", two: "2", to: "2", too: "2", three: "3", four: "4", for: "4",
+  five: "5", six: "6", seven: "7", eight: "8", nine: "9",
+});
+
+/**
+ * The digits in keyed input or a speech transcript ("1 2 3 4", "one two three four").
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function digitsFrom(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .map((word) => (/^\d+$/.test(word) ? word : SPOKEN_DIGITS[word] ?? ""))
+    .join("");
+}
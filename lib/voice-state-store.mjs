@@ -0,0 +1,42 @@
+// @ts-check
+/**
+ * Storage for pending voice turns (lib/voice-state.mjs).
+ *
+ * In memory. setVoiceStateStore() in voice-state.mjs takes any object with
+ * this shape, so another backend can be plugged in without touching the turn
+ * logic.
+ */
+
+/**
+ * Storage backend for pending turns. Implementations must be synchronous.
+ * voice-state.mjs writes a turn back after changing it, so `get` may return a
+ * copy.
+ *
+ * @typedef {object} VoiceStateStore
+ * @property {(key: string) => import('./voice-state.mjs').PendingTurn|undefined} get
+ * @property {(key: string, turn: import('./voice-state.mjs').PendingTurn) => void} set
+ * @property {(key: string) => void}                  delete
+ * @property {() => [string, import('./voice-state.mjs').PendingTurn][]} entries
+ * @property {(callSid: string) => string|undefined}  latest     - Key of the call's latest turn
+ * @property {(callSid: string, key: string) => void} setLatest
+ * @property {(callSid: string) => void}              deleteLatest
+ * @property {() => number}                           latestSize
+ */
+
+/** @returns {VoiceStateStore} */
+export function createMemoryVoiceStateStore() {
+  /** @type {Map<string, import('./voice-state.mjs').PendingTurn>} */
+  const pending = new Map();
+  /** @type {Map<string, string>} key: callSid, value: turn key */
+  const latestByCall = new Map();
+  return {
+    get: (key) => pending.get(key),
+    set: (key, turn) => { pending.set(key, turn); },
+    delete: (key) => { pending.delete(key); },
+    entries: () => [...pending.entries()],
+    latest: (callSid) => latestByCall.get(callSid),
+    setLatest: (callSid, key) => { latestByCall.set(callSid, key); },
+    deleteLatest: (callSid) => { latestByCall.delete(callSid); },
+    latestSize: () => latestByCall.size,
+  };
+}
@@ -5,23 +5,114 @@
  * Tracks pending replies for async voice call handling.
  * Twilio webhooks timeout quickly, so we respond immediately
  * and poll for the actual reply.
+ *
+ * A streamed reply accumulates in `reply` while the turn is pending; `spoken`
+ * marks how much of it /speech-wait has already said, so completed sentences
+ * can be spoken before the whole reply is in.
+ *
+ * With early agent start, a turn can also begin speculatively from a partial
+ * transcript. It is not the call's latest turn until the final transcript
+ * matches (adoptSpeculativeTurn), so a speculation never supersedes a real turn.
+ *
+ * Turns live in a VoiceStateStore (lib/voice-state-store.mjs), in memory unless
+ * setVoiceStateStore() plugs in another backend. A read-modify-write writes the
+ * turn back, so a store may hand out copies. Speculations hold a promise and
+ * stay in the process.
+ *
+ * Each turn's agent call can be cancelled through turnSignal(): the signal
+ * aborts when the turn is superseded, discarded or cancelled with its call.
  */
 
+import { completeSentencesLength } from "./utils.mjs";
+import { createMemoryVoiceStateStore } from "./voice-state-store.mjs";
+
 /**
  * @typedef {object} PendingTurn
  * @property {string}  callSid
  * @property {string}  from
  * @property {string}  said
- * @property {string}  reply
+ * @property {string}  reply       - Full reply once done; the text streamed so far before that
+ * @property {number}  spoken      - Characters of `reply` already spoken
  * @property {boolean} done
+ * @property {boolean} speculative - Started from a partial transcript and not adopted yet
  * @property {number}  createdAt
  */
 
-/** @type {Map<string, PendingTurn>} */
-const pending = new Map();
+/** @type {import('./voice-state-store.mjs').VoiceStateStore} */
+let store = createMemoryVoiceStateStore();
+
+/**
+ * Replace the store that holds pending turns. Turns in the previous store are
+ * not copied.
+ *
+ * @param {import('./voice-state-store.mjs').VoiceStateStore} next
+ * @returns {import('./voice-state-store.mjs').VoiceStateStore} The previous store
+ */
+export function setVoiceStateStore(next) {
+  const prev = store;
+  store = next;
+  return prev;
+}
+
+/**
+ * @param {Pick<PendingTurn, 'callSid'|'from'|'said'|'speculative'>} turn
+ * @returns {PendingTurn}
+ */
+function newTurn({ callSid, from, said, speculative }) {
+  return { callSid, from, said, done: false, speculative, reply: "", spoken: 0, createdAt: Date.now() };
+}
+
+/**
+ * Read-modify-write a turn.
+ *
+ * @template T
+ * @param {string} key
+ * @param {(item: PendingTurn) => T} fn - Mutates `item`; it is written back afterwards
+ * @returns {T|undefined} `fn`'s result, or undefined if there is no such turn
+ */
+function updateTurn(key, fn) {
+  const item = store.get(key);
+  if (!item) return undefined;
+  const result = fn(item);
+  store.set(key, item);
+  return result;
+}
+
+/**
+ * @typedef {object} Speculation
+ * @property {string}  key       - Turn key of the speculative turn
+ * @property {string}  said      - Normalized partial transcript it was started for
+ * @property {Promise<string|null>} adopted - Resolves to the final transcript once adopted, null if cancelled
+ * @property {(finalSaid: string|null) => void} settle
+ */
+
+/** @type {Map<string, Speculation>} key: callSid */
+const speculations = new Map();
 
-/** @type {Map<string, string>} key: callSid, value: turn key */
-const latestByCall = new Map();
+/** @type {Map<string, AbortController>} key: turn key */
+const controllers = new Map();
+
+/**
+ * AbortSignal for a turn's agent call. It aborts when the turn is superseded,
+ * deleted, dropped as stale, or cancelled with its call.
+ *
+ * @param {string} key - Turn key
+ * @returns {AbortSignal}
+ */
+export function turnSignal(key) {
+  let controller = controllers.get(key);
+  if (!controller) {
+    controller = new AbortController();
+    controllers.set(key, controller);
+  }
+  return controller.signal;
+}
+
+/** @param {string} key */
+function abortTurn(key) {
+  controllers.get(key)?.abort();
+  controllers.delete(key);
+}
 
 /**
  * Create a new pending turn for a call.
@@ -35,13 +126,14 @@ const latestByCall = new Map();
  */
 export function createPendingTurn({ key, callSid, from, said }) {
   // Cancel any previous pending turn for this call
-  const prevKey = latestByCall.get(callSid);
+  const prevKey = store.latest(callSid);
   if (prevKey) {
-    pending.delete(prevKey);
+    store.delete(prevKey);
+    abortTurn(prevKey);
   }
 
-  pending.set(key, { callSid, from, said, done: false, reply: "", createdAt: Date.now() });
-  latestByCall.set(callSid, key);
+  store.set(key, newTurn({ callSid, from, said, speculative: false }));
+  store.setLatest(callSid, key);
 }
 
 /**
@@ -51,7 +143,7 @@ export function createPendingTurn({ key, callSid, from, said }) {
  * @returns {PendingTurn|undefined} The pending turn or undefined
  */
 export function getPendingTurn(key) {
-  return pending.get(key);
+  return store.get(key);
 }
 
 /**
@@ -62,22 +154,78 @@ export function getPendingTurn(key) {
  * @returns {boolean} True if this is the latest turn
  */
 export function isLatestTurn(key, callSid) {
-  return latestByCall.get(callSid) === key;
+  return store.latest(callSid) === key;
+}
+
+/**
+ * Append a streamed piece of the reply to a pending turn.
+ *
+ * @param {string} key   - Turn key
+ * @param {string} chunk - Next piece of the reply text
+ */
+export function appendTurnReply(key, chunk) {
+  updateTurn(key, (item) => {
+    if (!item.done) item.reply += chunk;
+  });
+}
+
+/**
+ * Take the streamed sentences of a pending turn that have not been spoken yet,
+ * marking them spoken. A trailing partial sentence is left for later.
+ *
+ * @param {string} key - Turn key
+ * @returns {string} Sentences to speak now, or "" if none are complete
+ */
+export function takeSpeakableReply(key) {
+  return updateTurn(key, (item) => {
+    if (item.done) return "";
+    const rest = item.reply.slice(item.spoken);
+    const end = completeSentencesLength(rest);
+    if (!rest.slice(0, end).trim()) return "";
+    item.spoken += end;
+    return rest.slice(0, end).trim();
+  }) ?? "";
+}
+
+/**
+ * The part of a finished turn's reply that has not been spoken yet.
+ *
+ * @param {PendingTurn} item
+ * @returns {string}
+ */
+export function unspokenReply(item) {
+  return item.reply.slice(item.spoken).trim();
 }
 
 /**
  * Mark a turn as complete with a reply.
- * 
+ *
+ * If part of a streamed reply was already spoken and the final reply continues
+ * it, only the rest remains to be spoken; a final reply that differs (e.g. the
+ * error apology after a failed stream) is spoken in full.
+ *
  * @param {string} key - Turn key
  * @param {string} reply - The reply text
  */
 export function completeTurn(key, reply) {
-  const item = pending.get(key);
-  if (item) {
-    item.reply = reply || "Okay.";
+  updateTurn(key, (item) => {
+    const final = reply || "Okay.";
+    const spokenText = collapseWhitespace(item.reply.slice(0, item.spoken));
+    if (item.spoken && collapseWhitespace(final).startsWith(spokenText)) {
+      item.reply = collapseWhitespace(final);
+      item.spoken = spokenText.length;
+    } else {
+      item.reply = final;
+      item.spoken = 0;
+    }
     item.done = true;
-    pending.set(key, item);
-  }
+  });
+  controllers.delete(key);
+}
+
+/** @param {string} text */
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, " ").trim();
 }
 
 /**
@@ -86,13 +234,14 @@ export function completeTurn(key, reply) {
  * @param {string} key - Turn key
  */
 export function deleteTurn(key) {
-  const item = pending.get(key);
-  pending.delete(key);
+  const item = store.get(key);
+  store.delete(key);
+  abortTurn(key);
 
   if (item?.callSid) {
-    const cur = latestByCall.get(item.callSid);
+    const cur = store.latest(item.callSid);
     if (cur === key) {
-      latestByCall.delete(item.callSid);
+      store.deleteLatest(item.callSid);
     }
   }
 }
@@ -103,20 +252,127 @@ export function deleteTurn(key) {
  */
 export function cleanupStaleTurns(maxAgeMs = 5 * 60 * 1000) {
   const cutoff = Date.now() - maxAgeMs;
-  for (const [key, item] of pending) {
+  for (const [callSid, speculation] of speculations) {
+    const item = store.get(speculation.key);
+    if (!item || item.createdAt < cutoff) cancelSpeculativeTurn(callSid);
+  }
+  for (const [key, item] of store.entries()) {
     if (item.createdAt < cutoff) {
-      pending.delete(key);
-      if (item.callSid && latestByCall.get(item.callSid) === key) {
-        latestByCall.delete(item.callSid);
+      store.delete(key);
+      abortTurn(key);
+      if (item.callSid && store.latest(item.callSid) === key) {
+        store.deleteLatest(item.callSid);
       }
     }
   }
 }
 
+/**
+ * Transcript form used to compare partial and final speech results:
+ * lower case, punctuation removed, whitespace collapsed.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeTranscript(text) {
+  return String(text || "").toLowerCase().replace(/[^\p{L}\p{N}\s']/gu, " ").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Start a speculative turn for a call from a partial transcript, replacing
+ * (cancelling) any earlier speculation for the same call.
+ *
+ * @param {Object} options
+ * @param {string} options.key     - Unique turn key
+ * @param {string} options.callSid - Twilio call SID
+ * @param {string} options.from    - Caller phone number
+ * @param {string} options.said    - Partial transcript
+ * @returns {Speculation}
+ */
+export function startSpeculativeTurn({ key, callSid, from, said }) {
+  cancelSpeculativeTurn(callSid);
+  /** @type {(finalSaid: string|null) => void} */
+  let settle = () => {};
+  const adopted = new Promise((resolve) => { settle = resolve; });
+  /** @type {Speculation} */
+  const speculation = { key, said: normalizeTranscript(said), adopted, settle };
+  store.set(key, newTurn({ callSid, from, said, speculative: true }));
+  speculations.set(callSid, speculation);
+  return speculation;
+}
+
+/**
+ * @param {string} callSid
+ * @returns {Speculation|undefined}
+ */
+export function getSpeculation(callSid) {
+  return speculations.get(callSid);
+}
+
+/**
+ * Resolve a call's speculation against the final transcript. On a match the
+ * speculative turn becomes the call's latest turn and its key is returned;
+ * otherwise the speculation is cancelled.
+ *
+ * @param {string} callSid
+ * @param {string} said - Final transcript
+ * @returns {string|undefined} Key of the adopted turn
+ */
+export function adoptSpeculativeTurn(callSid, said) {
+  const speculation = speculations.get(callSid);
+  if (!speculation) return undefined;
+  if (!said || speculation.said !== normalizeTranscript(said)) {
+    cancelSpeculativeTurn(callSid);
+    return undefined;
+  }
+
+  speculations.delete(callSid);
+  const prevKey = store.latest(callSid);
+  if (prevKey && prevKey !== speculation.key) {
+    store.delete(prevKey);
+    abortTurn(prevKey);
+  }
+  store.setLatest(callSid, speculation.key);
+  updateTurn(speculation.key, (item) => {
+    item.said = said;
+    item.speculative = false;
+  });
+  speculation.settle(said);
+  return speculation.key;
+}
+
+/**
+ * Drop a call's speculative turn, if any. Its agent call is aborted.
+ * @param {string} callSid
+ */
+export function cancelSpeculativeTurn(callSid) {
+  const speculation = speculations.get(callSid);
+  if (!speculation) return;
+  speculations.delete(callSid);
+  store.delete(speculation.key);
+  abortTurn(speculation.key);
+  speculation.settle(null);
+}
+
+/**
+ * Cancel a call's pending turns (the caller hung up): its latest turn and
+ * any speculation are deleted and their agent calls aborted.
+ *
+ * @param {string} callSid
+ * @returns {boolean} True if there was a turn to cancel
+ */
+export function cancelCallTurns(callSid) {
+  const speculating = speculations.has(callSid);
+  cancelSpeculativeTurn(callSid);
+  const key = store.latest(callSid);
+  if (key) deleteTurn(key);
+  return speculating || Boolean(key);
+}
+
 /** @returns {number} */
-export function pendingSize() { return pending.size; }
+export function pendingSize() { return store.entries().length; }
 /** @returns {number} */
-export function latestByCallSize() { return latestByCall.size; }
+export function latestByCallSize() { return store.latestSize(); }
 
 /**
  * Wait until all pending voice turns complete or timeout is reached.
@@ -128,7 +384,9 @@ export function latestByCallSize() { return latestByCall.size; }
  */
 export async function waitForVoiceDrain(timeoutMs = 30_000, pollMs = 500) {
   const deadline = Date.now() + timeoutMs;
-  const undone = () => [...pending.values()].filter((t) => !t.done).length;
+  // Speculations nobody has adopted yet are not turns the caller is waiting on.
+  const undone = () => store.entries()
+    .filter(([, t]) => !t.done && !t.speculative).length;
   while (undone() > 0 && Date.now() < deadline) {
     const wait = Math.min(pollMs, deadline - Date.now());
     if (wait <= 0) break;
@@ -0,0 +1,115 @@
+// @ts-check
+/**
+ * Voicemail fallback (VOICEMAIL_AFTER_FAILURES).
+ *
+ * A call whose agent keeps failing is sent to <Record> instead of hearing the
+ * same apology again. Twilio transcribes the message and posts it to
+ * /voicemail-transcription, where it lands in the voicemail box: kept in
+ * memory or in a JSON file (VOICEMAIL_FILE), and queued until the agent has
+ * been given it once it answers again.
+ */
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { dirname } from "node:path";
+
+/**
+ * @typedef {object} Voicemail
+ * @property {string} recordingSid
+ * @property {string} callSid
+ * @property {string} from          - The caller
+ * @property {string} to            - Our Twilio number
+ * @property {string} text          - Twilio's transcription; "" when it failed
+ * @property {string} url           - Recording URL
+ * @property {number} duration      - Seconds
+ * @property {'queued'|'delivered'} status
+ * @property {string} [reply]       - What the agent made of it
+ * @property {number} receivedAt
+ * @property {number} [deliveredAt]
+ */
+
+/**
+ * @typedef {object} VoicemailBox
+ * @property {(form: Record<string, string>) => Voicemail|undefined} add
+ *           Store a /voicemail-transcription callback (undefined without a RecordingSid);
+ *           a repeated callback for the same recording is ignored
+ * @property {() => Voicemail[]} queued    - Not yet given to the agent, oldest first
+ * @property {(limit?: number) => Voicemail[]} recent - Most recent first
+ * @property {(recordingSid: string, reply: string) => void} markDelivered
+ */
+
+// Voicemails kept, oldest dropped first; queued ones are never dropped.
+const MAX_VOICEMAILS = 500;
+
+/**
+ * @param {{ file?: string }} [options] - `file`: JSON file to keep voicemails across restarts
+ * @returns {VoicemailBox}
+ */
+export function createVoicemailBox({ file = "" } = {}) {
+  /** @type {Map<string, Voicemail>} key: RecordingSid */
+  const voicemails = new Map();
+  if (file && existsSync(file)) {
+    for (const vm of JSON.parse(readFileSync(file, "utf8"))) voicemails.set(vm.recordingSid, vm);
+  }
+
+  function flush() {
+    if (!file) return;
+    mkdirSync(dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    writeFileSync(tmp, JSON.stringify([...voicemails.values()]));
+    renameSync(tmp, file);
+  }
+
+  function prune() {
+    for (const [sid, vm] of voicemails) {
+      if (voicemails.size <= MAX_VOICEMAILS) break;
+      if (vm.status === "delivered") voicemails.delete(sid);
+    }
+  }
+
+  return {
+    add(form) {
+      const recordingSid = form.RecordingSid;
+      if (!recordingSid || voicemails.has(recordingSid)) return undefined;
+      /** @type {Voicemail} */
+      const vm = {
+        recordingSid,
+        callSid:    form.CallSid || "",
+        from:       form.From || "",
+        to:         form.To || "",
+        text:       form.TranscriptionStatus === "completed" ? (form.TranscriptionText || "").trim() : "",
+        url:        form.RecordingUrl || "",
+        duration:   Number(form.RecordingDuration) || 0,
+        status:     "queued",
+        receivedAt: Date.now(),
+      };
+      voicemails.set(recordingSid, vm);
+      prune();
+      flush();
+      return vm;
+    },
+
+    queued: () => [...voicemails.values()].filter((vm) => vm.status === "queued"),
+
+    recent: (limit = 20) => [...voicemails.values()].reverse().slice(0, Math.max(0, limit)),
+
+    markDelivered(recordingSid, reply) {
+      const vm = voicemails.get(recordingSid);
+      if (!vm) return;
+      Object.assign(vm, { status: "delivered", reply, deliveredAt: Date.now() });
+      prune();
+      flush();
+    },
+  };
+}
+
+/**
+ * The agent's message for a queued voicemail.
+ *
+ * @param {Voicemail} vm
+ * @returns {string}
+ */
+export function voicemailMessage(vm) {
+  const left = `[${vm.from || "A caller"} left a voicemail while you were unavailable`;
+  return vm.text
+    ? `${left}:]\n${vm.text}`
+    : `${left}. It could not be transcribed; the recording is at ${vm.url}]`;
+}
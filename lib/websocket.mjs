@@ -0,0 +1,212 @@
+// @ts-check
+/**
+ * Minimal WebSocket server side (RFC 6455) for Twilio Media Streams.
+ *
+ * Handles the upgrade handshake, masked client frames (text, binary,
+ * fragmented messages, ping, close) and unmasked server frames. An unmasked
+ * client frame closes the connection (1002, RFC 6455 §5.1). No extensions or
+ * subprotocols — Twilio uses neither — which keeps the server free of a
+ * WebSocket dependency.
+ */
+import crypto from "node:crypto";
+import { EventEmitter } from "node:events";
+
+const HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const OP_CONTINUATION = 0x0;
+const OP_TEXT         = 0x1;
+const OP_BINARY       = 0x2;
+const OP_CLOSE        = 0x8;
+const OP_PING         = 0x9;
+const OP_PONG         = 0xA;
+
+/**
+ * @typedef {object} WebSocketConnection
+ * @property {(text: string) => void}                  send  - Send a text message
+ * @property {(code?: number, reason?: string) => void} close
+ * @property {(event: "message"|"close"|"error", listener: (arg: any) => void) => WebSocketConnection} on
+ *           "message" (data: string), "close" (code: number), "error" (err: Error)
+ * @property {boolean} closed
+ */
+
+/**
+ * Encode one unmasked server frame.
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+export function encodeFrame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 0x10000) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Parse as many complete frames as `buf` holds. Stops at a frame whose header
+ * declares a payload over `maxPayloadBytes` and sets `oversized`, so the caller
+ * can refuse it before buffering the payload.
+ *
+ * @param {Buffer} buf
+ * @param {number} [maxPayloadBytes]
+ * @returns {{ frames: { fin: boolean, opcode: number, masked: boolean, payload: Buffer }[], rest: Buffer, oversized: boolean }}
+ */
+export function decodeFrames(buf, maxPayloadBytes = Infinity) {
+  const frames = [];
+  let offset = 0;
+  let oversized = false;
+  while (buf.length - offset >= 2) {
+    const b0 = buf[offset];
+    const b1 = buf[offset + 1];
+    const masked = (b1 & 0x80) !== 0;
+    let len = b1 & 0x7f;
+    let pos = offset + 2;
+    if (len === 126) {
+      if (buf.length < pos + 2) break;
+      len = buf.readUInt16BE(pos);
+      pos += 2;
+    } else if (len === 127) {
+      if (buf.length < pos + 8) break;
+      len = Number(buf.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    if (len > maxPayloadBytes) { oversized = true; break; }
+    const maskLen = masked ? 4 : 0;
+    if (buf.length < pos + maskLen + len) break;
+
+    const payload = Buffer.from(buf.subarray(pos + maskLen, pos + maskLen + len));
+    if (masked) {
+      const mask = buf.subarray(pos, pos + 4);
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+    }
+    frames.push({ fin: (b0 & 0x80) !== 0, opcode: b0 & 0x0f, masked, payload });
+    offset = pos + maskLen + len;
+  }
+  return { frames, rest: buf.subarray(offset), oversized };
+}
+
+/**
+ * Complete the upgrade handshake for an HTTP `upgrade` event.
+ * Answers 400 and returns null for a request that is not a WebSocket upgrade.
+ *
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:stream').Duplex}        socket
+ * @param {Buffer}                              head   - First bytes after the HTTP headers
+ * @param {object} [options]
+ * @param {number} [options.maxMessageBytes] - Larger messages close the connection (1009), as soon as
+ *                                             a frame header declares more
+ * @returns {WebSocketConnection|null}
+ */
+export function acceptWebSocket(req, socket, head, { maxMessageBytes = 1024 * 1024 } = {}) {
+  const events = new EventEmitter();
+
+  // The HTTP server drops its own error handling on upgrade: without this, a
+  // client resetting the connection is an unhandled 'error' event that ends the
+  // process. "error" listeners still hear about it; the socket's close then
+  // ends the connection with 1006.
+  socket.on("error", (err) => {
+    if (events.listenerCount("error")) events.emit("error", err);
+    socket.destroy();
+  });
+
+  const key = req.headers["sec-websocket-key"];
+  if (String(req.headers.upgrade).toLowerCase() !== "websocket" || typeof key !== "string") {
+    socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+    return null;
+  }
+
+  const accept = crypto.createHash("sha1").update(key + HANDSHAKE_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+    "Upgrade: websocket\r\n" +
+    "Connection: Upgrade\r\n" +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  /** @type {Buffer} */
+  let buffered = Buffer.alloc(0);
+  /** @type {Buffer[]} */
+  let fragments = [];
+  let fragmentBytes = 0;
+
+  /** @type {WebSocketConnection} */
+  const conn = {
+    closed: false,
+    send(text) {
+      if (conn.closed) return;
+      socket.write(encodeFrame(OP_TEXT, Buffer.from(text)));
+    },
+    close(code = 1000, reason = "") {
+      if (conn.closed) return;
+      conn.closed = true;
+      const body = Buffer.alloc(2 + Buffer.byteLength(reason));
+      body.writeUInt16BE(code, 0);
+      body.write(reason, 2);
+      socket.end(encodeFrame(OP_CLOSE, body));
+      events.emit("close", code);
+    },
+    on(event, listener) {
+      events.on(event, listener);
+      return conn;
+    },
+  };
+
+  /** @param {Buffer} chunk */
+  function onData(chunk) {
+    buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+    const { frames, rest, oversized } = decodeFrames(buffered, maxMessageBytes);
+    buffered = Buffer.from(rest);
+
+    for (const { fin, opcode, masked, payload } of frames) {
+      if (conn.closed) return;
+      if (!masked) { conn.close(1002, "unmasked frame"); return; }
+      if (opcode === OP_PING) { socket.write(encodeFrame(OP_PONG, payload)); continue; }
+      if (opcode === OP_PONG) continue;
+      if (opcode === OP_CLOSE) {
+        conn.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+        continue;
+      }
+      if (opcode !== OP_TEXT && opcode !== OP_BINARY && opcode !== OP_CONTINUATION) {
+        conn.close(1002, "unsupported opcode");
+        return;
+      }
+
+      fragments.push(payload);
+      fragmentBytes += payload.length;
+      if (fragmentBytes > maxMessageBytes) { conn.close(1009, "message too big"); return; }
+      if (!fin) continue;
+
+      const message = Buffer.concat(fragments).toString("utf8");
+      fragments = [];
+      fragmentBytes = 0;
+      events.emit("message", message);
+    }
+    if (oversized && !conn.closed) {
+      buffered = Buffer.alloc(0);
+      conn.close(1009, "message too big");
+    }
+  }
+
+  socket.on("data", onData);
+  socket.on("close", () => {
+    if (conn.closed) return;
+    conn.closed = true;
+    events.emit("close", 1006);
+  });
+  // Deferred so the caller can attach listeners before buffered frames are emitted.
+  if (head?.length) queueMicrotask(() => onData(head));
+
+  return conn;
+}
@@ -2,21 +2,64 @@
 /**
  * Standalone entry point — used by `node server.mjs` and PM2.
  *
- * Reads config from environment variables (via lib/config.mjs) and starts the
- * HTTP server. Exports `{ server }` for the integration test.
+ * Reads config from environment variables (via lib/config.mjs), validates it
+ * (lib/config-schema.mjs) and starts the HTTP server. Exports `{ server }` for
+ * the integration test.
+ *
+ * `node server.mjs --check-config` validates the configuration, prints every
+ * problem (or "Configuration OK") and exits 1 (or 0) without starting.
+ *
+ * SIGHUP (and, with CONFIG_WATCH, a change to .env) re-reads the configuration
+ * and reloads the running server without dropping calls in progress.
  *
  * Plugin path: index.mjs imports createServer from lib/http-server.mjs directly
  * and never touches this file, so no plugin-vs-standalone conflict exists.
  */
-import * as envConfig from "./lib/config.mjs";
+import { watchFile } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { readEnvConfig, loadEnvConfig } from "./lib/config.mjs";
 import { createServer } from "./lib/http-server.mjs";
+import { validateConfig, configReport } from "./lib/config-schema.mjs";
 import { waitForVoiceDrain } from "./lib/voice-state.mjs";
 import { createLogger } from "./lib/utils.mjs";
 
 const serverLog = createLogger("server");
+const envConfig = readEnvConfig(process.env);
+
+const problems = validateConfig(envConfig, { env: process.env });
+if (process.argv.includes("--check-config")) {
+  if (problems.length) console.error(configReport(problems));
+  else console.log("Configuration OK");
+  process.exit(problems.length ? 1 : 0);
+}
+if (problems.length) {
+  serverLog.error("invalid configuration — not starting; run `node server.mjs --check-config` for the report", { problems });
+  process.exit(1);
+}
 
 export const server = await createServer(envConfig);
 
+/**
+ * @param {string} trigger
+ * @returns {void}
+ */
+function reloadConfig(trigger) {
+  serverLog.log("reloading config", { trigger });
+  try {
+    server.reload(loadEnvConfig());
+  } catch (err) {
+    serverLog.error("config reload failed — keeping the running configuration", { err: err.message });
+  }
+}
+
+process.on("SIGHUP", () => reloadConfig("SIGHUP"));
+if (envConfig.CONFIG_WATCH) {
+  const envFile = fileURLToPath(new URL("./.env", import.meta.url));
+  watchFile(envFile, { persistent: false, interval: 2000 }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) reloadConfig(".env changed");
+  });
+}
+
 /**
  * @param {string} signal
  * @returns {Promise<void>}
@@ -0,0 +1,191 @@
+// @ts-check
+/**
+ * Tests for the access policy: rule matching and validation
+ * (lib/access-policy.mjs), reloading the policy file, and the policy on the
+ * server's /voice, /speech and /sms webhooks.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  matchesRule, isAnonymous, accessDecision, parseAccessPolicy, createAccessPolicy,
+} from "../lib/access-policy.mjs";
+import { fromPluginConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+
+describe("matchesRule", () => {
+  it("matches exact numbers, prefixes and patterns", () => {
+    assert.ok(matchesRule("+15557654321", "15557654321"));
+    assert.ok(!matchesRule("+15557654321", "+155576543210"));
+    assert.ok(matchesRule("+44*", "+447700900123"));
+    assert.ok(!matchesRule("+44*", "+15557654321"));
+    assert.ok(matchesRule("+1555???4321", "+15550004321"));
+    assert.ok(!matchesRule("+1555???4321", "+155500004321"));
+  });
+
+  it("matches withheld numbers only with the anonymous rule", () => {
+    for (const from of ["", "+", "anonymous", "Restricted", "+266696687", undefined]) {
+      assert.ok(isAnonymous(from), String(from));
+      assert.ok(matchesRule("anonymous", from));
+      assert.ok(!matchesRule("*", from), "a wildcard does not match a withheld number");
+    }
+    assert.ok(!isAnonymous("+15557654321"));
+  });
+});
+
+describe("accessDecision", () => {
+  it("checks deny rules first, then the allow rules", () => {
+    const rules = { allow: ["+1*"], deny: ["+1900*", "anonymous"] };
+    assert.deepStrictEqual(accessDecision(rules, "+15557654321"), { allowed: true });
+    assert.deepStrictEqual(accessDecision(rules, "+19005550000"), { allowed: false, reason: 'matches deny rule "+1900*"' });
+    assert.deepStrictEqual(accessDecision(rules, "+447700900123"), { allowed: false, reason: "not in allowlist" });
+    assert.deepStrictEqual(accessDecision({ allow: ["+1*"] }, "anonymous"), { allowed: false, reason: "anonymous caller" });
+    assert.deepStrictEqual(accessDecision({}, "anonymous"), { allowed: true }, "no rules allow everyone");
+  });
+
+  it("requires a matching allow rule when explicit", () => {
+    assert.deepStrictEqual(accessDecision({}, "+15557654321", { explicit: true }), { allowed: false, reason: "not in allowlist" });
+    assert.deepStrictEqual(accessDecision({ allow: ["+1555*"] }, "+15557654321", { explicit: true }), { allowed: true });
+  });
+});
+
+describe("parseAccessPolicy", () => {
+  it("applies top-level rules to both channels", () => {
+    assert.deepStrictEqual(parseAccessPolicy({ deny: ["Anonymous"], voice: { allow: ["+1*"] }, sms: { deny: ["+44*"] } }), {
+      voice: { allow: ["+1*"], deny: ["anonymous"] },
+      sms:   { allow: [], deny: ["anonymous", "+44*"] },
+    });
+  });
+
+  it("rejects unknown settings and rules that are not numbers or patterns", () => {
+    assert.throws(() => parseAccessPolicy({ block: [] }), /accessPolicy: unknown setting "block"/);
+    assert.throws(() => parseAccessPolicy({ voice: { only: [] } }), /accessPolicy\.voice: unknown setting "only"/);
+    assert.throws(() => parseAccessPolicy({ deny: "+1900*" }), /accessPolicy\.deny: expected an array of rules/);
+    assert.throws(() => parseAccessPolicy({ sms: { allow: ["+1 (555) 765"] } }), /accessPolicy\.sms\.allow\[0\]: "\+1 \(555\) 765" is not a number/);
+  });
+});
+
+describe("createAccessPolicy", () => {
+  const dir = mkdtempSync(join(tmpdir(), "clawphone-access-"));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it("combines the file with inline rules and the route's allowlist", () => {
+    const path = join(dir, "combined.json");
+    writeFileSync(path, JSON.stringify({ voice: { deny: ["+1900*"] } }));
+    const access = createAccessPolicy({ ACCESS_POLICY_FILE: path, ACCESS_POLICY: { sms: { allow: ["+44*"] } } });
+    try {
+      assert.strictEqual(access.check("voice", "+19005550000").allowed, false);
+      assert.strictEqual(access.check("voice", "+19005550000", ["+19005550000"]).allowed, false, "deny wins over allowFrom");
+      assert.strictEqual(access.check("sms", "+447700900123", ["+15557654321"]).allowed, true);
+      assert.strictEqual(access.check("sms", "+15550000000", ["+15557654321"]).allowed, false);
+    } finally {
+      access.close();
+    }
+  });
+
+  it("keeps the previous rules when the file stops parsing", () => {
+    const path = join(dir, "reload.json");
+    writeFileSync(path, JSON.stringify({ deny: ["+1900*"] }));
+    const access = createAccessPolicy({ ACCESS_POLICY_FILE: path });
+    try {
+      writeFileSync(path, JSON.stringify({ deny: ["+1900*", "+44*"] }));
+      access.reload();
+      assert.strictEqual(access.check("sms", "+447700900123").allowed, false);
+
+      writeFileSync(path, "{ broken");
+      assert.throws(() => access.reload(), /Cannot read access policy file/);
+      assert.deepStrictEqual(access.current().sms.deny, ["+1900*", "+44*"]);
+    } finally {
+      access.close();
+    }
+  });
+
+  it("reloads the file when it changes", async () => {
+    const path = join(dir, "watched.json");
+    writeFileSync(path, JSON.stringify({}));
+    /** @type {import('../lib/access-policy.mjs').AccessPolicy[]} */
+    const reloads = [];
+    const access = createAccessPolicy({ ACCESS_POLICY_FILE: path }, { onReload: (policy) => reloads.push(policy), watchIntervalMs: 20 });
+    try {
+      await new Promise((r) => setTimeout(r, 50));
+      writeFileSync(path, JSON.stringify({ voice: { deny: ["anonymous"] } }));
+      for (let i = 0; i < 100 && !reloads.length; i++) await new Promise((r) => setTimeout(r, 20));
+      assert.strictEqual(reloads.length, 1);
+      assert.strictEqual(access.check("voice", "anonymous").allowed, false);
+    } finally {
+      access.close();
+    }
+  });
+});
+
+describe("access policy on the server", () => {
+  /** @type {http.Server} */
+  let server;
+  /** @type {http.Server} */
+  let agentStub;
+  let port;
+
+  before(async () => {
+    agentStub = http.createServer((req, res) => {
+      req.resume();
+      req.on("end", () => {
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify({ reply: "Hello." }));
+      });
+    });
+    await new Promise((resolve) => agentStub.listen(0, () => resolve(undefined)));
+    const agentPort = /** @type {import('node:net').AddressInfo} */ (agentStub.address()).port;
+
+    server = await createServer({
+      ...fromPluginConfig({
+        accessPolicy: { deny: ["anonymous"], voice: { deny: ["+1900*"] }, sms: { deny: ["+1555000700?"] } },
+      }),
+      PORT: 0,
+      ALLOW_FROM: ["+1*"],
+      TWILIO_ACCOUNT_SID: "",
+      TWILIO_AUTH_TOKEN: "",
+      AGENT_PROVIDER: "http",
+      AGENT_HTTP_URL: `http://127.0.0.1:${agentPort}/reply`,
+    });
+    port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(() => resolve(undefined)));
+    await new Promise((resolve) => agentStub.close(() => resolve(undefined)));
+  });
+
+  /** @param {string} path @param {Record<string, string>} form @returns {Promise<string>} */
+  function post(path, form) {
+    return new Promise((resolve, reject) => {
+      const encoded = new URLSearchParams(form).toString();
+      const headers = { "content-type": "application/x-www-form-urlencoded", "content-length": Buffer.byteLength(encoded) };
+      const req = http.request({ hostname: "localhost", port, path, method: "POST", headers }, (res) => {
+        let data = "";
+        res.on("data", (c) => (data += c));
+        res.on("end", () => resolve(data));
+      });
+      req.on("error", reject);
+      req.end(encoded);
+    });
+  }
+
+  it("applies prefixes, deny rules and the anonymous rule to calls", async () => {
+    assert.ok(!(await post("/voice", { CallSid: "CA-acl-1", From: "+15557654321", To: "+15550009999" })).includes("not authorized"));
+    assert.match(await post("/voice", { CallSid: "CA-acl-2", From: "+447700900123", To: "+15550009999" }), /not authorized/);
+    assert.match(await post("/voice", { CallSid: "CA-acl-3", From: "+19005550000", To: "+15550009999" }), /not authorized/);
+    assert.match(await post("/voice", { CallSid: "CA-acl-4", From: "+266696687", To: "+15550009999" }), /not authorized/);
+    assert.match(await post("/speech", { CallSid: "CA-acl-5", From: "+19005550000", To: "+15550009999", SpeechResult: "Hi" }), /not authorized/);
+  });
+
+  it("keeps separate rules for texts", async () => {
+    assert.match(await post("/sms", { From: "+15550007001", To: "+15550009999", Body: "Hi", MessageSid: "SM-acl-1" }), /Unauthorized/);
+    assert.ok((await post("/voice", { CallSid: "CA-acl-6", From: "+15550007001", To: "+15550009999" })).includes("<Gather"));
+    assert.ok(!(await post("/sms", { From: "+19005550000", To: "+15550009999", Body: "Hi", MessageSid: "SM-acl-2" })).includes("Unauthorized"));
+  });
+});
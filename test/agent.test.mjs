@@ -3,8 +3,8 @@ import { describe, it, mock } from "node:test";
 import assert from "node:assert";
 import crypto from "node:crypto";
 
-import { discordLog, openclawReply } from "../lib/agent.mjs";
-import { OPENCLAW_MAX_CONCURRENT, DISCORD_LOG_CHANNEL_ID } from "../lib/config.mjs";
+import { createAgent, discordLog, openclawReply } from "../lib/agent.mjs";
+import { OPENCLAW_MAX_CONCURRENT, DISCORD_LOG_CHANNEL_ID, fromPluginConfig } from "../lib/config.mjs";
 
 // ─── Helpers for plugin-path tests ───────────────────────────────────────────
 
@@ -163,6 +163,19 @@ describe("openclawReply — plugin path", () => {
     assert.ok(!smsKey.startsWith("sms:"),     `session key must not have mode prefix, got ${smsKey}`);
   });
 
+  it("keys the plugin session per caller when openclawSessionStrategy is 'caller'", async () => {
+    const deps = makeCoreDeps("ok");
+    const api = makeApi({}, { openclawSessionId: "line", openclawSessionStrategy: "caller" });
+
+    await openclawReply({ userText: "hi", mode: "voice", from: "+15551230001", _api: api, _coreDeps: deps });
+    await openclawReply({ userText: "hi", mode: "sms", from: "+15551230002", _api: api, _coreDeps: deps });
+
+    const calls = /** @type {any[]} */ (deps.runEmbeddedPiAgent.mock.calls);
+    assert.strictEqual(calls[0].arguments[0].sessionKey, "line-15551230001");
+    assert.strictEqual(calls[1].arguments[0].sessionKey, "line-15551230002");
+    assert.notStrictEqual(calls[0].arguments[0].sessionId, calls[1].arguments[0].sessionId);
+  });
+
   it("passes correct prompt framing for voice mode to runEmbeddedPiAgent", async () => {
     const deps = makeCoreDeps("ok");
     const api = makeApi();
@@ -379,3 +392,234 @@ describe("openclawReply", () => {
     assert.ok(results.every((r) => r === "ok"), "all results should be 'ok'");
   });
 });
+
+describe("createAgent", () => {
+  it("defaults to the openclaw adapter and forwards only the last message", async () => {
+    const mockRun = mock.fn(async () => ({ stdout: JSON.stringify({ text: "from openclaw" }), stderr: "" }));
+    const agent = createAgent({ ...fromPluginConfig({}), AGENT_PROVIDER: "" }, { run: mockRun });
+
+    const result = await agent.reply({
+      messages: [
+        { role: "user", content: "earlier question" },
+        { role: "assistant", content: "earlier answer" },
+        { role: "user", content: "latest question" },
+      ],
+      mode: "voice",
+    });
+
+    assert.strictEqual(result, "from openclaw");
+    const [, args] = /** @type {any[]} */ (mockRun.mock.calls)[0].arguments;
+    const message = args[args.indexOf("--message") + 1];
+    assert.strictEqual(message, "Phone call: latest question");
+  });
+
+  it("passes agent and session IDs from config to the openclaw CLI", async () => {
+    const mockRun = mock.fn(async () => ({ stdout: JSON.stringify({ text: "ok" }), stderr: "" }));
+    const agent = createAgent(
+      fromPluginConfig({ openclawAgentId: "cfg-agent", openclawSessionId: "cfg-session" }),
+      { run: mockRun },
+    );
+
+    await agent.reply({ messages: [{ role: "user", content: "hi" }] });
+
+    const [, args] = /** @type {any[]} */ (mockRun.mock.calls)[0].arguments;
+    assert.strictEqual(args[args.indexOf("--agent") + 1], "cfg-agent");
+    assert.strictEqual(args[args.indexOf("--session-id") + 1], "cfg-session");
+  });
+
+  it("passes a per-call --session-id when OPENCLAW_SESSION_STRATEGY=call", async () => {
+    const mockRun = mock.fn(async () => ({ stdout: JSON.stringify({ text: "ok" }), stderr: "" }));
+    const agent = createAgent(fromPluginConfig({ openclawSessionStrategy: "call" }), { run: mockRun });
+
+    await agent.reply({ messages: [{ role: "user", content: "hi" }], from: "+15551230001", callSid: "CA123" });
+
+    const [, args] = /** @type {any[]} */ (mockRun.mock.calls)[0].arguments;
+    assert.strictEqual(args[args.indexOf("--session-id") + 1], "phone-CA123");
+  });
+
+  it("throws on an unknown session strategy", () => {
+    assert.throws(
+      () => createAgent(fromPluginConfig({ openclawSessionStrategy: "weekly" })),
+      /Unknown OPENCLAW_SESSION_STRATEGY "weekly"/,
+    );
+  });
+
+  it("puts noted messages ahead of the session's next prompt, once", async () => {
+    let fail = true;
+    const mockRun = mock.fn(async () => {
+      if (fail) { fail = false; throw new Error("agent down"); }
+      return { stdout: JSON.stringify({ text: "ok" }), stderr: "" };
+    });
+    const agent = createAgent(fromPluginConfig({ openclawSessionStrategy: "caller" }), { run: mockRun });
+    assert.ok(agent.note);
+    agent.note({
+      messages: [{ role: "user", content: "[You sent a text to +15551230001]" }, { role: "assistant", content: "Dinner at 7?" }],
+      from: "+15551230001",
+    });
+
+    const turn = { messages: [/** @type {const} */ ({ role: "user", content: "Yes" })], mode: /** @type {const} */ ("sms"), from: "+15551230001" };
+    await assert.rejects(agent.reply(turn), /agent down/);
+    await agent.reply(turn);
+    await agent.reply(turn);
+    await agent.reply({ ...turn, from: "+15551230002" });
+
+    const prompts = /** @type {any[]} */ (mockRun.mock.calls).map((c) => c.arguments[1][c.arguments[1].indexOf("--message") + 1]);
+    const notes = '[You sent a text to +15551230001]\n[You said: "Dinner at 7?"]\n\n';
+    assert.ok(prompts[0].startsWith(notes));
+    assert.ok(prompts[1].startsWith(`${notes}SMS: Yes`), "kept for the retry after a failed turn");
+    assert.ok(prompts[2].startsWith("SMS: Yes"));
+    assert.ok(prompts[3].startsWith("SMS: Yes"), "other sessions get no notes");
+  });
+
+  it("only the OpenClaw adapter takes notes", () => {
+    assert.strictEqual(createAgent({ AGENT_PROVIDER: "http", AGENT_HTTP_URL: "http://localhost:1/" }).note, undefined);
+  });
+
+  it("throws on an unknown session strategy in pluginConfig", () => {
+    const api = makeApi({}, { openclawSessionStrategy: "per-caller" });
+    assert.throws(
+      () => createAgent(fromPluginConfig({}), { api, coreDeps: makeCoreDeps() }),
+      /Unknown openclawSessionStrategy "per-caller"/,
+    );
+  });
+
+  it("uses the plugin path when api is provided", async () => {
+    const deps = makeCoreDeps("embedded");
+    const agent = createAgent(fromPluginConfig({}), { api: makeApi(), coreDeps: deps });
+
+    const result = await agent.reply({ messages: [{ role: "user", content: "hi" }], mode: "sms" });
+
+    assert.strictEqual(result, "embedded");
+    assert.strictEqual(deps.runEmbeddedPiAgent.mock.calls.length, 1);
+  });
+
+  it("creates the http adapter when AGENT_PROVIDER=http", () => {
+    const agent = createAgent(fromPluginConfig({ agentProvider: "http", agentHttpUrl: "http://localhost:1/reply" }));
+    assert.strictEqual(typeof agent.reply, "function");
+  });
+
+  it("throws when AGENT_PROVIDER=http has no URL", () => {
+    assert.throws(
+      () => createAgent(fromPluginConfig({ agentProvider: "http" })),
+      /AGENT_HTTP_URL is required/,
+    );
+  });
+
+  it("creates the openai adapter when AGENT_PROVIDER=openai", () => {
+    const agent = createAgent(fromPluginConfig({ agentProvider: "openai", openaiModel: "llama3.1" }));
+    assert.strictEqual(typeof agent.reply, "function");
+  });
+
+  it("throws when AGENT_PROVIDER=openai has no model", () => {
+    assert.throws(
+      () => createAgent(fromPluginConfig({ agentProvider: "openai" })),
+      /OPENAI_MODEL is required/,
+    );
+  });
+
+  it("creates the anthropic adapter when AGENT_PROVIDER=anthropic", () => {
+    const agent = createAgent(fromPluginConfig({
+      agentProvider: "anthropic", anthropicApiKey: "sk-ant-test", anthropicModel: "claude-test",
+    }));
+    assert.strictEqual(typeof agent.reply, "function");
+  });
+
+  it("throws when AGENT_PROVIDER=anthropic has no API key", () => {
+    assert.throws(
+      () => createAgent(fromPluginConfig({ agentProvider: "anthropic", anthropicModel: "claude-test" })),
+      /ANTHROPIC_API_KEY is required/,
+    );
+  });
+
+  it("throws on an unknown provider", () => {
+    assert.throws(
+      () => createAgent(fromPluginConfig({ agentProvider: "carrier-pigeon" })),
+      /Unknown AGENT_PROVIDER "carrier-pigeon"/,
+    );
+  });
+});
+
+describe("openclaw adapter — streaming (onChunk)", () => {
+  it("forwards runEmbeddedPiAgent partial replies as deltas", async () => {
+    const deps = makeCoreDeps();
+    // @ts-ignore — stub that streams partials before resolving
+    deps.runEmbeddedPiAgent = mock.fn(async ({ onPartialReply }) => {
+      onPartialReply({ text: "Sunny" });
+      onPartialReply({ text: "Sunny and mild." });
+      onPartialReply({ text: "Also" }); // a second message (after a tool call)
+      onPartialReply({ text: "Also breezy." });
+      return { payloads: [{ text: "Sunny and mild." }, { text: "Also breezy." }], meta: {} };
+    });
+    const agent = createAgent(fromPluginConfig({}), { api: makeApi(), coreDeps: deps });
+
+    /** @type {string[]} */
+    const chunks = [];
+    const result = await agent.reply({ messages: [{ role: "user", content: "weather?" }], onChunk: (c) => chunks.push(c) });
+
+    assert.deepStrictEqual(chunks, ["Sunny", " and mild.", " Also", " breezy."]);
+    assert.strictEqual(result, "Sunny and mild. Also breezy.");
+  });
+
+  it("does not ask for partial replies without onChunk", async () => {
+    const deps = makeCoreDeps();
+    const agent = createAgent(fromPluginConfig({}), { api: makeApi(), coreDeps: deps });
+    await agent.reply({ messages: [{ role: "user", content: "hi" }] });
+    const [params] = /** @type {any[]} */ (deps.runEmbeddedPiAgent.mock.calls)[0].arguments;
+    assert.strictEqual(params.onPartialReply, undefined);
+  });
+
+  it("CLI path: drops --json and forwards each line of output", async () => {
+    const mockRun = mock.fn(async (_cmd, _args, opts) => {
+      opts.onStdout("It's sunny.\nHighs ");
+      opts.onStdout("of 20.\n");
+      return { stdout: "It's sunny.\nHighs of 20.\n", stderr: "" };
+    });
+    const agent = createAgent({ ...fromPluginConfig({}), AGENT_PROVIDER: "" }, { run: mockRun });
+
+    /** @type {string[]} */
+    const chunks = [];
+    const result = await agent.reply({ messages: [{ role: "user", content: "weather?" }], onChunk: (c) => chunks.push(c) });
+
+    const [, args] = /** @type {any[]} */ (mockRun.mock.calls)[0].arguments;
+    assert.ok(!args.includes("--json"));
+    assert.deepStrictEqual(chunks, ["It's sunny.\n", "Highs of 20.\n"]);
+    assert.strictEqual(result, "It's sunny.\nHighs of 20.");
+  });
+});
+
+describe("agent cancellation (signal)", () => {
+  it("passes the signal to runEmbeddedPiAgent and rejects once it aborts", async () => {
+    const deps = makeCoreDeps();
+    const controller = new AbortController();
+    // @ts-ignore — stub run that is stopped partway, returning what it had
+    deps.runEmbeddedPiAgent = mock.fn(async ({ abortSignal }) => {
+      controller.abort();
+      assert.strictEqual(abortSignal.aborted, true);
+      return { payloads: [{ text: "Partial" }], meta: {} };
+    });
+    const agent = createAgent(fromPluginConfig({}), { api: makeApi(), coreDeps: deps });
+    await assert.rejects(
+      agent.reply({ messages: [{ role: "user", content: "hi" }], signal: controller.signal }),
+      { name: "AbortError" },
+    );
+  });
+
+  it("CLI path: passes the signal to run()", async () => {
+    const mockRun = mock.fn(async () => ({ stdout: '{"text":"ok"}', stderr: "" }));
+    const agent = createAgent({ ...fromPluginConfig({}), AGENT_PROVIDER: "" }, { run: mockRun });
+    const { signal } = new AbortController();
+    await agent.reply({ messages: [{ role: "user", content: "hi" }], signal });
+    const [, , opts] = /** @type {any[]} */ (mockRun.mock.calls)[0].arguments;
+    assert.strictEqual(opts.signal, signal);
+  });
+
+  it("does not start a call whose signal already aborted", async () => {
+    const mockRun = mock.fn(async () => ({ stdout: "", stderr: "" }));
+    const agent = createAgent({ ...fromPluginConfig({}), AGENT_PROVIDER: "" }, { run: mockRun });
+    await assert.rejects(
+      agent.reply({ messages: [{ role: "user", content: "hi" }], signal: AbortSignal.abort() }),
+      { name: "AbortError" },
+    );
+    assert.strictEqual(mockRun.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,262 @@
+// @ts-check
+/**
+ * Tests for the Anthropic Messages adapter (lib/agents/anthropic.mjs).
+ *
+ * A local node:http stub server stands in for the Messages API; each test
+ * sets `respond` to control the reply and inspects `received` afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+
+import { createAnthropicAgent, smsMaxTokens } from "../lib/agents/anthropic.mjs";
+import { buildSystemPrompt } from "../lib/agents/prompt.mjs";
+import { fromPluginConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+
+/** @type {{ method: string|undefined, url: string|undefined, headers: http.IncomingHttpHeaders, body: any }[]} */
+const received = [];
+
+/** @param {string} text */
+const message = (text) => ({
+  id: "msg_1",
+  type: "message",
+  role: "assistant",
+  content: [{ type: "text", text }],
+  stop_reason: "end_turn",
+});
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {unknown} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/** @type {(res: http.ServerResponse) => void} */
+let respond = (res) => sendJson(res, 200, message("stub reply"));
+
+const stub = http.createServer((req, res) => {
+  let data = "";
+  req.on("data", (c) => (data += c));
+  req.on("end", () => {
+    received.push({ method: req.method, url: req.url, headers: req.headers, body: data ? JSON.parse(data) : null });
+    respond(res);
+  });
+});
+
+let baseUrl = "";
+
+before(async () => {
+  await new Promise((resolve) => stub.listen(0, () => resolve(undefined)));
+  const { port } = /** @type {import('node:net').AddressInfo} */ (stub.address());
+  baseUrl = `http://localhost:${port}`;
+});
+
+after(() => new Promise((resolve) => stub.close(() => resolve(undefined))));
+
+/** @type {import('../lib/agent.mjs').AgentMessage[]} */
+const hi = [{ role: "user", content: "hi" }];
+
+/** @param {Partial<Parameters<typeof createAnthropicAgent>[0]>} [opts] */
+const makeAgent = (opts = {}) => createAnthropicAgent({ baseUrl, apiKey: "sk-ant-test", model: "claude-test", ...opts });
+
+describe("smsMaxTokens", () => {
+  it("allows ~2 characters per token with a floor of 64", () => {
+    assert.strictEqual(smsMaxTokens(280), 140);
+    assert.strictEqual(smsMaxTokens(1000), 500);
+    assert.strictEqual(smsMaxTokens(40), 64);
+  });
+});
+
+describe("createAnthropicAgent", () => {
+  it("throws without an API key or model", () => {
+    assert.throws(() => createAnthropicAgent({ apiKey: "", model: "m" }), /ANTHROPIC_API_KEY is required/);
+    assert.throws(() => createAnthropicAgent({ apiKey: "k", model: "" }), /ANTHROPIC_MODEL is required/);
+  });
+
+  it("POSTs to /v1/messages with auth headers, system prompt and history", async () => {
+    received.length = 0;
+    /** @type {import('../lib/agent.mjs').AgentMessage[]} */
+    const messages = [
+      { role: "user", content: "first" },
+      { role: "assistant", content: "answer" },
+      { role: "user", content: "second" },
+    ];
+
+    const result = await makeAgent({ maxTokens: 300 }).reply({ messages, mode: "voice", callerName: "Alice" });
+
+    assert.strictEqual(result, "stub reply");
+    assert.strictEqual(received[0].url, "/v1/messages");
+    assert.strictEqual(received[0].headers["x-api-key"], "sk-ant-test");
+    assert.strictEqual(received[0].headers["anthropic-version"], "2023-06-01");
+    assert.deepStrictEqual(received[0].body, {
+      model: "claude-test",
+      max_tokens: 300,
+      system: buildSystemPrompt("voice", "Alice"),
+      messages,
+    });
+  });
+
+  it("caps max_tokens from smsMaxChars for SMS turns", async () => {
+    received.length = 0;
+    await makeAgent({ smsMaxChars: 160 }).reply({ messages: hi, mode: "sms" });
+    assert.strictEqual(received[0].body.max_tokens, smsMaxTokens(160));
+    assert.strictEqual(received[0].body.system, buildSystemPrompt("sms", "", 160));
+  });
+
+  it("uses the configured voice and SMS system prompts", async () => {
+    received.length = 0;
+    const agent = makeAgent({ voiceSystemPrompt: "Voice rules.", smsSystemPrompt: "SMS rules." });
+    await agent.reply({ messages: hi, mode: "voice" });
+    await agent.reply({ messages: hi, mode: "sms" });
+    assert.strictEqual(received[0].body.system, "Voice rules.");
+    assert.strictEqual(received[1].body.system, "SMS rules.");
+  });
+
+  it("joins text blocks and ignores other content types", async () => {
+    respond = (res) => sendJson(res, 200, {
+      type: "message",
+      content: [
+        { type: "thinking", thinking: "hmm" },
+        { type: "text", text: "Hello " },
+        { type: "text", text: "there. " },
+      ],
+    });
+    assert.strictEqual(await makeAgent().reply({ messages: hi }), "Hello there.");
+  });
+
+  it("rejects with the API error type and message on a non-2xx status", async () => {
+    respond = (res) => sendJson(res, 529, {
+      type: "error",
+      error: { type: "overloaded_error", message: "Overloaded" },
+    });
+    await assert.rejects(
+      makeAgent().reply({ messages: hi }),
+      /anthropic HTTP 529: overloaded_error: Overloaded/,
+    );
+  });
+
+  it("rejects on a non-JSON error body", async () => {
+    respond = (res) => {
+      res.writeHead(502, { "content-type": "text/html" });
+      res.end("<html>Bad gateway</html>");
+    };
+    await assert.rejects(makeAgent().reply({ messages: hi }), /anthropic HTTP 502: invalid response/);
+  });
+
+  it("rejects when the request exceeds timeoutMs", async () => {
+    respond = (res) => setTimeout(() => sendJson(res, 200, message("too late")), 200);
+    await assert.rejects(makeAgent({ timeoutMs: 20 }).reply({ messages: hi }), /timeout|abort/i);
+  });
+
+  /** @param {string} name @param {object} data */
+  const sse = (name, data) => `event: ${name}\ndata: ${JSON.stringify({ type: name, ...data })}\n\n`;
+
+  it("streams text deltas through onChunk", async () => {
+    received.length = 0;
+    respond = (res) => {
+      res.writeHead(200, { "content-type": "text/event-stream" });
+      res.write(sse("message_start", { message: { id: "msg_1", content: [] } }));
+      res.write(sse("content_block_start", { index: 0, content_block: { type: "text", text: "" } }));
+      res.write(sse("ping", {}));
+      res.write(sse("content_block_delta", { index: 0, delta: { type: "text_delta", text: "Sunny" } }));
+      res.write(sse("content_block_delta", { index: 0, delta: { type: "text_delta", text: " and mild." } }));
+      res.write(sse("content_block_stop", { index: 0 }));
+      res.end(sse("message_stop", {}));
+    };
+    /** @type {string[]} */
+    const chunks = [];
+    const result = await makeAgent().reply({ messages: hi, onChunk: (c) => chunks.push(c) });
+
+    assert.strictEqual(received[0].body.stream, true);
+    assert.deepStrictEqual(chunks, ["Sunny", " and mild."]);
+    assert.strictEqual(result, "Sunny and mild.");
+  });
+
+  it("rejects on an error event mid-stream", async () => {
+    respond = (res) => {
+      res.writeHead(200, { "content-type": "text/event-stream" });
+      res.write(sse("content_block_delta", { index: 0, delta: { type: "text_delta", text: "Sun" } }));
+      res.end(sse("error", { error: { type: "overloaded_error", message: "Overloaded" } }));
+    };
+    await assert.rejects(makeAgent().reply({ messages: hi, onChunk: () => {} }), /anthropic stream error: overloaded_error: Overloaded/);
+  });
+});
+
+// ── Error fallback through createServer ──────────────────────────────────────
+
+describe("anthropic API errors via createServer", () => {
+  /** @type {http.Server} */
+  let server;
+  let port;
+
+  before(async () => {
+    server = await createServer({
+      ...fromPluginConfig({}),
+      PORT: 0,
+      ALLOW_FROM: [],
+      TWILIO_ACCOUNT_SID: "",
+      TWILIO_AUTH_TOKEN: "",
+      AGENT_PROVIDER: "anthropic",
+      ANTHROPIC_BASE_URL: baseUrl,
+      ANTHROPIC_API_KEY: "sk-ant-test",
+      ANTHROPIC_MODEL: "claude-test",
+    });
+    port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+  });
+
+  after(() => new Promise((resolve) => server.close(() => resolve(undefined))));
+
+  /** @param {string} path @param {Record<string, string>} form @returns {Promise<string>} */
+  function post(path, form) {
+    return new Promise((resolve, reject) => {
+      const encoded = new URLSearchParams(form).toString();
+      const req = http.request(
+        {
+          hostname: "localhost", port, path, method: "POST",
+          headers: { "content-type": "application/x-www-form-urlencoded", "content-length": Buffer.byteLength(encoded) },
+        },
+        (res) => {
+          let data = "";
+          res.on("data", (c) => (data += c));
+          res.on("end", () => resolve(data));
+        },
+      );
+      req.on("error", reject);
+      req.end(encoded);
+    });
+  }
+
+  it("speaks the standard error fallback when the API fails mid-call", async () => {
+    respond = (res) => sendJson(res, 500, { type: "error", error: { type: "api_error", message: "boom" } });
+
+    const queued = await post("/speech", { From: "+15557770003", CallSid: "CA-anth-1", SpeechResult: "hello" });
+    const waitUrl = /<Redirect[^>]*>([^<]+)<\/Redirect>/.exec(queued)?.[1]?.replace(/&amp;/g, "&");
+    assert.ok(waitUrl, "expected a /speech-wait redirect");
+    await new Promise((r) => setTimeout(r, 100));
+
+    const spoken = await post(waitUrl, {});
+    assert.match(spoken, /Sorry — I hit an error generating a reply\./);
+  });
+});
+
+describe("createAnthropicAgent probe", () => {
+  it("lists the models with the auth headers, which costs no tokens", async () => {
+    received.length = 0;
+    respond = (res) => sendJson(res, 200, { data: [], has_more: false });
+    await makeAgent().probe?.();
+    assert.deepStrictEqual(received.map((r) => [r.method, r.url]), [["GET", "/v1/models"]]);
+    assert.strictEqual(received[0].headers["x-api-key"], "sk-ant-test");
+    assert.ok(received[0].headers["anthropic-version"]);
+  });
+
+  it("rejects on a non-2xx status", async () => {
+    respond = (res) => sendJson(res, 529, { type: "error", error: { type: "overloaded_error", message: "Overloaded" } });
+    await assert.rejects(async () => makeAgent().probe?.(), /anthropic HTTP 529/);
+  });
+});
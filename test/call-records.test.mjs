@@ -0,0 +1,217 @@
+// @ts-check
+/**
+ * Tests for inbound call lifecycle records (lib/call-records.mjs) and the
+ * /voice-status webhook and /api/voice-calls endpoints. The agent is the
+ * generic HTTP adapter pointed at a local stub; the stub holds back replies to
+ * "Hold on" so a call can end with a turn still pending.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+
+import {
+  recordIncomingCall,
+  recordVoiceStatus,
+  noteServerHangup,
+  recordCallTurn,
+  recordTranscript,
+  noteRecordingConsent,
+  recordRecordingStatus,
+  getVoiceCall,
+  recentVoiceCalls,
+  callSummaryText,
+} from "../lib/call-records.mjs";
+import { fromPluginConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+
+// ── Records ──────────────────────────────────────────────────────────────────
+
+describe("call records", () => {
+  it("follows a call from /voice to completion", () => {
+    recordIncomingCall({ callSid: "CA-rec-1", from: "+15550004001", to: "+15550009999" });
+    recordCallTurn("CA-rec-1", 1200);
+    recordCallTurn("CA-rec-1", 800);
+    const call = recordVoiceStatus({ CallSid: "CA-rec-1", CallStatus: "completed", CallDuration: "42" });
+
+    assert.strictEqual(call?.status, "completed");
+    assert.strictEqual(call?.duration, 42);
+    assert.strictEqual(call?.turns, 2);
+    assert.strictEqual(call?.agentMs, 2000);
+    assert.strictEqual(call?.hangupReason, "caller hung up");
+    assert.deepStrictEqual(call?.events.map((e) => e.status), ["in-progress", "completed"]);
+    assert.strictEqual(
+      callSummaryText(/** @type {any} */ (call)),
+      "Call from +15550004001 ended (completed, 42s): 2 turns, 2.0s agent time, caller hung up",
+    );
+  });
+
+  it("ignores a repeated status", () => {
+    recordIncomingCall({ callSid: "CA-rec-2", from: "+15550004002", to: "" });
+    assert.ok(recordVoiceStatus({ CallSid: "CA-rec-2", CallStatus: "ringing" }));
+    assert.strictEqual(recordVoiceStatus({ CallSid: "CA-rec-2", CallStatus: "ringing" }), undefined);
+  });
+
+  it("opens a record for a call first seen through a status callback", () => {
+    const call = recordVoiceStatus({ CallSid: "CA-rec-3", CallStatus: "ringing", From: "+15550004003", To: "+15550009999" });
+    assert.strictEqual(call?.from, "+15550004003");
+    assert.strictEqual(recordIncomingCall({ callSid: "CA-rec-3", from: "+15550004003", to: "+15550009999" }), call);
+  });
+
+  it("keeps the server's reason when it hung up", () => {
+    recordIncomingCall({ callSid: "CA-rec-4", from: "+15550004004", to: "" });
+    noteServerHangup("CA-rec-4", "not in allowlist");
+    assert.strictEqual(recordVoiceStatus({ CallSid: "CA-rec-4", CallStatus: "completed" })?.hangupReason, "not in allowlist");
+  });
+
+  it("reports failures with their error code", () => {
+    const call = recordVoiceStatus({ CallSid: "CA-rec-5", CallStatus: "failed", ErrorCode: "31005" });
+    assert.strictEqual(call?.hangupReason, "failed (error 31005)");
+  });
+
+  it("keeps the transcript of a call it has a record for", () => {
+    recordIncomingCall({ callSid: "CA-rec-7", from: "+15550004007", to: "" });
+    recordTranscript("CA-rec-7", "caller", "Hi");
+    recordTranscript("CA-rec-7", "agent", "Hello.");
+    recordTranscript("CA-rec-7", "agent", "");
+    recordTranscript("CA-rec-unknown", "caller", "Hi");
+    assert.deepStrictEqual(getVoiceCall("CA-rec-7")?.transcript.map((l) => [l.speaker, l.text]), [["caller", "Hi"], ["agent", "Hello."]]);
+    assert.strictEqual(getVoiceCall("CA-rec-unknown"), undefined);
+  });
+
+  it("links recordings to their call", () => {
+    recordIncomingCall({ callSid: "CA-rec-8", from: "+15550004008", to: "" });
+    noteRecordingConsent("CA-rec-8", "given");
+    recordRecordingStatus({ CallSid: "CA-rec-8", RecordingSid: "RE1", RecordingUrl: "https://r/RE1", RecordingStatus: "in-progress", RecordingChannels: "2" });
+    const result = recordRecordingStatus({ CallSid: "CA-rec-8", RecordingSid: "RE1", RecordingStatus: "completed", RecordingDuration: "9" });
+
+    assert.strictEqual(result?.call.recordingConsent, "given");
+    assert.deepStrictEqual(
+      result?.call.recordings.map(({ sid, url, status, channels, duration }) => ({ sid, url, status, channels, duration })),
+      [{ sid: "RE1", url: "https://r/RE1", status: "completed", channels: 2, duration: 9 }],
+    );
+    assert.strictEqual(recordRecordingStatus({ CallSid: "CA-rec-8" }), undefined);
+  });
+
+  it("lists recent calls newest first", () => {
+    recordIncomingCall({ callSid: "CA-rec-6", from: "+15550004006", to: "" });
+    assert.deepStrictEqual(recentVoiceCalls(2).map((c) => c.callSid), ["CA-rec-6", "CA-rec-8"]);
+    assert.strictEqual(getVoiceCall("CA-rec-unknown"), undefined);
+  });
+});
+
+// ── Server ───────────────────────────────────────────────────────────────────
+
+describe("/voice-status", () => {
+  /** @type {http.Server} */
+  let server;
+  /** @type {http.Server} */
+  let agentStub;
+  let port;
+  /** @type {{ said: string, aborted: boolean }[]} */
+  const agentRequests = [];
+  /** @type {http.ServerResponse[]} */
+  const held = [];
+
+  before(async () => {
+    agentStub = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (c) => (body += c));
+      req.on("end", () => {
+        const request = { said: JSON.parse(body).messages.at(-1).content, aborted: false };
+        agentRequests.push(request);
+        if (request.said === "Hold on") {
+          res.on("close", () => { if (!res.writableEnded) request.aborted = true; });
+          held.push(res);
+          return;
+        }
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify({ reply: "Sure." }));
+      });
+    });
+    await new Promise((resolve) => agentStub.listen(0, () => resolve(undefined)));
+    const agentPort = /** @type {import('node:net').AddressInfo} */ (agentStub.address()).port;
+
+    server = await createServer({
+      ...fromPluginConfig({}),
+      PORT: 0,
+      ALLOW_FROM: [],
+      TWILIO_ACCOUNT_SID: "",
+      TWILIO_AUTH_TOKEN: "",
+      API_TOKEN: "secret-token",
+      AGENT_PROVIDER: "http",
+      AGENT_HTTP_URL: `http://127.0.0.1:${agentPort}/reply`,
+    });
+    port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+  });
+
+  after(async () => {
+    for (const res of held) res.end("{}");
+    await new Promise((resolve) => server.close(() => resolve(undefined)));
+    await new Promise((resolve) => agentStub.close(() => resolve(undefined)));
+  });
+
+  /**
+   * @param {string} method
+   * @param {string} path
+   * @param {{ form?: Record<string, string>, token?: string }} [opts]
+   * @returns {Promise<{ status: number|undefined, body: string }>}
+   */
+  function request(method, path, { form, token } = {}) {
+    return new Promise((resolve, reject) => {
+      const encoded = form ? new URLSearchParams(form).toString() : "";
+      /** @type {Record<string, string|number>} */
+      const headers = { "content-type": "application/x-www-form-urlencoded", "content-length": Buffer.byteLength(encoded) };
+      if (token) headers.authorization = `Bearer ${token}`;
+      const req = http.request({ hostname: "localhost", port, path, method, headers }, (res) => {
+        let data = "";
+        res.on("data", (c) => (data += c));
+        res.on("end", () => resolve({ status: res.statusCode, body: data }));
+      });
+      req.on("error", reject);
+      req.end(encoded);
+    });
+  }
+
+  /** @param {() => boolean} check */
+  async function until(check) {
+    for (let i = 0; i < 100 && !check(); i++) await new Promise((r) => setTimeout(r, 10));
+    assert.ok(check());
+  }
+
+  const call = { CallSid: "CA-status-1", From: "+15550005001", To: "+15550009999" };
+
+  it("records the call, cancels its pending turn and exposes it via the API", async () => {
+    await request("POST", "/voice", { form: call });
+    await request("POST", "/speech", { form: { ...call, SpeechResult: "Quick one" } });
+    await until(() => getVoiceCall(call.CallSid)?.turns === 1);
+
+    await request("POST", "/speech", { form: { ...call, SpeechResult: "Hold on" } });
+    await until(() => agentRequests.some((r) => r.said === "Hold on"));
+
+    const inProgress = await request("POST", "/voice-status", { form: { ...call, CallStatus: "in-progress" } });
+    assert.strictEqual(inProgress.status, 204);
+    await request("POST", "/voice-status", { form: { ...call, CallStatus: "completed", CallDuration: "17" } });
+    await until(() => Boolean(agentRequests.find((r) => r.said === "Hold on")?.aborted));
+
+    const listed = await request("GET", "/api/voice-calls?limit=5", { token: "secret-token" });
+    assert.strictEqual(listed.status, 200);
+    const [latest] = JSON.parse(listed.body).calls;
+    assert.strictEqual(latest.callSid, call.CallSid);
+    assert.strictEqual(latest.status, "completed");
+    assert.strictEqual(latest.duration, 17);
+    assert.strictEqual(latest.turns, 1);
+    assert.strictEqual(latest.hangupReason, "caller hung up");
+    assert.deepStrictEqual(latest.transcript.map((/** @type {any} */ l) => l.text), ["Quick one", "Sure.", "Hold on"]);
+
+    const one = await request("GET", `/api/voice-calls/${call.CallSid}`, { token: "secret-token" });
+    assert.strictEqual(JSON.parse(one.body).callSid, call.CallSid);
+    const unknown = await request("GET", "/api/voice-calls/CA-nope", { token: "secret-token" });
+    assert.strictEqual(unknown.status, 404);
+  });
+
+  it("requires the API token", async () => {
+    const res = await request("GET", "/api/voice-calls");
+    assert.strictEqual(res.status, 401);
+  });
+});
@@ -0,0 +1,163 @@
+// @ts-check
+/**
+ * Tests for post-call summaries (lib/call-summary.mjs) and CALL_SUMMARY on the
+ * server. The agent is the generic HTTP adapter pointed at a local stub that
+ * answers summary requests with a fixed summary; SMS goes to a fake Twilio
+ * client.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+
+import { formatTranscript, summarizeCall } from "../lib/call-summary.mjs";
+import { fromPluginConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+
+const PROMPT = "Summarize this call.";
+
+/** @returns {import('../lib/call-records.mjs').VoiceCall} */
+const finishedCall = (/** @type {Partial<import('../lib/call-records.mjs').VoiceCall>} */ fields = {}) => ({
+  callSid: "CA-sum-0", from: "+15550006000", to: "+15550009999", status: "completed", duration: 30,
+  events: [], turns: 1, agentMs: 500, hangupReason: "caller hung up", recordingConsent: "", recordings: [],
+  createdAt: 0, updatedAt: 0,
+  transcript: [
+    { speaker: "caller", text: "Can you book a table for two?", at: 0 },
+    { speaker: "agent", text: "Booked for 7pm.", at: 0 },
+  ],
+  ...fields,
+});
+
+/** @type {import('../lib/routes.mjs').Route} */
+const route = /** @type {any} */ ({ agentId: "phone", sessionId: "phone", smsMaxChars: 160 });
+
+describe("formatTranscript", () => {
+  it("labels each line with its speaker", () => {
+    assert.strictEqual(
+      formatTranscript(finishedCall(), { callerLabel: "Alex" }),
+      "Alex: Can you book a table for two?\nAgent: Booked for 7pm.",
+    );
+  });
+});
+
+describe("summarizeCall", () => {
+  it("sends the prompt and transcript as a one-off SMS-framed request", async () => {
+    /** @type {import('../lib/agent.mjs').AgentReplyOptions[]} */
+    const requests = [];
+    const agent = { reply: async (/** @type {any} */ opts) => { requests.push(opts); return "  Table booked.  "; } };
+
+    const summary = await summarizeCall(finishedCall(), { agent, prompt: PROMPT, route });
+    assert.strictEqual(summary, "Table booked.");
+    assert.deepStrictEqual(requests[0].messages, [{
+      role: "user",
+      content: `${PROMPT}\n\nCaller: Can you book a table for two?\nAgent: Booked for 7pm.`,
+    }]);
+    assert.strictEqual(requests[0].mode, "sms");
+    assert.strictEqual(requests[0].sessionId, "phone-summary");
+    assert.strictEqual(requests[0].smsMaxChars, 160);
+  });
+
+  it("skips calls with nothing said", async () => {
+    const agent = { reply: async () => { throw new Error("not called"); } };
+    assert.strictEqual(await summarizeCall(finishedCall({ transcript: [] }), { agent, prompt: PROMPT, route }), "");
+  });
+});
+
+describe("CALL_SUMMARY", () => {
+  /** @type {http.Server} */
+  let server;
+  /** @type {http.Server} */
+  let agentStub;
+  let port;
+  /** @type {string[]} last message of each agent request */
+  const agentRequests = [];
+  /** @type {{ to: string, from: string, body: string }[]} */
+  const texts = [];
+
+  before(async () => {
+    agentStub = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (c) => (body += c));
+      req.on("end", () => {
+        const said = JSON.parse(body).messages.at(-1).content;
+        agentRequests.push(said);
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify({ reply: said.startsWith(PROMPT) ? "Caller asked about hours." : "We open at nine." }));
+      });
+    });
+    await new Promise((resolve) => agentStub.listen(0, () => resolve(undefined)));
+    const agentPort = /** @type {import('node:net').AddressInfo} */ (agentStub.address()).port;
+
+    server = await createServer({
+      ...fromPluginConfig({ callSummary: true, callSummarySms: true, callSummaryPrompt: PROMPT }),
+      PORT: 0,
+      // The summary is texted like any outbound SMS, so only to allowlisted callers.
+      ALLOW_FROM: ["+1555000600?"],
+      TWILIO_ACCOUNT_SID: "",
+      TWILIO_AUTH_TOKEN: "",
+      AGENT_PROVIDER: "http",
+      AGENT_HTTP_URL: `http://127.0.0.1:${agentPort}/reply`,
+    }, null, {
+      twilioClient: /** @type {any} */ ({
+        sendSms: async (/** @type {{ to: string, from: string, body: string }} */ opts) => {
+          texts.push(opts);
+          return { sid: `SM-sum-${texts.length}`, status: "queued", errorCode: null, errorMessage: null, to: opts.to, from: opts.from };
+        },
+      }),
+    });
+    port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(() => resolve(undefined)));
+    await new Promise((resolve) => agentStub.close(() => resolve(undefined)));
+  });
+
+  /** @param {string} path @param {Record<string, string>} form @returns {Promise<string>} */
+  function post(path, form) {
+    return new Promise((resolve, reject) => {
+      const encoded = new URLSearchParams(form).toString();
+      const req = http.request(
+        {
+          hostname: "localhost", port, path, method: "POST",
+          headers: { "content-type": "application/x-www-form-urlencoded", "content-length": Buffer.byteLength(encoded) },
+        },
+        (res) => {
+          let data = "";
+          res.on("data", (c) => (data += c));
+          res.on("end", () => resolve(data));
+        },
+      );
+      req.on("error", reject);
+      req.end(encoded);
+    });
+  }
+
+  /** @param {() => boolean} check */
+  async function until(check) {
+    for (let i = 0; i < 100 && !check(); i++) await new Promise((r) => setTimeout(r, 10));
+    assert.ok(check());
+  }
+
+  it("summarizes the transcript when the call ends and texts it to the caller", async () => {
+    const call = { CallSid: "CA-sum-1", From: "+15550006001", To: "+15550009999" };
+    await post("/voice", call);
+    await post("/speech", { ...call, SpeechResult: "When do you open?" });
+    await until(() => agentRequests.includes("When do you open?"));
+
+    await post("/voice-status", { ...call, CallStatus: "completed", CallDuration: "12" });
+    await until(() => texts.length === 1);
+
+    assert.strictEqual(agentRequests.at(-1), `${PROMPT}\n\nCaller: When do you open?\nAgent: We open at nine.`);
+    assert.deepStrictEqual(texts[0], { to: "+15550006001", from: "+15550009999", body: "Caller asked about hours." });
+  });
+
+  it("does not summarize a call with nothing said", async () => {
+    const call = { CallSid: "CA-sum-2", From: "+15550006002", To: "+15550009999" };
+    await post("/voice", call);
+    const before = agentRequests.length;
+    await post("/voice-status", { ...call, CallStatus: "completed" });
+    await new Promise((r) => setTimeout(r, 50));
+    assert.strictEqual(agentRequests.length, before);
+  });
+});
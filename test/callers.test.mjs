@@ -0,0 +1,155 @@
+// @ts-check
+/**
+ * Tests for the caller directory (lib/callers.mjs) and its use by the server:
+ * allowlisting, prompt framing and per-caller voice and language. The agent is
+ * the generic HTTP adapter pointed at a local stub that records each request.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { parseCallers, loadCallersFile, callerContextText, createCallerDirectory } from "../lib/callers.mjs";
+import { buildPrompt, buildSystemPrompt } from "../lib/agents/prompt.mjs";
+import { fromPluginConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+
+const ALICE = "+15550006001";
+const BOB = "+15550006002";
+
+describe("parseCallers", () => {
+  it("normalizes numbers and rejects unknown or non-string settings", () => {
+    assert.deepStrictEqual(parseCallers({ "15550006001": { name: "Alice" } }), { [ALICE]: { name: "Alice" } });
+    assert.deepStrictEqual(parseCallers(undefined), {});
+    assert.throws(() => parseCallers({ [ALICE]: { nickname: "Al" } }), /unknown setting "nickname"/);
+    assert.throws(() => parseCallers({ [ALICE]: { role: 3 } }), /\.role: expected string, got number/);
+    assert.throws(() => parseCallers([ALICE]), /expected an object keyed by phone number/);
+  });
+});
+
+describe("loadCallersFile", () => {
+  const dir = mkdtempSync(join(tmpdir(), "clawphone-callers-file-"));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it("reads a directory and names the file when it is broken", () => {
+    const path = join(dir, "callers.json");
+    writeFileSync(path, JSON.stringify({ [ALICE]: { name: "Alice", role: "owner" } }));
+    assert.strictEqual(loadCallersFile(path)[ALICE].role, "owner");
+
+    const broken = join(dir, "broken.json");
+    writeFileSync(broken, "{ not json");
+    assert.throws(() => loadCallersFile(broken), /Cannot read callers file .*broken\.json/);
+  });
+});
+
+describe("createCallerDirectory", () => {
+  it("prefers inline entries and falls back to CALLER_NAME", () => {
+    const dir = mkdtempSync(join(tmpdir(), "clawphone-callers-dir-"));
+    try {
+      const path = join(dir, "callers.json");
+      writeFileSync(path, JSON.stringify({ [ALICE]: { name: "Alice (file)" }, [BOB]: { name: "Bob" } }));
+      const callers = createCallerDirectory({ CALLERS_FILE: path, CALLERS: { [ALICE]: { name: "Alice" } }, CALLER_NAME: "Guest" });
+      assert.strictEqual(callers.nameFor(ALICE), "Alice");
+      assert.strictEqual(callers.nameFor("15550006002"), "Bob");
+      assert.strictEqual(callers.nameFor("+15550006999"), "Guest");
+      assert.deepStrictEqual(callers.numbers().sort(), [ALICE, BOB]);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("caller context in prompts", () => {
+  it("tells the agent the caller's role, language and notes", () => {
+    const context = callerContextText({ name: "Alice", role: "owner", language: "es-MX", context: "Runs the Austin office." });
+    assert.strictEqual(context, "The caller's role is owner. The caller prefers es-MX; reply in that language. Runs the Austin office.");
+    assert.strictEqual(callerContextText({ name: "Bob" }), "");
+    assert.strictEqual(callerContextText(undefined), "");
+
+    assert.strictEqual(buildPrompt("Hi", "voice", "Alice", 280, "Runs the office."), "Phone call (Alice): Hi\n\nAbout the caller: Runs the office.");
+    assert.match(buildSystemPrompt("sms", "Alice", 160, "Runs the office."), /<= 160 characters.* About the caller: Runs the office\.$/);
+    assert.ok(!buildSystemPrompt("voice", "Alice").includes("About the caller"));
+  });
+});
+
+describe("caller directory on the server", () => {
+  /** @type {http.Server} */
+  let server;
+  /** @type {http.Server} */
+  let agentStub;
+  let port;
+  /** @type {any[]} bodies of the agent requests */
+  const agentRequests = [];
+
+  before(async () => {
+    agentStub = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (c) => (body += c));
+      req.on("end", () => {
+        agentRequests.push(JSON.parse(body));
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify({ reply: "Hola." }));
+      });
+    });
+    await new Promise((resolve) => agentStub.listen(0, () => resolve(undefined)));
+    const agentPort = /** @type {import('node:net').AddressInfo} */ (agentStub.address()).port;
+
+    server = await createServer({
+      ...fromPluginConfig({
+        callers: {
+          [ALICE]: { name: "Alice", role: "owner", language: "es-MX", voice: "Polly.Lupe" },
+        },
+      }),
+      PORT: 0,
+      ALLOW_FROM: [BOB],
+      TWILIO_ACCOUNT_SID: "",
+      TWILIO_AUTH_TOKEN: "",
+      AGENT_PROVIDER: "http",
+      AGENT_HTTP_URL: `http://127.0.0.1:${agentPort}/reply`,
+    });
+    port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(() => resolve(undefined)));
+    await new Promise((resolve) => agentStub.close(() => resolve(undefined)));
+  });
+
+  /** @param {string} path @param {Record<string, string>} form @returns {Promise<string>} */
+  function post(path, form) {
+    return new Promise((resolve, reject) => {
+      const encoded = new URLSearchParams(form).toString();
+      const headers = { "content-type": "application/x-www-form-urlencoded", "content-length": Buffer.byteLength(encoded) };
+      const req = http.request({ hostname: "localhost", port, path, method: "POST", headers }, (res) => {
+        let data = "";
+        res.on("data", (c) => (data += c));
+        res.on("end", () => resolve(data));
+      });
+      req.on("error", reject);
+      req.end(encoded);
+    });
+  }
+
+  it("allows listed callers along with ALLOW_FROM and nobody else", async () => {
+    assert.ok(!(await post("/voice", { CallSid: "CA-dir-1", From: ALICE, To: "+15550009999" })).includes("not authorized"));
+    assert.ok(!(await post("/voice", { CallSid: "CA-dir-2", From: BOB, To: "+15550009999" })).includes("not authorized"));
+    assert.match(await post("/voice", { CallSid: "CA-dir-3", From: "+15550006999", To: "+15550009999" }), /not authorized/);
+  });
+
+  it("answers a listed caller in their voice and language", async () => {
+    const twiml = await post("/voice", { CallSid: "CA-dir-4", From: ALICE, To: "+15550009999" });
+    assert.ok(twiml.includes('<Say voice="Polly.Lupe">'));
+    assert.ok(twiml.includes('language="es-MX"'));
+    assert.ok(!(await post("/voice", { CallSid: "CA-dir-5", From: BOB, To: "+15550009999" })).includes("language="));
+  });
+
+  it("gives the agent the caller's name and context", async () => {
+    await post("/sms", { From: ALICE, To: "+15550009999", Body: "Hola", MessageSid: "SM-dir-1" });
+    const [request] = agentRequests;
+    assert.strictEqual(request.callerName, "Alice");
+    assert.strictEqual(request.callerContext, "The caller's role is owner. The caller prefers es-MX; reply in that language.");
+  });
+});
@@ -0,0 +1,246 @@
+// @ts-check
+/**
+ * Tests for the agent circuit breaker (lib/circuit-breaker.mjs,
+ * withCircuitBreaker() in lib/agent.mjs) and AGENT_BREAKER_* on the server.
+ * The server's agent is the generic HTTP adapter pointed at a local stub that
+ * fails until the test marks it healthy.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+
+import { createCircuitBreaker, isCircuitOpen } from "../lib/circuit-breaker.mjs";
+import { withCircuitBreaker } from "../lib/agent.mjs";
+import { fromPluginConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+
+describe("createCircuitBreaker", () => {
+  function setup() {
+    let time = 1000;
+    /** @type {string[]} */
+    const changes = [];
+    const breaker = createCircuitBreaker({
+      threshold: 2,
+      cooldownMs: 100,
+      onChange: (state, prev) => changes.push(`${prev}→${state}`),
+      now: () => time,
+    });
+    return { breaker, changes, advance: (/** @type {number} */ ms) => { time += ms; } };
+  }
+
+  it("opens after the threshold of failures in a row", () => {
+    const { breaker, changes } = setup();
+    assert.ok(breaker.tryAcquire());
+    breaker.failure(new Error("boom"));
+    assert.strictEqual(breaker.state(), "closed");
+    breaker.success();
+    breaker.failure(new Error("one"));
+    breaker.failure(new Error("two"));
+    assert.strictEqual(breaker.state(), "open");
+    assert.strictEqual(breaker.tryAcquire(), false);
+    assert.deepStrictEqual(breaker.snapshot(), { state: "open", failures: 2, openedAt: 1000, retryAt: 1100, lastError: "Error: two" });
+    assert.deepStrictEqual(changes, ["closed→open"]);
+  });
+
+  it("lets one trial through after the cool-down and closes on success", () => {
+    const { breaker, changes, advance } = setup();
+    breaker.failure("a");
+    breaker.failure("b");
+    advance(100);
+    assert.strictEqual(breaker.state(), "half-open");
+    assert.ok(breaker.tryAcquire());
+    assert.strictEqual(breaker.tryAcquire(), false, "one trial at a time");
+    breaker.success();
+    assert.strictEqual(breaker.state(), "closed");
+    assert.strictEqual(breaker.snapshot().lastError, "");
+    assert.deepStrictEqual(changes, ["closed→open", "open→half-open", "half-open→closed"]);
+  });
+
+  it("reopens for another cool-down when the trial fails", () => {
+    const { breaker, advance } = setup();
+    breaker.failure("a");
+    breaker.failure("b");
+    advance(150);
+    assert.ok(breaker.tryAcquire());
+    breaker.failure("c");
+    assert.strictEqual(breaker.state(), "open");
+    assert.strictEqual(breaker.snapshot().retryAt, 1250);
+  });
+
+  it("frees the trial when the call is released without a verdict", () => {
+    const { breaker, advance } = setup();
+    breaker.failure("a");
+    breaker.failure("b");
+    advance(100);
+    assert.ok(breaker.tryAcquire());
+    breaker.release();
+    assert.ok(breaker.tryAcquire());
+  });
+});
+
+describe("withCircuitBreaker", () => {
+  it("fails fast while open and ignores cancelled calls", async () => {
+    const breaker = createCircuitBreaker({ threshold: 1, cooldownMs: 60_000 });
+    let calls = 0;
+    const agent = withCircuitBreaker({
+      reply: async ({ signal }) => {
+        calls++;
+        if (signal?.aborted) throw new Error("aborted");
+        throw new Error("down");
+      },
+    }, breaker);
+
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(agent.reply({ messages: [], signal: controller.signal }), /aborted/);
+    assert.strictEqual(breaker.state(), "closed");
+
+    await assert.rejects(agent.reply({ messages: [] }), /down/);
+    await assert.rejects(agent.reply({ messages: [] }), (err) => isCircuitOpen(err));
+    assert.strictEqual(calls, 2);
+  });
+
+  it("puts the adapter's probe behind the breaker too", async () => {
+    let now = 0;
+    const breaker = createCircuitBreaker({ threshold: 1, cooldownMs: 100, now: () => now });
+    let up = false;
+    const agent = withCircuitBreaker({
+      reply: async () => { throw new Error("down"); },
+      probe: async () => { if (!up) throw new Error("down"); },
+    }, breaker);
+
+    await assert.rejects(agent.reply({ messages: [] }), /down/);
+    await assert.rejects(/** @type {Function} */ (agent.probe)(), (err) => isCircuitOpen(err));
+    now = 100;
+    up = true;
+    await /** @type {Function} */ (agent.probe)();
+    assert.strictEqual(breaker.state(), "closed");
+  });
+});
+
+describe("AGENT_BREAKER_THRESHOLD", () => {
+  /** @type {http.Server} */
+  let agentStub;
+  let agentPort = 0;
+  let healthy = false;
+  /** @type {string[]} */
+  const methods = [];
+
+  before(async () => {
+    agentStub = http.createServer((req, res) => {
+      methods.push(req.method ?? "");
+      req.resume();
+      req.on("end", () => {
+        res.writeHead(healthy ? 200 : 503, { "content-type": "application/json" });
+        res.end(JSON.stringify(healthy ? { reply: "OK" } : { error: "down" }));
+      });
+    });
+    await new Promise((resolve) => agentStub.listen(0, () => resolve(undefined)));
+    agentPort = /** @type {import('node:net').AddressInfo} */ (agentStub.address()).port;
+  });
+  after(() => new Promise((resolve) => agentStub.close(() => resolve(undefined))));
+
+  /**
+   * @param {import('../lib/config.mjs').PluginConfig} pluginConfig
+   * @returns {Promise<{ server: http.Server, port: number }>}
+   */
+  async function startServer(pluginConfig) {
+    const server = await createServer({
+      ...fromPluginConfig({ agentBreakerThreshold: 2, ...pluginConfig }),
+      PORT: 0,
+      ALLOW_FROM: [],
+      TWILIO_ACCOUNT_SID: "",
+      TWILIO_AUTH_TOKEN: "",
+      AGENT_PROVIDER: "http",
+      AGENT_HTTP_URL: `http://127.0.0.1:${agentPort}/reply`,
+    });
+    return { server, port: /** @type {import('node:net').AddressInfo} */ (server.address()).port };
+  }
+
+  /**
+   * @param {number} port
+   * @param {string} method
+   * @param {string} path
+   * @param {Record<string, string>} [form]
+   * @returns {Promise<string>}
+   */
+  function request(port, method, path, form) {
+    return new Promise((resolve, reject) => {
+      const encoded = form ? new URLSearchParams(form).toString() : "";
+      const headers = { "content-type": "application/x-www-form-urlencoded", "content-length": Buffer.byteLength(encoded) };
+      const req = http.request({ hostname: "localhost", port, path, method, headers }, (res) => {
+        let data = "";
+        res.on("data", (c) => (data += c));
+        res.on("end", () => resolve(data));
+      });
+      req.on("error", reject);
+      req.end(encoded);
+    });
+  }
+
+  /** @param {number} port */
+  async function breakerState(port) {
+    return JSON.parse(await request(port, "GET", "/health")).agentBreaker?.state;
+  }
+
+  /** @param {number} port @param {number} n */
+  async function failTexts(port, n) {
+    for (let i = 0; i < n; i++) {
+      await request(port, "POST", "/sms", { From: `+1555000700${i}`, To: "+15550009999", Body: "Hi", MessageSid: `SM-br-${i}` });
+    }
+  }
+
+  it("opens after repeated failures and turns callers and texters away at once", async () => {
+    healthy = false;
+    const { server, port } = await startServer({ agentBreakerCooldownMs: 60_000, agentUnavailableMessage: "Assistant is down." });
+    try {
+      assert.strictEqual(await breakerState(port), "closed");
+      await failTexts(port, 2);
+      assert.strictEqual(await breakerState(port), "open");
+
+      const sms = await request(port, "POST", "/sms", { From: "+15550007009", To: "+15550009999", Body: "Hello?", MessageSid: "SM-br-9" });
+      assert.match(sms, /<Message>Assistant is down\.<\/Message>/);
+
+      const voice = await request(port, "POST", "/voice", { CallSid: "CA-br-1", From: "+15550007010", To: "+15550009999" });
+      assert.match(voice, />Assistant is down\.<\/Say><Hangup\/>/);
+
+      const speech = await request(port, "POST", "/speech", { CallSid: "CA-br-2", From: "+15550007011", To: "+15550009999", SpeechResult: "Hi" });
+      assert.match(speech, />Assistant is down\.<\/Say><Hangup\/>/);
+    } finally {
+      await new Promise((resolve) => server.close(() => resolve(undefined)));
+    }
+  });
+
+  it("sends callers to voicemail while open when the fallback is on", async () => {
+    healthy = false;
+    const { server, port } = await startServer({ agentBreakerCooldownMs: 60_000, voicemailAfterFailures: 3, voicemailPrompt: "Leave a message." });
+    try {
+      await failTexts(port, 2);
+      const voice = await request(port, "POST", "/voice", { CallSid: "CA-br-3", From: "+15550007012", To: "+15550009999" });
+      assert.ok(voice.includes(">Leave a message.</Say><Record"));
+    } finally {
+      await new Promise((resolve) => server.close(() => resolve(undefined)));
+    }
+  });
+
+  it("probes the agent after the cool-down and closes once it answers", async () => {
+    healthy = false;
+    const { server, port } = await startServer({ agentBreakerCooldownMs: 30, agentProbeIntervalMs: 10 });
+    try {
+      await failTexts(port, 2);
+      assert.notStrictEqual(await breakerState(port), "closed");
+      methods.length = 0;
+      healthy = true;
+      let state = "";
+      for (let i = 0; i < 100 && state !== "closed"; i++) {
+        await new Promise((r) => setTimeout(r, 10));
+        state = await breakerState(port);
+      }
+      assert.strictEqual(state, "closed");
+      assert.ok(methods.length > 0 && methods.every((m) => m === "HEAD"), "probes with HEAD, not an agent turn");
+    } finally {
+      await new Promise((resolve) => server.close(() => resolve(undefined)));
+    }
+  });
+});
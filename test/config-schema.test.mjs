@@ -0,0 +1,162 @@
+// @ts-check
+/**
+ * Tests for configuration validation (lib/config-schema.mjs): types, ranges
+ * and formats from plugin config and the environment, the JSON tables,
+ * settings that need each other, and the report createServer() and reload()
+ * reject with.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+
+import { validateConfig, configReport, assertValidConfig } from "../lib/config-schema.mjs";
+import { fromPluginConfig, readEnvConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+
+describe("validateConfig", () => {
+  it("accepts the defaults from both configuration paths", () => {
+    assert.deepStrictEqual(validateConfig(fromPluginConfig({})), []);
+    assert.deepStrictEqual(validateConfig(readEnvConfig()), []);
+  });
+
+  it("checks types, ranges and choices", () => {
+    const problems = validateConfig(fromPluginConfig(/** @type {any} */ ({
+      port: "8787", smsMaxChars: 0, openaiTemperature: 3, recordCalls: "yes", voiceMode: "websocket", voicemailMaxSeconds: 1.5,
+    })));
+    assert.deepStrictEqual(problems, [
+      'PORT: expected a whole number, got "8787"',
+      "SMS_MAX_CHARS: must be at least 1, got 0",
+      "OPENAI_TEMPERATURE: must be between 0 and 2, got 3",
+      'RECORD_CALLS: expected true or false, got "yes"',
+      "VOICEMAIL_MAX_SECONDS: expected a whole number, got 1.5",
+      'VOICE_MODE: expected one of gather, stream, got "websocket"',
+    ]);
+  });
+
+  it("reports bad environment values as they were written", () => {
+    const saved = { PORT: process.env.PORT, CALL_SUMMARY: process.env.CALL_SUMMARY };
+    process.env.PORT = "eighty";
+    process.env.CALL_SUMMARY = "yes";
+    try {
+      assert.deepStrictEqual(validateConfig(readEnvConfig()), [
+        'PORT: expected a whole number, got "eighty"',
+        'CALL_SUMMARY: expected true or false, got "yes"',
+      ]);
+    } finally {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    }
+  });
+
+  it("quotes the environment the configuration was read from", () => {
+    const env = { PORT: "ninety", TRANSCRIPT_MAX_FILES: "-1" };
+    assert.deepStrictEqual(validateConfig(readEnvConfig(env), { env }), [
+      'PORT: expected a whole number, got "ninety"',
+      'TRANSCRIPT_MAX_FILES: must be at least 0, got -1',
+    ]);
+  });
+
+  it("requires E.164 numbers and http(s) URLs", () => {
+    const problems = validateConfig(fromPluginConfig({
+      allowFrom: ["+15557654321", "+44*", "anonymous", "555-1234"],
+      twilioSmsFrom: "15550001111",
+      publicBaseUrl: "phone.example.com",
+    }));
+    assert.deepStrictEqual(problems, [
+      'ALLOW_FROM: expected E.164 numbers such as +15551234567, prefixes such as +44* or "anonymous", got "555-1234"',
+      'TWILIO_SMS_FROM: expected an E.164 number such as +15551234567, got "15550001111"',
+      'PUBLIC_BASE_URL: expected an http:// or https:// URL, got "phone.example.com"',
+      "TWILIO_SMS_FROM: sending SMS needs TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN",
+    ]);
+  });
+
+  it("checks routes, callers, the access policy and the keypad menu", () => {
+    const problems = validateConfig(fromPluginConfig({
+      routes: { "+15550001111": { greeting: /** @type {any} */ (5) } },
+      accessPolicy: { block: [] },
+      dtmfMenu: { "1": /** @type {any} */ ("dance") },
+      callersFile: "/nonexistent/callers.json",
+    }));
+    assert.strictEqual(problems.length, 4);
+    assert.match(problems[0], /^ROUTES: routes\["\+15550001111"\]\.greeting: expected string, got number$/);
+    assert.match(problems[1], /^CALLERS_FILE: Cannot read callers file \/nonexistent\/callers\.json/);
+    assert.match(problems[2], /^ACCESS_POLICY: accessPolicy: unknown setting "block"$/);
+    assert.match(problems[3], /^DTMF_MENU: DTMF_MENU\["1"\]: unknown action "dance"/);
+  });
+
+  it("checks settings that need each other", () => {
+    const twilio = { twilioAccountSid: "AC123", twilioAuthToken: "secret", twilioSmsFrom: "+15550001111" };
+    assert.deepStrictEqual(validateConfig(fromPluginConfig(twilio)), []);
+    assert.deepStrictEqual(validateConfig(fromPluginConfig({ twilioAccountSid: "AC123", twilioSmsFrom: "+15550001111" })), [
+      "TWILIO_AUTH_TOKEN: required when TWILIO_ACCOUNT_SID is set",
+      "TWILIO_SMS_FROM: sending SMS needs TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN",
+    ]);
+    assert.deepStrictEqual(validateConfig(fromPluginConfig({ twilioSmsFrom: "+15550001111" }), { twilioClient: true }), []);
+    assert.deepStrictEqual(validateConfig(fromPluginConfig({ ...twilio, twilioCallFrom: "+15550002222" })), [
+      "PUBLIC_BASE_URL: required to place outbound calls (Twilio fetches their webhooks from it)",
+    ]);
+
+    assert.deepStrictEqual(validateConfig(fromPluginConfig({ ...twilio, callSummarySms: true })), ["CALL_SUMMARY_SMS: needs CALL_SUMMARY=true"]);
+    assert.deepStrictEqual(validateConfig(fromPluginConfig({ verifyCaller: "pin", verifyPin: "12" })), [
+      "VERIFY_PIN: VERIFY_CALLER=pin needs a PIN of at least 4 digits",
+    ]);
+    assert.deepStrictEqual(validateConfig(fromPluginConfig({ verifyCaller: "sms" })), [
+      "VERIFY_CALLER: texting codes needs TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN",
+    ]);
+    assert.deepStrictEqual(validateConfig(fromPluginConfig({ agentProvider: "anthropic", anthropicModel: "claude" })), [
+      "ANTHROPIC_API_KEY: required when AGENT_PROVIDER=anthropic",
+    ]);
+    assert.deepStrictEqual(validateConfig(fromPluginConfig({ voiceMode: "stream" })), [
+      "DEEPGRAM_API_KEY: required when VOICE_MODE=stream uses Deepgram",
+    ]);
+    assert.deepStrictEqual(validateConfig(fromPluginConfig({ voiceMode: "stream" }), { speechEngines: true }), []);
+  });
+
+  it("skips settings a partial configuration leaves out", () => {
+    assert.deepStrictEqual(validateConfig({ PORT: 0, AGENT_PROVIDER: "http", AGENT_HTTP_URL: "http://127.0.0.1:1/reply" }), []);
+  });
+});
+
+describe("assertValidConfig", () => {
+  it("throws one report listing every problem", () => {
+    assert.strictEqual(configReport(["PORT: bad"]), "Invalid configuration (1 problem):\n  - PORT: bad");
+    assert.throws(
+      () => assertValidConfig(fromPluginConfig(/** @type {any} */ ({ port: -1, agentProvider: "carrier-pigeon" }))),
+      { message: [
+        "Invalid configuration (2 problems):",
+        "  - PORT: must be between 0 and 65535, got -1",
+        '  - AGENT_PROVIDER: expected one of openclaw, http, openai, anthropic, got "carrier-pigeon"',
+      ].join("\n") },
+    );
+  });
+});
+
+describe("validation on the server", () => {
+  const base = {
+    ...fromPluginConfig({}),
+    PORT: 0,
+    TWILIO_ACCOUNT_SID: "",
+    TWILIO_AUTH_TOKEN: "",
+    AGENT_PROVIDER: "http",
+    AGENT_HTTP_URL: "http://127.0.0.1:1/reply",
+  };
+
+  it("createServer rejects an invalid configuration before listening", async () => {
+    await assert.rejects(
+      createServer({ ...base, SMS_MAX_CHARS: Number("lots"), PUBLIC_BASE_URL: "phone.example.com" }),
+      /Invalid configuration \(2 problems\):\n {2}- PUBLIC_BASE_URL: .*\n {2}- SMS_MAX_CHARS: expected a whole number, got NaN/,
+    );
+  });
+
+  it("reload rejects an invalid configuration, including settings that need a restart", async () => {
+    const server = await createServer(base);
+    try {
+      assert.throws(() => server.reload({ ...base, PORT: 70000, GREETING_TEXT: "Changed." }), /PORT: must be between 0 and 65535, got 70000/);
+      assert.deepStrictEqual(server.reload({ ...base, GREETING_TEXT: "Changed." }), { changed: ["GREETING_TEXT"], needsRestart: [] });
+    } finally {
+      await new Promise((resolve) => server.close(() => resolve(undefined)));
+    }
+  });
+});
@@ -0,0 +1,154 @@
+// @ts-check
+/**
+ * Tests for EARLY_AGENT_START: <Gather> partial results posted to
+ * /speech-partial start the agent speculatively, and the final /speech either
+ * adopts that turn or discards it. The agent is the generic HTTP adapter
+ * pointed at a local stub that records every request.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+
+import { fromPluginConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+
+// Sessions are per caller, so each call uses its own number: "CA-early-3" calls from +15550000003.
+const callerOf = (/** @type {string} */ callSid) => `+1555000000${callSid.at(-1)}`;
+
+describe("EARLY_AGENT_START", () => {
+  /** @type {http.Server} */
+  let server;
+  /** @type {http.Server} */
+  let agentStub;
+  let port;
+  /** @type {any[]} messages[] of each agent request */
+  const agentRequests = [];
+
+  before(async () => {
+    agentStub = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (c) => (body += c));
+      req.on("end", () => {
+        const { messages } = JSON.parse(body);
+        agentRequests.push(messages);
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify({ reply: `You said: ${messages.at(-1).content}` }));
+      });
+    });
+    await new Promise((resolve) => agentStub.listen(0, () => resolve(undefined)));
+    const agentPort = /** @type {import('node:net').AddressInfo} */ (agentStub.address()).port;
+
+    server = await createServer({
+      ...fromPluginConfig({}),
+      PORT: 0,
+      ALLOW_FROM: [],
+      TWILIO_ACCOUNT_SID: "",
+      TWILIO_AUTH_TOKEN: "",
+      EARLY_AGENT_START: true,
+      EARLY_AGENT_START_STABLE_MS: 50,
+      AGENT_PROVIDER: "http",
+      AGENT_HTTP_URL: `http://127.0.0.1:${agentPort}/reply`,
+    });
+    port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(() => resolve(undefined)));
+    await new Promise((resolve) => agentStub.close(() => resolve(undefined)));
+  });
+
+  /** @param {string} path @param {Record<string, string>} form @returns {Promise<{ status: number|undefined, body: string }>} */
+  function post(path, form) {
+    return new Promise((resolve, reject) => {
+      const encoded = new URLSearchParams(form).toString();
+      const req = http.request(
+        {
+          hostname: "localhost", port, path, method: "POST",
+          headers: { "content-type": "application/x-www-form-urlencoded", "content-length": Buffer.byteLength(encoded) },
+        },
+        (res) => {
+          let data = "";
+          res.on("data", (c) => (data += c));
+          res.on("end", () => resolve({ status: res.statusCode, body: data }));
+        },
+      );
+      req.on("error", reject);
+      req.end(encoded);
+    });
+  }
+
+  /** @param {string} callSid @param {string} stable @param {string} [unstable] */
+  const partial = (callSid, stable, unstable = "") =>
+    post("/speech-partial", { CallSid: callSid, From: callerOf(callSid), StableSpeechResult: stable, UnstableSpeechResult: unstable });
+
+  /** POST the final /speech, then follow /speech-wait redirects to the spoken reply. */
+  async function finalSpeech(/** @type {string} */ callSid, /** @type {string} */ said) {
+    let { body } = await post("/speech", { CallSid: callSid, From: callerOf(callSid), SpeechResult: said });
+    for (let i = 0; i < 20; i++) {
+      const waitUrl = /<Redirect[^>]*>([^<]+)<\/Redirect>/.exec(body)?.[1]?.replace(/&amp;/g, "&");
+      if (!waitUrl?.startsWith("/speech-wait")) break;
+      ({ body } = await post(waitUrl, { CallSid: callSid, From: callerOf(callSid) }));
+    }
+    return body;
+  }
+
+  const sleep = (/** @type {number} */ ms) => new Promise((r) => setTimeout(r, ms));
+
+  it("/voice asks <Gather> for partial results", async () => {
+    const { body } = await post("/voice", { CallSid: "CA-early-0", From: callerOf("CA-early-0") });
+    assert.ok(body.includes('partialResultCallback="/speech-partial"'));
+  });
+
+  it("answers /speech-partial with 204", async () => {
+    const { status } = await partial("CA-early-1", "");
+    assert.strictEqual(status, 204);
+  });
+
+  it("starts the agent on a stable partial and reuses the turn for a matching final result", async () => {
+    const before = agentRequests.length;
+    await partial("CA-early-2", "what's the", "weather");
+    await partial("CA-early-2", "what's the weather", "tomorrow");
+    await sleep(150);
+    assert.strictEqual(agentRequests.length, before + 1, "speculative turn should have started");
+    assert.deepStrictEqual(agentRequests.at(-1), [{ role: "user", content: "what's the weather tomorrow" }]);
+
+    const reply = await finalSpeech("CA-early-2", "What's the weather tomorrow?");
+    assert.match(reply, /You said: what's the weather tomorrow/);
+    assert.strictEqual(agentRequests.length, before + 1, "the final result must not start a second turn");
+
+    // The next turn sees the adopted exchange in its history, with the final transcript.
+    await finalSpeech("CA-early-2", "Thanks");
+    assert.deepStrictEqual(agentRequests.at(-1).map((/** @type {any} */ m) => m.content), [
+      "What's the weather tomorrow?",
+      "You said: what's the weather tomorrow",
+      "Thanks",
+    ]);
+  });
+
+  it("restarts when the final result diverges from the speculation", async () => {
+    const before = agentRequests.length;
+    await partial("CA-early-3", "call my", "mom");
+    await sleep(150);
+    assert.strictEqual(agentRequests.length, before + 1);
+
+    const reply = await finalSpeech("CA-early-3", "Call my mother at work");
+    assert.match(reply, /You said: Call my mother at work/);
+    assert.strictEqual(agentRequests.length, before + 2);
+    // The discarded speculation left nothing in the caller's history.
+    assert.deepStrictEqual(agentRequests.at(-1), [{ role: "user", content: "Call my mother at work" }]);
+  });
+
+  it("waits for the partial transcript to settle before starting", async () => {
+    const before = agentRequests.length;
+    await partial("CA-early-4", "set a", "timer");
+    await sleep(10);
+    await partial("CA-early-4", "set a timer", "for ten");
+    await sleep(10);
+    assert.strictEqual(agentRequests.length, before);
+
+    await finalSpeech("CA-early-4", "Set a timer for ten minutes");
+    assert.strictEqual(agentRequests.length, before + 1);
+    assert.deepStrictEqual(agentRequests.at(-1), [{ role: "user", content: "Set a timer for ten minutes" }]);
+  });
+});
@@ -0,0 +1,173 @@
+// @ts-check
+/**
+ * Tests for the generic HTTP agent adapter (lib/agents/http.mjs).
+ *
+ * A local node:http stub server stands in for the agent service; each test
+ * sets `respond` to control the reply and inspects `received` afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+
+import { createHttpAgent } from "../lib/agents/http.mjs";
+
+/** @type {{ method: string|undefined, headers: http.IncomingHttpHeaders, body: any }[]} */
+const received = [];
+
+/** @type {(res: http.ServerResponse) => void} */
+let respond = (res) => {
+  res.writeHead(200, { "content-type": "application/json" });
+  res.end(JSON.stringify({ reply: "stub reply" }));
+};
+
+const stub = http.createServer((req, res) => {
+  let data = "";
+  req.on("data", (c) => (data += c));
+  req.on("end", () => {
+    received.push({ method: req.method, headers: req.headers, body: data ? JSON.parse(data) : null });
+    respond(res);
+  });
+});
+
+let url = "";
+
+before(async () => {
+  await new Promise((resolve) => stub.listen(0, () => resolve(undefined)));
+  const { port } = /** @type {import('node:net').AddressInfo} */ (stub.address());
+  url = `http://localhost:${port}/reply`;
+});
+
+after(() => new Promise((resolve) => stub.close(() => resolve(undefined))));
+
+describe("createHttpAgent", () => {
+  it("throws without a URL", () => {
+    assert.throws(() => createHttpAgent({ url: "" }), /AGENT_HTTP_URL is required/);
+  });
+
+  it("POSTs messages, mode and callerName as JSON and returns the reply", async () => {
+    received.length = 0;
+    const agent = createHttpAgent({ url });
+    const messages = [
+      { role: /** @type {const} */ ("user"), content: "first" },
+      { role: /** @type {const} */ ("assistant"), content: "answer" },
+      { role: /** @type {const} */ ("user"), content: "second" },
+    ];
+
+    const result = await agent.reply({ messages, mode: "sms", callerName: "Alice" });
+
+    assert.strictEqual(result, "stub reply");
+    assert.strictEqual(received.length, 1);
+    assert.deepStrictEqual(received[0].body, { messages, mode: "sms", callerName: "Alice" });
+    assert.strictEqual(received[0].headers["content-type"], "application/json");
+    assert.strictEqual(received[0].headers.authorization, undefined);
+  });
+
+  it("sends a bearer token when configured", async () => {
+    received.length = 0;
+    const agent = createHttpAgent({ url, token: "s3cret" });
+
+    await agent.reply({ messages: [{ role: "user", content: "hi" }] });
+
+    assert.strictEqual(received[0].headers.authorization, "Bearer s3cret");
+  });
+
+  it("accepts `text` in a JSON response", async () => {
+    respond = (res) => {
+      res.writeHead(200, { "content-type": "application/json; charset=utf-8" });
+      res.end(JSON.stringify({ text: "  text field  " }));
+    };
+    const result = await createHttpAgent({ url }).reply({ messages: [{ role: "user", content: "hi" }] });
+    assert.strictEqual(result, "text field");
+  });
+
+  it("returns a plain-text body as-is (trimmed)", async () => {
+    respond = (res) => {
+      res.writeHead(200, { "content-type": "text/plain" });
+      res.end("plain reply\n");
+    };
+    const result = await createHttpAgent({ url }).reply({ messages: [{ role: "user", content: "hi" }] });
+    assert.strictEqual(result, "plain reply");
+  });
+
+  it("rejects on a non-2xx status", async () => {
+    respond = (res) => {
+      res.writeHead(502, { "content-type": "text/plain" });
+      res.end("upstream down");
+    };
+    await assert.rejects(
+      createHttpAgent({ url }).reply({ messages: [{ role: "user", content: "hi" }] }),
+      /agent HTTP 502: upstream down/,
+    );
+  });
+
+  it("rejects when the request exceeds timeoutMs", async () => {
+    respond = (res) => {
+      setTimeout(() => {
+        res.writeHead(200, { "content-type": "text/plain" });
+        res.end("too late");
+      }, 200);
+    };
+    await assert.rejects(
+      createHttpAgent({ url, timeoutMs: 20 }).reply({ messages: [{ role: "user", content: "hi" }] }),
+      /timeout|abort/i,
+    );
+  });
+
+  it("rejects when the caller's signal aborts", async () => {
+    respond = (res) => {
+      setTimeout(() => {
+        res.writeHead(200, { "content-type": "text/plain" });
+        res.end("too late");
+      }, 200);
+    };
+    const controller = new AbortController();
+    const pending = createHttpAgent({ url }).reply({ messages: [{ role: "user", content: "hi" }], signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+    await assert.rejects(pending, { name: "AbortError" });
+  });
+
+  it("streams an event-stream reply through onChunk", async () => {
+    received.length = 0;
+    respond = (res) => {
+      res.writeHead(200, { "content-type": "text/event-stream" });
+      res.write("data: It's sunny.\n\n");
+      res.write(': keep-alive\n\ndata: {"delta":" Highs of 20."}\n\n');
+      res.end("data: [DONE]\n\ndata: ignored\n\n");
+    };
+    /** @type {string[]} */
+    const chunks = [];
+    const result = await createHttpAgent({ url }).reply({ messages: [{ role: "user", content: "weather?" }], onChunk: (c) => chunks.push(c) });
+
+    assert.deepStrictEqual(chunks, ["It's sunny.", " Highs of 20."]);
+    assert.strictEqual(result, "It's sunny. Highs of 20.");
+    assert.match(String(received[0].headers.accept), /^text\/event-stream/);
+  });
+
+  it("still accepts a JSON reply when streaming was requested", async () => {
+    respond = (res) => {
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify({ reply: "whole reply" }));
+    };
+    /** @type {string[]} */
+    const chunks = [];
+    const result = await createHttpAgent({ url }).reply({ messages: [{ role: "user", content: "hi" }], onChunk: (c) => chunks.push(c) });
+    assert.strictEqual(result, "whole reply");
+    assert.deepStrictEqual(chunks, []);
+  });
+});
+
+describe("createHttpAgent probe", () => {
+  it("sends HEAD to the URL with the token and accepts any answer short of a 5xx", async () => {
+    received.length = 0;
+    respond = (res) => { res.writeHead(405); res.end(); };
+    await createHttpAgent({ url, token: "t0k" }).probe?.();
+    assert.strictEqual(received[0].method, "HEAD");
+    assert.strictEqual(received[0].headers.authorization, "Bearer t0k");
+  });
+
+  it("rejects on a 5xx", async () => {
+    respond = (res) => { res.writeHead(503); res.end(); };
+    await assert.rejects(async () => createHttpAgent({ url }).probe?.(), /agent HTTP 503/);
+  });
+});
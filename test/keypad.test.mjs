@@ -0,0 +1,145 @@
+// @ts-check
+/**
+ * Tests for keypad input: the menu helpers (lib/keypad.mjs) and DTMF_INPUT on
+ * the server. The agent is the generic HTTP adapter pointed at a local stub
+ * that echoes the caller.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+
+import { parseKeypadMenu, keypadMenuText, keypadMessage } from "../lib/keypad.mjs";
+import { fromPluginConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+
+describe("parseKeypadMenu", () => {
+  it("accepts an object or a JSON string", () => {
+    assert.deepStrictEqual(parseKeypadMenu({ "1": "repeat", "#": "hangup" }), { "1": "repeat", "#": "hangup" });
+    assert.deepStrictEqual(parseKeypadMenu('{"9":"voicemail"}'), { "9": "voicemail" });
+    assert.deepStrictEqual(parseKeypadMenu(""), {});
+  });
+
+  it("rejects bad keys, unknown actions and invalid JSON", () => {
+    assert.throws(() => parseKeypadMenu({ "12": "repeat" }), /DTMF_MENU\["12"\]: expected a single key/);
+    assert.throws(() => parseKeypadMenu({ "1": "transfer" }), /unknown action "transfer"/);
+    assert.throws(() => parseKeypadMenu("{1:"), /DTMF_MENU: invalid JSON/);
+    assert.throws(() => parseKeypadMenu(["repeat"], "dtmfMenu"), /dtmfMenu: expected an object/);
+  });
+});
+
+describe("keypadMenuText", () => {
+  it("reads the menu as one sentence", () => {
+    assert.strictEqual(
+      keypadMenuText({ "1": "repeat", "2": "new-topic", "9": "voicemail", "#": "hangup" }),
+      "Press 1 to repeat the last answer, 2 to start a new topic, 9 to leave a voicemail, or pound to end the call.",
+    );
+    assert.strictEqual(keypadMenuText({ "*": "menu" }), "Press star to hear these options again.");
+    assert.strictEqual(keypadMenuText({}), "");
+  });
+});
+
+describe("DTMF_INPUT", () => {
+  /** @type {http.Server} */
+  let server;
+  /** @type {http.Server} */
+  let agentStub;
+  let port;
+  /** @type {string[]} last message of each agent request */
+  const agentRequests = [];
+
+  before(async () => {
+    agentStub = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (c) => (body += c));
+      req.on("end", () => {
+        const said = JSON.parse(body).messages.at(-1).content;
+        agentRequests.push(said);
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify({ reply: `You said: ${said}` }));
+      });
+    });
+    await new Promise((resolve) => agentStub.listen(0, () => resolve(undefined)));
+    const agentPort = /** @type {import('node:net').AddressInfo} */ (agentStub.address()).port;
+
+    server = await createServer({
+      ...fromPluginConfig({
+        dtmfInput: true,
+        dtmfMenu: { "1": "repeat", "2": "new-topic", "9": "voicemail", "0": "keypad", "#": "hangup" },
+      }),
+      PORT: 0,
+      ALLOW_FROM: [],
+      TWILIO_ACCOUNT_SID: "",
+      TWILIO_AUTH_TOKEN: "",
+      AGENT_PROVIDER: "http",
+      AGENT_HTTP_URL: `http://127.0.0.1:${agentPort}/reply`,
+    });
+    port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(() => resolve(undefined)));
+    await new Promise((resolve) => agentStub.close(() => resolve(undefined)));
+  });
+
+  /** @param {string} path @param {Record<string, string>} form @returns {Promise<string>} */
+  function post(path, form) {
+    return new Promise((resolve, reject) => {
+      const encoded = new URLSearchParams(form).toString();
+      const req = http.request(
+        {
+          hostname: "localhost", port, path, method: "POST",
+          headers: { "content-type": "application/x-www-form-urlencoded", "content-length": Buffer.byteLength(encoded) },
+        },
+        (res) => {
+          let data = "";
+          res.on("data", (c) => (data += c));
+          res.on("end", () => resolve(data));
+        },
+      );
+      req.on("error", reject);
+      req.end(encoded);
+    });
+  }
+
+  /** Post /speech and poll /speech-wait until the turn is answered. */
+  async function turn(/** @type {Record<string, string>} */ form) {
+    let twiml = await post("/speech", form);
+    for (let i = 0; i < 50 && /speech-wait/.test(twiml); i++) {
+      const url = /<Redirect[^>]*>([^<]+)<\/Redirect>/.exec(twiml)?.[1]?.replace(/&amp;/g, "&") ?? "";
+      await new Promise((r) => setTimeout(r, 10));
+      twiml = await post(url, form);
+    }
+    return twiml;
+  }
+
+  const call = (/** @type {string} */ callSid) => ({ CallSid: callSid, From: "+15550004001", To: "+15550009999" });
+
+  it("takes keys in the greeting and reads the menu", async () => {
+    const twiml = await post("/voice", call("CA-key-1"));
+    assert.ok(twiml.includes('<Gather input="speech dtmf" numDigits="1" finishOnKey=""'));
+    assert.ok(twiml.includes(">Press 0 to type in a number, 1 to repeat the last answer, 2 to start a new topic, 9 to leave a voicemail, or pound to end the call.</Say>"));
+  });
+
+  it("repeats the last answer and starts a new topic", async () => {
+    await turn({ ...call("CA-key-2"), SpeechResult: "What time is it?" });
+    const repeated = await post("/speech", { ...call("CA-key-2"), Digits: "1" });
+    assert.ok(repeated.includes(">You said: What time is it?</Say><Gather"));
+
+    assert.ok((await post("/speech", { ...call("CA-key-2"), Digits: "2" })).includes("start a new topic"));
+    assert.ok((await post("/speech", { ...call("CA-key-2"), Digits: "1" })).includes("There is nothing to repeat yet."));
+  });
+
+  it("hangs up, records a voicemail or asks for a number", async () => {
+    assert.match(await post("/speech", { ...call("CA-key-3"), Digits: "#" }), /Goodbye\.<\/Say><Hangup\/>/);
+    assert.ok((await post("/speech", { ...call("CA-key-3"), Digits: "9" })).includes("<Record"));
+    const entry = await post("/speech", { ...call("CA-key-3"), Digits: "0" });
+    assert.ok(entry.includes('<Gather input="dtmf" action="/speech" method="POST" finishOnKey="#"'));
+  });
+
+  it("passes other keys and typed numbers to the agent", async () => {
+    assert.match(await turn({ ...call("CA-key-4"), Digits: "5" }), /You said: The caller pressed 5 on the keypad/);
+    await turn({ ...call("CA-key-4"), Digits: "4821" });
+    assert.strictEqual(agentRequests.at(-1), keypadMessage("4821"));
+  });
+});
@@ -0,0 +1,302 @@
+// @ts-check
+/**
+ * Tests for VOICE_MODE=stream: /voice returning <Connect><Stream>, and the
+ * /media-stream WebSocket driven by lib/media-stream.mjs.
+ *
+ * Recorded Twilio frame fixtures (test/fixtures/media-stream/*.jsonl) are
+ * replayed through a real WebSocket. The STT stub "recognizes" a scripted
+ * transcript after each burst of speech followed by silence; the TTS stub
+ * returns the reply text as its "audio", so the media sent back can be read.
+ * The agent is the generic HTTP adapter pointed at a local stub.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+import { readFileSync } from "node:fs";
+
+import { fromPluginConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+import { isVoiced } from "../lib/speech.mjs";
+import { handleMediaStream } from "../lib/media-stream.mjs";
+
+/** @param {string} name */
+function loadFixture(name) {
+  return readFileSync(new URL(`./fixtures/media-stream/${name}`, import.meta.url), "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+const TURN = loadFixture("turn.jsonl");
+const BARGE_IN = loadFixture("barge-in.jsonl");
+const CALL_SID = TURN.find((m) => m.event === "start").start.callSid;
+
+/**
+ * STT stub: each voiced run of ≥100 ms followed by 200 ms of silence yields
+ * the next scripted transcript (after an interim result, which must be ignored).
+ * @param {string[]} script
+ * @returns {import('../lib/speech.mjs').SttEngine & { closed: number }}
+ */
+function createStubStt(script) {
+  const stt = {
+    closed: 0,
+    /** @type {import('../lib/speech.mjs').SttEngine["start"]} */
+    start({ onTranscript }) {
+      let voicedMs = 0;
+      let silentMs = 0;
+      return {
+        write(frame) {
+          if (isVoiced(frame)) { voicedMs += 20; silentMs = 0; return; }
+          silentMs += 20;
+          if (voicedMs >= 100 && silentMs >= 200) {
+            voicedMs = 0;
+            const text = script.shift() ?? "";
+            onTranscript({ text: text.split(" ")[0], isFinal: false });
+            onTranscript({ text, isFinal: true });
+          }
+        },
+        close() { stt.closed++; },
+      };
+    },
+  };
+  return stt;
+}
+
+/** @type {import('../lib/speech.mjs').TtsEngine} */
+const stubTts = { synthesize: async (text) => Buffer.from(text) };
+
+/**
+ * WebSocket client standing in for Twilio.
+ * @param {string} url
+ */
+async function connectStream(url) {
+  const ws = new WebSocket(url);
+  /** @type {any[]} */
+  const received = [];
+  /** @type {number|null} */
+  let closeCode = null;
+  ws.addEventListener("message", (e) => received.push(JSON.parse(String(e.data))));
+  ws.addEventListener("close", (e) => { closeCode = e.code; });
+  await new Promise((resolve, reject) => {
+    ws.addEventListener("open", resolve);
+    ws.addEventListener("error", reject);
+  });
+
+  /**
+   * @param {() => boolean} check
+   * @param {string} what
+   */
+  async function until(check, what) {
+    for (let i = 0; i < 200 && !check(); i++) await new Promise((r) => setTimeout(r, 10));
+    assert.ok(check(), `timed out waiting for ${what}`);
+  }
+
+  return {
+    received,
+    closeCode: () => closeCode,
+    /** @param {any[]} messages */
+    replay: (messages) => { for (const m of messages) ws.send(JSON.stringify(m)); },
+    /** @param {string} event */
+    waitFor: (event) => until(() => received.some((m) => m.event === event), `"${event}"`),
+    waitForClose: () => until(() => closeCode !== null, "close"),
+    close: () => ws.close(),
+  };
+}
+
+/** Reply audio sent before the first mark named `name`, decoded (TTS stub audio is the text). */
+function playedText(/** @type {any[]} */ received, /** @type {string} */ name) {
+  const end = received.findIndex((m) => m.event === "mark" && m.mark.name === name);
+  return received.slice(0, end)
+    .filter((m) => m.event === "media")
+    .map((m) => Buffer.from(m.media.payload, "base64").toString())
+    .join("");
+}
+
+describe("VOICE_MODE=stream", () => {
+  /** @type {http.Server} */
+  let server;
+  /** @type {http.Server} */
+  let agentStub;
+  let port;
+  /** @type {any[]} messages[] of each agent request */
+  const agentRequests = [];
+  const stt = createStubStt(["What's the weather tomorrow?", "Stop, never mind."]);
+
+  before(async () => {
+    agentStub = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (c) => (body += c));
+      req.on("end", () => {
+        const { messages } = JSON.parse(body);
+        agentRequests.push(messages);
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify({ reply: `Reply ${agentRequests.length}: sunny and mild.` }));
+      });
+    });
+    await new Promise((resolve) => agentStub.listen(0, () => resolve(undefined)));
+    const agentPort = /** @type {import('node:net').AddressInfo} */ (agentStub.address()).port;
+
+    server = await createServer({
+      ...fromPluginConfig({}),
+      PORT: 0,
+      ALLOW_FROM: [],
+      TWILIO_ACCOUNT_SID: "",
+      TWILIO_AUTH_TOKEN: "",
+      VOICE_MODE: "stream",
+      STREAM_ENDPOINT_MS: 400,
+      STREAM_BARGE_IN_MS: 200,
+      GREETING_TEXT: "Hi, how can I help?",
+      AGENT_PROVIDER: "http",
+      AGENT_HTTP_URL: `http://127.0.0.1:${agentPort}/reply`,
+    }, null, { stt, tts: stubTts });
+    port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(() => resolve(undefined)));
+    await new Promise((resolve) => agentStub.close(() => resolve(undefined)));
+  });
+
+  /**
+   * POST /voice for a call; returns the <Stream> URL and its parameters.
+   * @param {string} callSid
+   */
+  function answer(callSid) {
+    return new Promise((resolve, reject) => {
+      const payload = new URLSearchParams({ CallSid: callSid, From: "+15551230001", To: "+15550009999" }).toString();
+      const req = http.request({
+        hostname: "localhost", port, path: "/voice", method: "POST",
+        headers: { "content-type": "application/x-www-form-urlencoded", "content-length": Buffer.byteLength(payload) },
+      }, (res) => {
+        let xml = "";
+        res.on("data", (c) => (xml += c));
+        res.on("end", () => {
+          /** @type {Record<string, string>} */
+          const params = {};
+          for (const [, name, value] of xml.matchAll(/<Parameter name="(\w+)" value="([^"]*)"\/>/g)) params[name] = value;
+          resolve({ xml, url: xml.match(/<Stream url="([^"]+)"/)?.[1] ?? "", params });
+        });
+      });
+      req.on("error", reject);
+      req.end(payload);
+    });
+  }
+
+  /** @param {any[]} messages @param {string} token */
+  const withToken = (messages, token) => messages.map((m) =>
+    m.event === "start" ? { ...m, start: { ...m.start, customParameters: { ...m.start.customParameters, token } } } : m
+  );
+
+  it("/voice greets, then connects the call to the media stream", async () => {
+    const { xml, url, params } = /** @type {any} */ (await answer("CA-greeting"));
+    assert.ok(xml.includes(">Hi, how can I help?</Say>"));
+    assert.ok(!xml.includes("<Gather"));
+    assert.strictEqual(url, `ws://localhost:${port}/media-stream`);
+    assert.strictEqual(params.from, "+15551230001");
+    assert.strictEqual(params.to, "+15550009999");
+    assert.match(params.token, /^[0-9a-f]{32}$/);
+  });
+
+  it("answers a caller turn, then stops playback when the caller barges in", async () => {
+    const { url, params } = /** @type {any} */ (await answer(CALL_SID));
+    const stream = await connectStream(url);
+
+    stream.replay(withToken(TURN, params.token));
+    await stream.waitFor("mark");
+    assert.deepStrictEqual(agentRequests.at(-1), [{ role: "user", content: "What's the weather tomorrow?" }]);
+    const streamSid = TURN[1].start.streamSid;
+    assert.ok(stream.received.every((m) => m.streamSid === streamSid));
+    assert.strictEqual(playedText(stream.received, "reply-1"), `Reply ${agentRequests.length}: sunny and mild.`);
+
+    // The reply's mark has not been echoed, so it is still playing when the caller talks over it.
+    // The fixture ends with the caller hanging up, which would cancel the new
+    // turn, so "stop" is held back until the agent has the request.
+    const requestsBefore = agentRequests.length;
+    stream.replay(BARGE_IN.slice(0, -1));
+    await stream.waitFor("clear");
+    for (let i = 0; i < 100 && agentRequests.length === requestsBefore; i++) await new Promise((r) => setTimeout(r, 10));
+    stream.replay(BARGE_IN.slice(-1));
+    await stream.waitForClose();
+    assert.strictEqual(stream.closeCode(), 1000);
+
+    const history = agentRequests.at(-1);
+    assert.deepStrictEqual(history.at(-1), { role: "user", content: "Stop, never mind." });
+    assert.strictEqual(history.at(-2).role, "assistant");
+    assert.ok(stt.closed >= 1);
+  });
+
+  it("rejects a stream whose token was not issued for the call", async () => {
+    const { url } = /** @type {any} */ (await answer("CA-forged"));
+    const start = { ...TURN[1], start: { ...TURN[1].start, callSid: "CA-forged" } };
+    const stream = await connectStream(url);
+    stream.replay(withToken([TURN[0], start], "0".repeat(32)));
+    await stream.waitForClose();
+    assert.strictEqual(stream.closeCode(), 1008);
+  });
+
+  it("accepts each stream token once", async () => {
+    const { url, params } = /** @type {any} */ (await answer("CA-once"));
+    const messages = withToken([TURN[0], { ...TURN[1], start: { ...TURN[1].start, callSid: "CA-once" } }], params.token);
+
+    const first = await connectStream(url);
+    first.replay(messages);
+    await new Promise((r) => setTimeout(r, 50));
+    assert.strictEqual(first.closeCode(), null);
+    first.close();
+
+    const second = await connectStream(url);
+    second.replay(messages);
+    await second.waitForClose();
+    assert.strictEqual(second.closeCode(), 1008);
+  });
+
+  it("stays up when a client resets its connection", async () => {
+    const { connect } = await import("node:net");
+    const socket = connect(port, "127.0.0.1");
+    await new Promise((resolve) => socket.once("connect", resolve));
+    socket.write(
+      "GET /media-stream HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+      "Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n"
+    );
+    await new Promise((resolve) => socket.once("data", resolve));
+    socket.resetAndDestroy();
+    await new Promise((r) => setTimeout(r, 50));
+
+    const { url } = /** @type {any} */ (await answer("CA-after-reset"));
+    assert.strictEqual(url, `ws://localhost:${port}/media-stream`);
+  });
+});
+
+describe("handleMediaStream", () => {
+  it("closes a connection that sends no start message in time", async () => {
+    /** @type {Record<string, (arg: any) => void>} */
+    const listeners = {};
+    /** @type {number[]} */
+    const closes = [];
+    const ws = /** @type {import('../lib/websocket.mjs').WebSocketConnection} */ ({
+      closed: false,
+      send() {},
+      close(code = 1000) { closes.push(code); listeners.close?.(code); },
+      on(event, listener) { listeners[event] = listener; return ws; },
+    });
+    handleMediaStream(ws, { stt: createStubStt([]), tts: stubTts, reply: async () => "", startTimeoutMs: 20 });
+    listeners.message(JSON.stringify({ event: "connected" }));
+    await new Promise((r) => setTimeout(r, 60));
+    assert.deepStrictEqual(closes, [1008]);
+  });
+});
+
+describe("VOICE_MODE=gather", () => {
+  it("refuses WebSocket upgrades to /media-stream", async () => {
+    const server = await createServer({
+      ...fromPluginConfig({}), PORT: 0, ALLOW_FROM: [], TWILIO_ACCOUNT_SID: "", TWILIO_AUTH_TOKEN: "",
+    });
+    const port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+    try {
+      await assert.rejects(connectStream(`ws://localhost:${port}/media-stream`));
+    } finally {
+      await new Promise((resolve) => server.close(() => resolve(undefined)));
+    }
+  });
+});
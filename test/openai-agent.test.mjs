@@ -0,0 +1,209 @@
+// @ts-check
+/**
+ * Tests for the OpenAI-compatible chat-completions adapter (lib/agents/openai.mjs).
+ *
+ * A local node:http stub server stands in for the chat-completions endpoint
+ * (OpenAI, llama.cpp, Ollama); each test sets `respond` to control the reply
+ * and inspects `received` afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+
+import { createOpenaiAgent } from "../lib/agents/openai.mjs";
+import { buildSystemPrompt } from "../lib/agents/prompt.mjs";
+
+/** @type {{ method: string|undefined, url: string|undefined, headers: http.IncomingHttpHeaders, body: any }[]} */
+const received = [];
+
+/** @param {string} content */
+const completion = (content) => ({
+  id: "chatcmpl-1",
+  object: "chat.completion",
+  choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }],
+});
+
+/** @type {(res: http.ServerResponse) => void} */
+let respond = (res) => {
+  res.writeHead(200, { "content-type": "application/json" });
+  res.end(JSON.stringify(completion("stub reply")));
+};
+
+const stub = http.createServer((req, res) => {
+  let data = "";
+  req.on("data", (c) => (data += c));
+  req.on("end", () => {
+    received.push({ method: req.method, url: req.url, headers: req.headers, body: data ? JSON.parse(data) : null });
+    respond(res);
+  });
+});
+
+let baseUrl = "";
+
+before(async () => {
+  await new Promise((resolve) => stub.listen(0, () => resolve(undefined)));
+  const { port } = /** @type {import('node:net').AddressInfo} */ (stub.address());
+  baseUrl = `http://localhost:${port}/v1`;
+});
+
+after(() => new Promise((resolve) => stub.close(() => resolve(undefined))));
+
+/** @type {import('../lib/agent.mjs').AgentMessage[]} */
+const hi = [{ role: "user", content: "hi" }];
+
+describe("buildSystemPrompt", () => {
+  it("frames voice turns for text-to-speech", () => {
+    const prompt = buildSystemPrompt("voice", "Alice");
+    assert.match(prompt, /phone call with Alice/);
+    assert.match(prompt, /spoken aloud/);
+  });
+
+  it("carries the SMS length limit", () => {
+    const prompt = buildSystemPrompt("sms", "", 160);
+    assert.match(prompt, /SMS thread\./);
+    assert.match(prompt, /<= 160 characters/);
+  });
+});
+
+describe("createOpenaiAgent", () => {
+  it("throws without a model", () => {
+    assert.throws(() => createOpenaiAgent({ model: "" }), /OPENAI_MODEL is required/);
+  });
+
+  it("POSTs a system message plus history to /chat/completions and returns the reply", async () => {
+    received.length = 0;
+    const agent = createOpenaiAgent({ baseUrl, model: "llama3.1", temperature: 0.2 });
+    /** @type {import('../lib/agent.mjs').AgentMessage[]} */
+    const messages = [
+      { role: "user", content: "first" },
+      { role: "assistant", content: "answer" },
+      { role: "user", content: "second" },
+    ];
+
+    const result = await agent.reply({ messages, mode: "voice", callerName: "Alice" });
+
+    assert.strictEqual(result, "stub reply");
+    assert.strictEqual(received.length, 1);
+    assert.strictEqual(received[0].url, "/v1/chat/completions");
+    assert.deepStrictEqual(received[0].body, {
+      model: "llama3.1",
+      messages: [{ role: "system", content: buildSystemPrompt("voice", "Alice") }, ...messages],
+      temperature: 0.2,
+    });
+    assert.strictEqual(received[0].headers.authorization, undefined);
+  });
+
+  it("uses the SMS framing with the configured length limit", async () => {
+    received.length = 0;
+    await createOpenaiAgent({ baseUrl, model: "m", smsMaxChars: 160 }).reply({ messages: hi, mode: "sms" });
+    assert.match(received[0].body.messages[0].content, /<= 160 characters/);
+  });
+
+  it("prepends a configured system prompt to the framing", async () => {
+    received.length = 0;
+    await createOpenaiAgent({ baseUrl, model: "m", systemPrompt: "You are Jarvis." }).reply({ messages: hi });
+    assert.strictEqual(
+      received[0].body.messages[0].content,
+      `You are Jarvis.\n\n${buildSystemPrompt("voice")}`,
+    );
+  });
+
+  it("sends a bearer token when an API key is configured", async () => {
+    received.length = 0;
+    await createOpenaiAgent({ baseUrl, model: "m", apiKey: "sk-test" }).reply({ messages: hi });
+    assert.strictEqual(received[0].headers.authorization, "Bearer sk-test");
+  });
+
+  it("tolerates a trailing slash on the base URL", async () => {
+    received.length = 0;
+    await createOpenaiAgent({ baseUrl: `${baseUrl}/`, model: "m" }).reply({ messages: hi });
+    assert.strictEqual(received[0].url, "/v1/chat/completions");
+  });
+
+  it("trims the reply and returns an empty string when there is no content", async () => {
+    respond = (res) => {
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify(completion("  padded  ")));
+    };
+    assert.strictEqual(await createOpenaiAgent({ baseUrl, model: "m" }).reply({ messages: hi }), "padded");
+
+    respond = (res) => {
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify({ choices: [] }));
+    };
+    assert.strictEqual(await createOpenaiAgent({ baseUrl, model: "m" }).reply({ messages: hi }), "");
+  });
+
+  it("rejects on a non-2xx status", async () => {
+    respond = (res) => {
+      res.writeHead(404, { "content-type": "application/json" });
+      res.end(JSON.stringify({ error: { message: "model not found" } }));
+    };
+    await assert.rejects(
+      createOpenaiAgent({ baseUrl, model: "missing" }).reply({ messages: hi }),
+      /chat completions HTTP 404: .*model not found/,
+    );
+  });
+
+  it("rejects when the request exceeds timeoutMs", async () => {
+    respond = (res) => {
+      setTimeout(() => {
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify(completion("too late")));
+      }, 200);
+    };
+    await assert.rejects(
+      createOpenaiAgent({ baseUrl, model: "m", timeoutMs: 20 }).reply({ messages: hi }),
+      /timeout|abort/i,
+    );
+  });
+
+  it("requests a stream when onChunk is given and forwards the content deltas", async () => {
+    received.length = 0;
+    /** @param {object} delta */
+    const event = (delta) => `data: ${JSON.stringify({ object: "chat.completion.chunk", choices: [{ index: 0, delta }] })}\n\n`;
+    respond = (res) => {
+      res.writeHead(200, { "content-type": "text/event-stream" });
+      res.write(event({ role: "assistant", content: "" }));
+      res.write(event({ content: "Sunny" }));
+      res.write(event({ content: " and mild." }));
+      res.end(`${event({})}data: [DONE]\n\n`);
+    };
+    /** @type {string[]} */
+    const chunks = [];
+    const result = await createOpenaiAgent({ baseUrl, model: "m" }).reply({ messages: hi, onChunk: (c) => chunks.push(c) });
+
+    assert.strictEqual(received[0].body.stream, true);
+    assert.deepStrictEqual(chunks, ["Sunny", " and mild."]);
+    assert.strictEqual(result, "Sunny and mild.");
+  });
+
+  it("does not request a stream without onChunk", async () => {
+    received.length = 0;
+    respond = (res) => {
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify(completion("stub reply")));
+    };
+    await createOpenaiAgent({ baseUrl, model: "m" }).reply({ messages: hi });
+    assert.strictEqual(received[0].body.stream, undefined);
+  });
+});
+
+describe("createOpenaiAgent probe", () => {
+  it("lists the models instead of running a completion", async () => {
+    received.length = 0;
+    respond = (res) => {
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify({ object: "list", data: [] }));
+    };
+    await createOpenaiAgent({ baseUrl, model: "m", apiKey: "sk-test" }).probe?.();
+    assert.deepStrictEqual(received.map((r) => [r.method, r.url]), [["GET", "/v1/models"]]);
+    assert.strictEqual(received[0].headers.authorization, "Bearer sk-test");
+  });
+
+  it("rejects on a non-2xx status", async () => {
+    respond = (res) => { res.writeHead(502); res.end(); };
+    await assert.rejects(async () => createOpenaiAgent({ baseUrl, model: "m" }).probe?.(), /models HTTP 502/);
+  });
+});
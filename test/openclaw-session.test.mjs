@@ -0,0 +1,124 @@
+// @ts-check
+/**
+ * Tests for per-caller OpenClaw session keys (OPENCLAW_SESSION_STRATEGY).
+ *
+ * The createServer() tests put a fake `openclaw` on PATH that replies with the
+ * `--session-id` it was given, so the reply shows which session a turn used.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+import { mkdtempSync, writeFileSync, rmSync, chmodSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { openclawSessionKey } from "../lib/agents/openclaw.mjs";
+import { fromPluginConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+
+// ── Fake openclaw stub: echoes its --session-id ──────────────────────────────
+const fakeBinDir = mkdtempSync(join(tmpdir(), "clawphone-session-test-"));
+const fakeOpenclawPath = join(fakeBinDir, "openclaw");
+writeFileSync(
+  fakeOpenclawPath,
+  '#!/bin/sh\n' +
+  'while [ $# -gt 0 ]; do\n' +
+  '  if [ "$1" = "--session-id" ]; then echo "{\\"text\\":\\"session=$2\\"}"; exit 0; fi\n' +
+  '  shift\n' +
+  'done\n' +
+  'echo \'{"text":"session=(none)"}\'\n',
+  "utf8",
+);
+chmodSync(fakeOpenclawPath, 0o755);
+process.env.PATH = `${fakeBinDir}:${process.env.PATH}`;
+
+describe("openclawSessionKey", () => {
+  const now = new Date(2026, 2, 7, 23, 30); // local time
+
+  it("'shared' uses the base session for everyone", () => {
+    assert.strictEqual(openclawSessionKey("shared", "phone", { from: "+15551230001", callSid: "CA1" }), "phone");
+  });
+
+  it("'caller' keys by the caller's digits", () => {
+    assert.strictEqual(openclawSessionKey("caller", "phone", { from: "+1 (555) 123-0001" }), "phone-15551230001");
+  });
+
+  it("'call' keys by CallSid and falls back to the caller for SMS", () => {
+    assert.strictEqual(openclawSessionKey("call", "phone", { from: "+15551230001", callSid: "CA1" }), "phone-CA1");
+    assert.strictEqual(openclawSessionKey("call", "phone", { from: "+15551230001" }), "phone-15551230001");
+  });
+
+  it("'daily' keys by caller and local date", () => {
+    assert.strictEqual(
+      openclawSessionKey("daily", "phone", { from: "+15551230001", now }),
+      "phone-15551230001-2026-03-07",
+    );
+  });
+
+  it("falls back to the base session when the caller number is unknown", () => {
+    assert.strictEqual(openclawSessionKey("caller", "phone", { from: "" }), "phone");
+    assert.strictEqual(openclawSessionKey("daily", "phone", {}), "phone");
+  });
+});
+
+describe("per-caller sessions via createServer", () => {
+  /** @type {http.Server} */
+  let server;
+  let port;
+
+  before(async () => {
+    server = await createServer({
+      ...fromPluginConfig({}),
+      PORT: 0,
+      ALLOW_FROM: [],
+      TWILIO_ACCOUNT_SID: "",
+      TWILIO_AUTH_TOKEN: "",
+      OPENCLAW_PHONE_SESSION_ID: "line",
+      OPENCLAW_SESSION_STRATEGY: "caller",
+    });
+    port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(() => resolve(undefined)));
+    rmSync(fakeBinDir, { recursive: true, force: true });
+  });
+
+  /** @param {string} path @param {Record<string, string>} form @returns {Promise<string>} */
+  function post(path, form) {
+    return new Promise((resolve, reject) => {
+      const encoded = new URLSearchParams(form).toString();
+      const req = http.request(
+        {
+          hostname: "localhost", port, path, method: "POST",
+          headers: { "content-type": "application/x-www-form-urlencoded", "content-length": Buffer.byteLength(encoded) },
+        },
+        (res) => {
+          let data = "";
+          res.on("data", (c) => (data += c));
+          res.on("end", () => resolve(data));
+        },
+      );
+      req.on("error", reject);
+      req.end(encoded);
+    });
+  }
+
+  it("passes each SMS sender's number through to --session-id", async () => {
+    const a = await post("/sms", { From: "+15551230001", To: "+15550002222", Body: "hi", MessageSid: "SM1" });
+    const b = await post("/sms", { From: "+15551230002", To: "+15550002222", Body: "hi", MessageSid: "SM2" });
+    assert.match(a, /session=line-15551230001/);
+    assert.match(b, /session=line-15551230002/);
+  });
+
+  it("passes the caller's number from /speech through to --session-id", async () => {
+    const queued = await post("/speech", { From: "+15551230003", CallSid: "CA-sess-1", SpeechResult: "hello" });
+    const waitUrl = /<Redirect[^>]*>([^<]+)<\/Redirect>/.exec(queued)?.[1]?.replace(/&amp;/g, "&");
+    assert.ok(waitUrl, "expected a /speech-wait redirect");
+    await new Promise((r) => setTimeout(r, 300));
+
+    const spoken = await post(waitUrl, {});
+    assert.match(spoken, /session=line-15551230003/);
+  });
+});
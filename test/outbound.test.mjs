@@ -0,0 +1,484 @@
+// @ts-check
+/**
+ * Tests for outbound calls and texts (lib/outbound.mjs, sendOutboundSms() and
+ * the /api/calls, /api/sms/send, /outbound-answer and /call-status endpoints).
+ *
+ * The Twilio client is a fake that records the calls and texts it was asked
+ * to place; the
+ * agent is the generic HTTP adapter pointed at a local stub that records the
+ * messages[] it receives.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+import { mkdtempSync, writeFileSync, readFileSync, rmSync, chmodSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  createOutboundDialer,
+  getOutboundCall,
+  recordCallStatus,
+  isFinalStatus,
+  outboundCallPrompt,
+  outboundStatusNote,
+} from "../lib/outbound.mjs";
+import { createAccessPolicy } from "../lib/access-policy.mjs";
+import { fromPluginConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+
+const LINE = "+15550001111";
+
+let nextSid = 0;
+
+/** Fake Twilio client: records placeCall/sendSms options and hands out unique SIDs. */
+function makeFakeTwilio() {
+  /** @type {import('../lib/twilio.mjs').PlaceCallOptions[]} */
+  const placed = [];
+  /** @type {{ to: string, from: string, body: string }[]} */
+  const texts = [];
+  return {
+    placed,
+    texts,
+    /** @param {{ to: string, from: string, body: string }} opts */
+    sendSms: async (opts) => {
+      texts.push(opts);
+      return { sid: `SM-out-${texts.length}`, status: "queued", errorCode: null, errorMessage: null, to: opts.to, from: opts.from };
+    },
+    /** @param {import('../lib/twilio.mjs').PlaceCallOptions} opts */
+    placeCall: async (opts) => {
+      placed.push(opts);
+      return { sid: `CA-out-${++nextSid}`, status: "queued", to: opts.to, from: opts.from };
+    },
+  };
+}
+
+const baseConfig = {
+  ...fromPluginConfig({}),
+  ALLOW_FROM: ["+1555777*"],
+  PUBLIC_BASE_URL: "https://phone.example.com/",
+  TWILIO_CALL_FROM: LINE,
+};
+
+// ── Dialer ───────────────────────────────────────────────────────────────────
+
+describe("createOutboundDialer", () => {
+  it("places the call with absolute answer and status URLs and records it", async () => {
+    const twilio = makeFakeTwilio();
+    const dialer = createOutboundDialer(baseConfig, { twilioClient: twilio });
+    const call = await dialer.placeCall({ to: "15557770001", message: " Your build finished. " });
+
+    assert.deepStrictEqual(twilio.placed[0], {
+      to: "+15557770001",
+      from: LINE,
+      url: "https://phone.example.com/outbound-answer",
+      statusCallback: "https://phone.example.com/call-status",
+    });
+    assert.strictEqual(call.message, "Your build finished.");
+    assert.strictEqual(call.status, "queued");
+    assert.strictEqual(getOutboundCall(call.callSid), call);
+  });
+
+  it("falls back to TWILIO_SMS_FROM for the caller ID", async () => {
+    const twilio = makeFakeTwilio();
+    const dialer = createOutboundDialer(
+      { ...baseConfig, TWILIO_CALL_FROM: "", TWILIO_SMS_FROM: "+15550002222" },
+      { twilioClient: twilio },
+    );
+    await dialer.placeCall({ to: "+15557770001", task: "check in" });
+    assert.strictEqual(twilio.placed[0].from, "+15550002222");
+  });
+
+  it("rejects bad input with a 400 status code", async () => {
+    const dialer = createOutboundDialer(baseConfig, { twilioClient: makeFakeTwilio() });
+    await assert.rejects(dialer.placeCall({ to: "nope", message: "hi" }), { statusCode: 400, message: /Invalid "to"/ });
+    await assert.rejects(dialer.placeCall({ to: "+15557770001" }), { statusCode: 400, message: /"message" or "task"/ });
+    const noLine = createOutboundDialer({ ...baseConfig, TWILIO_CALL_FROM: "", TWILIO_SMS_FROM: "" }, { twilioClient: makeFakeTwilio() });
+    await assert.rejects(noLine.placeCall({ to: "+15557770001", message: "hi" }), { statusCode: 400, message: /caller ID/ });
+  });
+
+  it("refuses numbers outside the line's allowlist with a 403 status code", async () => {
+    const dialer = createOutboundDialer(
+      { ...baseConfig, ROUTES: { [LINE]: { allowFrom: ["+15557770001"] } } },
+      { twilioClient: makeFakeTwilio() },
+    );
+    await assert.rejects(dialer.placeCall({ to: "+15557770002", message: "hi" }), { statusCode: 403 });
+    await assert.doesNotReject(dialer.placeCall({ to: "+15557770001", message: "hi" }));
+  });
+
+  it("refuses every callee when no allow rule matches, even with an empty allowlist", async () => {
+    const dialer = createOutboundDialer({ ...baseConfig, ALLOW_FROM: [] }, { twilioClient: makeFakeTwilio() });
+    await assert.rejects(dialer.placeCall({ to: "+15557770001", message: "hi" }), { statusCode: 403, message: /not in allowlist/ });
+    const policy = createAccessPolicy({ ACCESS_POLICY: { voice: { allow: ["+15557770001"] } } });
+    const allowed = createOutboundDialer({ ...baseConfig, ALLOW_FROM: [] }, { twilioClient: makeFakeTwilio(), access: policy });
+    await assert.doesNotReject(allowed.placeCall({ to: "+15557770001", message: "hi" }));
+  });
+
+  it("refuses numbers the access policy denies", async () => {
+    const dialer = createOutboundDialer(baseConfig, {
+      twilioClient: makeFakeTwilio(),
+      access: createAccessPolicy({ ACCESS_POLICY: { voice: { deny: ["+1555777000*"] } } }),
+    });
+    await assert.rejects(dialer.placeCall({ to: "+15557770002", message: "hi" }), { statusCode: 403, message: /deny rule/ });
+    await assert.doesNotReject(dialer.placeCall({ to: "+15557770012", message: "hi" }));
+  });
+
+  it("reports a 503 when Twilio or PUBLIC_BASE_URL is not configured", async () => {
+    const noTwilio = createOutboundDialer(baseConfig, { twilioClient: null });
+    await assert.rejects(noTwilio.placeCall({ to: "+15557770001", message: "hi" }), { statusCode: 503 });
+    const noUrl = createOutboundDialer({ ...baseConfig, PUBLIC_BASE_URL: "" }, { twilioClient: makeFakeTwilio() });
+    await assert.rejects(noUrl.placeCall({ to: "+15557770001", message: "hi" }), { statusCode: 503, message: /PUBLIC_BASE_URL/ });
+  });
+});
+
+// ── Status records ───────────────────────────────────────────────────────────
+
+describe("recordCallStatus", () => {
+  it("appends new statuses, ignores repeats and unknown calls", async () => {
+    const dialer = createOutboundDialer(baseConfig, { twilioClient: makeFakeTwilio() });
+    const { callSid } = await dialer.placeCall({ to: "+15557770001", message: "hi" });
+
+    assert.ok(recordCallStatus({ CallSid: callSid, CallStatus: "ringing" }));
+    assert.strictEqual(recordCallStatus({ CallSid: callSid, CallStatus: "ringing" }), undefined);
+    const done = recordCallStatus({ CallSid: callSid, CallStatus: "completed", CallDuration: "42" });
+    assert.strictEqual(recordCallStatus({ CallSid: "CA-unknown", CallStatus: "ringing" }), undefined);
+
+    assert.ok(done);
+    assert.deepStrictEqual(done.events.map((e) => e.status), ["queued", "ringing", "completed"]);
+    assert.strictEqual(done.duration, 42);
+    assert.strictEqual(outboundStatusNote(done), "[Outbound call to +15557770001 ended: completed after 42s]");
+  });
+
+  it("isFinalStatus distinguishes terminal statuses", () => {
+    for (const s of ["completed", "busy", "no-answer", "failed", "canceled"]) assert.strictEqual(isFinalStatus(s), true);
+    for (const s of ["queued", "ringing", "in-progress"]) assert.strictEqual(isFinalStatus(s), false);
+  });
+
+  it("outboundCallPrompt includes the task when there is one", () => {
+    const call = /** @type {import('../lib/outbound.mjs').OutboundCall} */ ({ to: "+15557770001", task: "" });
+    assert.strictEqual(outboundCallPrompt(call), "[You placed this call to +15557770001.]");
+    assert.strictEqual(outboundCallPrompt({ ...call, task: "Remind them about dinner" }),
+      "[You placed this call to +15557770001. Task: Remind them about dinner]");
+  });
+});
+
+// ── Endpoints via createServer ───────────────────────────────────────────────
+
+describe("outbound calls via createServer", () => {
+  /** @type {http.Server} */
+  let server;
+  /** @type {http.Server} */
+  let agentStub;
+  let port;
+  /** @type {any[]} messages[] of each agent request */
+  const agentRequests = [];
+  const twilio = makeFakeTwilio();
+
+  before(async () => {
+    agentStub = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (c) => (body += c));
+      req.on("end", () => {
+        agentRequests.push(JSON.parse(body).messages);
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify({ reply: "Hi, it's your assistant calling." }));
+      });
+    });
+    await new Promise((resolve) => agentStub.listen(0, () => resolve(undefined)));
+    const agentPort = /** @type {import('node:net').AddressInfo} */ (agentStub.address()).port;
+
+    server = await createServer({
+      ...baseConfig,
+      PORT: 0,
+      TWILIO_ACCOUNT_SID: "",
+      TWILIO_AUTH_TOKEN: "",
+      TWILIO_SMS_FROM: "+15550009999",
+      API_TOKEN: "secret-token",
+      AGENT_PROVIDER: "http",
+      AGENT_HTTP_URL: `http://127.0.0.1:${agentPort}/reply`,
+    }, null, { twilioClient: twilio });
+    port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(() => resolve(undefined)));
+    await new Promise((resolve) => agentStub.close(() => resolve(undefined)));
+  });
+
+  /**
+   * @param {string} method
+   * @param {string} path
+   * @param {{ json?: unknown, form?: Record<string, string>, token?: string }} [opts]
+   * @returns {Promise<{ status: number, body: string }>}
+   */
+  function request(method, path, { json, form, token } = {}) {
+    return new Promise((resolve, reject) => {
+      const payload = json !== undefined ? JSON.stringify(json) : form ? new URLSearchParams(form).toString() : "";
+      /** @type {Record<string, string|number>} */
+      const headers = {
+        "content-type": json !== undefined ? "application/json" : "application/x-www-form-urlencoded",
+        "content-length": Buffer.byteLength(payload),
+      };
+      if (token) headers.authorization = `Bearer ${token}`;
+      const req = http.request({ hostname: "localhost", port, path, method, headers }, (res) => {
+        let data = "";
+        res.on("data", (c) => (data += c));
+        res.on("end", () => resolve({ status: res.statusCode ?? 0, body: data }));
+      });
+      req.on("error", reject);
+      req.end(payload);
+    });
+  }
+
+  it("POST /api/calls requires the bearer token", async () => {
+    const missing = await request("POST", "/api/calls", { json: { to: "+15557770001", message: "hi" } });
+    assert.strictEqual(missing.status, 401);
+    const wrong = await request("POST", "/api/calls", { json: { to: "+15557770001", message: "hi" }, token: "nope" });
+    assert.strictEqual(wrong.status, 401);
+  });
+
+  it("POST /api/calls validates the body", async () => {
+    const res = await request("POST", "/api/calls", { json: { to: "+15557770001" }, token: "secret-token" });
+    assert.strictEqual(res.status, 400);
+    assert.match(JSON.parse(res.body).error, /"message" or "task"/);
+  });
+
+  it("places a call that speaks its message on answer and continues in the speech loop", async () => {
+    const placed = await request("POST", "/api/calls", {
+      json: { to: "+15557770001", message: "The build finished.", task: "Build status" },
+      token: "secret-token",
+    });
+    assert.strictEqual(placed.status, 201);
+    const call = JSON.parse(placed.body);
+    assert.strictEqual(call.to, "+15557770001");
+    assert.strictEqual(twilio.placed.at(-1)?.url, "https://phone.example.com/outbound-answer");
+
+    // Twilio reports From/To as dialled: our line calling the callee
+    const answer = await request("POST", "/outbound-answer", { form: { CallSid: call.callSid, From: LINE, To: "+15557770001" } });
+    assert.match(answer.body, /The build finished\./);
+    assert.match(answer.body, /<Gather[^>]*action="\/speech"/);
+
+    const speech = await request("POST", "/speech", {
+      form: { CallSid: call.callSid, From: LINE, To: "+15557770001", SpeechResult: "Great, thanks" },
+    });
+    assert.match(speech.body, /\/speech-wait\?key=/);
+    await new Promise((r) => setTimeout(r, 100));
+    assert.deepStrictEqual(agentRequests.at(-1), [
+      { role: "user", content: "[You placed this call to +15557770001. Task: Build status]" },
+      { role: "assistant", content: "The build finished." },
+      { role: "user", content: "Great, thanks" },
+    ]);
+  });
+
+  it("lets the agent open the call from the task when there is no message", async () => {
+    const placed = await request("POST", "/api/calls", { json: { to: "+15557770002", task: "Check in" }, token: "secret-token" });
+    const { callSid } = JSON.parse(placed.body);
+
+    const answer = await request("POST", "/outbound-answer", { form: { CallSid: callSid, From: LINE, To: "+15557770002" } });
+    const waitUrl = /<Redirect[^>]*>([^<]+)<\/Redirect>/.exec(answer.body)?.[1]?.replace(/&amp;/g, "&");
+    assert.ok(waitUrl && waitUrl.startsWith("/speech-wait?key="), answer.body);
+
+    await new Promise((r) => setTimeout(r, 100));
+    assert.deepStrictEqual(agentRequests.at(-1), [
+      { role: "user", content: "[You placed this call to +15557770002. Task: Check in]" },
+    ]);
+    const spoken = await request("POST", waitUrl, { form: { CallSid: callSid, From: LINE, To: "+15557770002" } });
+    assert.match(spoken.body, /your assistant calling/);
+  });
+
+  it("records status callbacks and exposes them via GET /api/calls/:sid", async () => {
+    const placed = await request("POST", "/api/calls", { json: { to: "+15557770003", message: "Reminder" }, token: "secret-token" });
+    const { callSid } = JSON.parse(placed.body);
+
+    const ringing = await request("POST", "/call-status", { form: { CallSid: callSid, CallStatus: "ringing" } });
+    assert.strictEqual(ringing.status, 204);
+    await request("POST", "/call-status", { form: { CallSid: callSid, CallStatus: "no-answer" } });
+
+    const status = await request("GET", `/api/calls/${callSid}`, { token: "secret-token" });
+    assert.strictEqual(status.status, 200);
+    const call = JSON.parse(status.body);
+    assert.strictEqual(call.status, "no-answer");
+    assert.deepStrictEqual(call.events.map((e) => e.status), ["queued", "ringing", "no-answer"]);
+
+    const unknown = await request("GET", "/api/calls/CA-unknown", { token: "secret-token" });
+    assert.strictEqual(unknown.status, 404);
+  });
+
+  it("reports the outcome to the agent in the callee's history", async () => {
+    const placed = await request("POST", "/api/calls", { json: { to: "+15557770004", message: "Reminder" }, token: "secret-token" });
+    const { callSid } = JSON.parse(placed.body);
+    await request("POST", "/call-status", { form: { CallSid: callSid, CallStatus: "busy" } });
+
+    // The callee texts back later; the agent sees the missed call first.
+    await request("POST", "/sms", { form: { From: "+15557770004", To: LINE, Body: "You called?", MessageSid: "SM-out-1" } });
+    assert.deepStrictEqual(agentRequests.at(-1), [
+      { role: "user", content: "[Outbound call to +15557770004 ended: busy]" },
+      { role: "user", content: "You called?" },
+    ]);
+  });
+
+  it("hangs up when Twilio answers a call it does not know", async () => {
+    const res = await request("POST", "/outbound-answer", { form: { CallSid: "CA-unknown" } });
+    assert.match(res.body, /<Hangup/);
+  });
+
+  it("POST /api/sms/send normalizes and sends the text from TWILIO_SMS_FROM", async () => {
+    const res = await request("POST", "/api/sms/send", {
+      json: { to: "15557770005", body: "Build \u201cmain\u201d   passed \u2014 all green" },
+      token: "secret-token",
+    });
+    assert.strictEqual(res.status, 201);
+    assert.deepStrictEqual(twilio.texts.at(-1), { to: "+15557770005", from: "+15550009999", body: 'Build "main" passed - all green' });
+    assert.strictEqual(JSON.parse(res.body).to, "+15557770005");
+  });
+
+  it("POST /api/sms/send records the text so the reply has context", async () => {
+    await request("POST", "/api/sms/send", { json: { to: "+15557770006", body: "Dinner at 7?" }, token: "secret-token" });
+    await request("POST", "/sms", { form: { From: "+15557770006", To: "+15550009999", Body: "Yes", MessageSid: "SM-in-6" } });
+    assert.deepStrictEqual(agentRequests.at(-1), [
+      { role: "user", content: "[You sent a text to +15557770006]" },
+      { role: "assistant", content: "Dinner at 7?" },
+      { role: "user", content: "Yes" },
+    ]);
+  });
+
+  it("POST /api/sms/send rejects bad input", async () => {
+    const noBody = await request("POST", "/api/sms/send", { json: { to: "+15557770005", body: "  " }, token: "secret-token" });
+    assert.strictEqual(noBody.status, 400);
+    const badJson = await request("POST", "/api/sms/send", { form: { to: "x" }, token: "secret-token" });
+    assert.strictEqual(badJson.status, 400);
+    const noAuth = await request("POST", "/api/sms/send", { json: { to: "+15557770005", body: "hi" } });
+    assert.strictEqual(noAuth.status, 401);
+  });
+});
+
+describe("outbound calls with the OpenClaw adapter", () => {
+  /** @type {http.Server} */
+  let server;
+  let port;
+  const twilio = makeFakeTwilio();
+  // Fake `openclaw` on PATH: appends each --message to a log (NUL-separated) and replies "ok".
+  const fakeBinDir = mkdtempSync(join(tmpdir(), "clawphone-outbound-test-"));
+  const promptLog = join(fakeBinDir, "prompts");
+  const savedPath = process.env.PATH;
+
+  before(async () => {
+    writeFileSync(
+      join(fakeBinDir, "openclaw"),
+      '#!/bin/sh\n' +
+      'while [ $# -gt 0 ]; do\n' +
+      `  if [ "$1" = "--message" ]; then printf '%s\\0' "$2" >> "${promptLog}"; fi\n` +
+      '  shift\n' +
+      'done\n' +
+      'echo \'{"text":"ok"}\'\n',
+      "utf8",
+    );
+    chmodSync(join(fakeBinDir, "openclaw"), 0o755);
+    process.env.PATH = `${fakeBinDir}:${savedPath}`;
+
+    server = await createServer({
+      ...baseConfig,
+      PORT: 0,
+      TWILIO_ACCOUNT_SID: "",
+      TWILIO_AUTH_TOKEN: "",
+      API_TOKEN: "secret-token",
+      AGENT_PROVIDER: "openclaw",
+      OPENCLAW_SESSION_STRATEGY: "caller",
+    }, null, { twilioClient: twilio });
+    port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(() => resolve(undefined)));
+    process.env.PATH = savedPath;
+    rmSync(fakeBinDir, { recursive: true, force: true });
+  });
+
+  /** @param {string} path @param {Record<string, string>} form */
+  const post = (path, form) => fetch(`http://localhost:${port}${path}`, { method: "POST", body: new URLSearchParams(form) });
+
+  /** @param {string} to @param {Record<string, string>} body @returns {Promise<string>} CallSid */
+  async function placeCall(to, body) {
+    const res = await fetch(`http://localhost:${port}/api/calls`, {
+      method: "POST",
+      headers: { authorization: "Bearer secret-token" },
+      body: JSON.stringify({ to, ...body }),
+    });
+    return /** @type {{ callSid: string }} */ (await res.json()).callSid;
+  }
+
+  /** @returns {string[]} Each prompt the agent was sent, oldest first */
+  const prompts = () => readFileSync(promptLog, "utf8").split("\0").slice(0, -1);
+
+  it("tells the session why it called and what it said before the callee's first reply", async () => {
+    const callSid = await placeCall("+15557771001", { message: "The build finished.", task: "Build status" });
+    await post("/outbound-answer", { CallSid: callSid, From: LINE, To: "+15557771001" });
+    await post("/speech", { CallSid: callSid, From: LINE, To: "+15557771001", SpeechResult: "Who is this?" });
+    await new Promise((r) => setTimeout(r, 300));
+
+    assert.strictEqual(prompts().at(-1),
+      "[You placed this call to +15557771001. Task: Build status]\n" +
+      '[You said: "The build finished."]\n\n' +
+      "Phone call: Who is this?");
+
+    await post("/speech", { CallSid: callSid, From: LINE, To: "+15557771001", SpeechResult: "Thanks" });
+    await new Promise((r) => setTimeout(r, 300));
+    assert.strictEqual(prompts().at(-1), "Phone call: Thanks", "notes are sent once");
+  });
+
+  it("reports the call's outcome to the session on its next turn", async () => {
+    const callSid = await placeCall("+15557771002", { message: "Reminder" });
+    await post("/call-status", { CallSid: callSid, CallStatus: "no-answer" });
+    await post("/sms", { From: "+15557771002", To: LINE, Body: "You called?", MessageSid: "SM-oc-1" });
+
+    assert.match(prompts().at(-1) ?? "", /^\[Outbound call to \+15557771002 ended: no-answer\]\n\nSMS: You called\?/);
+  });
+
+  it("gives the session the text a reply answers", async () => {
+    await fetch(`http://localhost:${port}/api/sms/send`, {
+      method: "POST",
+      headers: { authorization: "Bearer secret-token" },
+      body: JSON.stringify({ to: "+15557771003", body: "Dinner at 7?" }),
+    });
+    await post("/sms", { From: "+15557771003", To: LINE, Body: "Yes", MessageSid: "SM-oc-2" });
+
+    assert.match(prompts().at(-1) ?? "", /^\[You sent a text to \+15557771003\]\n\[You said: "Dinner at 7\?"\]\n\nSMS: Yes/);
+  });
+});
+
+describe("API with the default config", () => {
+  it("POST /api/sms/send refuses every recipient: no allowlist, no texts", async () => {
+    const twilio = makeFakeTwilio();
+    const server = await createServer({
+      ...fromPluginConfig({ apiToken: "secret-token", twilioSmsFrom: "+15550009999" }),
+      PORT: 0,
+    }, null, { twilioClient: twilio });
+    const port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+    try {
+      const res = await fetch(`http://localhost:${port}/api/sms/send`, {
+        method: "POST",
+        headers: { authorization: "Bearer secret-token", "content-type": "application/json" },
+        body: JSON.stringify({ to: "+15557770005", body: "hi" }),
+      });
+      assert.strictEqual(res.status, 403);
+      assert.match(/** @type {{ error: string }} */ (await res.json()).error, /not in allowlist/);
+      assert.strictEqual(twilio.texts.length, 0);
+    } finally {
+      await new Promise((resolve) => server.close(() => resolve(undefined)));
+    }
+  });
+});
+
+describe("API without API_TOKEN", () => {
+  it("the /api endpoints are disabled", async () => {
+    const server = await createServer({ ...baseConfig, PORT: 0, TWILIO_ACCOUNT_SID: "", TWILIO_AUTH_TOKEN: "", API_TOKEN: "" });
+    const port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+    try {
+      const res = await fetch(`http://localhost:${port}/api/calls`, { method: "POST", body: "{}" });
+      assert.strictEqual(res.status, 404);
+    } finally {
+      await new Promise((resolve) => server.close(() => resolve(undefined)));
+    }
+  });
+});
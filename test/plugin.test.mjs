@@ -42,6 +42,31 @@ describe("plugin manifest", () => {
     assert.strictEqual(typeof captured.start, "function");
     assert.strictEqual(typeof captured.stop, "function");
   });
+
+  it("register registers the phone tools when api.registerTool exists and phoneTools is on", () => {
+    /** @type {string[]} */
+    const tools = [];
+    plugin.register({
+      pluginConfig: { phoneTools: true },
+      registerService() {},
+      registerTool(/** @type {{ name: string, execute: Function }} */ tool) {
+        assert.strictEqual(typeof tool.execute, "function");
+        tools.push(tool.name);
+      },
+    });
+    assert.deepStrictEqual(tools, ["phone_call", "phone_call_status", "phone_sms"]);
+  });
+
+  it("register leaves the phone tools out by default", () => {
+    /** @type {string[]} */
+    const tools = [];
+    plugin.register({
+      pluginConfig: {},
+      registerService() {},
+      registerTool(/** @type {{ name: string }} */ tool) { tools.push(tool.name); },
+    });
+    assert.deepStrictEqual(tools, []);
+  });
 });
 
 describe("plugin lifecycle", () => {
@@ -0,0 +1,200 @@
+// @ts-check
+/**
+ * Tests for call recording: the consent flow on /voice and /recording-consent,
+ * per-number `record` routing, and /recording-status callbacks replayed from
+ * fixtures (test/fixtures/recording-status/*.jsonl).
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+import { readFileSync } from "node:fs";
+
+import { getVoiceCall } from "../lib/call-records.mjs";
+import { fromPluginConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+
+/** @param {string} name @returns {Record<string, string>[]} */
+function loadFixture(name) {
+  return readFileSync(new URL(`./fixtures/recording-status/${name}`, import.meta.url), "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+const RECORDED = "+15550008001";
+const EXPLICIT = "+15550008002";
+const UNRECORDED = "+15550008003";
+
+/**
+ * @param {Record<string, unknown>} overrides
+ * @returns {Promise<{ server: http.Server, port: number }>}
+ */
+async function startServer(overrides) {
+  const server = await createServer({
+    ...fromPluginConfig({}),
+    PORT: 0,
+    ALLOW_FROM: [],
+    TWILIO_ACCOUNT_SID: "",
+    TWILIO_AUTH_TOKEN: "",
+    API_TOKEN: "secret-token",
+    AGENT_PROVIDER: "http",
+    AGENT_HTTP_URL: "http://127.0.0.1:9/unused",
+    ...overrides,
+  });
+  return { server, port: /** @type {import('node:net').AddressInfo} */ (server.address()).port };
+}
+
+/**
+ * @param {number} port
+ * @param {string} method
+ * @param {string} path
+ * @param {Record<string, string>} [form]
+ * @returns {Promise<{ status: number|undefined, body: string }>}
+ */
+function request(port, method, path, form) {
+  return new Promise((resolve, reject) => {
+    const encoded = form ? new URLSearchParams(form).toString() : "";
+    const headers = {
+      "content-type": "application/x-www-form-urlencoded",
+      "content-length": Buffer.byteLength(encoded),
+      authorization: "Bearer secret-token",
+    };
+    const req = http.request({ hostname: "localhost", port, path, method, headers }, (res) => {
+      let data = "";
+      res.on("data", (c) => (data += c));
+      res.on("end", () => resolve({ status: res.statusCode, body: data }));
+    });
+    req.on("error", reject);
+    req.end(encoded);
+  });
+}
+
+describe("call recording (notice)", () => {
+  /** @type {http.Server} */
+  let server;
+  let port = 0;
+
+  before(async () => {
+    ({ server, port } = await startServer({
+      RECORD_CALLS: true,
+      RECORDING_DISCLOSURE: "Heads up: recorded.",
+      ROUTES: { [UNRECORDED]: { record: false } },
+    }));
+  });
+  after(() => new Promise((resolve) => server.close(() => resolve(undefined))));
+
+  it("announces the recording and starts it before the greeting, once per call", async () => {
+    const call = { CallSid: "CA-recording-1", From: "+15550008101", To: RECORDED };
+    const first = (await request(port, "POST", "/voice", call)).body;
+    assert.ok(first.includes(">Heads up: recorded.</Say><Start><Recording channels=\"dual\""));
+    assert.strictEqual(getVoiceCall("CA-recording-1")?.recordingConsent, "notice");
+
+    // No speech: the <Gather> falls back to /voice, which must not start a second recording.
+    const again = (await request(port, "POST", "/voice", call)).body;
+    assert.ok(!again.includes("<Recording"));
+    assert.ok(!again.includes("Heads up"));
+  });
+
+  it("leaves numbers routed with record: false alone", async () => {
+    const { body } = await request(port, "POST", "/voice", { CallSid: "CA-recording-2", From: "+15550008102", To: UNRECORDED });
+    assert.ok(!body.includes("<Recording"));
+    assert.strictEqual(getVoiceCall("CA-recording-2")?.recordingConsent, "");
+  });
+
+  it("links recording callbacks to the call", async () => {
+    const [inProgress, completed] = loadFixture("dual-channel.jsonl");
+    await request(port, "POST", "/voice", { CallSid: inProgress.CallSid, From: "+15550008103", To: RECORDED });
+
+    assert.strictEqual((await request(port, "POST", "/recording-status", inProgress)).status, 204);
+    assert.strictEqual((await request(port, "POST", "/recording-status", completed)).status, 204);
+
+    const { body } = await request(port, "GET", `/api/voice-calls/${inProgress.CallSid}`);
+    const [recording] = JSON.parse(body).recordings;
+    assert.strictEqual(recording.sid, completed.RecordingSid);
+    assert.strictEqual(recording.url, completed.RecordingUrl);
+    assert.strictEqual(recording.status, "completed");
+    assert.strictEqual(recording.channels, 2);
+    assert.strictEqual(recording.duration, 37);
+  });
+});
+
+describe("call recording (explicit consent)", () => {
+  /** @type {http.Server} */
+  let server;
+  let port = 0;
+
+  before(async () => {
+    ({ server, port } = await startServer({
+      RECORD_CALLS: false,
+      RECORDING_CONSENT: "explicit",
+      ROUTES: { [EXPLICIT]: { record: true } },
+    }));
+  });
+  after(() => new Promise((resolve) => server.close(() => resolve(undefined))));
+
+  it("asks first and records only after the caller agrees", async () => {
+    const call = { CallSid: "CA-consent-1", From: "+15550008201", To: EXPLICIT };
+    const asked = (await request(port, "POST", "/voice", call)).body;
+    assert.ok(asked.includes('action="/recording-consent"'));
+    assert.ok(!asked.includes("<Recording"));
+
+    const answered = (await request(port, "POST", "/recording-consent", { ...call, SpeechResult: "Yes, that's fine." })).body;
+    assert.ok(answered.includes("<Start><Recording"));
+    assert.ok(answered.includes('action="/speech"'), "continues to the greeting");
+    assert.strictEqual(getVoiceCall("CA-consent-1")?.recordingConsent, "given");
+  });
+
+  it("does not record when the caller declines or stays silent", async () => {
+    const call = { CallSid: "CA-consent-2", From: "+15550008202", To: EXPLICIT };
+    await request(port, "POST", "/voice", call);
+    const declined = (await request(port, "POST", "/recording-consent", call)).body;
+    assert.ok(!declined.includes("<Recording"));
+    assert.ok(declined.includes("This call will not be recorded."));
+    assert.strictEqual(getVoiceCall("CA-consent-2")?.recordingConsent, "declined");
+  });
+
+  it("accepts a keypress", async () => {
+    const call = { CallSid: "CA-consent-3", From: "+15550008203", To: EXPLICIT };
+    await request(port, "POST", "/voice", call);
+    assert.ok((await request(port, "POST", "/recording-consent", { ...call, Digits: "1" })).body.includes("<Recording"));
+  });
+
+  it("does not ask on numbers without recording", async () => {
+    const { body } = await request(port, "POST", "/voice", { CallSid: "CA-consent-4", From: "+15550008204", To: UNRECORDED });
+    assert.ok(!body.includes("/recording-consent"));
+  });
+});
+
+describe("call recording (consent answer from an unadmitted caller)", () => {
+  /** @type {http.Server} */
+  let server;
+  let port = 0;
+
+  before(async () => {
+    ({ server, port } = await startServer({
+      RECORD_CALLS: false,
+      RECORDING_CONSENT: "explicit",
+      ROUTES: { [EXPLICIT]: { record: true } },
+      ALLOW_FROM: ["+15550008301"],
+      VERIFY_CALLER: "pin",
+      VERIFY_PIN: "4821",
+    }));
+  });
+  after(() => new Promise((resolve) => server.close(() => resolve(undefined))));
+
+  it("hangs up on a caller the access policy refuses", async () => {
+    const call = { CallSid: "CA-consent-5", From: "+15550008399", To: EXPLICIT, Digits: "1" };
+    const { body } = await request(port, "POST", "/recording-consent", call);
+    assert.ok(body.includes("<Hangup"));
+    assert.ok(!body.includes("<Recording"));
+    assert.strictEqual(getVoiceCall("CA-consent-5")?.recordingConsent, undefined);
+  });
+
+  it("asks an unverified caller for their PIN instead of answering", async () => {
+    const call = { CallSid: "CA-consent-6", From: "+15550008301", To: EXPLICIT, Digits: "1" };
+    const { body } = await request(port, "POST", "/recording-consent", call);
+    assert.ok(body.includes("Please say or enter your PIN"));
+    assert.ok(!body.includes("<Recording"));
+  });
+});
@@ -0,0 +1,136 @@
+// @ts-check
+/**
+ * Tests for reloading a running server: server.reload() and the standalone
+ * readEnvConfig() / loadEnvConfig(). The agent is the
+ * generic HTTP adapter pointed at a local stub that holds its reply until the
+ * test releases it, so a voice turn can be left pending across a reload.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+
+import { fromPluginConfig, readEnvConfig, loadEnvConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+
+/** @param {number} port @param {string} path @param {Record<string, string>} form @returns {Promise<string>} */
+function post(port, path, form) {
+  return new Promise((resolve, reject) => {
+    const encoded = new URLSearchParams(form).toString();
+    const headers = { "content-type": "application/x-www-form-urlencoded", "content-length": Buffer.byteLength(encoded) };
+    const req = http.request({ hostname: "localhost", port, path, method: "POST", headers }, (res) => {
+      let data = "";
+      res.on("data", (c) => (data += c));
+      res.on("end", () => resolve(data));
+    });
+    req.on("error", reject);
+    req.end(encoded);
+  });
+}
+
+describe("server.reload", () => {
+  /** @type {Awaited<ReturnType<typeof createServer>>} */
+  let server;
+  /** @type {http.Server} */
+  let agentStub;
+  let port;
+  /** @type {Record<string, any>} */
+  let baseConfig;
+  /** @type {http.ServerResponse[]} */
+  const held = [];
+
+  before(async () => {
+    agentStub = http.createServer((req, res) => {
+      req.resume();
+      req.on("end", () => held.push(res));
+    });
+    await new Promise((resolve) => agentStub.listen(0, () => resolve(undefined)));
+    const agentPort = /** @type {import('node:net').AddressInfo} */ (agentStub.address()).port;
+
+    baseConfig = {
+      ...fromPluginConfig({ greetingText: "Hello from before." }),
+      PORT: 0,
+      ALLOW_FROM: [],
+      TWILIO_ACCOUNT_SID: "",
+      TWILIO_AUTH_TOKEN: "",
+      AGENT_PROVIDER: "http",
+      AGENT_HTTP_URL: `http://127.0.0.1:${agentPort}/reply`,
+    };
+    server = await createServer(baseConfig);
+    port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+  });
+
+  after(async () => {
+    for (const res of held) res.end("{}");
+    await new Promise((resolve) => server.close(() => resolve(undefined)));
+    await new Promise((resolve) => agentStub.close(() => resolve(undefined)));
+  });
+
+  const call = (/** @type {string} */ callSid, from = "+15550008001") => ({ CallSid: callSid, From: from, To: "+15550009999" });
+
+  it("applies the greeting and allowlist, and reports settings that need a restart", async () => {
+    assert.ok((await post(port, "/voice", call("CA-reload-1"))).includes("Hello from before."));
+
+    const result = server.reload({ ...baseConfig, GREETING_TEXT: "Hello from after.", ALLOW_FROM: ["+15550008001"], PORT: 9999 });
+    assert.deepStrictEqual(result, { changed: ["ALLOW_FROM", "GREETING_TEXT"], needsRestart: ["PORT"] });
+
+    assert.ok((await post(port, "/voice", call("CA-reload-2"))).includes("Hello from after."));
+    assert.match(await post(port, "/voice", call("CA-reload-3", "+15550008002")), /not authorized/);
+    assert.strictEqual(/** @type {import('node:net').AddressInfo} */ (server.address()).port, port);
+  });
+
+  it("keeps the running configuration when the new one is invalid", async () => {
+    assert.throws(() => server.reload({ ...baseConfig, GREETING_TEXT: "Broken.", ROUTES: { "+15550009999": { greeting: 5 } } }),
+      /greeting: expected string, got number/);
+    assert.ok((await post(port, "/voice", call("CA-reload-4"))).includes("Hello from after."));
+  });
+
+  it("keeps a pending voice turn across a reload", async () => {
+    server.reload({ ...baseConfig, ALLOW_FROM: [] });
+    const pending = await post(port, "/speech", { ...call("CA-reload-5"), SpeechResult: "What is the weather?" });
+    assert.ok(pending.includes("/speech-wait"));
+    for (let i = 0; i < 50 && !held.length; i++) await new Promise((r) => setTimeout(r, 10));
+
+    server.reload({ ...baseConfig, GREETING_TEXT: "Hello again." });
+    held.shift()?.end(JSON.stringify({ reply: "Sunny all day." }));
+
+    const url = /<Redirect[^>]*>([^<]+)<\/Redirect>/.exec(pending)?.[1]?.replace(/&amp;/g, "&") ?? "";
+    let twiml = "";
+    for (let i = 0; i < 50 && !twiml.includes("Sunny all day."); i++) {
+      await new Promise((r) => setTimeout(r, 10));
+      twiml = await post(port, url, call("CA-reload-5"));
+    }
+    assert.ok(twiml.includes("Sunny all day."));
+  });
+});
+
+describe("readEnvConfig", () => {
+  it("reads the given environment", () => {
+    const config = readEnvConfig({ GREETING_TEXT: "From a plain object.", SMS_MAX_CHARS: "160" });
+    assert.strictEqual(config.CONFIG_SOURCE, "env");
+    assert.strictEqual(config.GREETING_TEXT, "From a plain object.");
+    assert.strictEqual(config.SMS_MAX_CHARS, 160);
+    assert.strictEqual(config.PORT, 8787);
+  });
+
+  it("falls back to the default for an empty value and keeps an explicit 0", () => {
+    const config = readEnvConfig({ AGENT_BREAKER_THRESHOLD: "", AGENT_PROBE_INTERVAL_MS: "", TRANSCRIPT_MAX_BYTES: "0" });
+    assert.strictEqual(config.AGENT_BREAKER_THRESHOLD, 0);
+    assert.strictEqual(config.AGENT_PROBE_INTERVAL_MS, 15_000);
+    assert.strictEqual(config.TRANSCRIPT_MAX_BYTES, 0);
+  });
+});
+
+describe("loadEnvConfig", () => {
+  it("reads the environment again", () => {
+    const before = process.env.GREETING_TEXT;
+    process.env.GREETING_TEXT = "Reloaded from the environment.";
+    try {
+      const fresh = loadEnvConfig();
+      assert.strictEqual(fresh.GREETING_TEXT, "Reloaded from the environment.");
+    } finally {
+      if (before === undefined) delete process.env.GREETING_TEXT;
+      else process.env.GREETING_TEXT = before;
+    }
+  });
+});
@@ -0,0 +1,129 @@
+// @ts-check
+/**
+ * Tests for VOICE_STREAM_REPLIES: the agent's reply streams into the pending
+ * turn and /speech-wait speaks each finished sentence while polling for the
+ * rest. The agent is the generic HTTP adapter pointed at a local stub that
+ * answers with server-sent events and holds the second sentence back until
+ * the test releases it.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+
+import { fromPluginConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+
+describe("VOICE_STREAM_REPLIES", () => {
+  /** @type {http.Server} */
+  let server;
+  /** @type {http.Server} */
+  let agentStub;
+  let port;
+  /** @type {any[]} messages[] of each agent request */
+  const agentRequests = [];
+  /** @type {() => void} */
+  let release = () => {};
+
+  before(async () => {
+    agentStub = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (c) => (body += c));
+      req.on("end", () => {
+        const { messages } = JSON.parse(body);
+        agentRequests.push(messages);
+        res.writeHead(200, { "content-type": "text/event-stream" });
+        if (messages.at(-1).content !== "Weather?") {
+          res.end("data: Noted.\n\n");
+          return;
+        }
+        res.write("data: It's sunny today.\n\n");
+        res.write("data:  Highs\n\n");
+        release = () => res.end("data:  of 20.\n\ndata: [DONE]\n\n");
+      });
+    });
+    await new Promise((resolve) => agentStub.listen(0, () => resolve(undefined)));
+    const agentPort = /** @type {import('node:net').AddressInfo} */ (agentStub.address()).port;
+
+    server = await createServer({
+      ...fromPluginConfig({}),
+      PORT: 0,
+      ALLOW_FROM: [],
+      TWILIO_ACCOUNT_SID: "",
+      TWILIO_AUTH_TOKEN: "",
+      VOICE_STREAM_REPLIES: true,
+      AGENT_PROVIDER: "http",
+      AGENT_HTTP_URL: `http://127.0.0.1:${agentPort}/reply`,
+    });
+    port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+  });
+
+  after(async () => {
+    release(); // a failed test may leave the stub's reply open
+    await new Promise((resolve) => server.close(() => resolve(undefined)));
+    await new Promise((resolve) => agentStub.close(() => resolve(undefined)));
+  });
+
+  /** @param {string} path @param {Record<string, string>} form @returns {Promise<string>} */
+  function post(path, form) {
+    return new Promise((resolve, reject) => {
+      const encoded = new URLSearchParams(form).toString();
+      const req = http.request(
+        {
+          hostname: "localhost", port, path, method: "POST",
+          headers: { "content-type": "application/x-www-form-urlencoded", "content-length": Buffer.byteLength(encoded) },
+        },
+        (res) => {
+          let data = "";
+          res.on("data", (c) => (data += c));
+          res.on("end", () => resolve(data));
+        },
+      );
+      req.on("error", reject);
+      req.end(encoded);
+    });
+  }
+
+  const form = { CallSid: "CA-streamed", From: "+15551230001" };
+  /** @param {string} twiml */
+  const redirectOf = (twiml) => /<Redirect[^>]*>([^<]+)<\/Redirect>/.exec(twiml)?.[1]?.replace(/&amp;/g, "&") ?? "";
+  /** @param {string} twiml */
+  const saysOf = (twiml) => [...twiml.matchAll(/<Say[^>]*>([^<]*)<\/Say>/g)].map((m) => m[1]);
+
+  /**
+   * Follow /speech-wait redirects until `done` accepts a response.
+   * @param {string} url
+   * @param {(twiml: string) => boolean} done
+   */
+  async function pollUntil(url, done) {
+    let twiml = "";
+    for (let i = 0; i < 100; i++) {
+      twiml = await post(url, form);
+      if (done(twiml)) return twiml;
+      url = redirectOf(twiml);
+      assert.ok(url.startsWith("/speech-wait"), `expected to keep polling, got: ${twiml}`);
+      await new Promise((r) => setTimeout(r, 10));
+    }
+    assert.fail(`gave up polling; last response: ${twiml}`);
+  }
+
+  it("speaks the first sentence before the reply is finished, then the rest", async () => {
+    const queued = await post("/speech", { ...form, SpeechResult: "Weather?" });
+
+    const partial = await pollUntil(redirectOf(queued), (t) => saysOf(t).length > 0);
+    assert.deepStrictEqual(saysOf(partial), ["It's sunny today."]);
+    assert.ok(!partial.includes("<Gather"), "the caller keeps waiting for the rest");
+
+    release();
+    const final = await pollUntil(redirectOf(partial), (t) => t.includes("<Gather"));
+    assert.strictEqual(saysOf(final)[0], "Highs of 20.");
+
+    // The whole reply is recorded in the history once.
+    await pollUntil(redirectOf(await post("/speech", { ...form, SpeechResult: "Thanks" })), (t) => t.includes("<Gather"));
+    assert.deepStrictEqual(agentRequests.at(-1).map((/** @type {any} */ m) => m.content), [
+      "Weather?",
+      "It's sunny today. Highs of 20.",
+      "Thanks",
+    ]);
+  });
+});
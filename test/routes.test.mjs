@@ -0,0 +1,230 @@
+// @ts-check
+/**
+ * Tests for multi-tenant number routing (lib/routes.mjs).
+ *
+ * The createServer() tests put a fake `openclaw` on PATH that replies with the
+ * `--agent` and `--session-id` it was given, so the reply shows which route a
+ * turn used.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+import { mkdtempSync, writeFileSync, rmSync, chmodSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { createRouter, parseRoutes, loadRoutesFile, normalizeNumber } from "../lib/routes.mjs";
+import { fromPluginConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+
+// ── Fake openclaw stub: echoes its --agent and --session-id ──────────────────
+const fakeBinDir = mkdtempSync(join(tmpdir(), "clawphone-routes-test-"));
+const fakeOpenclawPath = join(fakeBinDir, "openclaw");
+writeFileSync(
+  fakeOpenclawPath,
+  '#!/bin/sh\n' +
+  'agent=""; session=""\n' +
+  'while [ $# -gt 0 ]; do\n' +
+  '  case "$1" in --agent) agent="$2";; --session-id) session="$2";; esac\n' +
+  '  shift\n' +
+  'done\n' +
+  'echo "{\\"text\\":\\"agent=$agent session=$session\\"}"\n',
+  "utf8",
+);
+chmodSync(fakeOpenclawPath, 0o755);
+process.env.PATH = `${fakeBinDir}:${process.env.PATH}`;
+
+const SALES = "+15550001000";
+const SUPPORT = "+15550002000";
+
+const routes = {
+  [SALES]: {
+    agentId: "sales",
+    sessionId: "sales-line",
+    greeting: "Sales, how can I help?",
+    voice: "Polly.Joanna",
+    smsMaxChars: 20,
+  },
+  // Key without "+" is normalized
+  [SUPPORT.slice(1)]: {
+    agentId: "support",
+    allowFrom: ["+15557770001"],
+  },
+};
+
+describe("normalizeNumber", () => {
+  it("adds a leading + and trims", () => {
+    assert.strictEqual(normalizeNumber(" 15550001000 "), "+15550001000");
+    assert.strictEqual(normalizeNumber("+15550001000"), "+15550001000");
+    assert.strictEqual(normalizeNumber(undefined), "");
+  });
+});
+
+describe("parseRoutes", () => {
+  it("returns an empty table for null/undefined", () => {
+    assert.deepStrictEqual(parseRoutes(undefined), {});
+  });
+
+  it("normalizes the number keys", () => {
+    assert.deepStrictEqual(Object.keys(parseRoutes(routes)), [SALES, SUPPORT]);
+  });
+
+  it("rejects unknown settings", () => {
+    assert.throws(() => parseRoutes({ [SALES]: { agentID: "x" } }), /\["\+15550001000"\]: unknown setting "agentID"/);
+  });
+
+  it("rejects settings of the wrong type", () => {
+    assert.throws(() => parseRoutes({ [SALES]: { smsMaxChars: "160" } }), /smsMaxChars: expected number, got string/);
+    assert.throws(() => parseRoutes({ [SALES]: { allowFrom: "+1555" } }), /allowFrom: expected array, got string/);
+  });
+
+  it("rejects a non-object table", () => {
+    assert.throws(() => parseRoutes([]), /expected an object keyed by phone number/);
+  });
+});
+
+describe("loadRoutesFile", () => {
+  const dir = mkdtempSync(join(tmpdir(), "clawphone-routes-file-"));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it("reads and validates a JSON routes file", () => {
+    const path = join(dir, "routes.json");
+    writeFileSync(path, JSON.stringify(routes));
+    assert.strictEqual(loadRoutesFile(path)[SALES].agentId, "sales");
+  });
+
+  it("names the file when it cannot be parsed", () => {
+    const path = join(dir, "broken.json");
+    writeFileSync(path, "{ not json");
+    assert.throws(() => loadRoutesFile(path), /Cannot read routes file .*broken\.json/);
+  });
+});
+
+describe("createRouter", () => {
+  const config = fromPluginConfig({ greetingText: "Hello", allowFrom: ["+15550009999"] });
+
+  it("falls back to the global configuration for unknown numbers", () => {
+    const route = createRouter({ ...config, ROUTES: routes }).resolve("+15559999999");
+    assert.strictEqual(route.number, "");
+    assert.strictEqual(route.greeting, "Hello");
+    assert.strictEqual(route.agentId, "phone");
+    assert.deepStrictEqual(route.allowFrom, ["+15550009999"]);
+  });
+
+  it("layers a route's settings over the defaults", () => {
+    const route = createRouter({ ...config, ROUTES: routes }).resolve(SALES);
+    assert.strictEqual(route.number, SALES);
+    assert.strictEqual(route.agentId, "sales");
+    assert.strictEqual(route.greeting, "Sales, how can I help?");
+    assert.strictEqual(route.smsMaxChars, 20);
+    assert.deepStrictEqual(route.allowFrom, ["+15550009999"], "unset settings keep the default");
+  });
+
+  it("matches a `To` without a leading +", () => {
+    assert.strictEqual(createRouter({ ...config, ROUTES: routes }).resolve(SUPPORT.slice(1)).agentId, "support");
+  });
+
+  it("merges ROUTES_FILE with inline ROUTES, inline winning", () => {
+    const dir = mkdtempSync(join(tmpdir(), "clawphone-routes-merge-"));
+    try {
+      const path = join(dir, "routes.json");
+      writeFileSync(path, JSON.stringify({ [SALES]: { agentId: "from-file" }, "+15550003000": { agentId: "file-only" } }));
+      const router = createRouter({ ...config, ROUTES_FILE: path, ROUTES: { [SALES]: { agentId: "inline" } } });
+      assert.strictEqual(router.resolve(SALES).agentId, "inline");
+      assert.strictEqual(router.resolve("+15550003000").agentId, "file-only");
+      assert.deepStrictEqual(router.numbers().sort(), [SALES, "+15550003000"]);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+// ── Routing through createServer ─────────────────────────────────────────────
+
+describe("number routing via createServer", () => {
+  /** @type {http.Server} */
+  let server;
+  let port;
+
+  before(async () => {
+    server = await createServer({
+      ...fromPluginConfig({}),
+      PORT: 0,
+      ALLOW_FROM: [],
+      TWILIO_ACCOUNT_SID: "",
+      TWILIO_AUTH_TOKEN: "",
+      GREETING_TEXT: "Default greeting",
+      ROUTES: routes,
+    });
+    port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(() => resolve(undefined)));
+    rmSync(fakeBinDir, { recursive: true, force: true });
+  });
+
+  /** @param {string} path @param {Record<string, string>} form @returns {Promise<string>} */
+  function post(path, form) {
+    return new Promise((resolve, reject) => {
+      const encoded = new URLSearchParams(form).toString();
+      const req = http.request(
+        {
+          hostname: "localhost", port, path, method: "POST",
+          headers: { "content-type": "application/x-www-form-urlencoded", "content-length": Buffer.byteLength(encoded) },
+        },
+        (res) => {
+          let data = "";
+          res.on("data", (c) => (data += c));
+          res.on("end", () => resolve(data));
+        },
+      );
+      req.on("error", reject);
+      req.end(encoded);
+    });
+  }
+
+  it("/voice greets with the routed number's greeting and voice", async () => {
+    const body = await post("/voice", { From: "+15557770009", To: SALES, CallSid: "CA-r1" });
+    assert.match(body, /Sales, how can I help\?/);
+    assert.match(body, /voice="Polly.Joanna"/);
+  });
+
+  it("/voice uses the global greeting for an unrouted number", async () => {
+    const body = await post("/voice", { From: "+15557770009", To: "+15559999999", CallSid: "CA-r2" });
+    assert.match(body, /Default greeting/);
+  });
+
+  it("/voice and /speech enforce the routed number's allowlist", async () => {
+    const voice = await post("/voice", { From: "+15557770009", To: SUPPORT, CallSid: "CA-r3" });
+    assert.match(voice, /not authorized/);
+    const speech = await post("/speech", { From: "+15557770009", To: SUPPORT, CallSid: "CA-r3", SpeechResult: "hi" });
+    assert.match(speech, /not authorized/);
+    const allowed = await post("/voice", { From: "+15557770001", To: SUPPORT, CallSid: "CA-r4" });
+    assert.match(allowed, /<Gather/);
+  });
+
+  it("/sms rejects senders outside the routed number's allowlist", async () => {
+    const body = await post("/sms", { From: "+15557770009", To: SUPPORT, Body: "hi", MessageSid: "SMr1" });
+    assert.match(body, /Unauthorized/);
+  });
+
+  it("/sms uses the routed agent, session and SMS length limit", async () => {
+    const body = await post("/sms", { From: "+15557770009", To: SALES, Body: "hi", MessageSid: "SMr2" });
+    // "agent=sales session=sales-line" truncated at a word boundary to smsMaxChars (20)
+    assert.match(body, /<Message>agent=sales session…<\/Message>/);
+  });
+
+  it("/speech and /speech-wait use the routed agent and voice", async () => {
+    const queued = await post("/speech", { From: "+15557770009", To: SALES, CallSid: "CA-r5", SpeechResult: "hello" });
+    assert.match(queued, /voice="Polly.Joanna"/);
+    const waitUrl = /<Redirect[^>]*>([^<]+)<\/Redirect>/.exec(queued)?.[1]?.replace(/&amp;/g, "&");
+    assert.ok(waitUrl, "expected a /speech-wait redirect");
+    await new Promise((r) => setTimeout(r, 300));
+
+    const spoken = await post(waitUrl, { To: SALES });
+    assert.match(spoken, /agent=sales session=sales-line/);
+    assert.match(spoken, /voice="Polly.Joanna"/);
+  });
+});
@@ -0,0 +1,238 @@
+// @ts-check
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+import { mkdtempSync, rmSync, readFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  createSessionStore,
+  createFileSessionBackend,
+  estimateTokens,
+  sessionKeyFor,
+} from "../lib/session-store.mjs";
+import { fromPluginConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+
+/** @param {string} content */
+const user = (content) => ({ role: /** @type {const} */ ("user"), content });
+/** @param {string} content */
+const assistant = (content) => ({ role: /** @type {const} */ ("assistant"), content });
+
+describe("sessionKeyFor", () => {
+  it("keys by caller number by default", () => {
+    assert.strictEqual(sessionKeyFor("caller", { from: "+15550001111", callSid: "CA1" }), "+15550001111");
+  });
+
+  it("includes the CallSid when scope is 'call'", () => {
+    assert.strictEqual(sessionKeyFor("call", { from: "+15550001111", callSid: "CA1" }), "+15550001111:CA1");
+  });
+
+  it("falls back to the caller number when scope is 'call' but there is no CallSid (SMS)", () => {
+    assert.strictEqual(sessionKeyFor("call", { from: "+15550001111" }), "+15550001111");
+  });
+});
+
+describe("estimateTokens", () => {
+  it("estimates ~4 characters per token, rounding up", () => {
+    assert.strictEqual(estimateTokens(""), 0);
+    assert.strictEqual(estimateTokens("abcd"), 1);
+    assert.strictEqual(estimateTokens("abcde"), 2);
+  });
+});
+
+describe("createSessionStore", () => {
+  it("accumulates messages and returns the full history", () => {
+    const store = createSessionStore();
+    store.append("k", user("hi"));
+    store.append("k", assistant("hello"));
+    const history = store.append("k", user("how are you?"));
+    assert.deepStrictEqual(history, [user("hi"), assistant("hello"), user("how are you?")]);
+    assert.deepStrictEqual(store.history("k"), history);
+  });
+
+  it("keeps separate histories per key", () => {
+    const store = createSessionStore();
+    store.append("a", user("from a"));
+    store.append("b", user("from b"));
+    assert.deepStrictEqual(store.history("a"), [user("from a")]);
+    assert.deepStrictEqual(store.history("b"), [user("from b")]);
+  });
+
+  it("enforces the max-turn window, dropping the oldest messages", () => {
+    const store = createSessionStore({ maxTurns: 1, maxTokens: 0 });
+    store.append("k", user("q1"));
+    store.append("k", assistant("a1"));
+    store.append("k", user("q2"));
+    assert.deepStrictEqual(store.history("k"), [user("q2")]);
+    store.append("k", assistant("a2"));
+    assert.deepStrictEqual(store.history("k"), [user("q2"), assistant("a2")]);
+  });
+
+  it("enforces the token budget but always keeps the newest message", () => {
+    const store = createSessionStore({ maxTurns: 0, maxTokens: 3 });
+    store.append("k", user("aaaa"));      // 1 token
+    store.append("k", assistant("bbbb")); // 1 token
+    store.append("k", user("cccc"));      // 1 token
+    assert.strictEqual(store.history("k").length, 3);
+    const history = store.append("k", assistant("d".repeat(40))); // 10 tokens alone
+    assert.deepStrictEqual(history, [assistant("d".repeat(40))]);
+  });
+
+  it("never starts the window with an assistant message", () => {
+    const store = createSessionStore({ maxTurns: 0, maxTokens: 2 });
+    store.append("k", user("aaaa"));
+    store.append("k", assistant("bbbb"));
+    const history = store.append("k", user("cccc"));
+    assert.deepStrictEqual(history, [user("cccc")]);
+  });
+
+  it("expires idle sessions", () => {
+    let now = 1_000;
+    const store = createSessionStore({ idleTtlMs: 100, now: () => now });
+    store.append("k", user("old"));
+    now += 101;
+    assert.deepStrictEqual(store.history("k"), []);
+    assert.deepStrictEqual(store.append("k", user("new")), [user("new")]);
+  });
+
+  it("sweep() removes idle sessions and reports the count", () => {
+    let now = 1_000;
+    const store = createSessionStore({ idleTtlMs: 100, now: () => now });
+    store.append("a", user("x"));
+    now += 50;
+    store.append("b", user("y"));
+    now += 60;
+    assert.strictEqual(store.sweep(), 1);
+    assert.strictEqual(store.size(), 1);
+    assert.deepStrictEqual(store.history("b"), [user("y")]);
+  });
+
+  it("a retried user message with the same id replaces the earlier attempt and anything after it", () => {
+    const store = createSessionStore();
+    store.append("k", { ...user("hello"), id: "SM1" });
+    store.append("k", { ...assistant("first answer"), id: "SM1" });
+    const history = store.append("k", { ...user("hello"), id: "SM1" });
+    assert.deepStrictEqual(history, [user("hello")]);
+  });
+
+  it("an assistant message with the same id replaces the earlier reply in place", () => {
+    const store = createSessionStore();
+    store.append("k", { ...user("hello"), id: "SM1" });
+    store.append("k", { ...assistant("first"), id: "SM1" });
+    store.append("k", { ...assistant("second"), id: "SM1" });
+    assert.deepStrictEqual(store.history("k"), [user("hello"), assistant("second")]);
+  });
+
+  it("clear() drops a session", () => {
+    const store = createSessionStore();
+    store.append("k", user("x"));
+    store.clear("k");
+    assert.deepStrictEqual(store.history("k"), []);
+  });
+});
+
+describe("createFileSessionBackend", () => {
+  const dir = mkdtempSync(join(tmpdir(), "clawphone-sessions-"));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it("persists sessions across store instances", () => {
+    const path = join(dir, "nested", "sessions.json");
+    const first = createSessionStore({ backend: createFileSessionBackend(path) });
+    first.append("+15550001111", user("remember me"));
+    first.append("+15550001111", assistant("noted"));
+
+    const second = createSessionStore({ backend: createFileSessionBackend(path) });
+    assert.deepStrictEqual(second.history("+15550001111"), [user("remember me"), assistant("noted")]);
+  });
+
+  it("rewrites the file when a session is cleared", () => {
+    const path = join(dir, "clear.json");
+    const store = createSessionStore({ backend: createFileSessionBackend(path) });
+    store.append("a", user("x"));
+    store.clear("a");
+    assert.deepStrictEqual(JSON.parse(readFileSync(path, "utf8")), {});
+  });
+});
+
+// ── History through createServer ─────────────────────────────────────────────
+
+describe("conversation history via createServer (http adapter)", () => {
+  /** @type {any[]} */
+  const agentRequests = [];
+  const agentStub = http.createServer((req, res) => {
+    let data = "";
+    req.on("data", (c) => (data += c));
+    req.on("end", () => {
+      const body = JSON.parse(data);
+      agentRequests.push(body);
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify({ reply: `reply ${agentRequests.length}` }));
+    });
+  });
+
+  /** @type {http.Server} */
+  let server;
+  let port;
+
+  before(async () => {
+    await new Promise((resolve) => agentStub.listen(0, () => resolve(undefined)));
+    const agentPort = /** @type {import('node:net').AddressInfo} */ (agentStub.address()).port;
+    server = await createServer({
+      ...fromPluginConfig({}),
+      PORT: 0,
+      ALLOW_FROM: [],
+      TWILIO_ACCOUNT_SID: "",
+      TWILIO_AUTH_TOKEN: "",
+      AGENT_PROVIDER: "http",
+      AGENT_HTTP_URL: `http://localhost:${agentPort}/reply`,
+    });
+    port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(() => resolve(undefined)));
+    await new Promise((resolve) => agentStub.close(() => resolve(undefined)));
+  });
+
+  /** @param {string} path @param {Record<string, string>} form */
+  function post(path, form) {
+    return new Promise((resolve, reject) => {
+      const encoded = new URLSearchParams(form).toString();
+      const req = http.request(
+        {
+          hostname: "localhost", port, path, method: "POST",
+          headers: { "content-type": "application/x-www-form-urlencoded", "content-length": Buffer.byteLength(encoded) },
+        },
+        (res) => {
+          let data = "";
+          res.on("data", (c) => (data += c));
+          res.on("end", () => resolve(data));
+        },
+      );
+      req.on("error", reject);
+      req.end(encoded);
+    });
+  }
+
+  it("sends prior SMS turns as messages[] on the next message", async () => {
+    await post("/sms", { From: "+15557770001", To: "+15550002222", Body: "first", MessageSid: "SMa" });
+    await post("/sms", { From: "+15557770001", To: "+15550002222", Body: "second", MessageSid: "SMb" });
+
+    assert.strictEqual(agentRequests.length, 2);
+    assert.strictEqual(agentRequests[1].mode, "sms");
+    assert.deepStrictEqual(agentRequests[1].messages, [user("first"), assistant("reply 1"), user("second")]);
+  });
+
+  it("shares history between a caller's SMS and voice turns", async () => {
+    await post("/sms", { From: "+15557770002", To: "+15550002222", Body: "texted", MessageSid: "SMc" });
+    await post("/speech", { From: "+15557770002", CallSid: "CA-hist-1", SpeechResult: "spoken" });
+    // The voice turn runs asynchronously after /speech responds
+    await new Promise((r) => setTimeout(r, 100));
+
+    assert.strictEqual(agentRequests.length, 4);
+    assert.strictEqual(agentRequests[3].mode, "voice");
+    assert.deepStrictEqual(agentRequests[3].messages, [user("texted"), assistant("reply 3"), user("spoken")]);
+  });
+});
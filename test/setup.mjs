@@ -16,3 +16,40 @@
 process.env.TWILIO_ACCOUNT_SID     = "";
 process.env.TWILIO_AUTH_TOKEN      = "";
 process.env.DISCORD_LOG_CHANNEL_ID = "";
+process.env.AGENT_PROVIDER         = "";
+process.env.OPENCLAW_SESSION_STRATEGY = "";
+process.env.AGENT_HTTP_URL         = "";
+process.env.AGENT_HTTP_TOKEN       = "";
+process.env.OPENAI_BASE_URL        = "";
+process.env.OPENAI_MODEL           = "";
+process.env.OPENAI_API_KEY         = "";
+process.env.OPENAI_SYSTEM_PROMPT   = "";
+process.env.ANTHROPIC_BASE_URL     = "";
+process.env.ANTHROPIC_MODEL        = "";
+process.env.ANTHROPIC_API_KEY      = "";
+process.env.ANTHROPIC_VOICE_SYSTEM_PROMPT = "";
+process.env.ANTHROPIC_SMS_SYSTEM_PROMPT   = "";
+process.env.SESSION_STORE_FILE     = "";
+process.env.RECORD_CALLS           = "";
+process.env.RECORDING_CONSENT      = "";
+process.env.TRANSCRIPT_DIR         = "";
+process.env.VOICEMAIL_AFTER_FAILURES = "";
+process.env.VOICEMAIL_FILE         = "";
+process.env.CALL_SUMMARY           = "";
+process.env.CALL_SUMMARY_SMS       = "";
+process.env.CALL_SUMMARY_PROMPT    = "";
+process.env.ROUTES_FILE            = "";
+process.env.CALLERS_FILE           = "";
+process.env.ACCESS_POLICY_FILE     = "";
+process.env.CONFIG_WATCH           = "";
+process.env.API_TOKEN              = "";
+process.env.TWILIO_CALL_FROM       = "";
+process.env.VOICE_MODE             = "";
+process.env.DEEPGRAM_API_KEY       = "";
+process.env.DEEPGRAM_BASE_URL      = "";
+process.env.EARLY_AGENT_START      = "";
+process.env.VOICE_STREAM_REPLIES   = "";
+process.env.DTMF_INPUT             = "";
+process.env.DTMF_MENU              = "";
+process.env.VERIFY_CALLER          = "";
+process.env.VERIFY_PIN             = "";
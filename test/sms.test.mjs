@@ -2,7 +2,7 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 
-import { handleIncomingSms, twimlMessage, normalizeSmsText } from "../lib/sms.mjs";
+import { handleIncomingSms, sendOutboundSms, twimlMessage, normalizeSmsText } from "../lib/sms.mjs";
 
 test("twimlMessage wraps message in TwiML", () => {
   const xml = twimlMessage("hello");
@@ -95,6 +95,24 @@ test("handleIncomingSms: slow path acks and sends async follow-up", async () =>
   assert.equal(calls.send, 1);
 });
 
+test("handleIncomingSms: records the message and the reply that was sent", async () => {
+  const lines = [];
+  let calls = 0;
+  const res = await handleIncomingSms({
+    form: { From: "+15550000001", To: "+15550000002", Body: "hi" },
+    deps: {
+      // The fast path times out, so only the async reply is sent
+      openclawReply: async () => (++calls === 1 ? new Promise((r) => setTimeout(() => r("too late"), 100)) : "async reply"),
+      twilioSendSms: async () => ({ sid: "SM123" }),
+      transcript: ({ speaker, text }) => { lines.push([speaker, text]); },
+    },
+    fastTimeoutMs: 10,
+    log: () => {},
+  });
+  await res.startAsync?.();
+  assert.deepEqual(lines, [["caller", "hi"], ["agent", "async reply"]]);
+});
+
 test("handleIncomingSms: unauthorized number returns Unauthorized", async () => {
   const res = await handleIncomingSms({
     form: { From: "+15550000001", To: "+15550000002", Body: "hi" },
@@ -266,3 +284,93 @@ test("handleIncomingSms: From is undefined → normalized to '+' → fails allow
   assert.equal(res.didAck, false);
   assert.match(res.twiml, /Unauthorized/);
 });
+
+// ── sendOutboundSms ──────────────────────────────────────────────────────────
+
+/** Fake twilioSendSms that records what it was asked to send. */
+function makeSender() {
+  const sent = [];
+  /** @param {{ to: string, from: string, body: string }} opts */
+  const twilioSendSms = async (opts) => {
+    sent.push(opts);
+    return { sid: "SM1", status: "queued", errorCode: null, errorMessage: null, to: opts.to, from: opts.from };
+  };
+  return { sent, twilioSendSms };
+}
+
+test("sendOutboundSms: normalizes the text, sends, records and logs it", async () => {
+  const { sent, twilioSendSms } = makeSender();
+  const recorded = [];
+  let logged = "";
+  const res = await sendOutboundSms({
+    to: "15550000001",
+    from: "+15550000002",
+    allowFrom: ["+15550000001"],
+    body: "Build “main” passed — all green, deploying now",
+    maxChars: 30,
+    deps: {
+      twilioSendSms,
+      recordMessage: (m) => recorded.push(m),
+      discordLog: async ({ text }) => { logged = text; },
+    },
+  });
+  assert.equal(res.sid, "SM1");
+  assert.deepEqual(sent, [{ to: "+15550000001", from: "+15550000002", body: 'Build "main" passed - all gre…' }]);
+  assert.deepEqual(recorded, [{ to: "+15550000001", body: 'Build "main" passed - all gre…', sid: "SM1" }]);
+  assert.match(logged, /SMS → \+15550000001/);
+});
+
+test("sendOutboundSms: refuses numbers outside the allowlist", async () => {
+  const { sent, twilioSendSms } = makeSender();
+  await assert.rejects(
+    sendOutboundSms({ to: "+15550000009", from: "+15550000002", body: "hi", allowFrom: ["+15550000001"], deps: { twilioSendSms } }),
+    { statusCode: 403 },
+  );
+  assert.equal(sent.length, 0);
+});
+
+test("sendOutboundSms: refuses every number without an allowlist", async () => {
+  const { sent, twilioSendSms } = makeSender();
+  await assert.rejects(
+    sendOutboundSms({ to: "+15550000001", from: "+15550000002", body: "hi", deps: { twilioSendSms } }),
+    { statusCode: 403, message: /not in allowlist/ },
+  );
+  assert.equal(sent.length, 0);
+});
+
+test("sendOutboundSms: refuses numbers the access check denies", async () => {
+  const { sent, twilioSendSms } = makeSender();
+  const checked = [];
+  await assert.rejects(
+    sendOutboundSms({
+      to: "15550000009", from: "+15550000002", body: "hi", allowFrom: ["+15550000009"],
+      checkAccess: (n) => { checked.push(n); return { allowed: false, reason: 'matches deny rule "+1555*"' }; },
+      deps: { twilioSendSms },
+    }),
+    { statusCode: 403, message: /deny rule/ },
+  );
+  assert.deepEqual(checked, ["+15550000009"]);
+  assert.equal(sent.length, 0);
+});
+
+test("sendOutboundSms: applies the rate limit", async () => {
+  const { sent, twilioSendSms } = makeSender();
+  const checked = [];
+  await assert.rejects(
+    sendOutboundSms({
+      to: "+15550000001", from: "+15550000002", body: "hi", allowFrom: ["+15550000001"],
+      deps: { twilioSendSms, rateLimit: (n) => { checked.push(n); return false; } },
+    }),
+    { statusCode: 429 },
+  );
+  assert.deepEqual(checked, ["+15550000001"]);
+  assert.equal(sent.length, 0);
+});
+
+test("sendOutboundSms: validates input and configuration", async () => {
+  const { twilioSendSms } = makeSender();
+  await assert.rejects(sendOutboundSms({ to: "abc", from: "+15550000002", body: "hi", deps: { twilioSendSms } }), { statusCode: 400 });
+  await assert.rejects(sendOutboundSms({ to: "+15550000001", from: "", body: "hi", deps: { twilioSendSms } }), { statusCode: 400 });
+  await assert.rejects(sendOutboundSms({ to: "+15550000001", from: "+15550000002", body: " ", deps: { twilioSendSms } }), { statusCode: 400 });
+  await assert.rejects(sendOutboundSms({ to: "+15550000001", from: "+15550000002", body: "hi", deps: {} }), { statusCode: 503 });
+});
@@ -0,0 +1,164 @@
+// @ts-check
+/**
+ * Tests for lib/speech.mjs (engine selection, μ-law helpers, voice activity)
+ * and the Deepgram engines in lib/speech/deepgram.mjs, run against a local
+ * stub of the Deepgram API.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+
+import { createSpeech, mulawToLinear, linearToMulaw, frameLevel, isVoiced } from "../lib/speech.mjs";
+import { createDeepgramStt, createDeepgramTts } from "../lib/speech/deepgram.mjs";
+import { acceptWebSocket } from "../lib/websocket.mjs";
+import { fromPluginConfig } from "../lib/config.mjs";
+
+/**
+ * acceptWebSocket() for the Deepgram stub. Deepgram authenticates with a
+ * subprotocol (["token", key]) and the client insists the server select one,
+ * which the Twilio-only server never does: add the header to its 101 response.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {import('node:stream').Duplex} socket
+ * @param {Buffer} head
+ * @param {string} protocol
+ */
+function acceptSelectingProtocol(req, socket, head, protocol) {
+  const write = socket.write.bind(socket);
+  socket.write = /** @type {any} */ ((/** @type {string} */ response, /** @type {any[]} */ ...rest) => {
+    socket.write = write;
+    return write(response.replace("\r\n\r\n", `\r\nSec-WebSocket-Protocol: ${protocol}\r\n\r\n`), ...rest);
+  });
+  return acceptWebSocket(req, socket, head);
+}
+
+/** @param {number} amplitude */
+function toneFrame(amplitude) {
+  return Buffer.from(Array.from({ length: 160 }, (_, i) => linearToMulaw(amplitude * Math.sin(i / 4))));
+}
+
+describe("μ-law helpers", () => {
+  it("round-trips samples within the codec's quantization error", () => {
+    for (const sample of [0, 100, -100, 1000, -5000, 20000, -32000]) {
+      const decoded = mulawToLinear(linearToMulaw(sample));
+      assert.ok(Math.abs(decoded - sample) <= Math.max(8, Math.abs(sample) * 0.07), `${sample} → ${decoded}`);
+    }
+  });
+
+  it("decodes 0xFF as digital silence", () => {
+    assert.strictEqual(mulawToLinear(0xff), 0);
+    assert.strictEqual(frameLevel(Buffer.alloc(160, 0xff)), 0);
+  });
+
+  it("treats line noise as silence and speech-level audio as voiced", () => {
+    assert.strictEqual(isVoiced(Buffer.alloc(160, 0xff)), false);
+    assert.strictEqual(isVoiced(toneFrame(60)), false);
+    assert.strictEqual(isVoiced(toneFrame(6000)), true);
+  });
+});
+
+describe("createSpeech", () => {
+  it("builds the Deepgram engines by default", () => {
+    const { stt, tts } = createSpeech({ ...fromPluginConfig({}), DEEPGRAM_API_KEY: "dg-key" });
+    assert.strictEqual(typeof stt.start, "function");
+    assert.strictEqual(typeof tts.synthesize, "function");
+  });
+
+  it("requires an API key and a known provider", () => {
+    assert.throws(() => createSpeech(fromPluginConfig({})), /DEEPGRAM_API_KEY is required/);
+    assert.throws(() => createSpeech({ ...fromPluginConfig({ sttProvider: "whisper" }), DEEPGRAM_API_KEY: "k" }), /Unknown STT_PROVIDER "whisper"/);
+    assert.throws(() => createSpeech({ ...fromPluginConfig({ ttsProvider: "polly" }), DEEPGRAM_API_KEY: "k" }), /Unknown TTS_PROVIDER "polly"/);
+  });
+});
+
+describe("Deepgram engines", () => {
+  /** @type {http.Server} */
+  let server;
+  let baseUrl = "";
+  /** @type {{ url: string, protocol: string|undefined, messages: string[] }[]} */
+  const listens = [];
+  /** @type {{ url: string, auth: string|undefined, body: any }[]} */
+  const speaks = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (c) => (body += c));
+      req.on("end", () => {
+        speaks.push({ url: req.url ?? "", auth: req.headers.authorization, body: JSON.parse(body) });
+        if (JSON.parse(body).text === "fail") {
+          res.writeHead(400, { "content-type": "application/json" });
+          res.end('{"err_msg":"bad request"}');
+          return;
+        }
+        res.writeHead(200, { "content-type": "audio/mulaw" });
+        res.end(Buffer.alloc(800, 0x7f));
+      });
+    });
+    server.on("upgrade", (req, socket, head) => {
+      const ws = acceptSelectingProtocol(req, socket, head, "token");
+      if (!ws) return;
+      const listen = { url: req.url ?? "", protocol: req.headers["sec-websocket-protocol"], messages: /** @type {string[]} */ ([]) };
+      listens.push(listen);
+      ws.on("message", (data) => {
+        listen.messages.push(data);
+        if (listen.messages.length === 1) {
+          ws.send(JSON.stringify({ type: "Metadata" }));
+          ws.send(JSON.stringify({ type: "Results", is_final: false, channel: { alternatives: [{ transcript: "hello" }] } }));
+          ws.send(JSON.stringify({ type: "Results", is_final: true, channel: { alternatives: [{ transcript: "hello there" }] } }));
+          ws.send(JSON.stringify({ type: "Results", is_final: true, channel: { alternatives: [{ transcript: "" }] } }));
+        }
+        if (data.includes("CloseStream")) ws.close();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, () => resolve(undefined)));
+    baseUrl = `http://127.0.0.1:${/** @type {import('node:net').AddressInfo} */ (server.address()).port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(() => resolve(undefined)));
+  });
+
+  it("STT streams μ-law audio and reports interim and final transcripts", async () => {
+    const stt = createDeepgramStt({ apiKey: "dg-key", baseUrl, model: "nova-3" });
+    /** @type {import('../lib/speech.mjs').Transcript[]} */
+    const transcripts = [];
+    const session = stt.start({ onTranscript: (t) => transcripts.push(t) });
+    session.write(Buffer.alloc(160, 0x7f)); // queued until the socket opens
+    for (let i = 0; i < 100 && transcripts.length < 2; i++) await new Promise((r) => setTimeout(r, 10));
+    session.close();
+    for (let i = 0; i < 100 && !listens[0]?.messages.some((m) => m.includes("CloseStream")); i++) await new Promise((r) => setTimeout(r, 10));
+
+    assert.deepStrictEqual(transcripts, [{ text: "hello", isFinal: false }, { text: "hello there", isFinal: true }]);
+    const { url, protocol, messages } = listens[0];
+    assert.strictEqual(protocol, "token, dg-key");
+    const query = new URL(url, baseUrl).searchParams;
+    assert.strictEqual(new URL(url, baseUrl).pathname, "/v1/listen");
+    assert.strictEqual(query.get("encoding"), "mulaw");
+    assert.strictEqual(query.get("sample_rate"), "8000");
+    assert.strictEqual(query.get("model"), "nova-3");
+    assert.strictEqual(messages.length, 2);
+    assert.strictEqual(messages[1], JSON.stringify({ type: "CloseStream" }));
+  });
+
+  it("TTS requests raw μ-law 8 kHz audio for the text", async () => {
+    const tts = createDeepgramTts({ apiKey: "dg-key", baseUrl, voice: "aura-luna-en" });
+    const audio = await tts.synthesize("Sunny and mild.");
+    assert.strictEqual(audio.length, 800);
+
+    const { url, auth, body } = speaks[0];
+    const query = new URL(url, baseUrl).searchParams;
+    assert.strictEqual(auth, "Token dg-key");
+    assert.deepStrictEqual(body, { text: "Sunny and mild." });
+    assert.strictEqual(query.get("model"), "aura-luna-en");
+    assert.strictEqual(query.get("encoding"), "mulaw");
+    assert.strictEqual(query.get("sample_rate"), "8000");
+    assert.strictEqual(query.get("container"), "none");
+  });
+
+  it("TTS surfaces API errors with the status code", async () => {
+    const tts = createDeepgramTts({ apiKey: "dg-key", baseUrl });
+    await assert.rejects(tts.synthesize("fail"), /Deepgram TTS HTTP 400: .*bad request/);
+  });
+});
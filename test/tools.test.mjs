@@ -0,0 +1,86 @@
+// @ts-check
+/**
+ * Tests for the OpenClaw agent tools (lib/tools.mjs), against fake PhoneActions.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+
+import { createPhoneTools } from "../lib/tools.mjs";
+import { createOutboundDialer, recordCallStatus } from "../lib/outbound.mjs";
+import { fromPluginConfig } from "../lib/config.mjs";
+
+/** @param {ReturnType<typeof createPhoneTools>} tools @param {string} name */
+const tool = (tools, name) => {
+  const found = tools.find((t) => t.name === name);
+  assert.ok(found, `missing tool ${name}`);
+  return found;
+};
+
+/** PhoneActions whose placeCall goes through a real dialer with a fake Twilio client. */
+function makePhone() {
+  const texts = [];
+  const dialer = createOutboundDialer(
+    { ...fromPluginConfig({ allowFrom: ["+15557770001"] }), PUBLIC_BASE_URL: "https://phone.example.com", TWILIO_CALL_FROM: "+15550001111" },
+    {
+      twilioClient: {
+        sendSms: async () => { throw new Error("not used"); },
+        placeCall: async ({ to, from }) => ({ sid: "CA-tool-1", status: "queued", to, from }),
+      },
+    },
+  );
+  /** @type {import('../lib/http-server.mjs').PhoneActions} */
+  const phone = {
+    placeCall: dialer.placeCall,
+    sendSms: async ({ to, body }) => {
+      if (to === "+15559999999") throw Object.assign(new Error("+15559999999 is not in the allowlist"), { statusCode: 403 });
+      texts.push({ to, body });
+      return { sid: "SM-tool-1", status: "queued", errorCode: null, errorMessage: null, to, from: "+15550001111" };
+    },
+  };
+  return { phone, texts };
+}
+
+describe("createPhoneTools", () => {
+  it("exposes phone_call, phone_call_status and phone_sms", () => {
+    const names = createPhoneTools(() => null).map((t) => t.name);
+    assert.deepStrictEqual(names, ["phone_call", "phone_call_status", "phone_sms"]);
+  });
+
+  it("phone_call places a call and phone_call_status reports it", async () => {
+    const { phone } = makePhone();
+    const tools = createPhoneTools(() => phone);
+
+    const placed = await tool(tools, "phone_call").execute("t1", { to: "+15557770001", task: "Say the build is done" });
+    assert.strictEqual(placed.content[0].text, "Calling +15557770001 (CallSid CA-tool-1, status queued).");
+
+    recordCallStatus({ CallSid: "CA-tool-1", CallStatus: "no-answer" });
+    const status = await tool(tools, "phone_call_status").execute("t2", { callSid: "CA-tool-1" });
+    assert.strictEqual(status.content[0].text, "Call to +15557770001: no-answer.");
+  });
+
+  it("phone_sms sends through the server's sendSms", async () => {
+    const { phone, texts } = makePhone();
+    const tools = createPhoneTools(() => phone);
+    const res = await tool(tools, "phone_sms").execute("t1", { to: "+15557770001", body: "Build passed" });
+    assert.deepStrictEqual(texts, [{ to: "+15557770001", body: "Build passed" }]);
+    assert.strictEqual(res.content[0].text, "Text sent to +15557770001 (MessageSid SM-tool-1, status queued).");
+  });
+
+  it("returns failures as text", async () => {
+    const { phone } = makePhone();
+    const tools = createPhoneTools(() => phone);
+    const sms = await tool(tools, "phone_sms").execute("t1", { to: "+15559999999", body: "hi" });
+    assert.match(sms.content[0].text, /^Could not send the text: .*allowlist/);
+    const call = await tool(tools, "phone_call").execute("t1", { to: "not-a-number", message: "hi" });
+    assert.match(call.content[0].text, /^Could not place the call: Invalid "to"/);
+    const status = await tool(tools, "phone_call_status").execute("t2", { callSid: "CA-nope" });
+    assert.match(status.content[0].text, /No outbound call/);
+  });
+
+  it("reports when the gateway is not running", async () => {
+    const tools = createPhoneTools(() => null);
+    const res = await tool(tools, "phone_sms").execute("t1", { to: "+15557770001", body: "hi" });
+    assert.strictEqual(res.content[0].text, "The phone gateway is not running.");
+  });
+});
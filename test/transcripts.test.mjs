@@ -0,0 +1,200 @@
+// @ts-check
+/**
+ * Tests for the transcript store (lib/transcripts.mjs) and for TRANSCRIPT_DIR
+ * on the server: voice turns and SMS are written as JSON lines and exported
+ * per call or thread through /api/transcripts. The agent is the generic HTTP
+ * adapter pointed at a local stub that echoes the caller.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+import { mkdtempSync, readdirSync, rmSync, appendFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { createTranscriptStore, formatOffset, transcriptMarkdown } from "../lib/transcripts.mjs";
+import { fromPluginConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+
+const dir = mkdtempSync(join(tmpdir(), "clawphone-transcripts-test-"));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+/** @returns {Omit<import('../lib/transcripts.mjs').TranscriptEntry, 'at'>} */
+const line = (/** @type {string} */ text, /** @type {string} */ callSid = "CA1") => ({
+  channel: "voice", callSid, number: "+15550007001", line: "+15550009999", speaker: "caller", text,
+});
+
+describe("createTranscriptStore", () => {
+  it("appends entries and reads back the matching ones in order", async () => {
+    const store = createTranscriptStore(join(dir, "basic"));
+    store.append(line("one"));
+    store.append(line("other call", "CA2"));
+    store.append({ ...line("two"), speaker: "agent", latencyMs: 900 });
+
+    const entries = await store.entries((e) => e.callSid === "CA1");
+    assert.deepStrictEqual(entries.map((e) => e.text), ["one", "two"]);
+    assert.strictEqual(entries[1].latencyMs, 900);
+    assert.ok(!Number.isNaN(Date.parse(entries[0].at)));
+  });
+
+  it("rotates the file at its size limit and keeps maxFiles rotated files", async () => {
+    const path = join(dir, "rotate");
+    const store = createTranscriptStore(path, { maxBytes: 200, maxFiles: 2 });
+    for (let i = 0; i < 8; i++) store.append(line(`utterance number ${i}`));
+
+    const files = readdirSync(path);
+    assert.strictEqual(files.length, 3);
+    assert.ok(files.includes("transcripts.jsonl"));
+    const texts = (await store.entries(() => true)).map((e) => e.text);
+    assert.strictEqual(texts.at(-1), "utterance number 7");
+    assert.ok(!texts.includes("utterance number 0"), "oldest file pruned");
+  });
+
+  it("skips a torn line and carries on from an existing file", async () => {
+    const path = join(dir, "torn");
+    createTranscriptStore(path).append(line("before"));
+    appendFileSync(join(path, "transcripts.jsonl"), '{"channel":"voi');
+    const reopened = createTranscriptStore(path);
+    reopened.append(line("after"));
+    assert.deepStrictEqual((await reopened.entries(() => true)).map((e) => e.text), ["before", "after"]);
+  });
+});
+
+describe("transcript rendering", () => {
+  it("formats offsets like SRT timestamps", () => {
+    assert.strictEqual(formatOffset(0), "00:00:00,000");
+    assert.strictEqual(formatOffset(3_723_045), "01:02:03,045");
+  });
+
+  it("renders Markdown with offsets and agent latency", () => {
+    const md = transcriptMarkdown("Call CA1", [
+      { ...line("Hi"), at: "2026-01-01T10:00:00.000Z" },
+      { ...line("Hello."), speaker: "agent", latencyMs: 1500, at: "2026-01-01T10:00:02.250Z" },
+    ]);
+    assert.strictEqual(md, [
+      "# Call CA1",
+      "",
+      "+15550007001 ↔ +15550009999, started 2026-01-01T10:00:00.000Z",
+      "",
+      "**[00:00:00,000] Caller:** Hi",
+      "",
+      "**[00:00:02,250] Agent (1.5s):** Hello.",
+      "",
+    ].join("\n"));
+  });
+});
+
+describe("TRANSCRIPT_DIR", () => {
+  const path = join(dir, "server");
+  /** @type {http.Server} */
+  let server;
+  /** @type {http.Server} */
+  let agentStub;
+  let port;
+
+  before(async () => {
+    agentStub = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (c) => (body += c));
+      req.on("end", () => {
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify({ reply: `You said: ${JSON.parse(body).messages.at(-1).content}` }));
+      });
+    });
+    await new Promise((resolve) => agentStub.listen(0, () => resolve(undefined)));
+    const agentPort = /** @type {import('node:net').AddressInfo} */ (agentStub.address()).port;
+
+    server = await createServer({
+      ...fromPluginConfig({ transcriptDir: path }),
+      PORT: 0,
+      ALLOW_FROM: [],
+      TWILIO_ACCOUNT_SID: "",
+      TWILIO_AUTH_TOKEN: "",
+      API_TOKEN: "secret-token",
+      AGENT_PROVIDER: "http",
+      AGENT_HTTP_URL: `http://127.0.0.1:${agentPort}/reply`,
+    });
+    port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(() => resolve(undefined)));
+    await new Promise((resolve) => agentStub.close(() => resolve(undefined)));
+  });
+
+  /**
+   * @param {string} method
+   * @param {string} url
+   * @param {Record<string, string>} [form]
+   * @returns {Promise<{ status: number|undefined, type: string, body: string }>}
+   */
+  function request(method, url, form) {
+    return new Promise((resolve, reject) => {
+      const encoded = form ? new URLSearchParams(form).toString() : "";
+      const headers = {
+        "content-type": "application/x-www-form-urlencoded",
+        "content-length": Buffer.byteLength(encoded),
+        authorization: "Bearer secret-token",
+      };
+      const req = http.request({ hostname: "localhost", port, path: url, method, headers }, (res) => {
+        let data = "";
+        res.on("data", (c) => (data += c));
+        res.on("end", () => resolve({ status: res.statusCode, type: String(res.headers["content-type"]), body: data }));
+      });
+      req.on("error", reject);
+      req.end(encoded);
+    });
+  }
+
+  /** Post /speech and poll /speech-wait until the reply is spoken. */
+  async function speak(/** @type {Record<string, string>} */ call, /** @type {string} */ said) {
+    let { body: twiml } = await request("POST", "/speech", { ...call, SpeechResult: said });
+    for (let i = 0; i < 50 && /speech-wait/.test(twiml); i++) {
+      const url = /<Redirect[^>]*>([^<]+)<\/Redirect>/.exec(twiml)?.[1]?.replace(/&amp;/g, "&") ?? "";
+      await new Promise((r) => setTimeout(r, 10));
+      twiml = (await request("POST", url, call)).body;
+    }
+    return twiml;
+  }
+
+  it("exports a call as JSON and Markdown", async () => {
+    const call = { CallSid: "CA-tr-1", From: "+15550007001", To: "+15550009999" };
+    await request("POST", "/voice", call);
+    assert.match(await speak(call, "Is it open?"), /You said: Is it open\?/);
+
+    const json = await request("GET", "/api/transcripts/calls/CA-tr-1");
+    assert.strictEqual(json.status, 200);
+    const { callSid, entries } = JSON.parse(json.body);
+    assert.strictEqual(callSid, "CA-tr-1");
+    assert.deepStrictEqual(
+      entries.map((/** @type {any} */ e) => [e.speaker, e.text, e.number, e.line]),
+      [
+        ["caller", "Is it open?", "+15550007001", "+15550009999"],
+        ["agent", "You said: Is it open?", "+15550007001", "+15550009999"],
+      ],
+    );
+    assert.strictEqual(typeof entries[1].latencyMs, "number");
+
+    const md = await request("GET", "/api/transcripts/calls/CA-tr-1?format=markdown");
+    assert.match(md.type, /text\/markdown/);
+    assert.match(md.body, /^# Call CA-tr-1\n/);
+    assert.match(md.body, /\*\*\[00:00:00,000\] Caller:\*\* Is it open\?/);
+  });
+
+  it("exports an SMS thread by number", async () => {
+    await request("POST", "/sms", { From: "+15550007002", To: "+15550009999", Body: "Hours?", MessageSid: "SM-tr-1" });
+    const res = await request("GET", `/api/transcripts/sms/${encodeURIComponent("+15550007002")}`);
+    const { number, entries } = JSON.parse(res.body);
+    assert.strictEqual(number, "+15550007002");
+    assert.deepStrictEqual(entries.map((/** @type {any} */ e) => [e.speaker, e.text, e.messageSid]), [
+      ["caller", "Hours?", "SM-tr-1"],
+      ["agent", "You said: Hours?", "SM-tr-1"],
+    ]);
+  });
+
+  it("rejects unknown transcripts and formats", async () => {
+    assert.strictEqual((await request("GET", "/api/transcripts/calls/CA-nope")).status, 404);
+    assert.strictEqual((await request("GET", "/api/transcripts/calls/CA-tr-1?format=srt")).status, 400);
+  });
+});
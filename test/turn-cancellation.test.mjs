@@ -0,0 +1,109 @@
+// @ts-check
+/**
+ * Tests for cancelling in-flight agent calls: a turn superseded by newer
+ * speech, or pending when the call-status callback reports `completed`,
+ * aborts its agent request. The agent is the generic HTTP adapter pointed at a
+ * local stub that never answers and records which requests were abandoned.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+
+import { fromPluginConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+
+describe("agent call cancellation", () => {
+  /** @type {http.Server} */
+  let server;
+  /** @type {http.Server} */
+  let agentStub;
+  let port;
+  /** @type {{ said: string, aborted: boolean }[]} */
+  const agentRequests = [];
+  /** @type {http.ServerResponse[]} */
+  const held = [];
+
+  before(async () => {
+    agentStub = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (c) => (body += c));
+      req.on("end", () => {
+        const request = { said: JSON.parse(body).messages.at(-1).content, aborted: false };
+        agentRequests.push(request);
+        res.on("close", () => { if (!res.writableEnded) request.aborted = true; });
+        held.push(res);
+      });
+    });
+    await new Promise((resolve) => agentStub.listen(0, () => resolve(undefined)));
+    const agentPort = /** @type {import('node:net').AddressInfo} */ (agentStub.address()).port;
+
+    server = await createServer({
+      ...fromPluginConfig({}),
+      PORT: 0,
+      ALLOW_FROM: [],
+      TWILIO_ACCOUNT_SID: "",
+      TWILIO_AUTH_TOKEN: "",
+      AGENT_PROVIDER: "http",
+      AGENT_HTTP_URL: `http://127.0.0.1:${agentPort}/reply`,
+    });
+    port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+  });
+
+  after(async () => {
+    for (const res of held) res.end("{}");
+    await new Promise((resolve) => server.close(() => resolve(undefined)));
+    await new Promise((resolve) => agentStub.close(() => resolve(undefined)));
+  });
+
+  /** @param {string} path @param {Record<string, string>} form @returns {Promise<string>} */
+  function post(path, form) {
+    return new Promise((resolve, reject) => {
+      const encoded = new URLSearchParams(form).toString();
+      const req = http.request(
+        {
+          hostname: "localhost", port, path, method: "POST",
+          headers: { "content-type": "application/x-www-form-urlencoded", "content-length": Buffer.byteLength(encoded) },
+        },
+        (res) => {
+          let data = "";
+          res.on("data", (c) => (data += c));
+          res.on("end", () => resolve(data));
+        },
+      );
+      req.on("error", reject);
+      req.end(encoded);
+    });
+  }
+
+  /** @param {() => boolean} check */
+  async function until(check) {
+    for (let i = 0; i < 100 && !check(); i++) await new Promise((r) => setTimeout(r, 10));
+    assert.ok(check());
+  }
+
+  const requestFor = (/** @type {string} */ said) => agentRequests.find((r) => r.said === said);
+
+  it("aborts the agent call when the caller speaks again", async () => {
+    const call = { CallSid: "CA-cancel-1", From: "+15550003001" };
+    await post("/speech", { ...call, SpeechResult: "First question" });
+    await until(() => Boolean(requestFor("First question")));
+
+    await post("/speech", { ...call, SpeechResult: "Actually, second question" });
+    await until(() => Boolean(requestFor("First question")?.aborted));
+    assert.strictEqual(requestFor("Actually, second question")?.aborted ?? false, false);
+  });
+
+  it("aborts the agent call when the call completes", async () => {
+    const call = { CallSid: "CA-cancel-2", From: "+15550003002" };
+    const queued = await post("/speech", { ...call, SpeechResult: "Long question" });
+    await until(() => Boolean(requestFor("Long question")));
+
+    await post("/call-status", { CallSid: call.CallSid, CallStatus: "completed" });
+    await until(() => Boolean(requestFor("Long question")?.aborted));
+
+    // The turn is gone: a late poll just hangs up.
+    const waitUrl = /<Redirect[^>]*>([^<]+)<\/Redirect>/.exec(queued)?.[1]?.replace(/&amp;/g, "&") ?? "";
+    assert.match(await post(waitUrl, call), /<Hangup\/>/);
+  });
+});
@@ -202,4 +202,59 @@ describe("createTwilioClient", () => {
       assert.strictEqual("price" in result, false);
     });
   });
+
+  describe("placeCall", () => {
+    function makeFakeTwilio(captured) {
+      return () => ({
+        calls: {
+          create: async (params) => {
+            Object.assign(captured, params);
+            return { sid: "CA_fake_sid", status: "queued", to: params.to, from: params.from, price: null };
+          },
+        },
+      });
+    }
+
+    it("throws if 'to' or 'from' is missing", async () => {
+      const client = createTwilioClient({ accountSid: "ACtest123", authToken: "test-token" });
+      await assert.rejects(
+        client.placeCall({ to: "", from: "+15552222222", url: "https://x/outbound-answer" }),
+        /Missing to\/from/
+      );
+    });
+
+    it("calls calls.create with the answer URL and status callback", async () => {
+      const captured = {};
+      const client = createTwilioClient({
+        accountSid: "ACtest123",
+        authToken: "test-token",
+        _twilioFactory: makeFakeTwilio(captured),
+      });
+
+      const result = await client.placeCall({
+        to: "+15551111111",
+        from: "+15552222222",
+        url: "https://example.com/outbound-answer",
+        statusCallback: "https://example.com/call-status",
+      });
+
+      assert.deepStrictEqual(result, { sid: "CA_fake_sid", status: "queued", to: "+15551111111", from: "+15552222222" });
+      assert.strictEqual(captured.url, "https://example.com/outbound-answer");
+      assert.strictEqual(captured.method, "POST");
+      assert.strictEqual(captured.statusCallback, "https://example.com/call-status");
+      assert.deepStrictEqual(captured.statusCallbackEvent, ["initiated", "ringing", "answered", "completed"]);
+    });
+
+    it("omits status callback settings when no statusCallback is given", async () => {
+      const captured = {};
+      const client = createTwilioClient({
+        accountSid: "ACtest123",
+        authToken: "test-token",
+        _twilioFactory: makeFakeTwilio(captured),
+      });
+      await client.placeCall({ to: "+15551111111", from: "+15552222222", url: "https://example.com/a" });
+      assert.strictEqual("statusCallback" in captured, false);
+      assert.strictEqual("statusCallbackEvent" in captured, false);
+    });
+  });
 });
@@ -7,10 +7,16 @@ import {
   sayAndHangup,
   sayAndRedirect,
   greetingWithGather,
+  greetingWithStream,
+  recordingConsent,
+  voicemail,
+  keypadEntry,
+  verification,
   replyWithGather,
   thinkingRedirect,
   pauseAndRedirect,
   fillerAndRedirect,
+  twimlFor,
 } from "../lib/twiml.mjs";
 import { TWILIO_VOICE, TWILIO_STT_MODEL, GATHER_TIMEOUT_SECONDS, GATHER_FOLLOWUP_TIMEOUT_SECONDS, SPEECH_WAIT_PAUSE_SECONDS } from "../lib/config.mjs";
 
@@ -72,6 +78,78 @@ describe("TwiML builders", () => {
       assert.ok(result.includes(">Start.</Say>"));
       assert.ok(result.includes(">Nothing heard.</Say>"));
     });
+
+    it("says the recording notice and starts dual-channel recording before the greeting", () => {
+      const result = greetingWithGather("Hi", undefined, undefined, { recording: { notice: "Recorded.", record: true } });
+      assert.ok(result.includes(
+        '<Start><Recording channels="dual" track="both" recordingStatusCallback="/recording-status" ' +
+        'recordingStatusCallbackMethod="POST" recordingStatusCallbackEvent="in-progress completed absent"/></Start>',
+      ));
+      assert.ok(result.indexOf(">Recorded.</Say>") < result.indexOf("<Start>"));
+      assert.ok(result.indexOf("<Start>") < result.indexOf(">Hi</Say>"));
+    });
+
+    it("can say a notice without recording", () => {
+      const result = greetingWithGather("Hi", undefined, undefined, { recording: { notice: "Not recorded." } });
+      assert.ok(result.includes(">Not recorded.</Say>"));
+      assert.ok(!result.includes("<Recording"));
+    });
+  });
+
+  describe("recordingConsent", () => {
+    it("says the disclosure and gathers a spoken or keyed answer", () => {
+      const result = recordingConsent("This call will be recorded.");
+      assert.ok(result.includes(">This call will be recorded.</Say>"));
+      assert.ok(result.includes('<Gather input="speech dtmf" numDigits="1" action="/recording-consent"'));
+      assert.ok(result.includes("press 1"));
+      assert.ok(result.includes('<Redirect method="POST">/recording-consent</Redirect>'));
+    });
+  });
+
+  describe("voicemail", () => {
+    it("says the prompt and records a transcribed message", () => {
+      const result = voicemail("Leave a message.", 60);
+      assert.ok(result.includes(">Leave a message.</Say><Record"));
+      assert.ok(result.includes('action="/voicemail-done"'));
+      assert.ok(result.includes('maxLength="60"'));
+      assert.ok(result.includes('transcribe="true" transcribeCallback="/voicemail-transcription"'));
+      assert.ok(result.endsWith("<Hangup/></Response>"));
+    });
+  });
+
+  describe("keypadEntry", () => {
+    it("gathers digits until # and goes back to /speech without them", () => {
+      const result = keypadEntry("Type the number.");
+      assert.ok(result.includes('<Gather input="dtmf" action="/speech" method="POST" finishOnKey="#"'));
+      assert.ok(result.includes(">Type the number.</Say></Gather>"));
+      assert.ok(result.includes('<Redirect method="POST">/speech</Redirect>'));
+    });
+  });
+
+  describe("verification", () => {
+    it("takes a spoken or keyed answer ended with # and asks again on silence", () => {
+      const result = verification("Please enter your PIN.");
+      assert.ok(result.includes('<Gather input="speech dtmf" action="/verify" method="POST" finishOnKey="#"'));
+      assert.ok(result.includes(">Please enter your PIN.</Say></Gather>"));
+      assert.ok(result.includes('<Redirect method="POST">/voice</Redirect>'));
+    });
+  });
+
+  describe("greetingWithStream", () => {
+    it("says the greeting, then connects a media stream with parameters", () => {
+      const result = greetingWithStream("Hi there", "wss://example.com/media-stream", { from: "+15551234567", token: "abc" });
+      assert.ok(result.includes(">Hi there</Say>"));
+      assert.ok(result.includes('<Connect><Stream url="wss://example.com/media-stream">'));
+      assert.ok(result.includes('<Parameter name="from" value="+15551234567"/>'));
+      assert.ok(result.includes('<Parameter name="token" value="abc"/>'));
+      assert.ok(result.indexOf("</Say>") < result.indexOf("<Connect>"));
+      assert.ok(!result.includes("<Gather"));
+    });
+
+    it("starts recording ahead of the stream", () => {
+      const result = greetingWithStream("Hi", "wss://example.com/media-stream", {}, { recording: { record: true } });
+      assert.ok(result.indexOf("<Start><Recording") < result.indexOf("<Connect>"));
+    });
   });
 
   describe("replyWithGather", () => {
@@ -94,6 +172,14 @@ describe("TwiML builders", () => {
     });
   });
 
+  describe("replyWithGather (empty reply)", () => {
+    it("skips the reply <Say> when there is nothing left to say", () => {
+      const result = replyWithGather("");
+      assert.ok(result.startsWith('<?xml version="1.0" encoding="UTF-8"?><Response><Gather'));
+      assert.ok(result.includes("Say your next message after the beep."));
+    });
+  });
+
   describe("thinkingRedirect", () => {
     it("says phrase and redirects", () => {
       const result = thinkingRedirect("Let me think...", "/speech-wait?key=123");
@@ -123,4 +209,40 @@ describe("TwiML builders", () => {
     });
   });
 
+  describe("twimlFor", () => {
+    it("uses the given voice for every <Say>", () => {
+      const tw = twimlFor("Polly.Joanna");
+      const result = tw.greetingWithGather("Hi there");
+      assert.strictEqual(result.match(/voice="Polly.Joanna"/g)?.length, 3);
+      assert.ok(!result.includes(TWILIO_VOICE));
+      assert.ok(tw.sayAndHangup("Bye").includes('voice="Polly.Joanna"'));
+    });
+
+    it("keeps the builders' default texts", () => {
+      assert.ok(twimlFor("Polly.Joanna").greetingWithGather("Hi").includes(">Beep.</Say>"));
+    });
+
+    it("defaults to TWILIO_VOICE", () => {
+      assert.ok(twimlFor().say("Hello").includes(`voice="${TWILIO_VOICE}"`));
+    });
+
+    it("adds a partial-result callback to every <Gather> when asked", () => {
+      const tw = twimlFor(undefined, { partialResultCallback: "/speech-partial" });
+      for (const result of [tw.greetingWithGather("Hi"), tw.replyWithGather("Sure.")]) {
+        assert.ok(result.includes('partialResultCallback="/speech-partial"'));
+        assert.ok(result.includes('partialResultCallbackMethod="POST"'));
+      }
+      assert.ok(!twimlFor().greetingWithGather("Hi").includes("partialResultCallback"));
+    });
+
+    it("takes a key press as well as speech and reads the menu before the beep when asked", () => {
+      const tw = twimlFor(undefined, { dtmf: true, menuText: "Press 1 to repeat." });
+      const greeting = tw.greetingWithGather("Hi");
+      assert.ok(greeting.includes('<Gather input="speech dtmf" numDigits="1" finishOnKey=""'));
+      assert.ok(greeting.indexOf("Press 1 to repeat.") < greeting.indexOf("Beep."));
+      assert.ok(tw.replyWithGather("Sure.").includes('input="speech dtmf"'));
+      assert.ok(!twimlFor().replyWithGather("Sure.").includes("dtmf"));
+    });
+  });
+
 });
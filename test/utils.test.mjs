@@ -3,7 +3,7 @@ import { describe, it } from "node:test";
 import assert from "node:assert";
 import { EventEmitter } from "node:events";
 
-import { parseForm, toSayableText, run, readBody, createSemaphore, createRateLimiter, createLogger } from "../lib/utils.mjs";
+import { parseForm, toSayableText, completeSentencesLength, run, readBody, createSemaphore, createRateLimiter, createLogger } from "../lib/utils.mjs";
 
 // ─── Mock request factory ───────────────────────────────────────────────────
 
@@ -38,6 +38,24 @@ describe("parseForm", () => {
   });
 });
 
+describe("completeSentencesLength", () => {
+  it("covers every complete sentence and stops before a partial one", () => {
+    const text = "It's sunny. Highs of 20! Want the weekend too? Then";
+    assert.strictEqual(text.slice(0, completeSentencesLength(text)), "It's sunny. Highs of 20! Want the weekend too? ");
+  });
+
+  it("needs whitespace after the punctuation, so decimals and a trailing period wait", () => {
+    assert.strictEqual(completeSentencesLength("It costs 3.5"), 0);
+    assert.strictEqual(completeSentencesLength("Done."), 0);
+  });
+
+  it("includes closing quotes and treats line breaks as boundaries", () => {
+    assert.strictEqual(completeSentencesLength('She said "hi." Then'), 15);
+    assert.strictEqual(completeSentencesLength("First line\nsecond"), 11);
+    assert.strictEqual(completeSentencesLength(""), 0);
+  });
+});
+
 describe("toSayableText", () => {
   it("removes markdown characters", () => {
     const result = toSayableText("**bold** and `code` and _italic_");
@@ -142,6 +160,26 @@ describe("createSemaphore", () => {
     assert.deepStrictEqual(order, [1, 2, 3]);
   });
 
+  it("drops a waiter whose signal aborts", async () => {
+    const sem = createSemaphore(1);
+    await sem.acquire();
+    const controller = new AbortController();
+    const aborted = sem.acquire(controller.signal);
+    let next = false;
+    const waiter = sem.acquire().then(() => { next = true; });
+    controller.abort();
+    await assert.rejects(aborted, { name: "AbortError" });
+    sem.release(); // goes to the remaining waiter, not the aborted one
+    await waiter;
+    assert.strictEqual(next, true);
+  });
+
+  it("rejects at once with an already-aborted signal", async () => {
+    const sem = createSemaphore(1);
+    await assert.rejects(sem.acquire(AbortSignal.abort()), { name: "AbortError" });
+    await sem.acquire(); // the slot was not taken
+  });
+
   it("release() unblocks next waiter", async () => {
     const sem = createSemaphore(1);
     await sem.acquire();
@@ -314,4 +352,21 @@ describe("run", () => {
     const result = await run("pwd", [], { cwd: "/tmp" });
     assert.ok(result.stdout.includes("/tmp") || result.stdout.includes("/private/tmp"));
   });
+
+  it("kills the child when signal aborts", async () => {
+    const controller = new AbortController();
+    const started = Date.now();
+    const pending = run("sleep", ["5"], { signal: controller.signal });
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(pending, { name: "AbortError" });
+    assert.ok(Date.now() - started < 2000);
+  });
+
+  it("reports stdout as it arrives via onStdout", async () => {
+    /** @type {string[]} */
+    const seen = [];
+    const result = await run("sh", ["-c", "echo one; sleep 0.1; echo two"], { onStdout: (text) => seen.push(text) });
+    assert.strictEqual(seen.join(""), result.stdout);
+    assert.ok(seen.length >= 2, "expected separate stdout chunks");
+  });
 });
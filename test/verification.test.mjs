@@ -0,0 +1,181 @@
+// @ts-check
+/**
+ * Tests for caller verification: the verifier (lib/verification.mjs) and
+ * VERIFY_CALLER on the server. The agent is the generic HTTP adapter pointed
+ * at a local stub; texts go to a fake Twilio client.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+
+import { createVerifier, digitsFrom } from "../lib/verification.mjs";
+import { fromPluginConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+
+describe("createVerifier", () => {
+  function setup(/** @type {'pin'|'sms'} */ mode = "pin") {
+    let time = 1000;
+    const verifier = /** @type {import('../lib/verification.mjs').Verifier} */ (
+      createVerifier({ mode, pin: "4821", maxAttempts: 2, lockoutMs: 500, now: () => time }));
+    return { verifier, advance: (/** @type {number} */ ms) => { time += ms; } };
+  }
+
+  it("is off by default and needs a PIN in pin mode", () => {
+    assert.strictEqual(createVerifier({ mode: "off", maxAttempts: 3, lockoutMs: 1 }), null);
+    assert.throws(() => createVerifier({ mode: "pin", maxAttempts: 3, lockoutMs: 1 }), /VERIFY_PIN/);
+    assert.throws(() => createVerifier({ mode: "voiceprint", maxAttempts: 3, lockoutMs: 1 }), /Unknown VERIFY_CALLER "voiceprint"/);
+  });
+
+  it("verifies the call on the right PIN", () => {
+    const { verifier } = setup();
+    assert.deepStrictEqual(verifier.check("CA-1", "+15550001111", "1111"), { result: "retry", attemptsLeft: 1 });
+    assert.strictEqual(verifier.check("CA-1", "+15550001111", "4821").result, "verified");
+    assert.ok(verifier.verified("CA-1"));
+    assert.ok(!verifier.verified("CA-2"));
+    verifier.end("CA-1");
+    assert.ok(!verifier.verified("CA-1"));
+  });
+
+  it("locks the number out across calls until the lockout ends", () => {
+    const { verifier, advance } = setup();
+    verifier.check("CA-1", "+15550001111", "0000");
+    assert.strictEqual(verifier.check("CA-2", "+15550001111", "0000").result, "locked", "a new call does not reset the count");
+    assert.strictEqual(verifier.lockedFor("+15550001111"), 500);
+    assert.strictEqual(verifier.check("CA-3", "+15550001111", "4821").result, "locked");
+    advance(500);
+    assert.strictEqual(verifier.check("CA-3", "+15550001111", "4821").result, "verified");
+  });
+
+  it("accepts a texted code once, until it expires", () => {
+    const { verifier, advance } = setup("sms");
+    assert.strictEqual(verifier.check("CA-1", "+15550001111", "123456").result, "expired", "no code issued yet");
+    const code = verifier.issueCode("CA-1");
+    assert.match(code, /^\d{6}$/);
+    assert.ok(verifier.hasCode("CA-1"));
+    assert.strictEqual(verifier.check("CA-1", "+15550001111", "4821").result, "retry", "the PIN is not the code");
+    advance(5 * 60_000);
+    assert.ok(!verifier.hasCode("CA-1"));
+    assert.strictEqual(verifier.check("CA-1", "+15550001111", code).result, "expired");
+    assert.strictEqual(verifier.check("CA-1", "+15550001111", verifier.issueCode("CA-1")).result, "verified");
+  });
+});
+
+describe("digitsFrom", () => {
+  it("reads keyed and spoken digits", () => {
+    assert.strictEqual(digitsFrom("4821"), "4821");
+    assert.strictEqual(digitsFrom("4 8 2 1."), "4821");
+    assert.strictEqual(digitsFrom("Four eight two one"), "4821");
+    assert.strictEqual(digitsFrom("my pin is oh nine"), "09");
+    assert.strictEqual(digitsFrom("hello"), "");
+  });
+});
+
+describe("VERIFY_CALLER", () => {
+  /** @type {http.Server} */
+  let agentStub;
+  let agentPort = 0;
+  /** @type {{ to: string, from: string, body: string }[]} */
+  const texts = [];
+
+  before(async () => {
+    agentStub = http.createServer((req, res) => {
+      req.resume();
+      req.on("end", () => {
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify({ reply: "Hello, verified caller." }));
+      });
+    });
+    await new Promise((resolve) => agentStub.listen(0, () => resolve(undefined)));
+    agentPort = /** @type {import('node:net').AddressInfo} */ (agentStub.address()).port;
+  });
+  after(() => new Promise((resolve) => agentStub.close(() => resolve(undefined))));
+
+  /**
+   * @param {import('../lib/config.mjs').PluginConfig} pluginConfig
+   * @returns {Promise<{ server: http.Server, post: (path: string, form: Record<string, string>) => Promise<string> }>}
+   */
+  async function startServer(pluginConfig) {
+    const server = await createServer({
+      ...fromPluginConfig(pluginConfig),
+      PORT: 0,
+      ALLOW_FROM: [],
+      TWILIO_ACCOUNT_SID: "",
+      TWILIO_AUTH_TOKEN: "",
+      AGENT_PROVIDER: "http",
+      AGENT_HTTP_URL: `http://127.0.0.1:${agentPort}/reply`,
+    }, null, {
+      twilioClient: /** @type {any} */ ({
+        sendSms: async (/** @type {{ to: string, from: string, body: string }} */ opts) => {
+          texts.push(opts);
+          return { sid: `SM-verify-${texts.length}`, status: "queued", errorCode: null, errorMessage: null, to: opts.to, from: opts.from };
+        },
+      }),
+    });
+    const port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+    /** @param {string} path @param {Record<string, string>} form @returns {Promise<string>} */
+    const post = (path, form) => new Promise((resolve, reject) => {
+      const encoded = new URLSearchParams(form).toString();
+      const headers = { "content-type": "application/x-www-form-urlencoded", "content-length": Buffer.byteLength(encoded) };
+      const req = http.request({ hostname: "localhost", port, path, method: "POST", headers }, (res) => {
+        let data = "";
+        res.on("data", (c) => (data += c));
+        res.on("end", () => resolve(data));
+      });
+      req.on("error", reject);
+      req.end(encoded);
+    });
+    return { server, post };
+  }
+
+  const call = (/** @type {string} */ callSid, from = "+15550005001") => ({ CallSid: callSid, From: from, To: "+15550009999" });
+
+  it("asks for the PIN before the greeting and keeps the agent out until it is given", async () => {
+    const { server, post } = await startServer({ verifyCaller: "pin", verifyPin: "4821" });
+    try {
+      const prompt = await post("/voice", call("CA-pin-1"));
+      assert.ok(prompt.includes('<Gather input="speech dtmf" action="/verify" method="POST" finishOnKey="#"'));
+      assert.ok(prompt.includes("Please say or enter your PIN"));
+
+      assert.match(await post("/speech", { ...call("CA-pin-1"), SpeechResult: "Hi" }), /this call is not verified\.<\/Say><Hangup\/>/);
+
+      assert.match(await post("/verify", { ...call("CA-pin-1"), Digits: "1111" }), /That is not correct.*<Redirect method="POST">\/voice<\/Redirect>/);
+      assert.match(await post("/verify", { ...call("CA-pin-1"), SpeechResult: "Four eight two one." }), /Thank you\..*\/voice</);
+      assert.ok((await post("/voice", call("CA-pin-1"))).includes('<Gather input="speech"'), "verified call is greeted");
+      assert.ok((await post("/speech", { ...call("CA-pin-1"), SpeechResult: "Hi" })).includes("/speech-wait"));
+    } finally {
+      await new Promise((resolve) => server.close(() => resolve(undefined)));
+    }
+  });
+
+  it("locks the number out after repeated failures", async () => {
+    const { server, post } = await startServer({ verifyCaller: "pin", verifyPin: "4821", verifyMaxAttempts: 2 });
+    try {
+      const from = "+15550005002";
+      await post("/verify", { ...call("CA-pin-2", from), Digits: "0000" });
+      assert.match(await post("/verify", { ...call("CA-pin-2", from), Digits: "0000" }), /Too many failed attempts.*<Hangup\/>/);
+      assert.match(await post("/voice", call("CA-pin-3", from)), /Too many failed attempts.*<Hangup\/>/);
+      assert.match(await post("/verify", { ...call("CA-pin-3", from), Digits: "4821" }), /Too many failed attempts/);
+    } finally {
+      await new Promise((resolve) => server.close(() => resolve(undefined)));
+    }
+  });
+
+  it("texts a one-time code to the caller once per call", async () => {
+    const { server, post } = await startServer({ verifyCaller: "sms" });
+    try {
+      const prompt = await post("/voice", call("CA-otp-1", "+15550005003"));
+      assert.ok(prompt.includes("I have texted you a verification code"));
+      await post("/voice", call("CA-otp-1", "+15550005003"));
+      assert.strictEqual(texts.length, 1);
+      const [{ to, from, body }] = texts;
+      assert.deepStrictEqual({ to, from }, { to: "+15550005003", from: "+15550009999" });
+      const code = /\d{6}/.exec(body)?.[0] ?? "";
+
+      assert.match(await post("/verify", { ...call("CA-otp-1", "+15550005003"), Digits: code }), /Thank you\./);
+      assert.ok((await post("/voice", call("CA-otp-1", "+15550005003"))).includes('<Gather input="speech"'));
+    } finally {
+      await new Promise((resolve) => server.close(() => resolve(undefined)));
+    }
+  });
+});
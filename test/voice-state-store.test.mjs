@@ -0,0 +1,113 @@
+// @ts-check
+/**
+ * Tests for the in-memory VoiceStateStore and for voice-state.mjs on a store
+ * plugged in with setVoiceStateStore(). The plugged-in store hands out copies,
+ * as a backend that serializes turns would, so a change voice-state.mjs does
+ * not write back is lost.
+ */
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert";
+
+import { createMemoryVoiceStateStore } from "../lib/voice-state-store.mjs";
+import {
+  setVoiceStateStore,
+  createPendingTurn,
+  getPendingTurn,
+  isLatestTurn,
+  appendTurnReply,
+  takeSpeakableReply,
+  completeTurn,
+  cleanupStaleTurns,
+  waitForVoiceDrain,
+} from "../lib/voice-state.mjs";
+
+/** @returns {import('../lib/voice-state.mjs').PendingTurn} */
+const turn = (/** @type {Partial<import('../lib/voice-state.mjs').PendingTurn>} */ fields = {}) => ({
+  callSid: "CA1", from: "+15550001111", said: "hi", reply: "", spoken: 0,
+  done: false, speculative: false, createdAt: Date.now(), ...fields,
+});
+
+/**
+ * A memory store whose get/entries return copies of the stored turns.
+ *
+ * @returns {import('../lib/voice-state-store.mjs').VoiceStateStore}
+ */
+function createCopyingStore() {
+  const inner = createMemoryVoiceStateStore();
+  /** @type {(t: import('../lib/voice-state.mjs').PendingTurn) => import('../lib/voice-state.mjs').PendingTurn} */
+  const copy = (t) => ({ ...t });
+  return {
+    ...inner,
+    get: (key) => { const t = inner.get(key); return t && copy(t); },
+    set: (key, t) => inner.set(key, copy(t)),
+    entries: () => inner.entries().map(([key, t]) => [key, copy(t)]),
+  };
+}
+
+describe("createMemoryVoiceStateStore", () => {
+  it("stores turns and latest keys", () => {
+    const store = createMemoryVoiceStateStore();
+    store.set("k1", turn());
+    store.setLatest("CA1", "k1");
+    assert.strictEqual(store.get("k1")?.said, "hi");
+    assert.strictEqual(store.latest("CA1"), "k1");
+    assert.strictEqual(store.latestSize(), 1);
+    assert.deepStrictEqual(store.entries().map(([key]) => key), ["k1"]);
+
+    store.delete("k1");
+    store.deleteLatest("CA1");
+    assert.strictEqual(store.get("k1"), undefined);
+    assert.strictEqual(store.latestSize(), 0);
+  });
+});
+
+describe("voice-state on a plugged-in store", () => {
+  const store = createCopyingStore();
+  const previous = setVoiceStateStore(store);
+  after(() => { setVoiceStateStore(previous); });
+
+  it("setVoiceStateStore returns the store it replaces", () => {
+    const mine = createMemoryVoiceStateStore();
+    assert.strictEqual(setVoiceStateStore(mine), store);
+    assert.strictEqual(setVoiceStateStore(store), mine);
+  });
+
+  it("keeps turns in the plugged-in store", () => {
+    createPendingTurn({ key: "CA-a:1", callSid: "CA-a", from: "+1", said: "one" });
+    assert.strictEqual(store.get("CA-a:1")?.said, "one");
+    assert.strictEqual(store.latest("CA-a"), "CA-a:1");
+
+    createPendingTurn({ key: "CA-a:2", callSid: "CA-a", from: "+1", said: "two" });
+    assert.strictEqual(isLatestTurn("CA-a:1", "CA-a"), false);
+    assert.strictEqual(getPendingTurn("CA-a:1"), undefined);
+  });
+
+  it("writes streamed and completed replies back to the store", () => {
+    createPendingTurn({ key: "CA-b:1", callSid: "CA-b", from: "+1", said: "hi" });
+    appendTurnReply("CA-b:1", "Hello there. How");
+    assert.strictEqual(takeSpeakableReply("CA-b:1"), "Hello there.");
+    assert.strictEqual(store.get("CA-b:1")?.spoken, "Hello there. ".length);
+
+    completeTurn("CA-b:1", "Hello there. How are you?");
+    assert.strictEqual(store.get("CA-b:1")?.reply, "Hello there. How are you?");
+    assert.strictEqual(store.get("CA-b:1")?.done, true);
+  });
+
+  it("cleanupStaleTurns removes stale turns from the store", async () => {
+    createPendingTurn({ key: "CA-c:1", callSid: "CA-c", from: "+1", said: "old" });
+    await new Promise((r) => setTimeout(r, 5));
+    cleanupStaleTurns(1);
+    assert.strictEqual(store.get("CA-c:1"), undefined);
+    assert.strictEqual(store.latest("CA-c"), undefined);
+  });
+
+  it("waitForVoiceDrain counts unfinished turns in the store", async () => {
+    const before = await waitForVoiceDrain(0);
+    store.set("CA-d:1", turn({ callSid: "CA-d" }));
+    assert.strictEqual(await waitForVoiceDrain(0), before + 1);
+    store.set("CA-d:1", turn({ callSid: "CA-d", done: true }));
+    assert.strictEqual(await waitForVoiceDrain(0), before);
+    store.delete("CA-d:1");
+  });
+});
@@ -9,10 +9,21 @@ import {
   getPendingTurn,
   isLatestTurn,
   completeTurn,
+  appendTurnReply,
+  takeSpeakableReply,
+  unspokenReply,
   deleteTurn,
   cleanupStaleTurns,
   pendingSize,
   latestByCallSize,
+  normalizeTranscript,
+  startSpeculativeTurn,
+  getSpeculation,
+  adoptSpeculativeTurn,
+  cancelSpeculativeTurn,
+  waitForVoiceDrain,
+  turnSignal,
+  cancelCallTurns,
 } from "../lib/voice-state.mjs";
 
 describe("voice-state", () => {
@@ -134,6 +145,53 @@ describe("voice-state", () => {
     });
   });
 
+  describe("streamed replies", () => {
+    it("hands out finished sentences once and keeps the partial one", () => {
+      const callSid = `stream-test-${Date.now()}`;
+      const key = `${callSid}:turn1`;
+      createPendingTurn({ key, callSid, from: "+1234", said: "weather?" });
+
+      appendTurnReply(key, "It's sunny");
+      assert.strictEqual(takeSpeakableReply(key), "");
+      appendTurnReply(key, ". Highs of 20. Tomor");
+      assert.strictEqual(takeSpeakableReply(key), "It's sunny. Highs of 20.");
+      assert.strictEqual(takeSpeakableReply(key), "");
+      appendTurnReply(key, "row rain.");
+
+      completeTurn(key, "It's sunny.  Highs of 20. Tomorrow rain.");
+      const turn = getPendingTurn(key);
+      assert.ok(turn);
+      assert.strictEqual(unspokenReply(turn), "Tomorrow rain.");
+      assert.strictEqual(takeSpeakableReply(key), "", "nothing is handed out once the turn is done");
+      deleteTurn(key);
+    });
+
+    it("speaks a final reply that does not continue the streamed text in full", () => {
+      const callSid = `stream-diverge-${Date.now()}`;
+      const key = `${callSid}:turn1`;
+      createPendingTurn({ key, callSid, from: "+1234", said: "weather?" });
+      appendTurnReply(key, "It's sunny. ");
+      assert.strictEqual(takeSpeakableReply(key), "It's sunny.");
+
+      completeTurn(key, "Sorry — I hit an error generating a reply.");
+      const turn = getPendingTurn(key);
+      assert.ok(turn);
+      assert.strictEqual(unspokenReply(turn), "Sorry — I hit an error generating a reply.");
+      deleteTurn(key);
+    });
+
+    it("ignores chunks for unknown or finished turns", () => {
+      appendTurnReply("non-existent-key", "text");
+      const callSid = `stream-done-${Date.now()}`;
+      const key = `${callSid}:turn1`;
+      createPendingTurn({ key, callSid, from: "+1234", said: "hi" });
+      completeTurn(key, "Done.");
+      appendTurnReply(key, " Late chunk.");
+      assert.strictEqual(getPendingTurn(key)?.reply, "Done.");
+      deleteTurn(key);
+    });
+  });
+
   describe("deleteTurn", () => {
     it("removes turn from pending", () => {
       const callSid = `delete-test-${Date.now()}`;
@@ -214,4 +272,124 @@ describe("voice-state", () => {
       assert.strictEqual(latestByCallSize(), beforeCall);
     });
   });
+
+  describe("speculative turns", () => {
+    it("normalizeTranscript ignores case, punctuation and spacing", () => {
+      assert.strictEqual(normalizeTranscript("  What's the WEATHER,  tomorrow? "), "what's the weather tomorrow");
+      assert.strictEqual(normalizeTranscript(""), "");
+    });
+
+    it("a speculation is not the latest turn until adopted", async () => {
+      const callSid = `spec-adopt-${Date.now()}`;
+      const speculation = startSpeculativeTurn({ key: `${callSid}:s1`, callSid, from: "+1234", said: "what's the weather" });
+      assert.strictEqual(getSpeculation(callSid), speculation);
+      assert.strictEqual(getPendingTurn(speculation.key)?.speculative, true);
+      assert.strictEqual(isLatestTurn(speculation.key, callSid), false);
+
+      assert.strictEqual(adoptSpeculativeTurn(callSid, "What's the weather?"), speculation.key);
+      assert.strictEqual(await speculation.adopted, "What's the weather?");
+      assert.strictEqual(isLatestTurn(speculation.key, callSid), true);
+      const turn = getPendingTurn(speculation.key);
+      assert.strictEqual(turn?.speculative, false);
+      assert.strictEqual(turn?.said, "What's the weather?");
+      assert.strictEqual(getSpeculation(callSid), undefined);
+      deleteTurn(speculation.key);
+    });
+
+    it("adopting replaces the call's previous turn", () => {
+      const callSid = `spec-replace-${Date.now()}`;
+      createPendingTurn({ key: `${callSid}:t1`, callSid, from: "+1234", said: "first" });
+      startSpeculativeTurn({ key: `${callSid}:s1`, callSid, from: "+1234", said: "second" });
+      assert.ok(getPendingTurn(`${callSid}:t1`), "speculating leaves the current turn alone");
+      adoptSpeculativeTurn(callSid, "second");
+      assert.strictEqual(getPendingTurn(`${callSid}:t1`), undefined);
+      deleteTurn(`${callSid}:s1`);
+    });
+
+    it("a different final transcript cancels the speculation", async () => {
+      const callSid = `spec-diverge-${Date.now()}`;
+      const speculation = startSpeculativeTurn({ key: `${callSid}:s1`, callSid, from: "+1234", said: "call my" });
+      assert.strictEqual(adoptSpeculativeTurn(callSid, "call my mother"), undefined);
+      assert.strictEqual(await speculation.adopted, null);
+      assert.strictEqual(getPendingTurn(speculation.key), undefined);
+      assert.strictEqual(getSpeculation(callSid), undefined);
+    });
+
+    it("a new speculation cancels the previous one", async () => {
+      const callSid = `spec-restart-${Date.now()}`;
+      const first = startSpeculativeTurn({ key: `${callSid}:s1`, callSid, from: "+1234", said: "call" });
+      const second = startSpeculativeTurn({ key: `${callSid}:s2`, callSid, from: "+1234", said: "call home" });
+      assert.strictEqual(await first.adopted, null);
+      assert.strictEqual(getPendingTurn(first.key), undefined);
+      assert.strictEqual(getSpeculation(callSid), second);
+      cancelSpeculativeTurn(callSid);
+      assert.strictEqual(await second.adopted, null);
+      assert.strictEqual(getPendingTurn(second.key), undefined);
+    });
+
+    it("stale speculations are cancelled by cleanupStaleTurns", async () => {
+      const callSid = `spec-stale-${Date.now()}`;
+      const speculation = startSpeculativeTurn({ key: `${callSid}:s1`, callSid, from: "+1234", said: "hello" });
+      await new Promise((r) => setTimeout(r, 10));
+      cleanupStaleTurns(0);
+      assert.strictEqual(await speculation.adopted, null);
+      assert.strictEqual(getSpeculation(callSid), undefined);
+    });
+
+    it("waitForVoiceDrain does not wait for unadopted speculations", async () => {
+      const callSid = `spec-drain-${Date.now()}`;
+      startSpeculativeTurn({ key: `${callSid}:s1`, callSid, from: "+1234", said: "hello" });
+      assert.strictEqual(await waitForVoiceDrain(50, 10), 0);
+      cancelSpeculativeTurn(callSid);
+    });
+  });
+
+  describe("turn cancellation", () => {
+    it("aborts a turn's signal when a newer turn supersedes it", () => {
+      const callSid = `abort-super-${Date.now()}`;
+      createPendingTurn({ key: `${callSid}:1`, callSid, from: "+1234", said: "one" });
+      const signal = turnSignal(`${callSid}:1`);
+      createPendingTurn({ key: `${callSid}:2`, callSid, from: "+1234", said: "two" });
+      assert.strictEqual(signal.aborted, true);
+      assert.strictEqual(turnSignal(`${callSid}:2`).aborted, false);
+      deleteTurn(`${callSid}:2`);
+    });
+
+    it("aborts on deleteTurn but not once the turn completed", () => {
+      const callSid = `abort-delete-${Date.now()}`;
+      createPendingTurn({ key: `${callSid}:1`, callSid, from: "+1234", said: "one" });
+      const pendingSignal = turnSignal(`${callSid}:1`);
+      deleteTurn(`${callSid}:1`);
+      assert.strictEqual(pendingSignal.aborted, true);
+
+      createPendingTurn({ key: `${callSid}:2`, callSid, from: "+1234", said: "two" });
+      const doneSignal = turnSignal(`${callSid}:2`);
+      completeTurn(`${callSid}:2`, "Hi.");
+      deleteTurn(`${callSid}:2`);
+      assert.strictEqual(doneSignal.aborted, false);
+    });
+
+    it("aborts a cancelled speculation", () => {
+      const callSid = `abort-spec-${Date.now()}`;
+      startSpeculativeTurn({ key: `${callSid}:s1`, callSid, from: "+1234", said: "hello" });
+      const signal = turnSignal(`${callSid}:s1`);
+      cancelSpeculativeTurn(callSid);
+      assert.strictEqual(signal.aborted, true);
+    });
+
+    it("cancelCallTurns drops and aborts the call's pending turns", () => {
+      const callSid = `abort-call-${Date.now()}`;
+      createPendingTurn({ key: `${callSid}:1`, callSid, from: "+1234", said: "one" });
+      const signal = turnSignal(`${callSid}:1`);
+      startSpeculativeTurn({ key: `${callSid}:s1`, callSid, from: "+1234", said: "and" });
+      const speculationSignal = turnSignal(`${callSid}:s1`);
+
+      assert.strictEqual(cancelCallTurns(callSid), true);
+      assert.strictEqual(signal.aborted, true);
+      assert.strictEqual(speculationSignal.aborted, true);
+      assert.strictEqual(getPendingTurn(`${callSid}:1`), undefined);
+      assert.strictEqual(isLatestTurn(`${callSid}:1`, callSid), false);
+      assert.strictEqual(cancelCallTurns(callSid), false);
+    });
+  });
 });
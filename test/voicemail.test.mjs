@@ -0,0 +1,194 @@
+// @ts-check
+/**
+ * Tests for the voicemail fallback: the voicemail box (lib/voicemail.mjs) and
+ * VOICEMAIL_AFTER_FAILURES on the server. The agent is the generic HTTP adapter
+ * pointed at a local stub that fails until the test marks it healthy.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { createVoicemailBox, voicemailMessage } from "../lib/voicemail.mjs";
+import { fromPluginConfig } from "../lib/config.mjs";
+import { createServer } from "../lib/http-server.mjs";
+
+const dir = mkdtempSync(join(tmpdir(), "clawphone-voicemail-test-"));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+/** A /voicemail-transcription callback. */
+const transcription = (/** @type {Record<string, string>} */ fields = {}) => ({
+  CallSid: "CA-vm-0",
+  From: "+15550009001",
+  To: "+15550009999",
+  RecordingSid: "RE-vm-0",
+  RecordingUrl: "https://api.twilio.com/recordings/RE-vm-0",
+  RecordingDuration: "14",
+  TranscriptionStatus: "completed",
+  TranscriptionText: "Please call me back about the invoice.",
+  ...fields,
+});
+
+describe("createVoicemailBox", () => {
+  it("queues voicemails until delivered and keeps them in the file", () => {
+    const file = join(dir, "box", "voicemail.json");
+    const box = createVoicemailBox({ file });
+    const vm = box.add(transcription());
+    assert.strictEqual(vm?.text, "Please call me back about the invoice.");
+    assert.strictEqual(vm?.duration, 14);
+    assert.strictEqual(box.add(transcription()), undefined, "repeated callback ignored");
+    box.add(transcription({ RecordingSid: "RE-vm-1" }));
+
+    box.markDelivered("RE-vm-0", "I'll call them.");
+    const reopened = createVoicemailBox({ file });
+    assert.deepStrictEqual(reopened.queued().map((v) => v.recordingSid), ["RE-vm-1"]);
+    assert.strictEqual(reopened.recent()[1].reply, "I'll call them.");
+  });
+
+  it("ignores callbacks without a recording", () => {
+    assert.strictEqual(createVoicemailBox().add({ CallSid: "CA-vm-0" }), undefined);
+  });
+
+  it("points the agent at the recording when transcription failed", () => {
+    const vm = /** @type {import('../lib/voicemail.mjs').Voicemail} */ (
+      createVoicemailBox().add(transcription({ TranscriptionStatus: "failed", TranscriptionText: "" })));
+    assert.strictEqual(vm.text, "");
+    assert.match(voicemailMessage(vm), /could not be transcribed; the recording is at https:\/\/api\.twilio\.com\/recordings\/RE-vm-0/);
+    assert.match(voicemailMessage({ ...vm, text: "Hi" }), /^\[\+15550009001 left a voicemail while you were unavailable:\]\nHi$/);
+  });
+});
+
+describe("VOICEMAIL_AFTER_FAILURES", () => {
+  /** @type {http.Server} */
+  let server;
+  /** @type {http.Server} */
+  let agentStub;
+  let port;
+  let healthy = false;
+  /** @type {string[]} last message of each agent request */
+  const agentRequests = [];
+
+  before(async () => {
+    agentStub = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (c) => (body += c));
+      req.on("end", () => {
+        agentRequests.push(JSON.parse(body).messages.at(-1).content);
+        if (!healthy) {
+          res.writeHead(502, { "content-type": "application/json" });
+          res.end(JSON.stringify({ error: "backend down" }));
+          return;
+        }
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify({ reply: "I'll call them back." }));
+      });
+    });
+    await new Promise((resolve) => agentStub.listen(0, () => resolve(undefined)));
+    const agentPort = /** @type {import('node:net').AddressInfo} */ (agentStub.address()).port;
+
+    server = await createServer({
+      ...fromPluginConfig({ agentBreakerThreshold: 0, voicemailAfterFailures: 2, voicemailPrompt: "Leave a message.", voicemailFile: join(dir, "server.json") }),
+      PORT: 0,
+      ALLOW_FROM: [],
+      TWILIO_ACCOUNT_SID: "",
+      TWILIO_AUTH_TOKEN: "",
+      API_TOKEN: "secret-token",
+      AGENT_PROVIDER: "http",
+      AGENT_HTTP_URL: `http://127.0.0.1:${agentPort}/reply`,
+    });
+    port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(() => resolve(undefined)));
+    await new Promise((resolve) => agentStub.close(() => resolve(undefined)));
+  });
+
+  /**
+   * @param {string} method
+   * @param {string} url
+   * @param {Record<string, string>} [form]
+   * @returns {Promise<{ status: number|undefined, body: string }>}
+   */
+  function request(method, url, form) {
+    return new Promise((resolve, reject) => {
+      const encoded = form ? new URLSearchParams(form).toString() : "";
+      const headers = {
+        "content-type": "application/x-www-form-urlencoded",
+        "content-length": Buffer.byteLength(encoded),
+        authorization: "Bearer secret-token",
+      };
+      const req = http.request({ hostname: "localhost", port, path: url, method, headers }, (res) => {
+        let data = "";
+        res.on("data", (c) => (data += c));
+        res.on("end", () => resolve({ status: res.statusCode, body: data }));
+      });
+      req.on("error", reject);
+      req.end(encoded);
+    });
+  }
+
+  /** Post /speech and poll /speech-wait until the turn is answered. */
+  async function speak(/** @type {Record<string, string>} */ call, /** @type {string} */ said) {
+    let { body: twiml } = await request("POST", "/speech", { ...call, SpeechResult: said });
+    for (let i = 0; i < 50 && /speech-wait/.test(twiml); i++) {
+      const url = /<Redirect[^>]*>([^<]+)<\/Redirect>/.exec(twiml)?.[1]?.replace(/&amp;/g, "&") ?? "";
+      await new Promise((r) => setTimeout(r, 10));
+      twiml = (await request("POST", url, call)).body;
+    }
+    return twiml;
+  }
+
+  /** @returns {Promise<import('../lib/voicemail.mjs').Voicemail[]>} */
+  async function listVoicemails() {
+    return JSON.parse((await request("GET", "/api/voicemails")).body).voicemails;
+  }
+
+  it("apologizes, then sends the caller to voicemail once the agent has failed twice", async () => {
+    const call = { CallSid: "CA-vm-1", From: "+15550009001", To: "+15550009999" };
+    await request("POST", "/voice", call);
+
+    const first = await speak(call, "Is my invoice ready?");
+    assert.match(first, /I hit an error generating a reply/);
+    assert.ok(!first.includes("<Record"));
+
+    const second = await speak(call, "Hello?");
+    assert.ok(second.includes(">Leave a message.</Say><Record"));
+    assert.ok(!second.includes("I hit an error"));
+
+    const done = (await request("POST", "/voicemail-done", { ...call, RecordingDuration: "14" })).body;
+    assert.match(done, /Your message has been saved.*<Hangup\/>/);
+  });
+
+  it("a successful reply resets the count", async () => {
+    const call = { CallSid: "CA-vm-2", From: "+15550009002", To: "+15550009999" };
+    await request("POST", "/voice", call);
+    assert.match(await speak(call, "One"), /I hit an error/);
+    healthy = true;
+    assert.match(await speak(call, "Two"), /I'll call them back\./);
+    healthy = false;
+    assert.match(await speak(call, "Three"), /I hit an error/);
+  });
+
+  it("queues the transcription until the agent answers again", async () => {
+    assert.strictEqual((await request("POST", "/voicemail-transcription", transcription({ CallSid: "CA-vm-1", RecordingSid: "RE-vm-1" }))).status, 204);
+    for (let i = 0; i < 50 && !agentRequests.at(-1)?.includes("left a voicemail"); i++) await new Promise((r) => setTimeout(r, 10));
+    let [vm] = await listVoicemails();
+    assert.strictEqual(vm.status, "queued", "agent still failing");
+
+    healthy = true;
+    await request("POST", "/sms", { From: "+15550009003", To: "+15550009999", Body: "Are you back?", MessageSid: "SM-vm-1" });
+    for (let i = 0; i < 100 && vm.status === "queued"; i++) {
+      await new Promise((r) => setTimeout(r, 10));
+      [vm] = await listVoicemails();
+    }
+    assert.strictEqual(vm.status, "delivered");
+    assert.strictEqual(vm.reply, "I'll call them back.");
+    assert.ok(agentRequests.includes(
+      "[+15550009001 left a voicemail while you were unavailable:]\nPlease call me back about the invoice.",
+    ));
+  });
+});
@@ -0,0 +1,195 @@
+// @ts-check
+/**
+ * Tests for lib/websocket.mjs: frame encoding/decoding and the server side of
+ * the handshake, exercised with Node's built-in WebSocket client.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+
+import { encodeFrame, decodeFrames, acceptWebSocket } from "../lib/websocket.mjs";
+
+/**
+ * Masked client frame, as a browser/Twilio would send it.
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @param {boolean} [fin]
+ */
+function clientFrame(opcode, payload, fin = true) {
+  const mask = Buffer.from([1, 2, 3, 4]);
+  const frame = encodeFrame(opcode, payload);
+  const headerLen = frame.length - payload.length;
+  const masked = Buffer.from(payload.map((b, i) => b ^ mask[i & 3]));
+  const header = Buffer.from(frame.subarray(0, headerLen));
+  if (!fin) header[0] &= 0x7f;
+  header[1] |= 0x80;
+  return Buffer.concat([header, mask, masked]);
+}
+
+describe("encodeFrame / decodeFrames", () => {
+  it("round-trips 7-bit, 16-bit and 64-bit payload lengths", () => {
+    for (const size of [5, 300, 70_000]) {
+      const payload = Buffer.alloc(size, 0x61);
+      const { frames, rest } = decodeFrames(encodeFrame(0x1, payload));
+      assert.strictEqual(frames.length, 1);
+      assert.strictEqual(frames[0].fin, true);
+      assert.strictEqual(frames[0].opcode, 0x1);
+      assert.ok(frames[0].payload.equals(payload));
+      assert.strictEqual(rest.length, 0);
+    }
+  });
+
+  it("unmasks client frames", () => {
+    const { frames } = decodeFrames(clientFrame(0x1, Buffer.from("hello")));
+    assert.strictEqual(frames[0].payload.toString(), "hello");
+  });
+
+  it("stops at a header that declares more than the limit", () => {
+    const { frames, oversized } = decodeFrames(Buffer.concat([clientFrame(0x1, Buffer.from("ok")), clientFrame(0x1, Buffer.alloc(300))]), 100);
+    assert.strictEqual(frames.length, 1);
+    assert.strictEqual(oversized, true);
+  });
+
+  it("keeps an incomplete frame as the remainder", () => {
+    const frame = clientFrame(0x1, Buffer.from("hello world"));
+    const { frames, rest } = decodeFrames(Buffer.concat([clientFrame(0x1, Buffer.from("a")), frame.subarray(0, 6)]));
+    assert.strictEqual(frames.length, 1);
+    assert.strictEqual(rest.length, 6);
+  });
+});
+
+describe("acceptWebSocket", () => {
+  /** @type {http.Server} */
+  let server;
+  let port;
+  /** @type {import('../lib/websocket.mjs').WebSocketConnection[]} */
+  const connections = [];
+
+  before(async () => {
+    server = http.createServer();
+    server.on("upgrade", (req, socket, head) => {
+      const ws = acceptWebSocket(req, socket, head, { maxMessageBytes: 1024 });
+      if (!ws) return;
+      connections.push(ws);
+      ws.on("message", (text) => ws.send(`echo: ${text}`));
+    });
+    await new Promise((resolve) => server.listen(0, () => resolve(undefined)));
+    port = /** @type {import('node:net').AddressInfo} */ (server.address()).port;
+  });
+
+  after(async () => {
+    for (const ws of connections) ws.close();
+    await new Promise((resolve) => server.close(() => resolve(undefined)));
+  });
+
+  /** @param {WebSocket} ws */
+  const nextMessage = (ws) => new Promise((resolve) => ws.addEventListener("message", (e) => resolve(String(e.data)), { once: true }));
+  /** @param {WebSocket} ws @returns {Promise<number>} */
+  const closed = (ws) => new Promise((resolve) => ws.addEventListener("close", (e) => resolve(e.code), { once: true }));
+
+  it("completes the handshake and exchanges text messages", async () => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/`);
+    await new Promise((resolve) => ws.addEventListener("open", resolve, { once: true }));
+    const reply = nextMessage(ws);
+    ws.send("hi there");
+    assert.strictEqual(await reply, "echo: hi there");
+
+    const big = "x".repeat(600);
+    const bigReply = nextMessage(ws);
+    ws.send(big);
+    assert.strictEqual(await bigReply, `echo: ${big}`);
+
+    const code = closed(ws);
+    ws.close(1000);
+    assert.strictEqual(await code, 1000);
+    assert.strictEqual(connections.at(-1)?.closed, true);
+  });
+
+  it("closes with 1009 when a message exceeds maxMessageBytes", async () => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/`);
+    await new Promise((resolve) => ws.addEventListener("open", resolve, { once: true }));
+    const code = closed(ws);
+    ws.send("x".repeat(2048));
+    assert.strictEqual(await code, 1009);
+  });
+
+  it("closes with 1009 on a frame header that declares too much, without waiting for the payload", async () => {
+    const { connect } = await import("node:net");
+    const socket = connect(port, "127.0.0.1");
+    /** @type {Buffer} */
+    let received = Buffer.alloc(0);
+    socket.on("data", (/** @type {Buffer} */ c) => (received = Buffer.concat([received, c])));
+    await new Promise((resolve) => socket.once("connect", resolve));
+    socket.write(
+      "GET / HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+      "Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n"
+    );
+    // A masked text frame declaring a 1 GiB payload, followed by only a few bytes of it
+    const header = Buffer.alloc(14);
+    header[0] = 0x81;
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(BigInt(1024 ** 3), 2);
+    socket.write(Buffer.concat([header, Buffer.from("abc")]));
+    await new Promise((resolve) => socket.once("close", resolve));
+
+    const { frames } = decodeFrames(received.subarray(received.indexOf("\r\n\r\n") + 4));
+    assert.strictEqual(frames.at(-1)?.opcode, 0x8);
+    assert.strictEqual(frames.at(-1)?.payload.readUInt16BE(0), 1009);
+  });
+
+  it("reassembles fragmented messages and answers pings", async () => {
+    const { connect } = await import("node:net");
+    const socket = connect(port, "127.0.0.1");
+    /** @type {Buffer} */
+    let received = Buffer.alloc(0);
+    socket.on("data", (/** @type {Buffer} */ c) => (received = Buffer.concat([received, c])));
+    await new Promise((resolve) => socket.once("connect", resolve));
+    socket.write(
+      "GET / HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+      "Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n"
+    );
+    socket.write(Buffer.concat([
+      clientFrame(0x1, Buffer.from("frag"), false),
+      clientFrame(0x9, Buffer.from("p")),
+      clientFrame(0x0, Buffer.from("mented")),
+    ]));
+    for (let i = 0; i < 100 && !received.includes("echo: fragmented"); i++) await new Promise((r) => setTimeout(r, 10));
+    socket.destroy();
+
+    const text = received.toString("latin1");
+    assert.ok(text.startsWith("HTTP/1.1 101 Switching Protocols"));
+    assert.ok(text.includes("Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK+xOo="));
+    const { frames } = decodeFrames(received.subarray(received.indexOf("\r\n\r\n") + 4));
+    assert.deepStrictEqual(frames.map((f) => [f.opcode, f.payload.toString()]), [[0xA, "p"], [0x1, "echo: fragmented"]]);
+  });
+
+  it("closes with 1002 on an unmasked client frame", async () => {
+    const { connect } = await import("node:net");
+    const socket = connect(port, "127.0.0.1");
+    /** @type {Buffer} */
+    let received = Buffer.alloc(0);
+    socket.on("data", (/** @type {Buffer} */ c) => (received = Buffer.concat([received, c])));
+    await new Promise((resolve) => socket.once("connect", resolve));
+    socket.write(
+      "GET / HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+      "Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n"
+    );
+    socket.write(encodeFrame(0x1, Buffer.from("hello")));
+    await new Promise((resolve) => socket.once("close", resolve));
+
+    const { frames } = decodeFrames(received.subarray(received.indexOf("\r\n\r\n") + 4));
+    assert.deepStrictEqual(frames.map((f) => [f.opcode, f.payload.readUInt16BE(0)]), [[0x8, 1002]]);
+  });
+
+  it("answers 400 to a request that is not a WebSocket upgrade", async () => {
+    const { connect } = await import("node:net");
+    const socket = connect(port, "127.0.0.1");
+    let text = "";
+    socket.on("data", (c) => (text += c));
+    await new Promise((resolve) => socket.once("connect", resolve));
+    socket.write("GET / HTTP/1.1\r\nHost: localhost\r\nUpgrade: h2c\r\nConnection: Upgrade\r\n\r\n");
+    await new Promise((resolve) => socket.once("close", resolve));
+    assert.ok(text.startsWith("HTTP/1.1 400 Bad Request"));
+  });
+});